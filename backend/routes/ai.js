@@ -13,7 +13,7 @@ const router = Router();
  * GET /v1/providers
  * List available AI providers and pricing
  */
-router.get('/providers', async (req, res) => {
+router.get('/providers', async (req, res, next) => {
   try {
     const aiProviders = req.app.locals.aiProviders;
     const l402Gateway = req.app.locals.l402Gateway;
@@ -23,7 +23,7 @@ router.get('/providers', async (req, res) => {
       pricing: l402Gateway.getPricing()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -31,12 +31,12 @@ router.get('/providers', async (req, res) => {
  * GET /v1/stats
  * Get L402 usage statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', async (req, res, next) => {
   try {
     const l402Gateway = req.app.locals.l402Gateway;
     res.json(l402Gateway.getStats());
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -52,7 +52,7 @@ router.get('/stats', async (req, res) => {
  * - model: string (optional, provider-specific)
  * - stream: boolean (optional)
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', async (req, res, next) => {
   try {
     const aiProviders = req.app.locals.aiProviders;
     const l402Gateway = req.app.locals.l402Gateway;
@@ -93,12 +93,14 @@ router.post('/chat', async (req, res) => {
         
         // Record usage
         if (l402Session) {
-          l402Gateway.recordUsage(l402Session.paymentHash, totalTokens, provider);
+          l402Gateway.recordUsage(l402Session.paymentHash, totalTokens, provider, l402Session.reservation);
         }
 
         res.write(`data: ${JSON.stringify({ done: true, total_tokens: totalTokens })}\n\n`);
         res.end();
       } catch (error) {
+        // The 200 status is already sent; mark the failure so a held payment is refunded
+        if (req.l402) req.l402.failed = true;
         res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
         res.end();
       }
@@ -110,7 +112,7 @@ router.post('/chat', async (req, res) => {
 
     // Record usage for billing
     if (l402Session) {
-      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider);
+      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider, l402Session.reservation);
     }
 
     res.json({
@@ -126,8 +128,7 @@ router.post('/chat', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -135,7 +136,7 @@ router.post('/chat', async (req, res) => {
  * POST /v1/completions
  * Text completion endpoint (legacy format)
  */
-router.post('/completions', async (req, res) => {
+router.post('/completions', async (req, res, next) => {
   try {
     const { provider = 'oobabooga', prompt, max_tokens, temperature, model } = req.body;
     
@@ -158,7 +159,7 @@ router.post('/completions', async (req, res) => {
     
     const l402Session = req.l402?.session;
     if (l402Session) {
-      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider);
+      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider, l402Session.reservation);
     }
 
     res.json({
@@ -169,7 +170,7 @@ router.post('/completions', async (req, res) => {
     });
 
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -177,42 +178,42 @@ router.post('/completions', async (req, res) => {
  * POST /v1/oobabooga/chat
  * Direct Oobabooga endpoint
  */
-router.post('/oobabooga/chat', async (req, res) => {
+router.post('/oobabooga/chat', async (req, res, next) => {
   req.body.provider = 'oobabooga';
-  return handleProviderChat(req, res);
+  return handleProviderChat(req, res, next);
 });
 
 /**
  * POST /v1/grok/chat
  * Direct Grok endpoint
  */
-router.post('/grok/chat', async (req, res) => {
+router.post('/grok/chat', async (req, res, next) => {
   req.body.provider = 'grok';
-  return handleProviderChat(req, res);
+  return handleProviderChat(req, res, next);
 });
 
 /**
  * POST /v1/chatgpt/chat
  * Direct ChatGPT endpoint
  */
-router.post('/chatgpt/chat', async (req, res) => {
+router.post('/chatgpt/chat', async (req, res, next) => {
   req.body.provider = 'chatgpt';
-  return handleProviderChat(req, res);
+  return handleProviderChat(req, res, next);
 });
 
 /**
  * POST /v1/claude/chat
  * Direct Claude endpoint
  */
-router.post('/claude/chat', async (req, res) => {
+router.post('/claude/chat', async (req, res, next) => {
   req.body.provider = 'claude';
-  return handleProviderChat(req, res);
+  return handleProviderChat(req, res, next);
 });
 
 /**
  * Helper function for provider-specific chat
  */
-async function handleProviderChat(req, res) {
+async function handleProviderChat(req, res, next) {
   try {
     const aiProviders = req.app.locals.aiProviders;
     const l402Gateway = req.app.locals.l402Gateway;
@@ -233,13 +234,13 @@ async function handleProviderChat(req, res) {
     
     const l402Session = req.l402?.session;
     if (l402Session) {
-      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider);
+      l402Gateway.recordUsage(l402Session.paymentHash, response.usage?.total_tokens || 0, provider, l402Session.reservation);
     }
 
     res.json(response);
 
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 }
 
@@ -247,7 +248,7 @@ async function handleProviderChat(req, res) {
  * POST /v1/prepaid/create
  * Create a prepaid token budget session
  */
-router.post('/prepaid/create', async (req, res) => {
+router.post('/prepaid/create', async (req, res, next) => {
   try {
     const l402Gateway = req.app.locals.l402Gateway;
     const { provider, token_budget, expiry_hours } = req.body;
@@ -256,6 +257,14 @@ router.post('/prepaid/create', async (req, res) => {
       return res.status(400).json({ error: 'Provider and token_budget required' });
     }
 
+    if (!l402Gateway.pricingTiers[provider]) {
+      return res.status(400).json({ error: `Unknown provider '${provider}'` });
+    }
+
+    if (!Number.isInteger(token_budget) || token_budget <= 0) {
+      return res.status(400).json({ error: 'token_budget must be a positive integer' });
+    }
+
     const session = await l402Gateway.createPrepaidSession(
       provider, 
       token_budget, 
@@ -264,7 +273,7 @@ router.post('/prepaid/create', async (req, res) => {
 
     res.json(session);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -272,7 +281,7 @@ router.post('/prepaid/create', async (req, res) => {
  * POST /v1/bolt12/offer
  * Create a BOLT12 offer for AI services
  */
-router.post('/bolt12/offer', async (req, res) => {
+router.post('/bolt12/offer', async (req, res, next) => {
   try {
     const l402Gateway = req.app.locals.l402Gateway;
     const { provider, description } = req.body;
@@ -284,7 +293,7 @@ router.post('/bolt12/offer', async (req, res) => {
     const offer = await l402Gateway.createBOLT12Offer(provider, description);
     res.json(offer);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
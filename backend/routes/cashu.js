@@ -12,12 +12,12 @@ const router = Router();
  * GET /api/cashu/status
  * Get Cashu wallet status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     res.json(cashu.getStatus());
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -25,7 +25,7 @@ router.get('/status', async (req, res) => {
  * GET /api/cashu/balance
  * Get ecash balance
  */
-router.get('/balance', async (req, res) => {
+router.get('/balance', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     res.json({ 
@@ -33,7 +33,7 @@ router.get('/balance', async (req, res) => {
       unit: 'sat'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -41,7 +41,7 @@ router.get('/balance', async (req, res) => {
  * POST /api/cashu/mint/quote
  * Request a mint quote (Lightning → Ecash)
  */
-router.post('/mint/quote', async (req, res) => {
+router.post('/mint/quote', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { amount } = req.body;
@@ -53,7 +53,7 @@ router.post('/mint/quote', async (req, res) => {
     const quote = await cashu.requestMintQuote(amount);
     res.json(quote);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -61,7 +61,7 @@ router.post('/mint/quote', async (req, res) => {
  * POST /api/cashu/mint
  * Mint tokens after payment
  */
-router.post('/mint', async (req, res) => {
+router.post('/mint', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { quote, amount } = req.body;
@@ -76,7 +76,7 @@ router.post('/mint', async (req, res) => {
       balance: cashu.getBalance()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -84,7 +84,7 @@ router.post('/mint', async (req, res) => {
  * POST /api/cashu/melt/quote
  * Request a melt quote (Ecash → Lightning)
  */
-router.post('/melt/quote', async (req, res) => {
+router.post('/melt/quote', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { invoice } = req.body;
@@ -96,7 +96,7 @@ router.post('/melt/quote', async (req, res) => {
     const quote = await cashu.requestMeltQuote(invoice);
     res.json(quote);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -104,7 +104,7 @@ router.post('/melt/quote', async (req, res) => {
  * POST /api/cashu/melt
  * Melt tokens to pay Lightning invoice
  */
-router.post('/melt', async (req, res) => {
+router.post('/melt', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { quote, amount, invoice } = req.body;
@@ -119,7 +119,7 @@ router.post('/melt', async (req, res) => {
       balance: cashu.getBalance()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -127,7 +127,7 @@ router.post('/melt', async (req, res) => {
  * POST /api/cashu/send
  * Create a token to send to someone
  */
-router.post('/send', async (req, res) => {
+router.post('/send', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { amount } = req.body;
@@ -147,7 +147,7 @@ router.post('/send', async (req, res) => {
       balance: cashu.getBalance()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -155,7 +155,7 @@ router.post('/send', async (req, res) => {
  * POST /api/cashu/receive
  * Receive a token from someone
  */
-router.post('/receive', async (req, res) => {
+router.post('/receive', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const { token } = req.body;
@@ -170,7 +170,7 @@ router.post('/receive', async (req, res) => {
       balance: cashu.getBalance()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -178,7 +178,7 @@ router.post('/receive', async (req, res) => {
  * GET /api/cashu/proofs
  * Get all proofs (tokens)
  */
-router.get('/proofs', async (req, res) => {
+router.get('/proofs', async (req, res, next) => {
   try {
     const cashu = req.app.locals.cashu;
     const proofs = cashu.getProofs();
@@ -192,7 +192,7 @@ router.get('/proofs', async (req, res) => {
       }))
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
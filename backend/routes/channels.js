@@ -5,6 +5,8 @@
  */
 
 import { Router } from 'express';
+import { POLICY_FIELDS } from '../services/fee-manager.js';
+import { requireAdmin } from '../services/admin-auth.js';
 
 const router = Router();
 
@@ -12,13 +14,13 @@ const router = Router();
  * GET /api/channels
  * List all channels
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const channels = await lnd.listChannels();
     res.json(channels);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -26,7 +28,7 @@ router.get('/', async (req, res) => {
  * GET /api/channels/summary
  * Get channel summary statistics
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const { channels } = await lnd.listChannels();
@@ -51,7 +53,234 @@ router.get('/summary', async (req, res) => {
     
     res.json(summary);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Closed channel filters accepted by ?type=
+const CLOSE_TYPES = ['cooperative', 'local_force', 'remote_force', 'breach', 'funding_canceled', 'abandoned'];
+
+// LND's minimum channel size
+const MIN_CHANNEL_SIZE = 20000;
+
+/**
+ * Broadcast channel open/close progress to sockets in the 'channels' room
+ */
+function progressNotifier(req) {
+  const io = req.app.locals.io;
+  return (progress) => {
+    io.to('channels').emit('channel:progress', progress);
+  };
+}
+
+/**
+ * GET /api/channels/pending
+ * Channels waiting for their funding or closing transaction to confirm
+ */
+router.get('/pending', async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const pending = await lnd.pendingChannels();
+    res.json(pending);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/channels/closed
+ * Closed channels
+ *
+ * Query:
+ * - type: comma-separated close types (cooperative, local_force, remote_force,
+ *   breach, funding_canceled, abandoned); all types when omitted
+ */
+router.get('/closed', async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const types = req.query.type ? req.query.type.split(',') : [];
+
+    const unknown = types.filter(type => !CLOSE_TYPES.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown close type: ${unknown.join(', ')}` });
+    }
+
+    const closed = await lnd.closedChannels(
+      Object.fromEntries(types.map(type => [type, true]))
+    );
+    res.json(closed);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/channels/open
+ * Open a channel; responds once the funding transaction is broadcast
+ *
+ * Body:
+ * - pubkey: peer node public key
+ * - host: peer address (host:port), to connect first if not already connected
+ * - local_funding_amount: channel size in sats
+ * - push_amount: sats to give the peer on open (default 0)
+ * - private: don't announce the channel (default false)
+ * - sat_per_vbyte: funding transaction fee rate
+ *
+ * Progress is emitted as 'channel:progress' to sockets subscribed with 'subscribe:channels'.
+ * Needs the admin token
+ */
+router.post('/open', requireAdmin, async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const { pubkey, host, local_funding_amount, push_amount = 0, sat_per_vbyte } = req.body;
+
+    if (!pubkey || !/^0[23][0-9a-f]{64}$/i.test(pubkey)) {
+      return res.status(400).json({ error: 'pubkey must be a 33-byte hex public key' });
+    }
+    if (!Number.isInteger(local_funding_amount) || local_funding_amount < MIN_CHANNEL_SIZE) {
+      return res.status(400).json({ error: `local_funding_amount must be at least ${MIN_CHANNEL_SIZE} sats` });
+    }
+    if (!Number.isInteger(push_amount) || push_amount < 0 || push_amount >= local_funding_amount) {
+      return res.status(400).json({ error: 'push_amount must be a non-negative integer below local_funding_amount' });
+    }
+    if (sat_per_vbyte !== undefined && (!Number.isInteger(sat_per_vbyte) || sat_per_vbyte <= 0)) {
+      return res.status(400).json({ error: 'sat_per_vbyte must be a positive integer' });
+    }
+
+    if (host) {
+      await lnd.connectPeer(pubkey.toLowerCase(), host);
+    }
+
+    const result = await lnd.openChannel({
+      nodePubkey: pubkey.toLowerCase(),
+      localFundingAmount: local_funding_amount,
+      pushSat: push_amount,
+      private: req.body.private === true,
+      satPerVbyte: sat_per_vbyte,
+      onUpdate: progressNotifier(req)
+    });
+
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/channels/:chanPoint/close
+ * Close a channel; responds once the closing transaction is broadcast
+ *
+ * Body:
+ * - force: unilateral close, for an offline or unresponsive peer (default false)
+ * - sat_per_vbyte: closing fee rate (cooperative closes only)
+ * - delivery_address: on-chain address for our funds (cooperative closes only)
+ *
+ * Needs the admin token
+ */
+router.post('/:chanPoint/close', requireAdmin, async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const { chanPoint } = req.params;
+    const { force = false, sat_per_vbyte, delivery_address } = req.body;
+
+    if (!/^[0-9a-f]{64}:\d+$/i.test(chanPoint)) {
+      return res.status(400).json({ error: 'Channel point must be <funding_txid>:<output_index>' });
+    }
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be a boolean' });
+    }
+    if (force && (sat_per_vbyte !== undefined || delivery_address !== undefined)) {
+      return res.status(400).json({ error: 'sat_per_vbyte and delivery_address only apply to cooperative closes' });
+    }
+    if (sat_per_vbyte !== undefined && (!Number.isInteger(sat_per_vbyte) || sat_per_vbyte <= 0)) {
+      return res.status(400).json({ error: 'sat_per_vbyte must be a positive integer' });
+    }
+
+    const result = await lnd.closeChannel(chanPoint.toLowerCase(), {
+      force,
+      satPerVbyte: sat_per_vbyte,
+      deliveryAddress: delivery_address,
+      onUpdate: progressNotifier(req)
+    });
+
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/channels/policy/bulk
+ * Apply a fee rule across all channels
+ *
+ * Body:
+ * - rule: { type: 'fixed', ...policy fields }
+ *      or { type: 'balance_ratio', min_fee_rate_ppm, max_fee_rate_ppm, ...other policy fields }
+ *   with optional chan_ids to limit the channels
+ * - dry_run: true to only preview the resulting policies
+ */
+router.post('/policy/bulk', async (req, res, next) => {
+  try {
+    const feeManager = req.app.locals.feeManager;
+    const { rule, dry_run = false } = req.body;
+
+    if (typeof dry_run !== 'boolean') {
+      return res.status(400).json({ error: 'dry_run must be a boolean' });
+    }
+
+    const result = await feeManager.applyBulk(rule, { dryRun: dry_run });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/channels/:chanId/policy
+ * Our routing policy for a channel
+ */
+router.get('/:chanId/policy', async (req, res, next) => {
+  try {
+    const feeManager = req.app.locals.feeManager;
+    const { chanId } = req.params;
+
+    if (!/^\d+$/.test(chanId)) {
+      return res.status(400).json({ error: 'chanId must be a numeric channel id' });
+    }
+
+    const policy = await feeManager.getPolicy(chanId);
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/channels/:chanId/policy
+ * Update our routing policy for a channel; omitted fields are kept
+ *
+ * Body: base_fee_msat, fee_rate_ppm, time_lock_delta, min_htlc_msat, max_htlc_msat
+ */
+router.put('/:chanId/policy', async (req, res, next) => {
+  try {
+    const feeManager = req.app.locals.feeManager;
+    const { chanId } = req.params;
+
+    if (!/^\d+$/.test(chanId)) {
+      return res.status(400).json({ error: 'chanId must be a numeric channel id' });
+    }
+
+    const changes = Object.fromEntries(
+      POLICY_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: `Provide at least one of ${POLICY_FIELDS.join(', ')}` });
+    }
+
+    const policy = await feeManager.setPolicy(chanId, changes);
+    res.json(policy);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,106 @@
+/**
+ * Graph Routes
+ *
+ * Explore the public Lightning graph and test routes before large
+ * keysends or zaps
+ */
+
+import { Router } from 'express';
+
+const router = Router();
+
+const PUBKEY = /^0[23][0-9a-f]{64}$/;
+
+/**
+ * Validate { pubkey, amount, fee_limit_sat } of a route or probe body
+ * Returns { pubkey, amount, feeLimitSat } or { error }
+ */
+function parseTarget(body) {
+  const { pubkey, amount, fee_limit_sat } = body;
+
+  if (typeof pubkey !== 'string' || !PUBKEY.test(pubkey.toLowerCase())) {
+    return { error: 'pubkey must be a 33-byte hex public key' };
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: 'amount must be a positive integer' };
+  }
+  if (fee_limit_sat !== undefined && (!Number.isInteger(fee_limit_sat) || fee_limit_sat < 0)) {
+    return { error: 'fee_limit_sat must be a non-negative integer' };
+  }
+  return { pubkey: pubkey.toLowerCase(), amount, feeLimitSat: fee_limit_sat };
+}
+
+/**
+ * GET /api/graph/node/:pubkey
+ * A node's alias, addresses, capacity and channels with the fee policy
+ * of both ends
+ */
+router.get('/node/:pubkey', async (req, res, next) => {
+  try {
+    const graphExplorer = req.app.locals.graphExplorer;
+    const { pubkey } = req.params;
+
+    if (!PUBKEY.test(pubkey)) {
+      return res.status(400).json({ error: 'pubkey must be a 33-byte hex public key' });
+    }
+
+    res.json(await graphExplorer.node(pubkey));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/graph/routes
+ * Routes to a destination for an amount, with per-hop fees
+ *
+ * Body:
+ * - pubkey: destination node
+ * - amount: sats to deliver
+ * - fee_limit_sat: only return routes within this fee
+ */
+router.post('/routes', async (req, res, next) => {
+  try {
+    const graphExplorer = req.app.locals.graphExplorer;
+    const { pubkey, amount, feeLimitSat, error } = parseTarget(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await graphExplorer.routes(pubkey, amount, { feeLimitSat }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/graph/probe
+ * Send a payment with an unknown payment hash to test whether the amount
+ * can reach the destination and what it costs. Nothing is paid.
+ *
+ * Body:
+ * - pubkey: destination node
+ * - amount: sats to test
+ * - fee_limit_sat: fee cap for the probe route (default 100)
+ * - timeout_seconds: give up after this long (default 60)
+ */
+router.post('/probe', async (req, res, next) => {
+  try {
+    const graphExplorer = req.app.locals.graphExplorer;
+    const { pubkey, amount, feeLimitSat, error } = parseTarget(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { timeout_seconds } = req.body;
+    if (timeout_seconds !== undefined && (!Number.isInteger(timeout_seconds) || timeout_seconds < 1 || timeout_seconds > 300)) {
+      return res.status(400).json({ error: 'timeout_seconds must be between 1 and 300' });
+    }
+
+    res.json(await graphExplorer.probe(pubkey, amount, { feeLimitSat, timeoutSeconds: timeout_seconds }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
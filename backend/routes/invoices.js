@@ -5,14 +5,190 @@
  */
 
 import { Router } from 'express';
+import { formatPayment } from '../services/payment-store.js';
+import { decodeBolt11, validateInvoice } from '../services/bolt11.js';
+import { PAYMENT_CODE_EXPIRY } from '../services/lnd.js';
+import { MAX_MESSAGE_BYTES } from '../services/keysend-inbox.js';
 
 const router = Router();
 
+/**
+ * GET /api/invoices
+ * List invoices, paginated by add_index
+ *
+ * Query:
+ * - index_offset: add_index to start after (or before, when reversed)
+ * - limit: page size (max 1000)
+ * - reversed: 'true' to page backwards from the newest invoices
+ * - pending_only: 'true' to only return open invoices
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const invoiceStore = req.app.locals.invoiceStore;
+    const { index_offset, limit, reversed, pending_only } = req.query;
+
+    const pageSize = limit ? parseInt(limit) : 100;
+    if (isNaN(pageSize) || pageSize <= 0 || pageSize > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    const page = await invoiceStore.list({
+      indexOffset: index_offset ? parseInt(index_offset) : 0,
+      limit: pageSize,
+      reversed: reversed === 'true',
+      pendingOnly: pending_only === 'true'
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const HOLD_STATES = ['OPEN', 'ACCEPTED', 'SETTLED', 'CANCELED'];
+
+/**
+ * POST /api/invoices/hold
+ * Create a hold invoice: the payment is locked in but only settled on request
+ *
+ * Body:
+ * - amount: sats
+ * - memo, expiry (seconds, default 3600), cltv_expiry (blocks)
+ * - payment_hash: hash of a preimage you keep; omit to let the hub keep it
+ */
+router.post('/hold', async (req, res, next) => {
+  try {
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { amount, memo, expiry, cltv_expiry, payment_hash } = req.body;
+
+    if (expiry !== undefined && (!Number.isInteger(expiry) || expiry <= 0)) {
+      return res.status(400).json({ error: 'expiry must be a positive integer' });
+    }
+    if (cltv_expiry !== undefined && (!Number.isInteger(cltv_expiry) || cltv_expiry < 18)) {
+      return res.status(400).json({ error: 'cltv_expiry must be an integer of at least 18 blocks' });
+    }
+
+    const invoice = await holdInvoices.create({
+      amount,
+      memo: memo || '',
+      expiry: expiry || 3600,
+      cltvExpiry: cltv_expiry || 0,
+      paymentHash: payment_hash
+    });
+
+    res.json(invoice);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/invoices/hold
+ * Hold invoices created by the hub, newest first
+ *
+ * Query:
+ * - state: OPEN | ACCEPTED | SETTLED | CANCELED
+ */
+router.get('/hold', async (req, res, next) => {
+  try {
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { state } = req.query;
+
+    if (state && !HOLD_STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be one of ${HOLD_STATES.join(', ')}` });
+    }
+
+    res.json({ invoices: holdInvoices.list({ state }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/invoices/hold/:hash
+ * State of a hold invoice
+ */
+router.get('/hold/:hash', async (req, res, next) => {
+  try {
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { hash } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(hash)) {
+      return res.status(400).json({ error: 'hash must be a 32-byte hex payment hash' });
+    }
+
+    res.json(await holdInvoices.get(hash.toLowerCase()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invoices/hold/:hash/settle
+ * Settle an accepted hold invoice
+ *
+ * Body:
+ * - preimage: required unless the hub generated the invoice's preimage
+ */
+router.post('/hold/:hash/settle', async (req, res, next) => {
+  try {
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { hash } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(hash)) {
+      return res.status(400).json({ error: 'hash must be a 32-byte hex payment hash' });
+    }
+
+    res.json(await holdInvoices.settle(hash.toLowerCase(), req.body?.preimage));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invoices/hold/:hash/cancel
+ * Cancel a hold invoice, refunding a held payment
+ */
+router.post('/hold/:hash/cancel', async (req, res, next) => {
+  try {
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { hash } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(hash)) {
+      return res.status(400).json({ error: 'hash must be a 32-byte hex payment hash' });
+    }
+
+    res.json(await holdInvoices.cancel(hash.toLowerCase()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/invoices/:r_hash
+ * Look up an invoice and its settlement status
+ */
+router.get('/:r_hash', async (req, res, next) => {
+  try {
+    const invoiceStore = req.app.locals.invoiceStore;
+    const { r_hash } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(r_hash)) {
+      return res.status(400).json({ error: 'r_hash must be a 32-byte hex payment hash' });
+    }
+
+    const invoice = await invoiceStore.get(r_hash.toLowerCase());
+    res.json(invoice);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/invoices/create
  * Create a new Lightning invoice
  */
-router.post('/create', async (req, res) => {
+router.post('/create', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const { amount, memo, expiry } = req.body;
@@ -30,44 +206,148 @@ router.post('/create', async (req, res) => {
       expires_at: Date.now() + (expiry || 3600) * 1000
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+/**
+ * Validate the routing options of a payment request body
+ * Returns SendPaymentV2 options for lnd.payInvoice, or an error message
+ */
+function parseRoutingOptions(body) {
+  const {
+    amount, max_fee, fee_limit_sat, fee_limit_ppm, timeout_seconds,
+    max_parts, outgoing_chan_id, last_hop_pubkey, allow_self_payment
+  } = body;
+  const isCount = (value, min = 0) => Number.isInteger(value) && value >= min;
+
+  const feeLimitSat = fee_limit_sat ?? max_fee;
+  if (feeLimitSat !== undefined && fee_limit_ppm !== undefined) {
+    return { error: 'Specify either fee_limit_sat or fee_limit_ppm, not both' };
+  }
+  if (feeLimitSat !== undefined && !isCount(feeLimitSat)) {
+    return { error: 'fee_limit_sat must be a non-negative integer' };
+  }
+  if (fee_limit_ppm !== undefined && !isCount(fee_limit_ppm)) {
+    return { error: 'fee_limit_ppm must be a non-negative integer' };
+  }
+  if (amount !== undefined && !isCount(amount, 1)) {
+    return { error: 'amount must be a positive integer' };
+  }
+  if (timeout_seconds !== undefined && (!isCount(timeout_seconds, 1) || timeout_seconds > 3600)) {
+    return { error: 'timeout_seconds must be between 1 and 3600' };
+  }
+  if (max_parts !== undefined && (!isCount(max_parts, 1) || max_parts > 128)) {
+    return { error: 'max_parts must be between 1 and 128' };
+  }
+  if (outgoing_chan_id !== undefined && !/^\d+$/.test(String(outgoing_chan_id))) {
+    return { error: 'outgoing_chan_id must be a numeric short channel id' };
+  }
+  if (last_hop_pubkey !== undefined && !/^0[23][0-9a-f]{64}$/i.test(last_hop_pubkey)) {
+    return { error: 'last_hop_pubkey must be a 33-byte hex public key' };
+  }
+  if (allow_self_payment !== undefined && typeof allow_self_payment !== 'boolean') {
+    return { error: 'allow_self_payment must be a boolean' };
+  }
+
+  return {
+    options: {
+      amountSat: amount,
+      feeLimitSat,
+      feeLimitPpm: fee_limit_ppm,
+      timeoutSeconds: timeout_seconds,
+      maxParts: max_parts,
+      outgoingChanId: outgoing_chan_id !== undefined ? String(outgoing_chan_id) : undefined,
+      lastHopPubkey: last_hop_pubkey?.toLowerCase(),
+      allowSelfPayment: allow_self_payment
+    }
+  };
+}
+
 /**
  * POST /api/invoices/pay
  * Pay a Lightning invoice
+ *
+ * Body:
+ * - payment_request: BOLT11 invoice
+ * - amount: sats to pay, for invoices without an amount
+ * - fee_limit_sat | fee_limit_ppm: fee cap in sats, or parts-per-million of the amount
+ *   (max_fee is accepted as an alias of fee_limit_sat; default 100 sats)
+ * - timeout_seconds: pathfinding timeout (default 60)
+ * - max_parts: maximum shards for a multi-path payment
+ * - outgoing_chan_id: channel to use for the first hop
+ * - last_hop_pubkey: peer the final hop must come from
+ * - allow_self_payment: allow circular routes back to this node
+ * - stream: true to receive each attempt as a server-sent event
  */
-router.post('/pay', async (req, res) => {
+router.post('/pay', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
-    const { payment_request, max_fee } = req.body;
+    const { payment_request, stream } = req.body;
 
     if (!payment_request) {
       return res.status(400).json({ error: 'Payment request required' });
     }
 
-    const result = await lnd.payInvoice(payment_request, max_fee || 100);
+    const { options, error } = parseRoutingOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Reject malformed, expired or wrong-network invoices before touching the node
+    validateInvoice(payment_request, { network: lnd.network, requireAmount: !options.amountSat });
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      try {
+        const result = await lnd.payInvoice(payment_request, {
+          ...options,
+          onUpdate: (update) => {
+            res.write(`data: ${JSON.stringify(formatPayment(update))}\n\n`);
+          }
+        });
+
+        res.write(`data: ${JSON.stringify({
+          done: true,
+          status: result.status,
+          error: result.payment_error || null,
+          preimage: result.payment_preimage || null,
+          payment_hash: result.payment_hash,
+          fee: result.fee_sat || '0'
+        })}\n\n`);
+        res.end();
+      } catch (error) {
+        res.write(`data: ${JSON.stringify({ error: error.message, code: error.code })}\n\n`);
+        res.end();
+      }
+      return;
+    }
+
+    const result = await lnd.payInvoice(payment_request, options);
     
     if (result.payment_error) {
-      return res.status(400).json({ error: result.payment_error });
+      return res.status(400).json({ error: result.payment_error, payment_hash: result.payment_hash });
     }
 
     res.json({
       preimage: result.payment_preimage,
       payment_hash: result.payment_hash,
-      fee: result.payment_route?.total_fees || '0'
+      fee: result.fee_sat || '0'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 /**
  * POST /api/invoices/decode
- * Decode a payment request
+ * Decode and verify a payment request offline
+ * Expired or other-network invoices are decoded, with `expired` and `network` set
  */
-router.post('/decode', async (req, res) => {
+router.post('/decode', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const { payment_request } = req.body;
@@ -76,56 +356,176 @@ router.post('/decode', async (req, res) => {
       return res.status(400).json({ error: 'Payment request required' });
     }
 
-    const decoded = await lnd.decodeInvoice(payment_request);
-    res.json(decoded);
+    const decoded = decodeBolt11(payment_request);
+    res.json({
+      ...decoded,
+      network_matches: decoded.network === lnd.network
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 /**
  * POST /api/invoices/keysend
  * Send a keysend payment (for messaging)
+ *
+ * Body:
+ * - dest_pubkey, amount
+ * - message: sent signed, with our pubkey and a timestamp; at most
+ *   MAX_MESSAGE_BYTES of UTF-8
+ * - reply_to: payment hash of the message being answered
  */
-router.post('/keysend', async (req, res) => {
+router.post('/keysend', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
-    const { dest_pubkey, amount, message } = req.body;
+    const keysendInbox = req.app.locals.keysendInbox;
+    const { dest_pubkey, amount, message, reply_to } = req.body;
 
     if (!dest_pubkey || !amount) {
       return res.status(400).json({ error: 'Destination pubkey and amount required' });
     }
+    if (typeof dest_pubkey !== 'string' || !/^0[23][0-9a-f]{64}$/i.test(dest_pubkey)) {
+      return res.status(400).json({ error: 'dest_pubkey must be a 33-byte hex public key' });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive integer (sats)' });
+    }
+    if (message !== undefined && (typeof message !== 'string' || Buffer.byteLength(message, 'utf8') > MAX_MESSAGE_BYTES)) {
+      return res.status(400).json({ error: `message must be a string of at most ${MAX_MESSAGE_BYTES} UTF-8 bytes` });
+    }
+    if (reply_to !== undefined && !/^[0-9a-f]{64}$/i.test(reply_to)) {
+      return res.status(400).json({ error: 'reply_to must be a 32-byte hex payment hash' });
+    }
+    if (reply_to && !message) {
+      return res.status(400).json({ error: 'reply_to requires a message' });
+    }
 
-    // TLV type 34349334 is commonly used for messaging
-    const tlvData = message ? {
-      '34349334': Buffer.from(message).toString('hex')
-    } : {};
+    const pubkey = dest_pubkey.toLowerCase();
+    const result = message
+      ? (await keysendInbox.send({ pubkey, amount, message, replyTo: reply_to?.toLowerCase() })).result
+      : await lnd.sendKeysend(pubkey, amount);
 
-    const result = await lnd.sendKeysend(dest_pubkey, amount, tlvData);
-    
     res.json({
       preimage: result.payment_preimage,
       payment_hash: result.payment_hash,
       fee: result.payment_route?.total_fees || '0'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invoices/bolt12/offer
+ * Create a reusable payment code. `type` says what it is: "amp" for an
+ * AMP invoice on LND, "bolt12" for an offer on CLN; both can be paid any
+ * number of times.
+ *
+ * Body:
+ * - description
+ * - amount: sats per payment, or "any" (default) to let payers choose
+ * - expiry: seconds the code stays payable (default and max 1 year)
+ */
+router.post('/bolt12/offer', async (req, res, next) => {
+  try {
+    const paymentCodes = req.app.locals.paymentCodes;
+    const { description = 'Lightning Hub', amount = 'any', expiry } = req.body;
+
+    if (typeof description !== 'string' || description.length > 639) {
+      return res.status(400).json({ error: 'description must be a string of at most 639 characters' });
+    }
+    if (amount !== 'any' && (!Number.isInteger(amount) || amount <= 0)) {
+      return res.status(400).json({ error: 'amount must be a positive integer or "any"' });
+    }
+    if (expiry !== undefined && (!Number.isInteger(expiry) || expiry < 60 || expiry > PAYMENT_CODE_EXPIRY)) {
+      return res.status(400).json({ error: `expiry must be between 60 and ${PAYMENT_CODE_EXPIRY} seconds` });
+    }
+
+    const code = await paymentCodes.create({ description, amount, expiry });
+    res.json(code);
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
  * GET /api/invoices/bolt12/offer
- * Create a BOLT12 offer
+ * Reusable payment codes with their payment totals, newest first
  */
-router.post('/bolt12/offer', async (req, res) => {
+router.get('/bolt12/offer', async (req, res, next) => {
+  try {
+    const paymentCodes = req.app.locals.paymentCodes;
+    res.json({ offers: paymentCodes.list() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/invoices/bolt12/offer/:offer_id
+ * A payment code and every payment received against it
+ */
+router.get('/bolt12/offer/:offer_id', async (req, res, next) => {
+  try {
+    const paymentCodes = req.app.locals.paymentCodes;
+    const { offer_id } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(offer_id)) {
+      return res.status(400).json({ error: 'offer_id must be a 32-byte hex hash' });
+    }
+
+    const code = await paymentCodes.get(offer_id.toLowerCase());
+    res.json(code);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invoices/bolt12/pay
+ * Pay a BOLT12 offer: fetch an invoice from the offer's node, then pay it
+ * (CLN only)
+ *
+ * Body:
+ * - offer: lno1... offer string
+ * - amount: sats, required when the offer leaves the amount to the payer
+ * - payer_note: message shown to the recipient
+ * - max_fee: fee cap in sats (default 100)
+ */
+router.post('/bolt12/pay', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
-    const { description, amount } = req.body;
+    const { offer, amount, payer_note, max_fee } = req.body;
+
+    if (typeof offer !== 'string' || !/^lno1[02-9ac-hj-np-z]+$/i.test(offer)) {
+      return res.status(400).json({ error: 'offer must be a BOLT12 offer (lno1...)' });
+    }
+    if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+      return res.status(400).json({ error: 'amount must be a positive integer' });
+    }
+    if (payer_note !== undefined && (typeof payer_note !== 'string' || payer_note.length > 639)) {
+      return res.status(400).json({ error: 'payer_note must be a string of at most 639 characters' });
+    }
+    if (max_fee !== undefined && (!Number.isInteger(max_fee) || max_fee < 0)) {
+      return res.status(400).json({ error: 'max_fee must be a non-negative integer' });
+    }
+
+    const { invoice } = await lnd.fetchInvoice(offer, { amountSat: amount, payerNote: payer_note });
+    const result = await lnd.payInvoice(invoice, { feeLimitSat: max_fee });
+
+    if (result.payment_error) {
+      return res.status(400).json({ error: result.payment_error, payment_hash: result.payment_hash });
+    }
 
-    const offer = await lnd.createOffer(description || 'Lightning Hub', amount || 'any');
-    res.json(offer);
+    res.json({
+      invoice,
+      preimage: result.payment_preimage,
+      payment_hash: result.payment_hash,
+      fee: result.fee_sat || '0'
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,65 @@
+/**
+ * Keysend Routes
+ *
+ * Chat conversations built from keysend payments carrying message records
+ */
+
+import { Router } from 'express';
+import { ANONYMOUS } from '../services/keysend-inbox.js';
+
+const router = Router();
+
+/**
+ * GET /api/keysend/conversations
+ * One summary per sender pubkey, most recently active first. Messages
+ * without a sender pubkey are grouped under "anonymous".
+ */
+router.get('/conversations', async (req, res, next) => {
+  try {
+    const keysendInbox = req.app.locals.keysendInbox;
+    res.json({ conversations: keysendInbox.listConversations() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/keysend/conversations/:pubkey
+ * Messages exchanged with one pubkey, oldest first
+ *
+ * Query:
+ * - limit: max messages returned (default 100)
+ * - before: only messages sent before this time (ms), to page back
+ */
+router.get('/conversations/:pubkey', async (req, res, next) => {
+  try {
+    const keysendInbox = req.app.locals.keysendInbox;
+    const { pubkey } = req.params;
+    const { limit, before } = req.query;
+
+    if (pubkey !== ANONYMOUS && !/^0[23][0-9a-f]{64}$/.test(pubkey)) {
+      return res.status(400).json({ error: `pubkey must be a 33-byte hex public key or "${ANONYMOUS}"` });
+    }
+
+    const max = limit ? parseInt(limit) : 100;
+    if (isNaN(max) || max <= 0 || max > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    const until = before ? parseInt(before) : Infinity;
+    if (isNaN(until)) {
+      return res.status(400).json({ error: 'before must be a timestamp in milliseconds' });
+    }
+
+    const conversation = keysendInbox.getConversation(pubkey, { limit: max, before: until });
+    if (!conversation) {
+      return res.status(404).json({ error: 'No conversation with this pubkey' });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
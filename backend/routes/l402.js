@@ -0,0 +1,64 @@
+/**
+ * L402 Key Routes
+ *
+ * List, rotate and revoke the root keys L402 macaroons are minted with.
+ * Key material is never returned. Revoking a key voids every token paid
+ * for with it, so these routes need the admin token (see
+ * services/admin-auth.js).
+ */
+
+import { Router } from 'express';
+import { requireAdmin } from '../services/admin-auth.js';
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/l402/keys
+ * Root key IDs, newest first, with the current one flagged
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    const rootKeys = req.app.locals.rootKeys;
+    res.json({ keys: rootKeys.list() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/l402/keys/rotate
+ * Mint new tokens with a fresh root key; older keys keep verifying the
+ * tokens they minted until revoked
+ */
+router.post('/keys/rotate', async (req, res, next) => {
+  try {
+    const rootKeys = req.app.locals.rootKeys;
+    res.json(rootKeys.rotate());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/l402/keys/:id
+ * Revoke a root key, invalidating every token minted with it
+ */
+router.delete('/keys/:id', async (req, res, next) => {
+  try {
+    const rootKeys = req.app.locals.rootKeys;
+    const { id } = req.params;
+
+    if (!/^[0-9a-f]{8}$/.test(id)) {
+      return res.status(400).json({ error: 'id must be an 8-character hex key ID' });
+    }
+
+    rootKeys.revoke(id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -12,7 +12,7 @@ const router = Router();
  * GET /api/messages/profile
  * Get our Nostr profile
  */
-router.get('/profile', async (req, res) => {
+router.get('/profile', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     
@@ -22,7 +22,7 @@ router.get('/profile', async (req, res) => {
       relays: nostr.getRelayStatus()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -30,7 +30,7 @@ router.get('/profile', async (req, res) => {
  * POST /api/messages/note
  * Publish a text note
  */
-router.post('/note', async (req, res) => {
+router.post('/note', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     const { content, tags } = req.body;
@@ -46,7 +46,7 @@ router.post('/note', async (req, res) => {
       relays: result.results
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -54,7 +54,7 @@ router.post('/note', async (req, res) => {
  * POST /api/messages/dm
  * Send an encrypted direct message
  */
-router.post('/dm', async (req, res) => {
+router.post('/dm', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     const { recipient, content } = req.body;
@@ -69,7 +69,55 @@ router.post('/dm', async (req, res) => {
       published: result.results.filter(r => r.sent).length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/messages/dm/paid
+ * Paid direct message: returns a hold invoice, and the DM is sent once the
+ * payment is held. The payment settles only if a relay accepted the DM and
+ * is refunded otherwise.
+ *
+ * Body:
+ * - recipient: Nostr pubkey (hex)
+ * - content: message text
+ * - amount: price in sats
+ */
+router.post('/dm/paid', async (req, res, next) => {
+  try {
+    const nostr = req.app.locals.nostr;
+    const holdInvoices = req.app.locals.holdInvoices;
+    const { recipient, content, amount } = req.body;
+
+    // Checked before the payer can lock funds into an invoice for it
+    if (typeof recipient !== 'string' || !/^[0-9a-f]{64}$/i.test(recipient)) {
+      return res.status(400).json({ error: 'recipient must be a 32-byte hex Nostr pubkey' });
+    }
+    if (typeof content !== 'string' || !content) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+
+    const invoice = await holdInvoices.create({
+      amount,
+      memo: `Paid DM to ${recipient.slice(0, 8)}...`,
+      expiry: 600,
+      onAccepted: async () => {
+        const result = await nostr.sendDM(recipient, content);
+        if (!result.results.some(r => r.sent)) {
+          throw new Error('No relay accepted the message');
+        }
+      }
+    });
+
+    res.json({
+      invoice: invoice.payment_request,
+      paymentHash: invoice.r_hash,
+      amount: invoice.amount,
+      expiresAt: invoice.expires_at
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -77,7 +125,7 @@ router.post('/dm', async (req, res) => {
  * POST /api/messages/channel
  * Send a message to a channel
  */
-router.post('/channel', async (req, res) => {
+router.post('/channel', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     const { channelId, content, replyTo } = req.body;
@@ -92,7 +140,7 @@ router.post('/channel', async (req, res) => {
       published: result.results.filter(r => r.sent).length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -100,7 +148,7 @@ router.post('/channel', async (req, res) => {
  * POST /api/messages/zap/request
  * Create a zap request for Lightning payment
  */
-router.post('/zap/request', async (req, res) => {
+router.post('/zap/request', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     const lnd = req.app.locals.lnd;
@@ -126,28 +174,34 @@ router.post('/zap/request', async (req, res) => {
       paymentHash: invoice.r_hash
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 /**
  * POST /api/messages/subscribe
  * Subscribe to messages (returns subscription ID)
+ * Events go to the connected socket `socketId` as nostr:event; the
+ * subscription is closed when that socket disconnects
  */
-router.post('/subscribe', async (req, res) => {
+router.post('/subscribe', async (req, res, next) => {
   try {
-    const nostr = req.app.locals.nostr;
-    const io = req.app.locals.io;
+    const { nostr, io, subscriptions } = req.app.locals;
     const { filters, socketId } = req.body;
 
+    if (!socketId || !io.sockets.sockets.has(socketId)) {
+      return res.status(400).json({ error: 'socketId of a connected socket required' });
+    }
+
     // Subscribe and forward to WebSocket
     const subscriptionId = nostr.subscribe(filters || [], (event) => {
       io.to(socketId).emit('nostr:event', event);
     });
+    subscriptions.own(socketId, subscriptionId, () => nostr.unsubscribe(subscriptionId));
 
     res.json({ subscriptionId });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -155,19 +209,21 @@ router.post('/subscribe', async (req, res) => {
  * POST /api/messages/unsubscribe
  * Unsubscribe from messages
  */
-router.post('/unsubscribe', async (req, res) => {
+router.post('/unsubscribe', async (req, res, next) => {
   try {
-    const nostr = req.app.locals.nostr;
+    const { nostr, subscriptions } = req.app.locals;
     const { subscriptionId } = req.body;
 
     if (!subscriptionId) {
       return res.status(400).json({ error: 'Subscription ID required' });
     }
 
-    nostr.unsubscribe(subscriptionId);
+    if (!subscriptions.disown(subscriptionId)) {
+      nostr.unsubscribe(subscriptionId);
+    }
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -175,7 +231,7 @@ router.post('/unsubscribe', async (req, res) => {
  * POST /api/messages/channel/create
  * Create a new channel
  */
-router.post('/channel/create', async (req, res) => {
+router.post('/channel/create', async (req, res, next) => {
   try {
     const nostr = req.app.locals.nostr;
     const { name, about, picture } = req.body;
@@ -190,7 +246,7 @@ router.post('/channel/create', async (req, res) => {
       event: result.event
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
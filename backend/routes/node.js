@@ -12,13 +12,13 @@ const router = Router();
  * GET /api/node/info
  * Get node information
  */
-router.get('/info', async (req, res) => {
+router.get('/info', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const info = await lnd.getInfo();
     res.json(info);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -26,13 +26,13 @@ router.get('/info', async (req, res) => {
  * GET /api/node/stats
  * Get comprehensive node statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const stats = await lnd.getNodeStats();
     res.json(stats);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -40,7 +40,7 @@ router.get('/stats', async (req, res) => {
  * GET /api/node/balance
  * Get wallet balance
  */
-router.get('/balance', async (req, res) => {
+router.get('/balance', async (req, res, next) => {
   try {
     const lnd = req.app.locals.lnd;
     const [walletBalance, channelBalance] = await Promise.all([
@@ -53,28 +53,94 @@ router.get('/balance', async (req, res) => {
       lightning: channelBalance
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+/**
+ * Parse optional start/end query values (unix seconds)
+ * Returns { start, end } or { error }
+ */
+function parseWindow(query, defaultStart) {
+  const now = Math.floor(Date.now() / 1000);
+  const start = query.start !== undefined ? parseInt(query.start) : defaultStart(now);
+  const end = query.end !== undefined ? parseInt(query.end) : now + 1;
+
+  if (isNaN(start) || start < 0 || isNaN(end) || end <= start) {
+    return { error: 'start and end must be unix timestamps with start < end' };
+  }
+  return { start, end };
+}
+
 /**
  * GET /api/node/forwarding
- * Get forwarding history
+ * Ingested forwarding events, newest first
+ *
+ * Query:
+ * - start, end: window in unix seconds (default: last 24 hours)
+ * - limit: page size (max 1000)
+ * - offset: number of events to skip
  */
-router.get('/forwarding', async (req, res) => {
+router.get('/forwarding', async (req, res, next) => {
   try {
-    const lnd = req.app.locals.lnd;
-    const { start, end, limit } = req.query;
-    
-    const history = await lnd.getForwardingHistory(
-      start ? parseInt(start) : Math.floor(Date.now() / 1000) - 86400,
-      end ? parseInt(end) : Math.floor(Date.now() / 1000),
-      limit ? parseInt(limit) : 100
-    );
-    
-    res.json(history);
+    const forwardingStore = req.app.locals.forwardingStore;
+    const { limit, offset } = req.query;
+
+    const { start, end, error } = parseWindow(req.query, now => now - 86400);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pageSize = limit ? parseInt(limit) : 100;
+    if (isNaN(pageSize) || pageSize <= 0 || pageSize > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    const skip = offset ? parseInt(offset) : 0;
+    if (isNaN(skip) || skip < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    res.json(forwardingStore.list({ start, end, limit: pageSize, offset: skip }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * GET /api/node/forwarding/analytics
+ * Routing revenue: totals, per channel, per peer, per day and channel
+ * profitability rankings
+ *
+ * Query:
+ * - start, end: window in unix seconds (default: last 30 days)
+ */
+router.get('/forwarding/analytics', async (req, res, next) => {
+  try {
+    const forwardingStore = req.app.locals.forwardingStore;
+
+    const { start, end, error } = parseWindow(req.query, now => now - 30 * 86400);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(forwardingStore.analytics({ start, end }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/node/forwarding/sync
+ * Ingest new forwarding events now instead of waiting for the next sync
+ */
+router.post('/forwarding/sync', async (req, res, next) => {
+  try {
+    const forwardingStore = req.app.locals.forwardingStore;
+    const result = await forwardingStore.sync();
+    res.json({ ...result, last_synced_at: forwardingStore.lastSyncedAt });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -82,14 +148,29 @@ router.get('/forwarding', async (req, res) => {
  * GET /api/node/status
  * Get overall system status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', async (req, res, next) => {
   try {
-    const { lnd, nostr, cashu, l402Gateway } = req.app.locals;
+    const { mode, lnd, nostr, cashu, l402Gateway } = req.app.locals;
+
+    // Sync status comes from the node itself; a failing call is reported, not hidden
+    let synced = false;
+    let lndError = lnd.lastError;
+    if (lnd.isConnected()) {
+      try {
+        const info = await lnd.getInfo();
+        synced = info.synced_to_chain;
+      } catch (error) {
+        lndError = error;
+      }
+    }
     
     res.json({
+      mode,
       lnd: {
+        ...lnd.status(),
         connected: lnd.isConnected(),
-        synced: true // Would check actual sync status
+        synced,
+        error: lndError
       },
       nostr: {
         connected: nostr.isConnected(),
@@ -97,12 +178,13 @@ router.get('/status', async (req, res) => {
       },
       cashu: {
         connected: cashu.isConnected(),
-        balance: cashu.getBalance()
+        balance: cashu.getBalance(),
+        error: cashu.lastError
       },
       l402: l402Gateway.getStats()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
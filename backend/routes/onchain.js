@@ -0,0 +1,249 @@
+/**
+ * On-chain Routes
+ *
+ * Endpoints for the node's on-chain wallet: addresses, sends, UTXOs and
+ * transaction history
+ */
+
+import { Router } from 'express';
+import { ADDRESS_TYPES, COIN_SELECTION } from '../services/lnd.js';
+import { requireAdmin } from '../services/admin-auth.js';
+
+const router = Router();
+
+// Address prefixes per network: bech32 HRP and base58 leading characters
+const ADDRESS_FORMATS = {
+  mainnet: { hrp: 'bc', base58: /^[13]/ },
+  testnet: { hrp: 'tb', base58: /^[mn2]/ },
+  signet: { hrp: 'tb', base58: /^[mn2]/ },
+  regtest: { hrp: 'bcrt', base58: /^[mn2]/ }
+};
+
+const DUST_LIMIT = 546;
+
+/**
+ * Offline sanity check that an address belongs to the node's network;
+ * LND performs the full validation when sending
+ */
+function checkAddress(address, network) {
+  if (typeof address !== 'string' || !address) {
+    return 'address is required';
+  }
+
+  const format = ADDRESS_FORMATS[network];
+  if (!format) return null;
+
+  const lower = address.toLowerCase();
+  if (lower.startsWith('bc1') || lower.startsWith('tb1') || lower.startsWith('bcrt1')) {
+    if (!/^[a-z0-9]+$/.test(lower) || lower.slice(0, lower.lastIndexOf('1')) !== format.hrp) {
+      return `address is not a ${network} address`;
+    }
+    return null;
+  }
+
+  if (!/^[1-9A-HJ-NP-Za-km-z]{26,35}$/.test(address) || !format.base58.test(address)) {
+    return `address is not a ${network} address`;
+  }
+  return null;
+}
+
+/**
+ * Validate a send request body and map it to LND options
+ * Returns { options } or { error }
+ */
+function parseSend(body, network) {
+  const {
+    address,
+    amount,
+    send_all = false,
+    sat_per_vbyte,
+    target_conf,
+    min_confs,
+    spend_unconfirmed = false,
+    coin_selection = 'default',
+    outpoints,
+    label
+  } = body;
+
+  const addressError = checkAddress(address, network);
+  if (addressError) return { error: addressError };
+
+  if (typeof send_all !== 'boolean') {
+    return { error: 'send_all must be a boolean' };
+  }
+  if (send_all && amount !== undefined) {
+    return { error: 'amount must be omitted when send_all is true' };
+  }
+  if (!send_all && (!Number.isInteger(amount) || amount < DUST_LIMIT)) {
+    return { error: `amount must be an integer of at least ${DUST_LIMIT} sats` };
+  }
+
+  if (sat_per_vbyte !== undefined && target_conf !== undefined) {
+    return { error: 'Use either sat_per_vbyte or target_conf, not both' };
+  }
+  if (sat_per_vbyte !== undefined && (!Number.isInteger(sat_per_vbyte) || sat_per_vbyte < 1 || sat_per_vbyte > 10000)) {
+    return { error: 'sat_per_vbyte must be between 1 and 10000' };
+  }
+  if (target_conf !== undefined && (!Number.isInteger(target_conf) || target_conf < 1 || target_conf > 1008)) {
+    return { error: 'target_conf must be between 1 and 1008 blocks' };
+  }
+
+  if (min_confs !== undefined && (!Number.isInteger(min_confs) || min_confs < 0)) {
+    return { error: 'min_confs must be a non-negative integer' };
+  }
+  if (typeof spend_unconfirmed !== 'boolean') {
+    return { error: 'spend_unconfirmed must be a boolean' };
+  }
+
+  if (!COIN_SELECTION[coin_selection]) {
+    return { error: `coin_selection must be one of ${Object.keys(COIN_SELECTION).join(', ')}` };
+  }
+  if (outpoints !== undefined) {
+    if (!Array.isArray(outpoints) || !outpoints.length || !outpoints.every(o => /^[0-9a-f]{64}:\d+$/i.test(o))) {
+      return { error: 'outpoints must be a non-empty array of "txid:index" strings' };
+    }
+    if (coin_selection !== 'default') {
+      return { error: 'Use either outpoints or coin_selection, not both' };
+    }
+  }
+
+  if (label !== undefined && (typeof label !== 'string' || label.length > 500)) {
+    return { error: 'label must be a string of at most 500 characters' };
+  }
+
+  return {
+    options: {
+      address,
+      amount: send_all ? 0 : amount,
+      sendAll: send_all,
+      satPerVbyte: sat_per_vbyte,
+      // Without an explicit rate, aim for confirmation within 6 blocks
+      targetConf: sat_per_vbyte === undefined ? (target_conf || 6) : undefined,
+      minConfs: min_confs ?? 1,
+      spendUnconfirmed: spend_unconfirmed,
+      coinSelection: coin_selection,
+      outpoints: (outpoints || []).map(o => o.toLowerCase()),
+      label: label || ''
+    }
+  };
+}
+
+/**
+ * POST /api/onchain/address
+ * Generate a new wallet address
+ *
+ * Body:
+ * - type: p2wkh (default) | p2tr
+ */
+router.post('/address', async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const { type = 'p2wkh' } = req.body;
+
+    if (!ADDRESS_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(ADDRESS_TYPES).join(', ')}` });
+    }
+
+    const { address } = await lnd.newAddress(type);
+    res.json({ address, type });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/onchain/send
+ * Send on-chain funds
+ *
+ * Body:
+ * - address: destination on the node's network
+ * - amount: sats to send, or send_all: true to sweep the selected coins
+ * - sat_per_vbyte: explicit fee rate, or target_conf: confirmation
+ *   target in blocks (default 6)
+ * - coin_selection: default | largest | random, or outpoints: ["txid:index"]
+ * - min_confs, spend_unconfirmed: which coins may be spent
+ * - label: wallet label for the transaction
+ *
+ * Needs the admin token
+ */
+router.post('/send', requireAdmin, async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const { options, error } = parseSend(req.body, lnd.network);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { address, amount, ...sendOptions } = options;
+    const { txid } = await lnd.sendCoins(address, amount, sendOptions);
+
+    res.json({
+      txid,
+      address,
+      amount: options.sendAll ? null : amount,
+      send_all: options.sendAll
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/onchain/utxos
+ * Wallet UTXOs
+ *
+ * Query:
+ * - min_confs: minimum confirmations (default 1, 0 includes unconfirmed)
+ * - max_confs: maximum confirmations
+ */
+router.get('/utxos', async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const minConfs = req.query.min_confs !== undefined ? parseInt(req.query.min_confs) : 1;
+    const maxConfs = req.query.max_confs !== undefined ? parseInt(req.query.max_confs) : 2147483647;
+
+    if (isNaN(minConfs) || isNaN(maxConfs) || minConfs < 0 || maxConfs < minConfs) {
+      return res.status(400).json({ error: 'min_confs and max_confs must satisfy 0 <= min_confs <= max_confs' });
+    }
+
+    const { utxos = [] } = await lnd.listUnspent(minConfs, maxConfs);
+    res.json({
+      total_sat: utxos.reduce((sum, u) => sum + parseInt(u.amount_sat), 0),
+      utxos
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/onchain/transactions
+ * Wallet transaction history, including unconfirmed transactions
+ *
+ * Query:
+ * - limit: page size (max 1000, default 100)
+ * - offset: transaction index to start from
+ */
+router.get('/transactions', async (req, res, next) => {
+  try {
+    const lnd = req.app.locals.lnd;
+    const { limit, offset } = req.query;
+
+    const pageSize = limit ? parseInt(limit) : 100;
+    if (isNaN(pageSize) || pageSize <= 0 || pageSize > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    const skip = offset ? parseInt(offset) : 0;
+    if (isNaN(skip) || skip < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    const history = await lnd.getTransactions({ indexOffset: skip, maxTransactions: pageSize });
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
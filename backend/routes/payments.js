@@ -0,0 +1,79 @@
+/**
+ * Payment Routes
+ *
+ * History and status of outgoing payments (invoices, keysend, Cashu melts)
+ */
+
+import { Router } from 'express';
+import { HubError, ERROR_CODES } from '../services/errors.js';
+
+const router = Router();
+
+const STATUSES = ['IN_FLIGHT', 'SUCCEEDED', 'FAILED'];
+const TYPES = ['invoice', 'keysend', 'cashu_melt'];
+
+/**
+ * GET /api/payments
+ * List outgoing payments, newest first
+ *
+ * Query:
+ * - status: IN_FLIGHT | SUCCEEDED | FAILED
+ * - type: invoice | keysend | cashu_melt
+ * - limit: page size (max 1000)
+ * - offset: number of payments to skip
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const paymentStore = req.app.locals.paymentStore;
+    const { status, type, limit, offset } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    if (type && !TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${TYPES.join(', ')}` });
+    }
+
+    const pageSize = limit ? parseInt(limit) : 100;
+    if (isNaN(pageSize) || pageSize <= 0 || pageSize > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    const skip = offset ? parseInt(offset) : 0;
+    if (isNaN(skip) || skip < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    res.json({
+      ...paymentStore.list({ status, type, limit: pageSize, offset: skip }),
+      stats: paymentStore.getStats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/payments/:hash
+ * Status, fee and route of a single payment; looked up on the node if
+ * the hub has not recorded it
+ */
+router.get('/:hash', async (req, res, next) => {
+  try {
+    const paymentStore = req.app.locals.paymentStore;
+    const { hash } = req.params;
+
+    // Payment hashes are hex; melts without a decodable invoice use melt:<quote>
+    const payment = await paymentStore.get(/^[0-9a-f]{64}$/i.test(hash) ? hash.toLowerCase() : hash);
+
+    if (!payment) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'Payment not found', 404);
+    }
+
+    res.json(payment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+/**
+ * Peer Routes
+ *
+ * Connect to and disconnect from peers, and judge their reliability from
+ * the online/offline periods and ping times recorded by the peer tracker
+ */
+
+import { Router } from 'express';
+
+const router = Router();
+
+const PUBKEY = /^0[23][0-9a-f]{64}$/;
+
+/**
+ * Parse the optional ?hours= uptime window
+ * Returns { windowMs } or { error }
+ */
+function parseWindow(query) {
+  const hours = query.hours !== undefined ? Number(query.hours) : 24;
+  if (isNaN(hours) || hours <= 0 || hours > 24 * 90) {
+    return { error: 'hours must be a positive number up to 2160' };
+  }
+  return { windowMs: hours * 3600000 };
+}
+
+/**
+ * GET /api/peers
+ * Connected peers and channel partners, online first, with uptime over
+ * the window, latest and average ping, and disconnect counts
+ *
+ * Query:
+ * - hours: uptime window (default 24)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const peerTracker = req.app.locals.peerTracker;
+    const { windowMs, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await peerTracker.poll();
+    res.json({ peers: peerTracker.list({ windowMs }), last_polled_at: peerTracker.lastPolledAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/peers/:pubkey
+ * One peer with its recorded online/offline periods and ping samples
+ */
+router.get('/:pubkey', async (req, res, next) => {
+  try {
+    const peerTracker = req.app.locals.peerTracker;
+    const { pubkey } = req.params;
+
+    if (!PUBKEY.test(pubkey)) {
+      return res.status(400).json({ error: 'pubkey must be a 33-byte hex public key' });
+    }
+    const { windowMs, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const peer = peerTracker.get(pubkey, { windowMs });
+    if (!peer) {
+      return res.status(404).json({ error: 'Peer not tracked' });
+    }
+
+    res.json(peer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/peers/connect
+ * Connect to a peer; connecting to an already connected peer succeeds
+ *
+ * Body: { address: "pubkey@host:port" }
+ */
+router.post('/connect', async (req, res, next) => {
+  try {
+    const { lnd, peerTracker } = req.app.locals;
+    const { address } = req.body;
+
+    const [pubkey, host] = typeof address === 'string' ? address.toLowerCase().split('@') : [];
+    if (!pubkey || !PUBKEY.test(pubkey) || !host) {
+      return res.status(400).json({ error: 'address must be pubkey@host[:port]' });
+    }
+
+    await lnd.connectPeer(pubkey, host);
+    await peerTracker.poll();
+
+    res.json(peerTracker.get(pubkey) || { pubkey, online: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/peers/:pubkey
+ * Disconnect from a connected peer
+ */
+router.delete('/:pubkey', async (req, res, next) => {
+  try {
+    const { lnd, peerTracker } = req.app.locals;
+    const { pubkey } = req.params;
+
+    if (!PUBKEY.test(pubkey)) {
+      return res.status(400).json({ error: 'pubkey must be a 33-byte hex public key' });
+    }
+
+    const { peers = [] } = await lnd.listPeers();
+    if (!peers.some(peer => peer.pub_key === pubkey)) {
+      return res.status(404).json({ error: 'Peer not connected' });
+    }
+
+    await lnd.disconnectPeer(pubkey);
+    await peerTracker.poll();
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
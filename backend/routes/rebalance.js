@@ -0,0 +1,166 @@
+/**
+ * Rebalance Routes
+ *
+ * Plan, run and schedule circular rebalances between our channels
+ */
+
+import { Router } from 'express';
+import { requireAdmin } from '../services/admin-auth.js';
+
+const router = Router();
+
+// Query/body fields accepted as per-run overrides
+const SETTINGS = {
+  depleted_ratio: { key: 'depletedRatio', ratio: true },
+  saturated_ratio: { key: 'saturatedRatio', ratio: true },
+  target_ratio: { key: 'targetRatio', ratio: true },
+  max_fee_ppm: { key: 'maxFeePpm' },
+  min_amount: { key: 'minAmount' },
+  max_amount: { key: 'maxAmount' }
+};
+
+/**
+ * Map snake_case settings to rebalancer overrides
+ * Returns { overrides } or { error }
+ */
+function parseSettings(source) {
+  const overrides = {};
+
+  for (const [field, { key, ratio }] of Object.entries(SETTINGS)) {
+    if (source[field] === undefined || source[field] === '') continue;
+
+    const value = Number(source[field]);
+    if (ratio) {
+      if (isNaN(value) || value < 0 || value > 1) {
+        return { error: `${field} must be between 0 and 1` };
+      }
+    } else if (!Number.isInteger(value) || value <= 0) {
+      return { error: `${field} must be a positive integer` };
+    }
+    overrides[key] = value;
+  }
+
+  return { overrides };
+}
+
+/**
+ * GET /api/rebalance/plan
+ * Depleted and saturated channels and the moves a run would make
+ *
+ * Query: depleted_ratio, saturated_ratio, target_ratio, max_fee_ppm,
+ *        min_amount, max_amount
+ */
+router.get('/plan', async (req, res, next) => {
+  try {
+    const rebalancer = req.app.locals.rebalancer;
+    const { overrides, error } = parseSettings(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const plan = await rebalancer.plan(overrides);
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/rebalance/run
+ * Plan and execute the moves now
+ *
+ * Body: same settings as /plan
+ *
+ * Needs the admin token
+ */
+router.post('/run', requireAdmin, async (req, res, next) => {
+  try {
+    const rebalancer = req.app.locals.rebalancer;
+    const { overrides, error } = parseSettings(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await rebalancer.run(overrides);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/rebalance/attempts
+ * Recorded rebalance attempts, newest first
+ *
+ * Query:
+ * - status: IN_FLIGHT | SUCCEEDED | FAILED
+ * - limit: max attempts returned (default 100)
+ */
+router.get('/attempts', async (req, res, next) => {
+  try {
+    const rebalancer = req.app.locals.rebalancer;
+    const { status, limit } = req.query;
+
+    if (status && !['IN_FLIGHT', 'SUCCEEDED', 'FAILED'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of IN_FLIGHT, SUCCEEDED, FAILED' });
+    }
+
+    const max = limit ? parseInt(limit) : 100;
+    if (isNaN(max) || max <= 0 || max > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+
+    res.json({ attempts: rebalancer.listAttempts({ status, limit: max }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/rebalance/status
+ * Configuration, schedule and whether a run is in progress
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const rebalancer = req.app.locals.rebalancer;
+    res.json(rebalancer.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/rebalance/schedule
+ * Turn scheduled runs on or off
+ *
+ * Body:
+ * - enabled: boolean
+ * - interval_minutes: minutes between runs (required when enabling)
+ *
+ * Needs the admin token
+ */
+router.post('/schedule', requireAdmin, async (req, res, next) => {
+  try {
+    const rebalancer = req.app.locals.rebalancer;
+    const { enabled, interval_minutes } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+
+    if (enabled) {
+      if (!Number.isInteger(interval_minutes) || interval_minutes < 1 || interval_minutes > 10080) {
+        return res.status(400).json({ error: 'interval_minutes must be between 1 and 10080' });
+      }
+      rebalancer.startSchedule(interval_minutes * 60000);
+    } else {
+      rebalancer.stopSchedule();
+    }
+
+    res.json(rebalancer.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
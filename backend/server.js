@@ -1,7 +1,7 @@
 /**
  * Lightning Messaging Hub - Backend Server
  * 
- * Connects to LND, provides REST API for frontend,
+ * Connects to LND or Core Lightning, provides REST API for frontend,
  * handles Nostr integration, and manages L402 sessions
  */
 
@@ -13,21 +13,63 @@ import dotenv from 'dotenv';
 
 // Import our modules
 import { LNDClient } from './services/lnd.js';
+import { MockLNDClient } from './services/lnd-mock.js';
+import { CLNClient } from './services/cln.js';
 import { NostrService } from './services/nostr.js';
+import { MockNostrService } from './services/nostr-mock.js';
 import { CashuService } from './services/cashu.js';
+import { MockCashuService } from './services/cashu-mock.js';
 import { L402Gateway } from './services/l402-gateway.js';
+import { RootKeyStore } from './services/root-key-store.js';
+import { createSessionStore } from './services/session-store.js';
 import { AIProviderRouter } from './services/ai-providers.js';
+import { InvoiceStore } from './services/invoice-store.js';
+import { PaymentStore } from './services/payment-store.js';
+import { FeeManager } from './services/fee-manager.js';
+import { Rebalancer } from './services/rebalancer.js';
+import { ForwardingStore } from './services/forwarding-store.js';
+import { PeerTracker } from './services/peer-tracker.js';
+import { GraphExplorer } from './services/graph-explorer.js';
+import { HoldInvoiceManager } from './services/hold-invoices.js';
+import { KeysendInbox } from './services/keysend-inbox.js';
+import { PaymentCodeStore } from './services/payment-codes.js';
+import { SubscriptionManager } from './services/subscription-manager.js';
+import { Fixtures } from './services/fixtures.js';
 
 // Routes
 import nodeRoutes from './routes/node.js';
 import invoiceRoutes from './routes/invoices.js';
+import paymentRoutes from './routes/payments.js';
 import channelRoutes from './routes/channels.js';
+import rebalanceRoutes from './routes/rebalance.js';
+import onchainRoutes from './routes/onchain.js';
+import keysendRoutes from './routes/keysend.js';
+import peerRoutes from './routes/peers.js';
+import graphRoutes from './routes/graph.js';
 import messageRoutes from './routes/messages.js';
 import cashuRoutes from './routes/cashu.js';
+import l402Routes from './routes/l402.js';
 import aiRoutes from './routes/ai.js';
 
 dotenv.config();
 
+// HUB_MODE=mock serves deterministic fixtures, HUB_MODE=live fails hard
+const HUB_MODE = process.env.HUB_MODE || 'live';
+if (!['mock', 'live'].includes(HUB_MODE)) {
+  console.error(`Invalid HUB_MODE "${HUB_MODE}" (expected "mock" or "live")`);
+  process.exit(1);
+}
+const mockMode = HUB_MODE === 'mock';
+
+// Lightning implementation to talk to; mock mode always uses the LND mock
+const LN_BACKEND = process.env.LN_BACKEND || 'lnd';
+if (!['lnd', 'cln'].includes(LN_BACKEND)) {
+  console.error(`Invalid LN_BACKEND "${LN_BACKEND}" (expected "lnd" or "cln")`);
+  process.exit(1);
+}
+const NODE_NAME = !mockMode && LN_BACKEND === 'cln' ? 'CLN' : 'LND';
+const fixtures = mockMode ? new Fixtures(process.env.HUB_MOCK_SEED) : null;
+
 const app = express();
 const httpServer = createServer(app);
 const io = new SocketIO(httpServer, {
@@ -42,32 +84,96 @@ app.use(cors());
 app.use(express.json());
 
 // Initialize services
-const lnd = new LNDClient({
+const LNDBackend = mockMode ? MockLNDClient : (LN_BACKEND === 'cln' ? CLNClient : LNDClient);
+const NostrBackend = mockMode ? MockNostrService : NostrService;
+const CashuBackend = mockMode ? MockCashuService : CashuService;
+
+// Network invoices are checked against; the node reports its own once connected
+const BITCOIN_NETWORK = process.env.BITCOIN_NETWORK || 'mainnet';
+
+const lnd = new LNDBackend({
+  network: BITCOIN_NETWORK,
   socket: process.env.LND_SOCKET || 'localhost:10009',
   macaroonPath: process.env.LND_MACAROON_PATH || '~/.lnd/data/chain/bitcoin/mainnet/admin.macaroon',
-  tlsCertPath: process.env.LND_TLS_CERT_PATH || '~/.lnd/tls.cert'
+  tlsCertPath: process.env.LND_TLS_CERT_PATH || '~/.lnd/tls.cert',
+  rpcPath: process.env.CLN_RPC_PATH || '~/.lightning/bitcoin/lightning-rpc',
+  restUrl: process.env.CLN_REST_URL,
+  rune: process.env.CLN_RUNE,
+  restCertPath: process.env.CLN_REST_CERT_PATH,
+  fixtures
 });
 
-const nostr = new NostrService({
+const nostr = new NostrBackend({
   privateKey: process.env.NOSTR_PRIVATE_KEY,
-  relays: (process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol').split(',')
+  relays: (process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol').split(','),
+  fixtures
+});
+
+const cashu = new CashuBackend({
+  mintUrl: process.env.CASHU_MINT_URL || 'http://localhost:3338',
+  network: BITCOIN_NETWORK,
+  fixtures
+});
+
+const invoiceStore = new InvoiceStore({ lnd });
+const paymentStore = new PaymentStore({ lnd, cashu });
+const feeManager = new FeeManager({ lnd });
+const forwardingStore = new ForwardingStore({ lnd });
+const peerTracker = new PeerTracker({ lnd });
+const graphExplorer = new GraphExplorer({ lnd });
+// Unresolved hold invoices and their preimages survive restarts
+const holdInvoices = new HoldInvoiceManager({
+  lnd,
+  path: process.env.HOLD_INVOICES_PATH || 'data/hold-invoices.json'
 });
+const keysendInbox = new KeysendInbox({ lnd });
+const paymentCodes = new PaymentCodeStore({ lnd });
+const rebalancer = new Rebalancer({
+  lnd,
+  maxFeePpm: process.env.REBALANCE_MAX_FEE_PPM ? parseInt(process.env.REBALANCE_MAX_FEE_PPM) : undefined
+});
+const REBALANCE_INTERVAL_MINUTES = parseInt(process.env.REBALANCE_INTERVAL_MINUTES || '0');
 
-const cashu = new CashuService({
-  mintUrl: process.env.CASHU_MINT_URL || 'http://localhost:3338'
+// L402 root keys survive restarts, and with L402_SECRET_KEY are derived
+// from it rather than stored
+const rootKeys = new RootKeyStore({
+  path: process.env.L402_ROOT_KEYS_PATH || 'data/l402-root-keys.json',
+  secret: process.env.L402_SECRET_KEY || null
 });
 
+// L402 sessions, usage and revenue; sqlite keeps billing across deploys,
+// memory is refused outside mock mode (spent tokens replay after a restart)
+let l402Store;
+try {
+  l402Store = createSessionStore({
+    type: process.env.L402_STORE || 'sqlite',
+    path: process.env.L402_DB_PATH || 'data/l402.sqlite',
+    mock: mockMode
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const L402_SWEEP_MINUTES = parseInt(process.env.L402_SWEEP_MINUTES || '5');
+const L402_TOKEN_LIFETIME_HOURS = parseFloat(process.env.L402_TOKEN_LIFETIME_HOURS || '24');
+
 const l402Gateway = new L402Gateway({
   lnd,
+  rootKeys,
+  store: l402Store,
+  holdInvoices,
+  useHoldInvoices: process.env.L402_HOLD_INVOICES === 'true',
+  tokenLifetimeMs: L402_TOKEN_LIFETIME_HOURS * 3600000,
   pricingTiers: {
-    'oobabooga': { pricePerToken: 1, name: 'Oobabooga (Local)' },
-    'grok': { pricePerToken: 5, name: 'Grok (xAI)' },
-    'chatgpt': { pricePerToken: 3, name: 'ChatGPT (OpenAI)' },
-    'claude': { pricePerToken: 4, name: 'Claude (Anthropic)' }
+    'oobabooga': { pricePerToken: 1, name: 'Oobabooga (Local)', minPayment: 10 },
+    'grok': { pricePerToken: 5, name: 'Grok (xAI)', minPayment: 50 },
+    'chatgpt': { pricePerToken: 3, name: 'ChatGPT (OpenAI)', minPayment: 30 },
+    'claude': { pricePerToken: 4, name: 'Claude (Anthropic)', minPayment: 40 }
   }
 });
 
 const aiProviders = new AIProviderRouter({
+  mode: HUB_MODE,
   oobabooga: {
     baseUrl: process.env.OOBABOOGA_URL || 'http://localhost:5000',
     enabled: process.env.ENABLE_OOBABOOGA === 'true'
@@ -86,90 +192,199 @@ const aiProviders = new AIProviderRouter({
   }
 });
 
+// One upstream per real-time source, shared by all subscribed sockets
+const subscriptions = new SubscriptionManager({ io })
+  // Invoice updates, hold invoice state changes and payments to
+  // reusable payment codes
+  .register('invoices', (emit) => {
+    const onHoldInvoiceUpdate = invoice => emit('invoice:hold', invoice);
+    const onOfferPayment = payment => emit('offer:payment', payment);
+    const unsubscribe = lnd.subscribeInvoices(invoice => emit('invoice:update', invoice));
+    holdInvoices.on('update', onHoldInvoiceUpdate);
+    paymentCodes.on('payment', onOfferPayment);
+
+    return () => {
+      unsubscribe();
+      holdInvoices.off('update', onHoldInvoiceUpdate);
+      paymentCodes.off('payment', onOfferPayment);
+    };
+  })
+  .register('payments', (emit) => {
+    const onPaymentUpdate = payment => emit('payment:update', payment);
+    paymentStore.on('update', onPaymentUpdate);
+    return () => paymentStore.off('update', onPaymentUpdate);
+  })
+  // Nostr mentions of our pubkey
+  .register('messages', (emit) => {
+    const subscriptionId = nostr.subscribeToMentions(event => emit('message:received', event));
+    return () => nostr.unsubscribe(subscriptionId);
+  })
+  // Incoming keysend chat messages
+  .register('keysend', (emit) => {
+    const onMessage = message => emit('keysend:message', message);
+    keysendInbox.on('message', onMessage);
+    return () => keysendInbox.off('message', onMessage);
+  })
+  // Peers going online or offline
+  .register('peers', (emit) => {
+    const onChange = change => emit('peer:status', change);
+    peerTracker.on('change', onChange);
+    return () => peerTracker.off('change', onChange);
+  })
+  // Channel open/close progress, emitted to the room by the channel routes
+  .register('channels', () => () => {});
+
 // Attach services to app for route access
+app.locals.mode = HUB_MODE;
+// Bearer token for the routes that move funds or manage keys; unset disables them
+app.locals.adminToken = process.env.HUB_ADMIN_TOKEN || null;
 app.locals.lnd = lnd;
+app.locals.invoiceStore = invoiceStore;
+app.locals.paymentStore = paymentStore;
+app.locals.feeManager = feeManager;
+app.locals.rebalancer = rebalancer;
+app.locals.forwardingStore = forwardingStore;
+app.locals.peerTracker = peerTracker;
+app.locals.graphExplorer = graphExplorer;
+app.locals.holdInvoices = holdInvoices;
+app.locals.keysendInbox = keysendInbox;
+app.locals.paymentCodes = paymentCodes;
 app.locals.nostr = nostr;
 app.locals.cashu = cashu;
 app.locals.l402Gateway = l402Gateway;
+app.locals.rootKeys = rootKeys;
 app.locals.aiProviders = aiProviders;
 app.locals.io = io;
+app.locals.subscriptions = subscriptions;
 
 // Health check
+// In live mode a disconnected Lightning node makes the hub unhealthy (503)
 app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
+  const healthy = lnd.isConnected();
+
+  res.status(healthy ? 200 : 503).json({ 
+    status: healthy ? 'ok' : 'degraded', 
+    mode: HUB_MODE,
+    ln_backend: mockMode ? 'lnd' : LN_BACKEND,
     timestamp: Date.now(),
+    subscriptions: subscriptions.stats(),
     services: {
       lnd: lnd.isConnected(),
       nostr: nostr.isConnected(),
       cashu: cashu.isConnected()
-    }
+    },
+    errors: {
+      lnd: lnd.lastError,
+      cashu: cashu.lastError
+    },
+    node: lnd.status()
   });
 });
 
 // API Routes
 app.use('/api/node', nodeRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/channels', channelRoutes);
+app.use('/api/rebalance', rebalanceRoutes);
+app.use('/api/onchain', onchainRoutes);
+app.use('/api/keysend', keysendRoutes);
+app.use('/api/peers', peerRoutes);
+app.use('/api/graph', graphRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/cashu', cashuRoutes);
+app.use('/api/l402', l402Routes);
 
 // L402-protected AI routes
 app.use('/v1', l402Gateway.middleware(), aiRoutes);
 
 // WebSocket handling for real-time updates
+// Sockets emit subscribe:<source> / unsubscribe:<source> for invoices,
+// payments, messages, keysend, peers and channels
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  // Subscribe to invoice updates
-  socket.on('subscribe:invoices', async () => {
-    lnd.subscribeInvoices((invoice) => {
-      socket.emit('invoice:update', invoice);
-    });
-  });
-
-  // Subscribe to Nostr messages
-  socket.on('subscribe:messages', async () => {
-    nostr.subscribeToMentions((event) => {
-      socket.emit('message:received', event);
-    });
-  });
-
-  // Subscribe to payment updates
-  socket.on('subscribe:payments', async () => {
-    lnd.subscribePayments((payment) => {
-      socket.emit('payment:update', payment);
-    });
-  });
-
+  subscriptions.attach(socket);
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
+// Node connection changes (lost, reconnect scheduled, restored)
+lnd.on('state', (state) => {
+  if (state.connected) {
+    startNodeServices();
+  } else if (state.next_retry_at) {
+    console.warn(`⚠️  ${NODE_NAME} unreachable - reconnect attempt ${state.reconnect_attempts} at ${new Date(state.next_retry_at).toISOString()}`);
+  }
+  io.emit('node:state', state);
+});
+
 // Error handling
 app.use((err, req, res, next) => {
   console.error('Error:', err);
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
-    code: err.code || 'UNKNOWN_ERROR'
+    code: err.code || 'UNKNOWN_ERROR',
+    ...(err.details && { details: err.details })
   });
 });
 
 // Start server
 const PORT = process.env.PORT || 3000;
+const NODE_HEALTH_CHECK_SECONDS = parseInt(process.env.NODE_HEALTH_CHECK_SECONDS || '30');
+
+// Services that read from the node start on the first successful
+// connection, at startup or on a later reconnect
+let nodeServicesStarted = false;
+
+function startNodeServices() {
+  if (nodeServicesStarted) return;
+  nodeServicesStarted = true;
+
+  invoiceStore.start();
+  holdInvoices.start().catch((error) => {
+    console.error('Failed to restore hold invoices:', error.message);
+  });
+  keysendInbox.start().catch((error) => {
+    console.error('Failed to load keysend messages:', error.message);
+  });
+  paymentCodes.start().catch((error) => {
+    console.error('Failed to load payment codes:', error.message);
+  });
+  paymentStore.startSync(parseInt(process.env.PAYMENT_SYNC_MINUTES || '5') * 60000);
+  forwardingStore.start(parseInt(process.env.FORWARDING_SYNC_MINUTES || '5') * 60000);
+  peerTracker.start(parseInt(process.env.PEER_POLL_SECONDS || '60') * 1000);
+
+  if (REBALANCE_INTERVAL_MINUTES > 0) {
+    rebalancer.startSchedule(REBALANCE_INTERVAL_MINUTES * 60000);
+    console.log(`✅ Rebalancing every ${REBALANCE_INTERVAL_MINUTES} minutes`);
+  }
+}
 
 async function start() {
   try {
     // Initialize connections
-    await lnd.connect();
-    console.log('✅ Connected to LND');
+    console.log(`Hub mode: ${HUB_MODE}`);
+    paymentStore.start();
+    l402Gateway.startSweeper(L402_SWEEP_MINUTES * 60000);
+
+    if (await lnd.connect()) {
+      console.log(`✅ Connected to ${NODE_NAME}${mockMode ? ' (mock)' : ''}`);
+    } else {
+      console.warn(`⚠️  ${NODE_NAME} unavailable (${lnd.lastError.code}) - node endpoints will return errors until it reconnects`);
+    }
+    // Probe the node and reconnect with backoff whenever it drops
+    lnd.startHealthChecks(NODE_HEALTH_CHECK_SECONDS * 1000);
 
     await nostr.connect();
-    console.log('✅ Connected to Nostr relays');
+    console.log(`✅ Connected to Nostr relays${mockMode ? ' (mock)' : ''}`);
 
-    await cashu.connect();
-    console.log('✅ Connected to Cashu mint');
+    if (await cashu.connect()) {
+      console.log(`✅ Connected to Cashu mint${mockMode ? ' (mock)' : ''}`);
+    } else {
+      console.warn(`⚠️  Cashu mint unavailable (${cashu.lastError.code}) - ecash endpoints will return errors`);
+    }
 
     // Start HTTP server
     httpServer.listen(PORT, () => {
@@ -201,4 +416,4 @@ async function start() {
 
 start();
 
-export { app, io, lnd, nostr, cashu, l402Gateway, aiProviders };
+export { app, io, subscriptions, lnd, invoiceStore, paymentStore, feeManager, rebalancer, forwardingStore, peerTracker, graphExplorer, holdInvoices, keysendInbox, paymentCodes, nostr, cashu, l402Gateway, rootKeys, aiProviders };
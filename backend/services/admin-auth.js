@@ -0,0 +1,26 @@
+/**
+ * Admin Authentication
+ *
+ * Express middleware for the routes that move funds or manage keys. They
+ * need `Authorization: Bearer <HUB_ADMIN_TOKEN>` and are disabled while
+ * no admin token is set (`app.locals.adminToken`).
+ */
+
+import crypto from 'crypto';
+
+// Compared as digests so the comparison takes the same time for any input
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+export function requireAdmin(req, res, next) {
+  const adminToken = req.app.locals.adminToken;
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Admin routes are disabled; set HUB_ADMIN_TOKEN to enable them' });
+  }
+
+  const [, presented] = (req.headers.authorization || '').match(/^Bearer (.+)$/) || [];
+  if (!presented || !crypto.timingSafeEqual(digest(presented), digest(adminToken))) {
+    res.set('WWW-Authenticate', 'Bearer realm="hub-admin"');
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
@@ -14,14 +14,18 @@
  */
 
 import fetch from 'node-fetch';
+import { HubError, ERROR_CODES } from './errors.js';
 
 export class AIProviderRouter {
   constructor(config = {}) {
+    // In mock mode every provider is enabled and answers with fixtures
+    const mock = config.mode === 'mock';
+
     this.providers = {
-      oobabooga: new OobaboogaProvider(config.oobabooga || {}),
-      grok: new GrokProvider(config.grok || {}),
-      chatgpt: new ChatGPTProvider(config.chatgpt || {}),
-      claude: new ClaudeProvider(config.claude || {})
+      oobabooga: new OobaboogaProvider({ ...config.oobabooga, mock }),
+      grok: new GrokProvider({ ...config.grok, mock }),
+      chatgpt: new ChatGPTProvider({ ...config.chatgpt, mock }),
+      claude: new ClaudeProvider({ ...config.claude, mock })
     };
   }
 
@@ -63,6 +67,9 @@ export class AIProviderRouter {
     if (!provider.enabled) {
       throw new Error(`Provider not enabled: ${providerName}`);
     }
+    if (provider.mock) {
+      return provider.getMockResponse(messages, options);
+    }
     return provider.chat(messages, options);
   }
 
@@ -77,6 +84,10 @@ export class AIProviderRouter {
     if (!provider.enabled) {
       throw new Error(`Provider not enabled: ${providerName}`);
     }
+    if (provider.mock) {
+      yield { content: provider.getMockResponse(messages, options).content, done: true };
+      return;
+    }
     yield* provider.chatStream(messages, options);
   }
 
@@ -100,9 +111,33 @@ export class AIProviderRouter {
 class BaseProvider {
   constructor(config) {
     this.enabled = config.enabled || false;
+    this.mock = config.mock || false;
     this.config = config;
   }
 
+  /**
+   * Deterministic response used in mock mode
+   */
+  getMockResponse(messages, options = {}) {
+    const lastMessage = messages[messages.length - 1];
+    const content = `[${this.label} Mock] I received your message: "${lastMessage.content.slice(0, 50)}..."`;
+    const promptTokens = this.countTokens(JSON.stringify(messages));
+    const completionTokens = this.countTokens(content);
+
+    return {
+      provider: this.id,
+      model: 'mock',
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      finish_reason: 'stop',
+      mock: true
+    };
+  }
+
   getModels() {
     return [];
   }
@@ -140,8 +175,10 @@ class BaseProvider {
 class OobaboogaProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.id = 'oobabooga';
+    this.label = 'Oobabooga';
     this.baseUrl = config.baseUrl || 'http://localhost:5000';
-    this.enabled = config.enabled !== false; // Default enabled for local
+    this.enabled = this.mock || config.enabled !== false; // Default enabled for local
     this.defaultModel = config.defaultModel || 'current';
   }
 
@@ -184,7 +221,7 @@ class OobaboogaProvider extends BaseProvider {
       });
 
       if (!response.ok) {
-        throw new Error(`Oobabooga error: ${response.status}`);
+        throw new HubError(ERROR_CODES.AI_PROVIDER_ERROR, `Oobabooga error: ${response.status}`, 502);
       }
 
       const data = await response.json();
@@ -202,9 +239,12 @@ class OobaboogaProvider extends BaseProvider {
       };
 
     } catch (error) {
-      // If Oobabooga is not running, return mock response
       if (error.code === 'ECONNREFUSED') {
-        return this.getMockResponse(messages, options);
+        throw new HubError(
+          ERROR_CODES.AI_PROVIDER_UNAVAILABLE,
+          `Oobabooga is not reachable at ${this.baseUrl}`,
+          503
+        );
       }
       throw error;
     }
@@ -257,21 +297,6 @@ class OobaboogaProvider extends BaseProvider {
     }
   }
 
-  getMockResponse(messages, options) {
-    const lastMessage = messages[messages.length - 1];
-    return {
-      provider: 'oobabooga',
-      model: 'mock',
-      content: `[Oobabooga Mock] I received your message: "${lastMessage.content.slice(0, 50)}..."`,
-      usage: {
-        prompt_tokens: this.countTokens(JSON.stringify(messages)),
-        completion_tokens: 20,
-        total_tokens: this.countTokens(JSON.stringify(messages)) + 20
-      },
-      finish_reason: 'stop',
-      mock: true
-    };
-  }
 }
 
 
@@ -283,9 +308,11 @@ class OobaboogaProvider extends BaseProvider {
 class GrokProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.id = 'grok';
+    this.label = 'Grok';
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl || 'https://api.x.ai/v1';
-    this.enabled = !!this.apiKey;
+    this.enabled = this.mock || !!this.apiKey;
   }
 
   getModels() {
@@ -307,10 +334,6 @@ class GrokProvider extends BaseProvider {
   }
 
   async chat(messages, options = {}) {
-    if (!this.enabled) {
-      return this.getMockResponse(messages);
-    }
-
     const response = await fetch(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
       headers: {
@@ -328,7 +351,7 @@ class GrokProvider extends BaseProvider {
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(`Grok API error: ${error.error?.message || response.status}`);
+      throw new HubError(ERROR_CODES.AI_PROVIDER_ERROR, `Grok API error: ${error.error?.message || response.status}`, 502);
     }
 
     const data = await response.json();
@@ -342,16 +365,6 @@ class GrokProvider extends BaseProvider {
     };
   }
 
-  getMockResponse(messages) {
-    return {
-      provider: 'grok',
-      model: 'mock',
-      content: '[Grok Mock] API key not configured. Set GROK_API_KEY to enable.',
-      usage: { prompt_tokens: 0, completion_tokens: 10, total_tokens: 10 },
-      finish_reason: 'stop',
-      mock: true
-    };
-  }
 }
 
 
@@ -361,9 +374,11 @@ class GrokProvider extends BaseProvider {
 class ChatGPTProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.id = 'chatgpt';
+    this.label = 'ChatGPT';
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl || 'https://api.openai.com/v1';
-    this.enabled = !!this.apiKey;
+    this.enabled = this.mock || !!this.apiKey;
     this.organization = config.organization;
   }
 
@@ -389,10 +404,6 @@ class ChatGPTProvider extends BaseProvider {
   }
 
   async chat(messages, options = {}) {
-    if (!this.enabled) {
-      return this.getMockResponse(messages);
-    }
-
     const headers = {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${this.apiKey}`
@@ -418,7 +429,7 @@ class ChatGPTProvider extends BaseProvider {
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.status}`);
+      throw new HubError(ERROR_CODES.AI_PROVIDER_ERROR, `OpenAI API error: ${error.error?.message || response.status}`, 502);
     }
 
     const data = await response.json();
@@ -434,11 +445,6 @@ class ChatGPTProvider extends BaseProvider {
   }
 
   async *chatStream(messages, options = {}) {
-    if (!this.enabled) {
-      yield { content: this.getMockResponse(messages).content, done: true };
-      return;
-    }
-
     const headers = {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${this.apiKey}`
@@ -482,16 +488,6 @@ class ChatGPTProvider extends BaseProvider {
     }
   }
 
-  getMockResponse(messages) {
-    return {
-      provider: 'chatgpt',
-      model: 'mock',
-      content: '[ChatGPT Mock] API key not configured. Set OPENAI_API_KEY to enable.',
-      usage: { prompt_tokens: 0, completion_tokens: 10, total_tokens: 10 },
-      finish_reason: 'stop',
-      mock: true
-    };
-  }
 }
 
 
@@ -501,9 +497,11 @@ class ChatGPTProvider extends BaseProvider {
 class ClaudeProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.id = 'claude';
+    this.label = 'Claude';
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl || 'https://api.anthropic.com/v1';
-    this.enabled = !!this.apiKey;
+    this.enabled = this.mock || !!this.apiKey;
   }
 
   getModels() {
@@ -527,10 +525,6 @@ class ClaudeProvider extends BaseProvider {
   }
 
   async chat(messages, options = {}) {
-    if (!this.enabled) {
-      return this.getMockResponse(messages);
-    }
-
     // Convert from OpenAI format to Anthropic format
     const anthropicMessages = this.convertMessages(messages);
     const systemMessage = messages.find(m => m.role === 'system')?.content;
@@ -553,7 +547,7 @@ class ClaudeProvider extends BaseProvider {
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(`Anthropic API error: ${error.error?.message || response.status}`);
+      throw new HubError(ERROR_CODES.AI_PROVIDER_ERROR, `Anthropic API error: ${error.error?.message || response.status}`, 502);
     }
 
     const data = await response.json();
@@ -597,11 +591,6 @@ class ClaudeProvider extends BaseProvider {
   }
 
   async *chatStream(messages, options = {}) {
-    if (!this.enabled) {
-      yield { content: this.getMockResponse(messages).content, done: true };
-      return;
-    }
-
     const anthropicMessages = this.convertMessages(messages);
     const systemMessage = messages.find(m => m.role === 'system')?.content;
 
@@ -649,16 +638,6 @@ class ClaudeProvider extends BaseProvider {
     }
   }
 
-  getMockResponse(messages) {
-    return {
-      provider: 'claude',
-      model: 'mock',
-      content: '[Claude Mock] API key not configured. Set ANTHROPIC_API_KEY to enable.',
-      usage: { prompt_tokens: 0, completion_tokens: 10, total_tokens: 10 },
-      finish_reason: 'stop',
-      mock: true
-    };
-  }
 }
 
 
@@ -0,0 +1,521 @@
+/**
+ * BOLT11 Invoices
+ *
+ * Native encoder/decoder for Lightning payment requests, so invoices can
+ * be checked offline (checksum, signature, network, expiry) before any
+ * payment is attempted. Decoded invoices use the same field names as
+ * LND's DecodePayReq, plus `network`, `expires_at` and `expired`.
+ *
+ * Spec: https://github.com/lightning/bolts/blob/master/11-payment-encoding.md
+ */
+
+import crypto from 'crypto';
+import * as secp from '@noble/secp256k1';
+import { HubError, ERROR_CODES } from './errors.js';
+
+// Synchronous signing needs an HMAC implementation
+secp.etc.hmacSha256Sync = (key, ...messages) =>
+  crypto.createHmac('sha256', key).update(secp.etc.concatBytes(...messages)).digest();
+
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+
+// Currency prefix after "ln" → network name
+const NETWORK_PREFIXES = {
+  bc: 'mainnet',
+  tb: 'testnet',
+  tbs: 'signet',
+  bcrt: 'regtest',
+  sb: 'simnet'
+};
+
+// Longest prefixes first so "bcrt" is not read as "bc"
+const PREFIX_ORDER = Object.keys(NETWORK_PREFIXES).sort((a, b) => b.length - a.length);
+
+// Segwit and base58 address prefixes for fallback addresses
+const ADDRESS_PREFIXES = {
+  mainnet: { hrp: 'bc', p2pkh: 0x00, p2sh: 0x05 },
+  testnet: { hrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+  signet: { hrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+  regtest: { hrp: 'bcrt', p2pkh: 0x6f, p2sh: 0xc4 },
+  simnet: { hrp: 'sb', p2pkh: 0x3f, p2sh: 0x7b }
+};
+
+// Amount multipliers, as millisatoshis per unit
+const MSAT_PER_UNIT = {
+  m: 100000000n,
+  u: 100000n,
+  n: 100n
+};
+const MSAT_PER_BTC = 100000000000n;
+
+// Tagged field types
+const TAGS = {
+  PAYMENT_HASH: 1,
+  ROUTE_HINT: 3,
+  FEATURES: 5,
+  EXPIRY: 6,
+  FALLBACK: 9,
+  DESCRIPTION: 13,
+  PAYMENT_SECRET: 16,
+  PAYEE: 19,
+  DESCRIPTION_HASH: 23,
+  MIN_FINAL_CLTV: 24,
+  METADATA: 27
+};
+
+// Feature bit pairs that matter for invoices (named after the even bit)
+const FEATURE_NAMES = {
+  8: 'tlv-onion',
+  14: 'payment-addr',
+  16: 'multi-path-payments',
+  24: 'route-blinding',
+  30: 'amp',
+  48: 'payment-metadata'
+};
+
+const DEFAULT_EXPIRY = 3600;
+const DEFAULT_MIN_FINAL_CLTV = 18;
+
+function invalid(message) {
+  return new HubError(ERROR_CODES.INVALID_REQUEST, `Invalid invoice: ${message}`, 400);
+}
+
+// ============================================
+// BECH32
+// ============================================
+
+function polymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= generator[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const chars = Array.from(hrp, c => c.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function createChecksum(hrp, words, constant = 1) {
+  const mod = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ constant;
+  return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+}
+
+function bech32Encode(hrp, words, constant = 1) {
+  return hrp + '1' + [...words, ...createChecksum(hrp, words, constant)]
+    .map(word => BECH32_ALPHABET[word])
+    .join('');
+}
+
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw invalid('mixed case');
+  }
+  const lower = str.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw invalid('missing separator or checksum');
+  }
+
+  const hrp = lower.slice(0, separator);
+  const words = [];
+  for (const char of lower.slice(separator + 1)) {
+    const word = BECH32_ALPHABET.indexOf(char);
+    if (word === -1) throw invalid(`unexpected character "${char}"`);
+    words.push(word);
+  }
+
+  if (polymod([...hrpExpand(hrp), ...words]) !== 1) {
+    throw invalid('bad checksum');
+  }
+  return { hrp, words: words.slice(0, -6) };
+}
+
+/**
+ * Regroup a bit stream from `from`-bit to `to`-bit units
+ */
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << to) - 1;
+
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((acc >>> bits) & maxValue);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad && bits > 0) {
+    result.push((acc << (to - bits)) & maxValue);
+  }
+  return result;
+}
+
+const wordsToBuffer = (words, pad = false) => Buffer.from(convertBits(words, 5, 8, pad));
+const bufferToWords = buffer => convertBits(buffer, 8, 5, true);
+
+function wordsToInt(words) {
+  return words.reduce((value, word) => value * 32 + word, 0);
+}
+
+function intToWords(value, minLength = 1) {
+  const words = [];
+  let rest = value;
+  while (rest > 0) {
+    words.unshift(rest % 32);
+    rest = Math.floor(rest / 32);
+  }
+  while (words.length < minLength) words.unshift(0);
+  return words;
+}
+
+// ============================================
+// FIELDS
+// ============================================
+
+/**
+ * Parse the amount part of the human-readable prefix into millisatoshis
+ */
+function parseAmount(amount) {
+  if (!amount) return null;
+
+  const match = /^([1-9]\d*)([munp]?)$/.exec(amount);
+  if (!match) throw invalid(`bad amount "${amount}"`);
+
+  const value = BigInt(match[1]);
+  const unit = match[2];
+
+  if (!unit) return value * MSAT_PER_BTC;
+  if (unit === 'p') {
+    if (value % 10n !== 0n) throw invalid('pico amount is not a whole millisatoshi');
+    return value / 10n;
+  }
+  return value * MSAT_PER_UNIT[unit];
+}
+
+/**
+ * Shortest human-readable amount for a millisatoshi value
+ */
+function formatAmount(amountMsat) {
+  const msat = BigInt(amountMsat);
+  if (msat % MSAT_PER_BTC === 0n) return (msat / MSAT_PER_BTC).toString();
+  for (const unit of ['m', 'u', 'n']) {
+    if (msat % MSAT_PER_UNIT[unit] === 0n) return (msat / MSAT_PER_UNIT[unit]).toString() + unit;
+  }
+  return (msat * 10n).toString() + 'p';
+}
+
+function base58Check(payload) {
+  const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+  const data = Buffer.concat([payload, hash.subarray(0, 4)]);
+
+  let value = BigInt('0x' + data.toString('hex'));
+  let encoded = '';
+  while (value > 0n) {
+    encoded = alphabet[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of data) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+/**
+ * Render a fallback on-chain address (version word + program)
+ */
+function formatFallback(words, network) {
+  const prefixes = ADDRESS_PREFIXES[network];
+  const version = words[0];
+  const program = wordsToBuffer(words.slice(1));
+
+  if (version === 17) return base58Check(Buffer.concat([Buffer.from([prefixes.p2pkh]), program]));
+  if (version === 18) return base58Check(Buffer.concat([Buffer.from([prefixes.p2sh]), program]));
+  if (version <= 16) return encodeSegwitAddress(version, program, network);
+  return '';
+}
+
+/**
+ * Segwit address for a witness version and program on a network
+ */
+export function encodeSegwitAddress(version, program, network = 'mainnet') {
+  const { hrp } = ADDRESS_PREFIXES[network];
+  return bech32Encode(hrp, [version, ...bufferToWords(program)], version === 0 ? 1 : BECH32M_CONST);
+}
+
+function parseRouteHint(buffer) {
+  const hops = [];
+  for (let offset = 0; offset + 51 <= buffer.length; offset += 51) {
+    hops.push({
+      node_id: buffer.subarray(offset, offset + 33).toString('hex'),
+      chan_id: buffer.readBigUInt64BE(offset + 33).toString(),
+      fee_base_msat: buffer.readUInt32BE(offset + 41),
+      fee_proportional_millionths: buffer.readUInt32BE(offset + 45),
+      cltv_expiry_delta: buffer.readUInt16BE(offset + 49)
+    });
+  }
+  return { hop_hints: hops };
+}
+
+function parseFeatures(words) {
+  const features = {};
+  const bitCount = words.length * 5;
+
+  for (let bit = 0; bit < bitCount; bit++) {
+    const word = words[words.length - 1 - Math.floor(bit / 5)];
+    if ((word >> (bit % 5)) & 1) {
+      const name = FEATURE_NAMES[bit & ~1];
+      features[bit] = { name: name || '', is_required: bit % 2 === 0, is_known: !!name };
+    }
+  }
+  return features;
+}
+
+function featureWords(bits) {
+  if (!bits.length) return [];
+  const words = new Array(Math.floor(Math.max(...bits) / 5) + 1).fill(0);
+  for (const bit of bits) {
+    words[words.length - 1 - Math.floor(bit / 5)] |= 1 << (bit % 5);
+  }
+  return words;
+}
+
+function signingHash(hrp, words) {
+  return crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(hrp, 'utf8'), wordsToBuffer(words, true)]))
+    .digest();
+}
+
+// ============================================
+// DECODE / ENCODE
+// ============================================
+
+/**
+ * Decode a BOLT11 payment request
+ * Throws INVALID_REQUEST if it is malformed or its signature does not check out
+ */
+export function decodeBolt11(paymentRequest, { now = Date.now() } = {}) {
+  if (typeof paymentRequest !== 'string' || !paymentRequest) {
+    throw invalid('payment request must be a string');
+  }
+
+  const { hrp, words } = bech32Decode(paymentRequest.trim().replace(/^lightning:/i, ''));
+  if (!hrp.startsWith('ln')) throw invalid('prefix must start with "ln"');
+
+  const prefix = PREFIX_ORDER.find(p => hrp.startsWith(p, 2) && !/^[a-z]/.test(hrp.slice(2 + p.length)));
+  if (!prefix) throw invalid(`unknown network prefix "${hrp}"`);
+  const network = NETWORK_PREFIXES[prefix];
+  const amountMsat = parseAmount(hrp.slice(2 + prefix.length));
+
+  // 7 words timestamp + tagged fields + 104 words signature
+  if (words.length < 7 + 104) throw invalid('too short');
+  const dataWords = words.slice(0, -104);
+  const sigBuffer = wordsToBuffer(words.slice(-104));
+  const signature = sigBuffer.subarray(0, 64);
+  const recoveryFlag = sigBuffer[64];
+  if (recoveryFlag > 3) throw invalid('bad recovery flag');
+
+  const decoded = {
+    destination: null,
+    payment_hash: null,
+    num_satoshis: amountMsat === null ? '0' : (amountMsat / 1000n).toString(),
+    timestamp: wordsToInt(dataWords.slice(0, 7)).toString(),
+    expiry: DEFAULT_EXPIRY.toString(),
+    description: '',
+    description_hash: '',
+    fallback_addr: '',
+    cltv_expiry: DEFAULT_MIN_FINAL_CLTV.toString(),
+    route_hints: [],
+    payment_addr: '',
+    num_msat: amountMsat === null ? '0' : amountMsat.toString(),
+    features: {},
+    network,
+    metadata: '',
+    signature: signature.toString('hex')
+  };
+
+  let offset = 7;
+  let hasDescription = false;
+  while (offset < dataWords.length) {
+    if (offset + 3 > dataWords.length) throw invalid('truncated tagged field');
+    const type = dataWords[offset];
+    const length = dataWords[offset + 1] * 32 + dataWords[offset + 2];
+    const fieldWords = dataWords.slice(offset + 3, offset + 3 + length);
+    if (fieldWords.length !== length) throw invalid('truncated tagged field');
+    offset += 3 + length;
+
+    // Readers skip fixed-size fields with the wrong length
+    switch (type) {
+      case TAGS.PAYMENT_HASH:
+        if (length === 52 && !decoded.payment_hash) decoded.payment_hash = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.PAYMENT_SECRET:
+        if (length === 52) decoded.payment_addr = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.DESCRIPTION_HASH:
+        if (length === 52) {
+          decoded.description_hash = wordsToBuffer(fieldWords).toString('hex');
+          hasDescription = true;
+        }
+        break;
+      case TAGS.PAYEE:
+        if (length === 53) decoded.destination = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.DESCRIPTION:
+        // An empty description (blank memo) still counts as present
+        decoded.description = wordsToBuffer(fieldWords).toString('utf8');
+        hasDescription = true;
+        break;
+      case TAGS.EXPIRY:
+        decoded.expiry = wordsToInt(fieldWords).toString();
+        break;
+      case TAGS.MIN_FINAL_CLTV:
+        decoded.cltv_expiry = wordsToInt(fieldWords).toString();
+        break;
+      case TAGS.FALLBACK:
+        if (!decoded.fallback_addr && length > 0) decoded.fallback_addr = formatFallback(fieldWords, network);
+        break;
+      case TAGS.ROUTE_HINT:
+        decoded.route_hints.push(parseRouteHint(wordsToBuffer(fieldWords)));
+        break;
+      case TAGS.FEATURES:
+        decoded.features = parseFeatures(fieldWords);
+        break;
+      case TAGS.METADATA:
+        decoded.metadata = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!decoded.payment_hash) throw invalid('missing payment hash');
+  if (!hasDescription) throw invalid('missing description');
+
+  // Check the signature against the payee field, or recover the payee from it
+  const hash = signingHash(hrp, dataWords);
+  try {
+    if (decoded.destination) {
+      if (!secp.verify(signature, hash, Buffer.from(decoded.destination, 'hex'), { lowS: false })) {
+        throw invalid('signature does not match payee');
+      }
+    } else {
+      const payee = secp.Signature.fromCompact(signature)
+        .addRecoveryBit(recoveryFlag)
+        .recoverPublicKey(hash);
+      decoded.destination = Buffer.from(payee.toRawBytes(true)).toString('hex');
+    }
+  } catch (error) {
+    if (error instanceof HubError) throw error;
+    throw invalid(`bad signature (${error.message})`);
+  }
+
+  const expiresAt = (parseInt(decoded.timestamp) + parseInt(decoded.expiry)) * 1000;
+  decoded.expires_at = expiresAt;
+  decoded.expired = now >= expiresAt;
+
+  return decoded;
+}
+
+/**
+ * Encode and sign a BOLT11 payment request
+ *
+ * Fields:
+ * - network: mainnet | testnet | signet | regtest | simnet
+ * - amountMsat: omit for "any amount" invoices
+ * - timestamp: unix seconds (default now)
+ * - paymentHash, paymentSecret: 32-byte hex
+ * - description or descriptionHash
+ * - expiry, minFinalCltvExpiry, features (bit numbers), routeHints, fallbackAddress,
+ *   metadata, payeeNodeKey (include the `n` field)
+ */
+export function encodeBolt11(fields, privateKey) {
+  const prefix = Object.keys(NETWORK_PREFIXES).find(p => NETWORK_PREFIXES[p] === (fields.network || 'mainnet'));
+  if (!prefix) throw invalid(`unknown network "${fields.network}"`);
+  if (!/^[0-9a-f]{64}$/i.test(fields.paymentHash || '')) throw invalid('payment hash must be 32 bytes hex');
+
+  const hrp = 'ln' + prefix + (fields.amountMsat ? formatAmount(fields.amountMsat) : '');
+  const words = intToWords(fields.timestamp ?? Math.floor(Date.now() / 1000), 7);
+
+  const addField = (type, fieldWords) => {
+    words.push(type, fieldWords.length >> 5, fieldWords.length & 31, ...fieldWords);
+  };
+  const hexWords = hex => bufferToWords(Buffer.from(hex, 'hex'));
+
+  addField(TAGS.PAYMENT_HASH, hexWords(fields.paymentHash));
+  if (fields.paymentSecret) addField(TAGS.PAYMENT_SECRET, hexWords(fields.paymentSecret));
+  if (fields.descriptionHash) {
+    addField(TAGS.DESCRIPTION_HASH, hexWords(fields.descriptionHash));
+  } else {
+    addField(TAGS.DESCRIPTION, bufferToWords(Buffer.from(fields.description || '', 'utf8')));
+  }
+  if (fields.payeeNodeKey) {
+    addField(TAGS.PAYEE, bufferToWords(Buffer.from(secp.getPublicKey(privateKey, true))));
+  }
+  if (fields.expiry !== undefined && fields.expiry !== DEFAULT_EXPIRY) {
+    addField(TAGS.EXPIRY, intToWords(fields.expiry));
+  }
+  if (fields.minFinalCltvExpiry !== undefined) {
+    addField(TAGS.MIN_FINAL_CLTV, intToWords(fields.minFinalCltvExpiry));
+  }
+  for (const hint of fields.routeHints || []) {
+    const buffer = Buffer.concat(hint.hop_hints.map((hop) => {
+      const hopBuffer = Buffer.alloc(51);
+      Buffer.from(hop.node_id, 'hex').copy(hopBuffer, 0);
+      hopBuffer.writeBigUInt64BE(BigInt(hop.chan_id), 33);
+      hopBuffer.writeUInt32BE(hop.fee_base_msat, 41);
+      hopBuffer.writeUInt32BE(hop.fee_proportional_millionths, 45);
+      hopBuffer.writeUInt16BE(hop.cltv_expiry_delta, 49);
+      return hopBuffer;
+    }));
+    addField(TAGS.ROUTE_HINT, bufferToWords(buffer));
+  }
+  if (fields.metadata) addField(TAGS.METADATA, hexWords(fields.metadata));
+  if (fields.features?.length) addField(TAGS.FEATURES, featureWords(fields.features));
+
+  const signature = secp.sign(signingHash(hrp, words), privateKey);
+  const sigBytes = Buffer.concat([
+    Buffer.from(signature.toCompactRawBytes()),
+    Buffer.from([signature.recovery])
+  ]);
+
+  return bech32Encode(hrp, [...words, ...bufferToWords(sigBytes)]);
+}
+
+/**
+ * Decode an invoice and check it can be paid on this network right now
+ *
+ * Options:
+ * - network: expected network (e.g. the connected node's)
+ * - requireAmount: reject invoices without an amount
+ */
+export function validateInvoice(paymentRequest, { network, requireAmount = false, now = Date.now() } = {}) {
+  const decoded = decodeBolt11(paymentRequest, { now });
+
+  if (network && decoded.network !== network) {
+    throw invalid(`invoice is for ${decoded.network}, expected ${network}`);
+  }
+  if (decoded.expired) {
+    throw invalid(`expired at ${new Date(decoded.expires_at).toISOString()}`);
+  }
+  if (requireAmount && decoded.num_msat === '0') {
+    throw invalid('amount required');
+  }
+
+  return decoded;
+}
+
+export default { decodeBolt11, encodeBolt11, validateInvoice, encodeSegwitAddress };
@@ -0,0 +1,173 @@
+/**
+ * Mock Cashu Mint
+ *
+ * Implements the CashuService mint calls with deterministic fixtures.
+ * Only used when HUB_MODE=mock (no mint required).
+ */
+
+import crypto from 'crypto';
+import { CashuService } from './cashu.js';
+import { Fixtures, FIXTURE_EPOCH } from './fixtures.js';
+
+const DENOMINATIONS = [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192];
+
+export class MockCashuService extends CashuService {
+  constructor(options = {}) {
+    super(options);
+    this.mock = true;
+    this.fixtures = options.fixtures || new Fixtures(options.seed);
+    this.keysetId = '00' + this.fixtures.hex('cashu:keyset', 7);
+  }
+
+  /**
+   * Get mint information
+   */
+  async getMintInfo() {
+    return {
+      name: 'Lightning Hub Mint',
+      version: 'Nutshell/0.15.0',
+      description: 'Cashu mint powered by Lightning',
+      nuts: {
+        '4': { methods: [{ method: 'bolt11', unit: 'sat' }] },
+        '5': { methods: [{ method: 'bolt11', unit: 'sat' }] }
+      }
+    };
+  }
+
+  /**
+   * Get available keysets
+   */
+  async getKeysets() {
+    return {
+      keysets: [{
+        id: this.keysetId,
+        unit: 'sat',
+        active: true
+      }]
+    };
+  }
+
+  /**
+   * Get keys for a keyset
+   */
+  async getKeys(keysetId = null) {
+    const keys = {};
+    DENOMINATIONS.forEach(amount => {
+      keys[amount.toString()] = '02' + this.fixtures.hex(`cashu:key:${amount}`);
+    });
+
+    return {
+      keysets: [{
+        id: keysetId || this.keysetId,
+        unit: 'sat',
+        keys
+      }]
+    };
+  }
+
+  /**
+   * Mint tokens (Lightning → Ecash)
+   * Step 1: Request mint quote
+   */
+  async requestMintQuote(amount) {
+    const index = this.fixtures.next('cashu:mint-quote');
+
+    return {
+      quote: this.fixtures.hex(`cashu:mint-quote:${index}`, 16),
+      request: 'lnbc' + amount + '0n1p' + this.fixtures.hex(`cashu:mint-quote:${index}:request`, 50),
+      state: 'UNPAID',
+      expiry: FIXTURE_EPOCH + 600
+    };
+  }
+
+  /**
+   * Mint tokens (Lightning → Ecash)
+   * Step 2: After payment, mint the tokens
+   */
+  async mintTokens(quote, amount) {
+    const proofs = this.createMockProofs(amount);
+    this.proofs.push(...proofs);
+    this.balance += amount;
+
+    this.emit('mint', { amount, proofs });
+
+    return { proofs, amount, mock: true };
+  }
+
+  /**
+   * Melt tokens (Ecash → Lightning)
+   * Step 1: Request melt quote
+   */
+  async requestMeltQuote(invoice) {
+    const decoded = this.validateMeltInvoice(invoice);
+    const index = this.fixtures.next('cashu:melt-quote');
+
+    return {
+      quote: this.fixtures.hex(`cashu:melt-quote:${index}`, 16),
+      amount: Math.ceil(parseInt(decoded.num_msat) / 1000),
+      fee_reserve: 10,
+      state: 'UNPAID',
+      expiry: FIXTURE_EPOCH + 600
+    };
+  }
+
+  /**
+   * Melt tokens (Ecash → Lightning)
+   * Step 2: Pay the invoice with tokens
+   */
+  async meltTokens(quote, amount, invoice) {
+    const { proofs: proofsToSpend } = this.selectProofs(amount);
+    const preimage = this.fixtures.hex(`cashu:melt:${quote}:preimage`);
+
+    this.emit('melt', { quote, amount, invoice, state: 'PENDING', paid: false });
+
+    this.removeProofs(proofsToSpend);
+    this.balance -= amount;
+
+    this.emit('melt', { quote, amount, invoice, state: 'PAID', paid: true, preimage });
+
+    return { state: 'PAID', payment_preimage: preimage, mock: true };
+  }
+
+  /**
+   * Swap tokens (for privacy/denomination change)
+   */
+  async swapTokens(proofs) {
+    const amount = proofs.reduce((sum, p) => sum + p.amount, 0);
+    const newProofs = this.createMockProofs(amount);
+
+    this.removeProofs(proofs);
+    this.proofs.push(...newProofs);
+
+    return { proofs: newProofs };
+  }
+
+  /**
+   * Check token state (spent or not)
+   */
+  async checkTokenState(proofs) {
+    return {
+      states: proofs.map(p => ({
+        Y: crypto.createHash('sha256').update(p.secret).digest('hex'),
+        state: 'UNSPENT'
+      }))
+    };
+  }
+
+  /**
+   * Create fixture proofs for an amount
+   */
+  createMockProofs(amount) {
+    return this.splitAmount(amount).map(denom => {
+      const index = this.fixtures.next('cashu:proof');
+      return {
+        amount: denom,
+        id: this.keysetId,
+        secret: this.fixtures.hex(`cashu:proof:${index}:secret`),
+        C: '02' + this.fixtures.hex(`cashu:proof:${index}:C`)
+      };
+    });
+  }
+}
+
+export default MockCashuService;
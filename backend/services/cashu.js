@@ -13,13 +13,17 @@
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 import { EventEmitter } from 'events';
+import { HubError, ERROR_CODES } from './errors.js';
+import { validateInvoice } from './bolt11.js';
 
 export class CashuService extends EventEmitter {
   constructor(options = {}) {
     super();
     
     this.mintUrl = options.mintUrl || 'http://localhost:3338';
+    this.network = options.network || 'mainnet';
     this.connected = false;
+    this.lastError = null;
     this.mintInfo = null;
     this.keysets = new Map();
     
@@ -43,13 +47,16 @@ export class CashuService extends EventEmitter {
       });
 
       this.connected = true;
+      this.lastError = null;
       console.log(`Connected to Cashu mint: ${this.mintUrl}`);
       return true;
 
     } catch (error) {
       console.error('Failed to connect to Cashu mint:', error.message);
-      // Allow running in mock mode
       this.connected = false;
+      this.lastError = error instanceof HubError
+        ? error
+        : new HubError(ERROR_CODES.CASHU_MINT_ERROR, `Failed to connect to Cashu mint: ${error.message}`, 502);
       return false;
     }
   }
@@ -62,81 +69,57 @@ export class CashuService extends EventEmitter {
   }
 
   /**
-   * Get mint information
+   * Call a mint endpoint (GET without body, POST with body)
+   * Throws typed errors when the mint is unreachable or rejects the request
    */
-  async getMintInfo() {
+  async mintRequest(endpoint, body = null) {
+    let response;
     try {
-      const response = await fetch(`${this.mintUrl}/v1/info`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
+      response = await fetch(`${this.mintUrl}${endpoint}`, body ? {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      } : undefined);
     } catch (error) {
-      // Return mock info
-      return {
-        name: 'Lightning Hub Mint',
-        version: 'Nutshell/0.15.0',
-        description: 'Cashu mint powered by Lightning',
-        nuts: {
-          '4': { methods: [{ method: 'bolt11', unit: 'sat' }] },
-          '5': { methods: [{ method: 'bolt11', unit: 'sat' }] }
-        }
-      };
+      throw new HubError(
+        ERROR_CODES.CASHU_MINT_UNAVAILABLE,
+        `Cashu mint unreachable: ${error.message}`,
+        503
+      );
+    }
+
+    if (!response.ok) {
+      const detail = await response.json().catch(() => null);
+      throw new HubError(
+        ERROR_CODES.CASHU_MINT_ERROR,
+        `Cashu mint error on ${endpoint}: ${detail?.detail || `HTTP ${response.status}`}`,
+        502,
+        { httpStatus: response.status }
+      );
     }
+
+    return response.json();
   }
 
   /**
-   * Get available keysets
+   * Get mint information
    */
-  async getKeysets() {
-    try {
-      const response = await fetch(`${this.mintUrl}/v1/keysets`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
-    } catch (error) {
-      return {
-        keysets: [{
-          id: '00' + crypto.randomBytes(7).toString('hex'),
-          unit: 'sat',
-          active: true
-        }]
-      };
-    }
+  async getMintInfo() {
+    return this.mintRequest('/v1/info');
   }
 
   /**
-   * Get keys for a keyset
+   * Get available keysets
    */
-  async getKeys(keysetId = null) {
-    try {
-      const url = keysetId 
-        ? `${this.mintUrl}/v1/keys/${keysetId}`
-        : `${this.mintUrl}/v1/keys`;
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
-    } catch (error) {
-      // Return mock keys
-      return {
-        keysets: [{
-          id: keysetId || '00' + crypto.randomBytes(7).toString('hex'),
-          unit: 'sat',
-          keys: this.generateMockKeys()
-        }]
-      };
-    }
+  async getKeysets() {
+    return this.mintRequest('/v1/keysets');
   }
 
   /**
-   * Generate mock keys for denominations
+   * Get keys for a keyset
    */
-  generateMockKeys() {
-    const keys = {};
-    const denominations = [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192];
-    
-    denominations.forEach(amount => {
-      keys[amount.toString()] = '02' + crypto.randomBytes(32).toString('hex');
-    });
-    
-    return keys;
+  async getKeys(keysetId = null) {
+    return this.mintRequest(keysetId ? `/v1/keys/${keysetId}` : '/v1/keys');
   }
 
   /**
@@ -144,25 +127,7 @@ export class CashuService extends EventEmitter {
    * Step 1: Request mint quote
    */
   async requestMintQuote(amount) {
-    try {
-      const response = await fetch(`${this.mintUrl}/v1/mint/quote/bolt11`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ amount, unit: 'sat' })
-      });
-      
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
-
-    } catch (error) {
-      // Return mock quote
-      return {
-        quote: crypto.randomBytes(16).toString('hex'),
-        request: 'lnbc' + amount + '0n1p' + crypto.randomBytes(50).toString('hex'),
-        state: 'UNPAID',
-        expiry: Math.floor(Date.now() / 1000) + 600
-      };
-    }
+    return this.mintRequest('/v1/mint/quote/bolt11', { amount, unit: 'sat' });
   }
 
   /**
@@ -170,41 +135,24 @@ export class CashuService extends EventEmitter {
    * Step 2: After payment, mint the tokens
    */
   async mintTokens(quote, amount) {
-    try {
-      // Generate blinded messages
-      const { blindedMessages, secrets, rs } = this.createBlindedMessages(amount);
+    // Generate blinded messages
+    const { blindedMessages, secrets, rs } = this.createBlindedMessages(amount);
 
-      const response = await fetch(`${this.mintUrl}/v1/mint/bolt11`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          quote,
-          outputs: blindedMessages
-        })
-      });
-
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const { signatures } = await response.json();
-
-      // Unblind signatures to get proofs
-      const proofs = this.unblindSignatures(signatures, secrets, rs);
-      
-      // Store proofs
-      this.proofs.push(...proofs);
-      this.balance += amount;
+    const { signatures } = await this.mintRequest('/v1/mint/bolt11', {
+      quote,
+      outputs: blindedMessages
+    });
 
-      this.emit('mint', { amount, proofs });
-      
-      return { proofs, amount };
+    // Unblind signatures to get proofs
+    const proofs = this.unblindSignatures(signatures, secrets, rs);
+    
+    // Store proofs
+    this.proofs.push(...proofs);
+    this.balance += amount;
 
-    } catch (error) {
-      // Return mock tokens
-      const proofs = this.createMockProofs(amount);
-      this.proofs.push(...proofs);
-      this.balance += amount;
-      
-      return { proofs, amount, mock: true };
-    }
+    this.emit('mint', { amount, proofs });
+    
+    return { proofs, amount };
   }
 
   /**
@@ -212,26 +160,27 @@ export class CashuService extends EventEmitter {
    * Step 1: Request melt quote
    */
   async requestMeltQuote(invoice) {
-    try {
-      const response = await fetch(`${this.mintUrl}/v1/melt/quote/bolt11`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ request: invoice, unit: 'sat' })
-      });
+    const decoded = this.validateMeltInvoice(invoice);
+    const quote = await this.mintRequest('/v1/melt/quote/bolt11', { request: invoice, unit: 'sat' });
+
+    // The mint must not quote more than the invoice is worth (fees are in fee_reserve)
+    const invoiceSats = Math.ceil(parseInt(decoded.num_msat) / 1000);
+    if (quote.amount > invoiceSats) {
+      throw new HubError(
+        ERROR_CODES.CASHU_MINT_ERROR,
+        `Mint quoted ${quote.amount} sats for a ${invoiceSats} sat invoice`,
+        502
+      );
+    }
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
+    return quote;
+  }
 
-    } catch (error) {
-      // Return mock quote
-      return {
-        quote: crypto.randomBytes(16).toString('hex'),
-        amount: 1000,
-        fee_reserve: 10,
-        state: 'UNPAID',
-        expiry: Math.floor(Date.now() / 1000) + 600
-      };
-    }
+  /**
+   * Check an invoice offline before asking the mint to pay it
+   */
+  validateMeltInvoice(invoice) {
+    return validateInvoice(invoice, { network: this.network, requireAmount: true });
   }
 
   /**
@@ -239,69 +188,59 @@ export class CashuService extends EventEmitter {
    * Step 2: Pay the invoice with tokens
    */
   async meltTokens(quote, amount, invoice) {
-    try {
-      // Select proofs to spend
-      const { proofs: proofsToSpend, change } = this.selectProofs(amount);
+    // Select proofs to spend
+    const { proofs: proofsToSpend, change } = this.selectProofs(amount);
 
-      const response = await fetch(`${this.mintUrl}/v1/melt/bolt11`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          quote,
-          inputs: proofsToSpend
-        })
-      });
-
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const result = await response.json();
-
-      // Remove spent proofs
-      this.removeProofs(proofsToSpend);
-      this.balance -= amount;
-
-      this.emit('melt', { amount, paid: result.state === 'PAID' });
-      
-      return result;
+    // 'melt' events report the outgoing Lightning payment as it progresses
+    this.emit('melt', { quote, amount, invoice, state: 'PENDING', paid: false });
 
+    let result;
+    try {
+      result = await this.mintRequest('/v1/melt/bolt11', {
+        quote,
+        inputs: proofsToSpend
+      });
     } catch (error) {
-      // Mock melt
-      this.balance = Math.max(0, this.balance - amount);
-      return { state: 'PAID', mock: true };
+      this.emit('melt', { quote, amount, invoice, state: 'FAILED', paid: false, error: error.message });
+      throw error;
     }
+
+    // Remove spent proofs
+    this.removeProofs(proofsToSpend);
+    this.balance -= amount;
+
+    this.emit('melt', {
+      quote,
+      amount,
+      invoice,
+      state: result.state,
+      paid: result.state === 'PAID',
+      preimage: result.payment_preimage || null
+    });
+    
+    return result;
   }
 
   /**
    * Swap tokens (for privacy/denomination change)
    */
   async swapTokens(proofs) {
-    try {
-      const amount = proofs.reduce((sum, p) => sum + p.amount, 0);
-      const { blindedMessages, secrets, rs } = this.createBlindedMessages(amount);
-
-      const response = await fetch(`${this.mintUrl}/v1/swap`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          inputs: proofs,
-          outputs: blindedMessages
-        })
-      });
+    const amount = proofs.reduce((sum, p) => sum + p.amount, 0);
+    const { blindedMessages, secrets, rs } = this.createBlindedMessages(amount);
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const { signatures } = await response.json();
-
-      // Unblind signatures
-      const newProofs = this.unblindSignatures(signatures, secrets, rs);
+    const { signatures } = await this.mintRequest('/v1/swap', {
+      inputs: proofs,
+      outputs: blindedMessages
+    });
 
-      // Update storage
-      this.removeProofs(proofs);
-      this.proofs.push(...newProofs);
+    // Unblind signatures
+    const newProofs = this.unblindSignatures(signatures, secrets, rs);
 
-      return { proofs: newProofs };
+    // Update storage
+    this.removeProofs(proofs);
+    this.proofs.push(...newProofs);
 
-    } catch (error) {
-      return { proofs, error: error.message };
-    }
+    return { proofs: newProofs };
   }
 
   /**
@@ -348,6 +287,7 @@ export class CashuService extends EventEmitter {
       return { amount, proofs: newProofs };
 
     } catch (error) {
+      if (error instanceof HubError) throw error;
       throw new Error(`Failed to receive token: ${error.message}`);
     }
   }
@@ -488,20 +428,7 @@ export class CashuService extends EventEmitter {
     for (const [id, ks] of this.keysets) {
       if (ks.active) return id;
     }
-    return '00' + crypto.randomBytes(7).toString('hex');
-  }
-
-  /**
-   * Create mock proofs for testing
-   */
-  createMockProofs(amount) {
-    const denominations = this.splitAmount(amount);
-    return denominations.map(denom => ({
-      amount: denom,
-      id: this.getActiveKeysetId(),
-      secret: crypto.randomBytes(32).toString('hex'),
-      C: '02' + crypto.randomBytes(32).toString('hex')
-    }));
+    throw new HubError(ERROR_CODES.CASHU_NO_KEYSET, 'No active keyset loaded from the Cashu mint', 503);
   }
 
   /**
@@ -522,23 +449,11 @@ export class CashuService extends EventEmitter {
    * Check token state (spent or not)
    */
   async checkTokenState(proofs) {
-    try {
-      const Ys = proofs.map(p => 
-        crypto.createHash('sha256').update(p.secret).digest('hex')
-      );
+    const Ys = proofs.map(p => 
+      crypto.createHash('sha256').update(p.secret).digest('hex')
+    );
 
-      const response = await fetch(`${this.mintUrl}/v1/checkstate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ Ys })
-      });
-
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
-
-    } catch (error) {
-      return { states: proofs.map(() => ({ state: 'UNSPENT' })) };
-    }
+    return this.mintRequest('/v1/checkstate', { Ys });
   }
 
   /**
@@ -0,0 +1,1903 @@
+/**
+ * Core Lightning Client Service
+ *
+ * Talks to CLN over its JSON-RPC unix socket, or over clnrest (HTTPS with
+ * a rune) when a REST URL is configured, and implements the same node
+ * interface as LNDClient. Responses are reshaped into LND's field names
+ * so the stores and routes work unchanged with either backend.
+ *
+ * Differences from LND:
+ * - Reusable payment codes are real BOLT12 offers, and offers can be paid
+ *   with fetchInvoice
+ * - Hold invoices need the hold invoice plugin (holdinvoice,
+ *   settleholdinvoice, cancelholdinvoice, listholdinvoices); without it
+ *   they answer NOT_SUPPORTED. The plugin has no wait call, so followed
+ *   hold invoices are polled
+ * - signMessage uses signmessage, which signs CLN's "Lightning Signed
+ *   Message:" digest rather than sha256(message)
+ * - Pinning the first or last hop of a payment (used by the rebalancer)
+ *   builds the route with getroute and pays it with sendpay
+ * - Incoming keysend TLV records are not exposed by listinvoices, so the
+ *   keysend inbox only sees outgoing messages
+ * - Invoice subscriptions report payments, not newly created invoices
+ */
+
+import net from 'net';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { HubError, ERROR_CODES } from './errors.js';
+import { decodeBolt11 } from './bolt11.js';
+import { LNDClient, CLOSE_TYPE_FILTERS, PAYMENT_CODE_EXPIRY } from './lnd.js';
+import { NodeConnection } from './node-connection.js';
+
+// Longest a waitanyinvoice/waitinvoice call blocks before it is reissued
+const INVOICE_WAIT_SECONDS = 600;
+const INVOICE_RETRY_MS = 5000;
+
+// How often pending channel opens and closes are checked
+const CHANNEL_POLL_MS = 30000;
+
+// CLN's network names → LND's
+const NETWORKS = {
+  bitcoin: 'mainnet',
+  testnet: 'testnet',
+  signet: 'signet',
+  regtest: 'regtest'
+};
+
+const INVOICE_STATES = {
+  unpaid: 'OPEN',
+  paid: 'SETTLED',
+  expired: 'CANCELED'
+};
+
+// Hold invoice plugin states → LND's
+const HOLD_INVOICE_STATES = {
+  unpaid: 'OPEN',
+  accepted: 'ACCEPTED',
+  paid: 'SETTLED',
+  cancelled: 'CANCELED'
+};
+
+// How often a followed hold invoice is polled
+const HOLD_INVOICE_POLL_MS = 2000;
+
+// min_final_cltv_expiry of invoices that do not set one (BOLT11)
+const DEFAULT_FINAL_CLTV = 18;
+
+const PENDING_OPEN_STATES = new Set([
+  'OPENINGD',
+  'CHANNELD_AWAITING_LOCKIN',
+  'DUALOPEND_OPEN_INIT',
+  'DUALOPEND_OPEN_COMMITTED',
+  'DUALOPEND_OPEN_COMMIT_READY',
+  'DUALOPEND_AWAITING_LOCKIN'
+]);
+const OPEN_STATES = new Set(['CHANNELD_NORMAL', 'CHANNELD_AWAITING_SPLICE']);
+const WAITING_CLOSE_STATES = new Set(['CHANNELD_SHUTTING_DOWN', 'CLOSINGD_SIGEXCHANGE', 'CLOSINGD_COMPLETE']);
+const FORCE_CLOSING_STATES = new Set(['AWAITING_UNILATERAL', 'FUNDING_SPEND_SEEN', 'ONCHAIN']);
+
+// close_cause → LND close type. CLN records who caused the close, not how
+// it was settled, so cooperative and force closes can only be approximated:
+// a close the peer caused is taken to be its commitment hitting the chain.
+const CLOSE_CAUSES = {
+  user: 'COOPERATIVE_CLOSE',
+  remote: 'REMOTE_FORCE_CLOSE',
+  local: 'LOCAL_FORCE_CLOSE',
+  protocol: 'LOCAL_FORCE_CLOSE',
+  onchain: 'REMOTE_FORCE_CLOSE',
+  unknown: 'COOPERATIVE_CLOSE'
+};
+
+// pay/keysend error codes that mean the payment failed (rather than the call)
+const PAYMENT_FAILURES = {
+  203: 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS',
+  204: 'FAILURE_REASON_ERROR',
+  205: 'FAILURE_REASON_NO_ROUTE',
+  206: 'FAILURE_REASON_NO_ROUTE',
+  209: 'FAILURE_REASON_ERROR',
+  210: 'FAILURE_REASON_TIMEOUT'
+};
+
+// waitanyinvoice timed out / waitinvoice's invoice expired
+const WAIT_TIMEOUT = 904;
+const INVOICE_EXPIRED = 903;
+
+// Expand ~ to home directory
+function expandPath(filepath) {
+  if (filepath.startsWith('~')) {
+    return path.join(homedir(), filepath.slice(1));
+  }
+  return filepath;
+}
+
+// Amount fields are msat integers, or "123msat" strings on older releases
+function toMsat(value) {
+  if (value === undefined || value === null) return 0;
+  return parseInt(String(value).replace(/msat$/, '')) || 0;
+}
+
+function toSat(value) {
+  return Math.floor(toMsat(value) / 1000);
+}
+
+function nowNs() {
+  return (BigInt(Date.now()) * 1000000n).toString();
+}
+
+// listsendpays part status → LND HTLC status
+const SENDPAY_STATUSES = {
+  pending: 'IN_FLIGHT',
+  complete: 'SUCCEEDED',
+  failed: 'FAILED'
+};
+
+/**
+ * listsendpays parts of one payment → an LND Payment. Only the parts of
+ * the latest attempt (groupid) count; earlier attempts are retries
+ */
+function formatSendpays(parts) {
+  const groupid = Math.max(...parts.map(part => part.groupid || 0));
+  const latest = parts.filter(part => (part.groupid || 0) === groupid);
+  const statuses = latest.map(part => SENDPAY_STATUSES[part.status]);
+  const status = statuses.includes('SUCCEEDED') ? 'SUCCEEDED' : statuses.includes('IN_FLIGHT') ? 'IN_FLIGHT' : 'FAILED';
+  const amount = latest.reduce((sum, part) => sum + toMsat(part.amount_msat), 0);
+  const sent = latest.reduce((sum, part) => sum + toMsat(part.amount_sent_msat), 0);
+  const fee = status === 'SUCCEEDED' ? sent - amount : 0;
+  const first = parts[0];
+
+  return {
+    payment_hash: first.payment_hash,
+    value_sat: Math.floor(amount / 1000).toString(),
+    value_msat: amount.toString(),
+    payment_request: first.bolt11 || first.bolt12 || '',
+    status,
+    fee_sat: Math.floor(fee / 1000).toString(),
+    fee_msat: fee.toString(),
+    payment_preimage: latest.find(part => part.payment_preimage)?.payment_preimage || '',
+    // listsendpays does not say why a payment failed
+    failure_reason: status === 'FAILED' ? 'FAILURE_REASON_ERROR' : 'FAILURE_REASON_NONE',
+    creation_time_ns: (BigInt(Math.floor(Math.min(...parts.map(part => part.created_at)) * 1000)) * 1000000n).toString(),
+    payment_index: Math.max(...parts.map(part => part.created_index || 0)).toString(),
+    htlcs: parts.map(part => ({
+      attempt_id: (part.id || 0).toString(),
+      status: SENDPAY_STATUSES[part.status],
+      route: {
+        total_amt: toSat(part.amount_sent_msat).toString(),
+        total_fees: Math.floor((toMsat(part.amount_sent_msat) - toMsat(part.amount_msat)) / 1000).toString(),
+        hops: part.destination ? [{
+          chan_id: '0',
+          pub_key: part.destination,
+          amt_to_forward: toSat(part.amount_msat).toString(),
+          fee: '0'
+        }] : []
+      },
+      attempt_time_ns: (BigInt(Math.floor(part.created_at * 1000)) * 1000000n).toString(),
+      resolve_time_ns: part.completed_at ? (BigInt(Math.floor(part.completed_at * 1000)) * 1000000n).toString() : '0'
+    }))
+  };
+}
+
+/**
+ * Short channel id "BLOCKxTXxOUT" → LND's uint64 channel id
+ */
+export function scidToChanId(scid) {
+  const [block, tx, output] = scid.split('x').map(BigInt);
+  return ((block << 40n) | (tx << 16n) | output).toString();
+}
+
+/**
+ * LND's uint64 channel id → short channel id
+ */
+export function chanIdToScid(chanId) {
+  const id = BigInt(chanId);
+  return `${id >> 40n}x${(id >> 16n) & 0xffffffn}x${id & 0xffffn}`;
+}
+
+// Address type of a wallet address, in ListUnspent's terms
+function addressType(address = '') {
+  return /^(bc|tb|bcrt)1p/i.test(address) ? 'TAPROOT_PUBKEY' : 'WITNESS_PUBKEY_HASH';
+}
+
+// Confirmation target in blocks → CLN named feerate
+function feerateForTarget(targetConf) {
+  if (targetConf <= 2) return 'urgent';
+  if (targetConf <= 12) return 'normal';
+  return 'slow';
+}
+
+function notSupported(message) {
+  return new HubError(ERROR_CODES.NOT_SUPPORTED, message, 501);
+}
+
+// Wait `ms`, or less if `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// Routing policy of one channel direction, from gossip or our own channel
+function forwardingFee(policy, amountMsat) {
+  return policy.baseMsat + Math.floor(amountMsat * policy.ppm / 1000000);
+}
+
+// sendpay route entry: `amountMsat` and `delay` as received by `id`
+function routeHop(id, from, policy, amountMsat, delay) {
+  return {
+    id,
+    channel: policy.scid,
+    direction: from < id ? 0 : 1,
+    amount_msat: amountMsat,
+    delay,
+    style: 'tlv'
+  };
+}
+
+// Wrap a JSON-RPC error in a typed HubError
+function toHubError(error) {
+  if (error.code === -32601) {
+    return new HubError(ERROR_CODES.NOT_SUPPORTED, error.message, 501, { rpcCode: error.code });
+  }
+  if (error.code === -32602) {
+    return new HubError(ERROR_CODES.INVALID_REQUEST, error.message, 400, { rpcCode: error.code });
+  }
+  return new HubError(ERROR_CODES.CLN_RPC_ERROR, error.message, 502, {
+    rpcCode: error.code,
+    ...(error.data !== undefined && { data: error.data })
+  });
+}
+
+/**
+ * Policy of one channel direction from listchannels, as an LND RoutingPolicy
+ */
+function gossipPolicy(half) {
+  if (!half) return null;
+  return {
+    time_lock_delta: half.delay,
+    min_htlc: toMsat(half.htlc_minimum_msat).toString(),
+    fee_base_msat: String(half.base_fee_millisatoshi),
+    fee_rate_milli_msat: String(half.fee_per_millionth),
+    disabled: !half.active,
+    max_htlc_msat: toMsat(half.htlc_maximum_msat).toString(),
+    last_update: half.last_update || 0
+  };
+}
+
+/**
+ * LND-style channel edge from the gossip halves of one channel
+ */
+function gossipEdge(chanId, halves, chanPoint = '') {
+  const [node1, node2] = [halves[0].source, halves[0].destination].sort();
+  const policyOf = node => gossipPolicy(halves.find(half => half.source === node));
+  return {
+    channel_id: chanId,
+    chan_point: chanPoint,
+    last_update: Math.max(...halves.map(half => half.last_update || 0)),
+    node1_pub: node1,
+    node2_pub: node2,
+    capacity: toSat(halves[0].amount_msat).toString(),
+    node1_policy: policyOf(node1),
+    node2_policy: policyOf(node2)
+  };
+}
+
+/**
+ * LND-style route from a getroute route. Each CLN hop carries the amount
+ * and CLTV delta it receives, so a hop's fee is what it keeps of that
+ */
+function formatRoute(route, blockHeight) {
+  const hops = route.map((hop, i) => {
+    const next = route[i + 1] || hop;
+    const forwardMsat = toMsat(next.amount_msat);
+    const feeMsat = toMsat(hop.amount_msat) - forwardMsat;
+    return {
+      chan_id: scidToChanId(hop.channel),
+      chan_capacity: '0',
+      pub_key: hop.id,
+      amt_to_forward: Math.floor(forwardMsat / 1000).toString(),
+      amt_to_forward_msat: forwardMsat.toString(),
+      fee: Math.floor(feeMsat / 1000).toString(),
+      fee_msat: feeMsat.toString(),
+      expiry: blockHeight + next.delay
+    };
+  });
+
+  const totalMsat = toMsat(route[0].amount_msat);
+  const feesMsat = totalMsat - toMsat(route[route.length - 1].amount_msat);
+  return {
+    total_time_lock: blockHeight + route[0].delay,
+    total_fees: Math.floor(feesMsat / 1000).toString(),
+    total_fees_msat: feesMsat.toString(),
+    total_amt: Math.floor(totalMsat / 1000).toString(),
+    total_amt_msat: totalMsat.toString(),
+    hops
+  };
+}
+
+/**
+ * Policy one side of our own channel advertises (listpeerchannels `updates`)
+ */
+function localPolicy(update, active) {
+  if (!update) return null;
+  return {
+    time_lock_delta: update.cltv_expiry_delta,
+    min_htlc: toMsat(update.htlc_minimum_msat).toString(),
+    fee_base_msat: toMsat(update.fee_base_msat).toString(),
+    fee_rate_milli_msat: String(update.fee_proportional_millionths),
+    disabled: !active,
+    max_htlc_msat: toMsat(update.htlc_maximum_msat).toString(),
+    last_update: 0
+  };
+}
+
+export class CLNClient extends NodeConnection {
+  constructor(options = {}) {
+    super(options);
+    this.nodeName = 'CLN';
+    this.rpcPath = expandPath(options.rpcPath || '~/.lightning/bitcoin/lightning-rpc');
+    // clnrest base URL (e.g. https://localhost:3010); overrides the socket
+    this.restUrl = options.restUrl ? options.restUrl.replace(/\/$/, '') : null;
+    this.rune = options.rune || null;
+    this.restCertPath = options.restCertPath ? expandPath(options.restCertPath) : null;
+    this.timeout = options.timeout || 30000;
+    this.holdInvoicePollMs = options.holdInvoicePollMs || HOLD_INVOICE_POLL_MS;
+
+    // Bitcoin network the node runs on; updated from getinfo once connected
+    this.network = options.network || 'mainnet';
+
+    this.agent = null;
+    this.requestId = 0;
+    this.identityPubkey = null;
+
+    this.invoiceSubscribers = [];
+    this.paymentSubscribers = [];
+    this.invoiceStream = null;
+    // Last pay_index seen, so a restarted invoice loop replays what was missed
+    this.invoicePayIndex = null;
+    // Open subscribeSingleInvoice subscriptions, re-opened after a reconnect
+    this.singleInvoiceSubscriptions = new Set();
+  }
+
+  async connect() {
+    try {
+      if (this.restUrl && this.restCertPath) {
+        this.agent = new https.Agent({ ca: fs.readFileSync(this.restCertPath) });
+      }
+
+      // Verify the connection and credentials with a real call
+      const info = await this.request('getinfo');
+      this.identityPubkey = info.id;
+      this.network = NETWORKS[info.network] || this.network;
+      this.markConnected();
+
+      return true;
+    } catch (error) {
+      console.error('Failed to connect to CLN:', error.message);
+      this.markDisconnected(error instanceof HubError
+        ? error
+        : new HubError(ERROR_CODES.CLN_NOT_CONNECTED, `Failed to connect to CLN: ${error.message}`, 503));
+      return false;
+    }
+  }
+
+  // The socket or REST endpoint could not be reached
+  isConnectionError(error) {
+    return error?.code === ERROR_CODES.CLN_UNAVAILABLE;
+  }
+
+  async probe() {
+    return this.getInfo();
+  }
+
+  /**
+   * Restart the invoice loops stopped by a disconnect; the invoice loop
+   * resumes from the last pay_index seen
+   */
+  restoreStreams() {
+    if (this.invoiceSubscribers.length && !this.invoiceStream) {
+      this.startInvoiceStream();
+    }
+    this.singleInvoiceSubscriptions.forEach((subscription) => {
+      if (!subscription.controller) this.openSingleInvoiceStream(subscription);
+    });
+  }
+
+  /**
+   * Throw if connect() has not succeeded
+   */
+  ensureConnected() {
+    if (!this.connected) {
+      throw new HubError(
+        ERROR_CODES.CLN_NOT_CONNECTED,
+        'CLN is not connected',
+        503,
+        this.lastError ? this.lastError.toJSON() : undefined
+      );
+    }
+  }
+
+  /**
+   * Invoke an RPC method once connected
+   */
+  async rpc(method, params = {}, options = {}) {
+    this.ensureConnected();
+    try {
+      return await this.request(method, params, options);
+    } catch (error) {
+      this.checkConnectionError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invoke an RPC method over the configured transport
+   * `timeout` of 0 waits indefinitely; `signal` aborts the call
+   */
+  request(method, params = {}, { timeout = this.timeout, signal } = {}) {
+    // Drop unset optional parameters rather than sending nulls
+    const body = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+    return this.restUrl
+      ? this.restRequest(method, body, { timeout, signal })
+      : this.socketRequest(method, body, { timeout, signal });
+  }
+
+  /**
+   * One JSON-RPC call on its own connection to lightning-rpc; CLN ends
+   * each response with a blank line
+   */
+  socketRequest(method, params, { timeout, signal }) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.rpcPath);
+      let buffer = '';
+      let done = false;
+      let timer = null;
+
+      const finish = (error, result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        socket.destroy();
+        if (error) reject(error); else resolve(result);
+      };
+      const onAbort = () => finish(new HubError(ERROR_CODES.CLN_RPC_ERROR, `${method} was cancelled`, 502));
+
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort);
+      if (timeout) {
+        timer = setTimeout(() => {
+          finish(new HubError(ERROR_CODES.CLN_UNAVAILABLE, `CLN unavailable: ${method} timed out`, 503));
+        }, timeout);
+      }
+
+      socket.setEncoding('utf8');
+      socket.on('connect', () => {
+        socket.write(JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }));
+      });
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        const end = buffer.indexOf('\n\n');
+        if (end === -1) return;
+
+        let response;
+        try {
+          response = JSON.parse(buffer.slice(0, end));
+        } catch (error) {
+          return finish(new HubError(ERROR_CODES.CLN_RPC_ERROR, `Invalid response to ${method}: ${error.message}`, 502));
+        }
+        if (response.error) finish(toHubError(response.error));
+        else finish(null, response.result);
+      });
+      socket.on('error', (error) => {
+        finish(new HubError(ERROR_CODES.CLN_UNAVAILABLE, `CLN unavailable: ${error.message}`, 503));
+      });
+      socket.on('close', () => {
+        finish(new HubError(ERROR_CODES.CLN_UNAVAILABLE, `CLN unavailable: connection closed during ${method}`, 503));
+      });
+    });
+  }
+
+  /**
+   * One call through clnrest: POST /v1/<method>, authorized by the rune
+   */
+  async restRequest(method, params, { timeout, signal }) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = timeout ? setTimeout(onAbort, timeout) : null;
+    signal?.addEventListener('abort', onAbort);
+
+    let response;
+    try {
+      response = await fetch(`${this.restUrl}/v1/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Rune: this.rune || '' },
+        body: JSON.stringify(params),
+        agent: this.agent || undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new HubError(ERROR_CODES.CLN_RPC_ERROR, `${method} was cancelled`, 502);
+      }
+      const reason = controller.signal.aborted ? `${method} timed out` : error.message;
+      throw new HubError(ERROR_CODES.CLN_UNAVAILABLE, `CLN unavailable: ${reason}`, 503);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (response.status === 401 || response.status === 403) {
+      throw new HubError(ERROR_CODES.CLN_UNAVAILABLE, `CLN rejected the rune: ${body?.message || response.statusText}`, 503);
+    }
+    if (!response.ok) {
+      throw toHubError({ code: body?.code, message: body?.message || `clnrest returned ${response.status}`, data: body?.data });
+    }
+    return body;
+  }
+
+  /**
+   * Our channels with a funding outpoint, as listpeerchannels reports them
+   */
+  async peerChannels() {
+    const { channels = [] } = await this.rpc('listpeerchannels');
+    return channels.filter(ch => ch.funding_txid);
+  }
+
+  async findChannel(channelPoint) {
+    const channels = await this.peerChannels();
+    const channel = channels.find(ch => `${ch.funding_txid}:${ch.funding_outnum}` === channelPoint);
+    if (!channel) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to find channel', 404);
+    }
+    return channel;
+  }
+
+  // Channel summary shared by ListChannels and PendingChannels entries
+  formatChannel(ch) {
+    const capacity = toSat(ch.total_msat);
+    const local = toSat(ch.to_us_msat);
+    return {
+      remote_pubkey: ch.peer_id,
+      channel_point: `${ch.funding_txid}:${ch.funding_outnum}`,
+      chan_id: ch.short_channel_id ? scidToChanId(ch.short_channel_id) : '0',
+      capacity: capacity.toString(),
+      local_balance: local.toString(),
+      remote_balance: (capacity - local).toString(),
+      private: !!ch.private,
+      initiator: ch.opener === 'local'
+    };
+  }
+
+  // Get node info
+  async getInfo() {
+    const info = await this.rpc('getinfo');
+    return {
+      identity_pubkey: info.id,
+      alias: info.alias,
+      color: `#${info.color}`,
+      num_active_channels: info.num_active_channels,
+      num_inactive_channels: info.num_inactive_channels,
+      num_pending_channels: info.num_pending_channels,
+      num_peers: info.num_peers,
+      block_height: info.blockheight,
+      synced_to_chain: !info.warning_bitcoind_sync && !info.warning_lightningd_sync,
+      chains: [{ chain: 'bitcoin', network: NETWORKS[info.network] || info.network }],
+      uris: (info.address || []).map(a => `${info.id}@${a.address}:${a.port}`),
+      version: info.version
+    };
+  }
+
+  // Get wallet balance
+  async getBalance() {
+    const { outputs = [] } = await this.rpc('listfunds');
+    const sum = list => list.reduce((total, o) => total + toSat(o.amount_msat), 0);
+
+    const confirmed = sum(outputs.filter(o => o.status === 'confirmed'));
+    const total = sum(outputs);
+    return {
+      total_balance: total.toString(),
+      confirmed_balance: confirmed.toString(),
+      unconfirmed_balance: (total - confirmed).toString(),
+      locked_balance: sum(outputs.filter(o => o.reserved)).toString()
+    };
+  }
+
+  // Get channel balance
+  async getChannelBalance() {
+    const channels = await this.peerChannels();
+    const open = channels.filter(ch => OPEN_STATES.has(ch.state));
+    const local = open.reduce((sum, ch) => sum + toMsat(ch.to_us_msat), 0);
+    const remote = open.reduce((sum, ch) => sum + toMsat(ch.total_msat) - toMsat(ch.to_us_msat), 0);
+    const pending = channels
+      .filter(ch => PENDING_OPEN_STATES.has(ch.state))
+      .reduce((sum, ch) => sum + toMsat(ch.to_us_msat), 0);
+
+    return {
+      balance: Math.floor(local / 1000).toString(),
+      pending_open_balance: Math.floor(pending / 1000).toString(),
+      local_balance: { sat: Math.floor(local / 1000).toString(), msat: local.toString() },
+      remote_balance: { sat: Math.floor(remote / 1000).toString(), msat: remote.toString() }
+    };
+  }
+
+  // List channels
+  async listChannels() {
+    const channels = await this.peerChannels();
+    return {
+      channels: channels
+        .filter(ch => OPEN_STATES.has(ch.state))
+        .map(ch => ({
+          active: !!ch.peer_connected && ch.state === 'CHANNELD_NORMAL',
+          ...this.formatChannel(ch),
+          total_satoshis_sent: toSat(ch.out_fulfilled_msat).toString(),
+          total_satoshis_received: toSat(ch.in_fulfilled_msat).toString(),
+          num_updates: 0
+        }))
+    };
+  }
+
+  // Connected peers in LND's shape; CLN keeps no traffic or ping stats
+  async listPeers() {
+    const { peers = [] } = await this.rpc('listpeers');
+    return {
+      peers: peers
+        .filter(peer => peer.connected)
+        .map(peer => ({
+          pub_key: peer.id,
+          address: peer.netaddr?.[0] || '',
+          bytes_sent: '0',
+          bytes_recv: '0',
+          sat_sent: '0',
+          sat_recv: '0',
+          inbound: false,
+          ping_time: '0',
+          sync_type: 'UNKNOWN_SYNC',
+          features: {},
+          errors: [],
+          flap_count: 0,
+          last_flap_ns: '0'
+        }))
+    };
+  }
+
+  // Disconnect from a connected peer
+  async disconnectPeer(pubkey) {
+    await this.rpc('disconnect', { id: pubkey });
+    return {};
+  }
+
+  // Connect to a peer; an existing connection is not an error
+  async connectPeer(pubkey, host) {
+    await this.rpc('connect', { id: host ? `${pubkey}@${host}` : pubkey });
+    return {};
+  }
+
+  /**
+   * Poll our channel until `isDone(channel)` holds (channel is undefined
+   * once CLN no longer lists it), then report `progress` to `onUpdate`
+   */
+  watchChannel(channelPoint, isDone, progress, onUpdate) {
+    if (!onUpdate) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const channels = await this.peerChannels();
+        const channel = channels.find(ch => `${ch.funding_txid}:${ch.funding_outnum}` === channelPoint);
+        if (!isDone(channel)) return;
+        clearInterval(timer);
+        onUpdate(progress);
+      } catch (error) {
+        clearInterval(timer);
+        onUpdate({ ...progress, status: 'failed', error: error.toJSON ? error.toJSON() : { message: error.message } });
+      }
+    }, CHANNEL_POLL_MS);
+    timer.unref();
+  }
+
+  /**
+   * Open a channel and resolve once the funding transaction is broadcast
+   * The channel becoming usable is reported to `onUpdate`
+   */
+  async openChannel({ nodePubkey, localFundingAmount, pushSat = 0, private: isPrivate = false, satPerVbyte, onUpdate = null }) {
+    const funding = await this.rpc('fundchannel', {
+      id: nodePubkey,
+      amount: localFundingAmount,
+      announce: !isPrivate,
+      push_msat: pushSat ? pushSat * 1000 : undefined,
+      // sat/vB → sat per 1000 vbytes
+      feerate: satPerVbyte ? `${satPerVbyte * 1000}perkb` : undefined
+    }, { timeout: 0 });
+
+    const channelPoint = `${funding.txid}:${funding.outnum}`;
+    const progress = {
+      action: 'open',
+      status: 'pending',
+      pubkey: nodePubkey,
+      funding_txid: funding.txid,
+      output_index: funding.outnum,
+      channel_point: channelPoint
+    };
+    if (onUpdate) onUpdate(progress);
+
+    this.watchChannel(channelPoint, ch => ch && OPEN_STATES.has(ch.state), { ...progress, status: 'open' }, onUpdate);
+    return progress;
+  }
+
+  /**
+   * Close a channel and resolve once the closing transaction is broadcast
+   * The close being seen on chain is reported to `onUpdate`
+   */
+  async closeChannel(channelPoint, { force = false, satPerVbyte, deliveryAddress, onUpdate = null } = {}) {
+    const channel = await this.findChannel(channelPoint);
+    const feerate = satPerVbyte ? `${satPerVbyte * 1000}perkb` : undefined;
+
+    const closing = await this.rpc('close', {
+      id: channel.short_channel_id || channel.channel_id,
+      // Give up on negotiating after a second and broadcast our commitment
+      unilateraltimeout: force ? 1 : undefined,
+      destination: deliveryAddress,
+      feerange: feerate ? [feerate, feerate] : undefined
+    }, { timeout: 0 });
+
+    const progress = {
+      action: 'close',
+      status: 'pending',
+      channel_point: channelPoint,
+      force,
+      closing_txid: closing.txid || ''
+    };
+    if (onUpdate) onUpdate(progress);
+
+    this.watchChannel(
+      channelPoint,
+      ch => !ch || ch.state === 'FUNDING_SPEND_SEEN' || ch.state === 'ONCHAIN',
+      { ...progress, status: 'closed' },
+      onUpdate
+    );
+    return progress;
+  }
+
+  // Channels being opened or closed
+  async pendingChannels() {
+    const channels = await this.peerChannels();
+    const pending = (ch) => {
+      const { remote_pubkey, initiator, chan_id, ...channel } = this.formatChannel(ch);
+      return {
+        ...channel,
+        remote_node_pub: remote_pubkey,
+        initiator: initiator ? 'INITIATOR_LOCAL' : 'INITIATOR_REMOTE'
+      };
+    };
+    const closing = ch => ({
+      channel: pending(ch),
+      limbo_balance: toSat(ch.to_us_msat).toString(),
+      // listpeerchannels does not name the closing transaction
+      closing_txid: ''
+    });
+
+    const waitingClose = channels.filter(ch => WAITING_CLOSE_STATES.has(ch.state));
+    const forceClosing = channels.filter(ch => FORCE_CLOSING_STATES.has(ch.state));
+
+    return {
+      total_limbo_balance: [...waitingClose, ...forceClosing]
+        .reduce((sum, ch) => sum + toSat(ch.to_us_msat), 0)
+        .toString(),
+      pending_open_channels: channels
+        .filter(ch => PENDING_OPEN_STATES.has(ch.state))
+        .map(ch => ({
+          channel: pending(ch),
+          commit_fee: toSat(ch.last_tx_fee_msat).toString(),
+          confirmation_height: 0
+        })),
+      pending_force_closing_channels: forceClosing.map(ch => ({
+        ...closing(ch),
+        maturity_height: 0,
+        blocks_til_maturity: 0
+      })),
+      waiting_close_channels: waitingClose.map(closing)
+    };
+  }
+
+  // Closed channels; with no filter set every close type is returned
+  async closedChannels(filters = {}) {
+    const types = Object.entries(CLOSE_TYPE_FILTERS)
+      .filter(([filter]) => filters[filter])
+      .map(([, closeType]) => closeType);
+    const initiator = side => (side === 'local' ? 'INITIATOR_LOCAL' : side === 'remote' ? 'INITIATOR_REMOTE' : 'INITIATOR_UNKNOWN');
+
+    const { closedchannels = [] } = await this.rpc('listclosedchannels');
+    return {
+      channels: closedchannels
+        .map(ch => ({
+          channel_point: `${ch.funding_txid}:${ch.funding_outnum}`,
+          chan_id: ch.short_channel_id ? scidToChanId(ch.short_channel_id) : '0',
+          remote_pubkey: ch.peer_id || '',
+          capacity: toSat(ch.total_msat).toString(),
+          close_height: 0,
+          settled_balance: toSat(ch.final_to_us_msat).toString(),
+          time_locked_balance: '0',
+          close_type: CLOSE_CAUSES[ch.close_cause] || 'COOPERATIVE_CLOSE',
+          closing_tx_hash: '',
+          open_initiator: initiator(ch.opener),
+          close_initiator: initiator(ch.closer)
+        }))
+        .filter(c => !types.length || types.includes(c.close_type))
+    };
+  }
+
+  /**
+   * Channel edge from the gossip store, with the routing policy of both
+   * ends. Our unannounced channels are not gossiped, so they are built
+   * from listpeerchannels instead.
+   */
+  async getChanInfo(chanId) {
+    const scid = chanIdToScid(chanId);
+    const [{ channels: halves = [] }, ours] = await Promise.all([
+      this.rpc('listchannels', { short_channel_id: scid }),
+      this.peerChannels().then(channels => channels.find(ch => ch.short_channel_id === scid))
+    ]);
+
+    const chanPoint = ours ? `${ours.funding_txid}:${ours.funding_outnum}` : '';
+    if (halves.length) {
+      return gossipEdge(chanId, halves, chanPoint);
+    }
+
+    if (!ours) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'edge not found', 404);
+    }
+    const active = !!ours.peer_connected && ours.state === 'CHANNELD_NORMAL';
+    const policies = {
+      [this.identityPubkey]: localPolicy(ours.updates?.local, active),
+      [ours.peer_id]: localPolicy(ours.updates?.remote, active)
+    };
+    const [node1, node2] = [this.identityPubkey, ours.peer_id].sort();
+    return {
+      channel_id: chanId,
+      chan_point: chanPoint,
+      last_update: 0,
+      node1_pub: node1,
+      node2_pub: node2,
+      capacity: toSat(ours.total_msat).toString(),
+      node1_policy: policies[node1],
+      node2_policy: policies[node2]
+    };
+  }
+
+  // Node announcement from gossip, with its channels and their policies
+  async getNodeInfo(pubkey) {
+    const [{ nodes = [] }, { channels: outgoing = [] }, { channels: incoming = [] }] = await Promise.all([
+      this.rpc('listnodes', { id: pubkey }),
+      this.rpc('listchannels', { source: pubkey }),
+      this.rpc('listchannels', { destination: pubkey })
+    ]);
+    const [node] = nodes;
+    if (!node && !outgoing.length && !incoming.length) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to find node', 404);
+    }
+
+    // Both directions of each channel, by short channel id
+    const halves = new Map();
+    [...outgoing, ...incoming].forEach((half) => {
+      halves.set(half.short_channel_id, [...(halves.get(half.short_channel_id) || []), half]);
+    });
+    const channels = Array.from(halves, ([scid, pair]) => gossipEdge(scidToChanId(scid), pair));
+
+    return {
+      node: {
+        last_update: node?.last_timestamp || 0,
+        pub_key: pubkey,
+        alias: node?.alias || '',
+        addresses: (node?.addresses || []).map(a => ({ network: 'tcp', addr: `${a.address}:${a.port}` })),
+        color: node?.color ? `#${node.color}` : '',
+        features: {}
+      },
+      num_channels: channels.length,
+      total_capacity: channels.reduce((sum, c) => sum + parseInt(c.capacity), 0).toString(),
+      channels
+    };
+  }
+
+  /**
+   * getroute to `pubkey`; null when there is no route
+   */
+  async findRoute(pubkey, amountSat) {
+    try {
+      const { route } = await this.rpc('getroute', { id: pubkey, amount_msat: amountSat * 1000, riskfactor: 10 });
+      return route;
+    } catch (error) {
+      if (error.details?.rpcCode === 205) return null;
+      throw error;
+    }
+  }
+
+  // Find a route to `pubkey` for `amountSat`; { routes: [] } when there is none
+  async queryRoutes(pubkey, amountSat, { feeLimitSat } = {}) {
+    const [route, info] = await Promise.all([this.findRoute(pubkey, amountSat), this.rpc('getinfo')]);
+    if (!route) return { routes: [], success_prob: 0 };
+
+    const formatted = formatRoute(route, info.blockheight);
+    if (feeLimitSat !== undefined && parseInt(formatted.total_fees_msat) > feeLimitSat * 1000) {
+      return { routes: [], success_prob: 0 };
+    }
+    // getroute gives no success estimate
+    return { routes: [formatted], success_prob: null };
+  }
+
+  /**
+   * Send one HTLC along a getroute route with a payment hash nobody has
+   * the preimage for; a rejection by the destination itself proves the
+   * route works. Resolves with an LND-style failed payment
+   */
+  async probePayment(pubkey, amountSat, { feeLimitSat = 100, timeoutSeconds = 60 } = {}) {
+    const paymentHash = crypto.randomBytes(32).toString('hex');
+    const [route, info] = await Promise.all([this.findRoute(pubkey, amountSat), this.rpc('getinfo')]);
+    const formatted = route && formatRoute(route, info.blockheight);
+    const payment = {
+      payment_hash: paymentHash,
+      value_sat: amountSat.toString(),
+      creation_time_ns: nowNs(),
+      status: 'FAILED',
+      fee_sat: '0',
+      payment_preimage: '',
+      failure_reason: 'FAILURE_REASON_NO_ROUTE',
+      htlcs: [],
+      type: 'probe'
+    };
+    if (!formatted || parseInt(formatted.total_fees_msat) > feeLimitSat * 1000) {
+      return payment;
+    }
+
+    await this.rpc('sendpay', { route, payment_hash: paymentHash });
+    let failure;
+    try {
+      await this.rpc('waitsendpay', { payment_hash: paymentHash, timeout: timeoutSeconds }, { timeout: (timeoutSeconds + 30) * 1000 });
+      failure = { code: 'UNKNOWN_FAILURE', failure_source_index: 0 };
+    } catch (error) {
+      const data = error.details?.data;
+      if (!data || data.erring_index === undefined) {
+        payment.failure_reason = PAYMENT_FAILURES[error.details?.rpcCode] || 'FAILURE_REASON_ERROR';
+        return payment;
+      }
+      failure = {
+        code: (data.failcodename || 'UNKNOWN_FAILURE').replace(/^WIRE_/, ''),
+        failure_source_index: data.erring_index
+      };
+    }
+
+    payment.failure_reason = failure.code === 'INCORRECT_OR_UNKNOWN_PAYMENT_DETAILS' && failure.failure_source_index === route.length
+      ? 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS'
+      : 'FAILURE_REASON_NO_ROUTE';
+    payment.htlcs = [{
+      attempt_id: '1',
+      status: 'FAILED',
+      route: formatted,
+      attempt_time_ns: payment.creation_time_ns,
+      resolve_time_ns: nowNs(),
+      failure
+    }];
+    return payment;
+  }
+
+  /**
+   * Set the routing policy of one channel
+   * CLN's CLTV delta is node-wide (cltv-delta option), so time_lock_delta
+   * is not applied per channel
+   */
+  async updateChannelPolicy(channelPoint, policy) {
+    const channel = await this.findChannel(channelPoint);
+    await this.rpc('setchannel', {
+      id: channel.short_channel_id || channel.channel_id,
+      feebase: policy.base_fee_msat,
+      feeppm: policy.fee_rate_ppm,
+      htlcmin: policy.min_htlc_msat,
+      htlcmax: policy.max_htlc_msat
+    });
+    return { failed_updates: [] };
+  }
+
+  // New on-chain wallet address (see ADDRESS_TYPES)
+  async newAddress(type = 'p2wkh') {
+    const addresstype = type === 'p2tr' ? 'p2tr' : 'bech32';
+    const result = await this.rpc('newaddr', { addresstype });
+    return { address: result[addresstype] };
+  }
+
+  /**
+   * Send on-chain funds with withdraw
+   * targetConf maps onto CLN's named feerates; only the default coin
+   * selection (or explicit outpoints) is available, and labels are not
+   * stored
+   */
+  async sendCoins(address, amount, options = {}) {
+    const {
+      sendAll = false,
+      satPerVbyte,
+      targetConf,
+      minConfs = 1,
+      spendUnconfirmed = false,
+      coinSelection = 'default',
+      outpoints = []
+    } = options;
+
+    if (coinSelection !== 'default') {
+      throw notSupported(`coin_selection "${coinSelection}" is not supported by CLN`);
+    }
+
+    const { txid } = await this.rpc('withdraw', {
+      destination: address,
+      satoshi: sendAll ? 'all' : amount,
+      feerate: satPerVbyte ? `${satPerVbyte * 1000}perkb` : feerateForTarget(targetConf || 6),
+      minconf: spendUnconfirmed ? 0 : minConfs,
+      utxos: outpoints.length ? outpoints : undefined
+    });
+    return { txid };
+  }
+
+  // Wallet UTXOs with between minConfs and maxConfs confirmations
+  async listUnspent(minConfs = 1, maxConfs = 2147483647) {
+    const [{ blockheight }, { outputs = [] }] = await Promise.all([
+      this.rpc('getinfo'),
+      this.rpc('listfunds')
+    ]);
+
+    const utxos = outputs
+      .filter(o => !o.reserved && o.status !== 'spent')
+      .map(o => ({
+        address_type: addressType(o.address),
+        address: o.address || '',
+        amount_sat: toSat(o.amount_msat).toString(),
+        pk_script: o.scriptpubkey || '',
+        outpoint: {
+          txid_bytes: Buffer.from(o.txid, 'hex').reverse().toString('hex'),
+          txid_str: o.txid,
+          output_index: o.output
+        },
+        confirmations: (o.status === 'confirmed' && o.blockheight ? blockheight - o.blockheight + 1 : 0).toString()
+      }))
+      .filter(u => parseInt(u.confirmations) >= minConfs && parseInt(u.confirmations) <= maxConfs);
+
+    return { utxos };
+  }
+
+  /**
+   * Wallet transactions, including unconfirmed ones
+   * Amounts are net of our inputs and outputs; the fee is only known when
+   * every input is ours. indexOffset/maxTransactions page through the
+   * history (0 = all).
+   */
+  async getTransactions({ startHeight = 0, endHeight = -1, indexOffset = 0, maxTransactions = 0 } = {}) {
+    const [{ blockheight }, { transactions = [] }, { outputs = [] }] = await Promise.all([
+      this.rpc('getinfo'),
+      this.rpc('listtransactions'),
+      this.rpc('listfunds', { spent: true })
+    ]);
+
+    // txid:index → our wallet output
+    const owned = new Map(outputs.map(o => [`${o.txid}:${o.output}`, o]));
+
+    const history = transactions
+      .filter(tx => (tx.blockheight || Infinity) >= startHeight
+        && (endHeight === -1 || (tx.blockheight && tx.blockheight <= endHeight)))
+      // Oldest first, unconfirmed last
+      .sort((a, b) => (a.blockheight || Infinity) - (b.blockheight || Infinity))
+      .map((tx) => {
+        const inputs = (tx.inputs || []).map(input => ({
+          outpoint: `${input.txid}:${input.index}`,
+          is_our_output: owned.has(`${input.txid}:${input.index}`)
+        }));
+        const outputDetails = (tx.outputs || []).map((output) => {
+          const ours = owned.get(`${tx.hash}:${output.index}`);
+          return {
+            output_type: '',
+            address: ours?.address || '',
+            pk_script: output.scriptPubKey || '',
+            output_index: output.index.toString(),
+            amount: toSat(output.amount_msat).toString(),
+            is_our_address: !!ours
+          };
+        });
+
+        const spent = inputs
+          .filter(input => input.is_our_output)
+          .reduce((sum, input) => sum + toSat(owned.get(input.outpoint).amount_msat), 0);
+        const received = outputDetails
+          .filter(output => output.is_our_address)
+          .reduce((sum, output) => sum + parseInt(output.amount), 0);
+        const allOurs = inputs.length && inputs.every(input => input.is_our_output);
+        const fee = allOurs ? spent - outputDetails.reduce((sum, output) => sum + parseInt(output.amount), 0) : 0;
+
+        return {
+          tx_hash: tx.hash,
+          amount: (received - spent).toString(),
+          num_confirmations: tx.blockheight ? blockheight - tx.blockheight + 1 : 0,
+          block_hash: '',
+          block_height: tx.blockheight || 0,
+          time_stamp: '0',
+          total_fees: fee.toString(),
+          dest_addresses: outputDetails.map(o => o.address).filter(Boolean),
+          output_details: outputDetails,
+          raw_tx_hex: tx.rawtx || '',
+          label: '',
+          previous_outpoints: inputs
+        };
+      });
+
+    const page = history.slice(indexOffset, maxTransactions ? indexOffset + maxTransactions : undefined);
+    return {
+      transactions: page,
+      first_index: indexOffset.toString(),
+      last_index: (indexOffset + page.length).toString()
+    };
+  }
+
+  /**
+   * A listinvoices (or listholdinvoices) entry as an LND Invoice
+   */
+  formatInvoice(invoice) {
+    let decoded = null;
+    if (invoice.bolt11) {
+      try {
+        decoded = decodeBolt11(invoice.bolt11);
+      } catch {
+        decoded = null;
+      }
+    }
+
+    const creationDate = decoded ? parseInt(decoded.timestamp) : (invoice.paid_at || 0);
+    // Hold invoices carry a state and only their bolt11
+    const status = invoice.hold ? invoice.state : invoice.status;
+    const state = invoice.hold ? HOLD_INVOICE_STATES[status] : INVOICE_STATES[status];
+    const amountMsat = invoice.hold ? parseInt(decoded?.num_msat || '0') : toMsat(invoice.amount_msat);
+    const paidMsat = invoice.hold
+      ? (state === 'ACCEPTED' || state === 'SETTLED' ? amountMsat : 0)
+      : toMsat(invoice.amount_received_msat);
+    return {
+      memo: invoice.hold ? decoded?.description || '' : invoice.description || '',
+      r_preimage: (invoice.hold ? invoice.preimage : invoice.payment_preimage) || '',
+      r_hash: invoice.payment_hash,
+      value: Math.floor(amountMsat / 1000).toString(),
+      value_msat: amountMsat.toString(),
+      settled: status === 'paid',
+      creation_date: creationDate.toString(),
+      settle_date: (invoice.paid_at || 0).toString(),
+      payment_request: invoice.bolt11 || invoice.bolt12 || '',
+      expiry: (decoded ? parseInt(decoded.expiry) : Math.max(0, (invoice.expires_at || 0) - creationDate)).toString(),
+      cltv_expiry: decoded?.cltv_expiry || '0',
+      add_index: (invoice.created_index || 0).toString(),
+      settle_index: (invoice.pay_index || 0).toString(),
+      amt_paid_sat: Math.floor(paidMsat / 1000).toString(),
+      amt_paid_msat: paidMsat.toString(),
+      state: state || 'OPEN',
+      payment_addr: decoded?.payment_addr || '',
+      is_keysend: /^keysend-/.test(invoice.label || ''),
+      is_amp: false,
+      amp_invoice_state: {},
+      htlcs: [],
+      // BOLT12 offer this invoice was issued for
+      local_offer_id: invoice.local_offer_id || ''
+    };
+  }
+
+  // An invoice, or a hold invoice (marked `hold`) when listinvoices has none
+  async findInvoice(rHash) {
+    const { invoices = [] } = await this.rpc('listinvoices', { payment_hash: rHash });
+    const invoice = invoices[0] || await this.findHoldInvoice(rHash);
+    if (!invoice) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to locate invoice', 404);
+    }
+    return invoice;
+  }
+
+  // A hold invoice; null when there is none or the plugin is not loaded
+  async findHoldInvoice(paymentHash) {
+    try {
+      const { holdinvoices = [] } = await this.rpc('listholdinvoices', { payment_hash: paymentHash });
+      return holdinvoices.length ? { ...holdinvoices[0], hold: true } : null;
+    } catch (error) {
+      if (error.code === ERROR_CODES.NOT_SUPPORTED) return null;
+      throw error;
+    }
+  }
+
+  // Create invoice
+  async createInvoice(amount, memo = '', expiry = 3600) {
+    // Generate the preimage locally so callers can reference it
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+    const invoice = await this.rpc('invoice', {
+      amount_msat: amount ? amount * 1000 : 'any',
+      label: `lightning-hub-${paymentHash}`,
+      description: memo,
+      expiry,
+      preimage
+    });
+
+    return {
+      r_hash: invoice.payment_hash,
+      payment_request: invoice.bolt11,
+      add_index: (invoice.created_index || 0).toString(),
+      payment_addr: invoice.payment_secret,
+      preimage
+    };
+  }
+
+  // List invoices, paginated by add_index (CLN's created_index)
+  async listInvoices({ indexOffset = 0, numMaxInvoices = 100, reversed = false, pendingOnly = false } = {}) {
+    const offset = Number(indexOffset);
+    const wanted = inv => !pendingOnly || inv.state === 'OPEN';
+    const page = (start, limit) => this.rpc('listinvoices', { index: 'created', start, limit })
+      .then(({ invoices = [] }) => invoices.map(invoice => this.formatInvoice(invoice)));
+
+    let candidates = [];
+    if (reversed) {
+      // Invoices before the offset (or the newest ones), still returned
+      // oldest first; deleted and filtered invoices leave gaps, so windows
+      // are read back from the end until the page is full
+      let end = offset || (await this.rpc('wait', { subsystem: 'invoices', indexname: 'created', nextvalue: 0 })).created + 1;
+      while (candidates.length < numMaxInvoices && end > 1) {
+        const start = Math.max(1, end - numMaxInvoices);
+        candidates = [...(await page(start, end - start)).filter(wanted), ...candidates];
+        end = start;
+      }
+      candidates = candidates.slice(-numMaxInvoices);
+    } else {
+      let start = offset + 1;
+      for (;;) {
+        const invoices = await page(start, numMaxInvoices);
+        candidates.push(...invoices.filter(wanted));
+        if (invoices.length < numMaxInvoices || candidates.length >= numMaxInvoices) break;
+        start = Number(invoices[invoices.length - 1].add_index) + 1;
+      }
+      candidates = candidates.slice(0, numMaxInvoices);
+    }
+
+    return {
+      invoices: candidates,
+      first_index_offset: candidates.length ? candidates[0].add_index : '0',
+      last_index_offset: candidates.length ? candidates[candidates.length - 1].add_index : '0'
+    };
+  }
+
+  // Look up a single invoice by payment hash (hex)
+  async lookupInvoice(rHash) {
+    return this.formatInvoice(await this.findInvoice(rHash));
+  }
+
+  /**
+   * Create a hold invoice for a payment hash whose preimage we keep
+   * Needs a hold invoice plugin, which CLN does not ship with. Written
+   * against BoltzExchange's hold plugin (github.com/BoltzExchange/hold),
+   * the Python v0.0.x releases: holdinvoice takes payment_hash, amount
+   * (msat), memo, expiry and min_final_cltv_expiry, and rejects any other
+   * parameter. Other hold plugins are untested
+   */
+  async createHoldInvoice(paymentHash, amount, memo = '', expiry = 3600, cltvExpiry = 0) {
+    const { bolt11 } = await this.rpc('holdinvoice', {
+      payment_hash: paymentHash,
+      amount: amount * 1000,
+      memo,
+      expiry,
+      min_final_cltv_expiry: cltvExpiry || undefined
+    });
+
+    return {
+      r_hash: paymentHash,
+      payment_request: bolt11,
+      add_index: '0',
+      payment_addr: decodeBolt11(bolt11).payment_addr || ''
+    };
+  }
+
+  // Settle an accepted hold invoice by revealing its preimage (hex)
+  async settleInvoice(preimage) {
+    await this.rpc('settleholdinvoice', { preimage });
+    return {};
+  }
+
+  // Cancel a hold invoice, or delete an unpaid invoice so it can no longer be paid
+  async cancelInvoice(paymentHash) {
+    const invoice = await this.findInvoice(paymentHash);
+    if (invoice.hold) {
+      await this.rpc('cancelholdinvoice', { payment_hash: paymentHash });
+    } else {
+      await this.rpc('delinvoice', { label: invoice.label, status: invoice.status });
+    }
+    return {};
+  }
+
+  /**
+   * Follow one invoice until it is paid or expires, starting with its
+   * current state. Returns a function that stops the subscription
+   */
+  subscribeSingleInvoice(paymentHash, callback) {
+    this.ensureConnected();
+
+    const subscription = { paymentHash, callback, controller: null };
+    this.singleInvoiceSubscriptions.add(subscription);
+    this.openSingleInvoiceStream(subscription);
+
+    return () => {
+      this.singleInvoiceSubscriptions.delete(subscription);
+      subscription.controller?.abort();
+    };
+  }
+
+  openSingleInvoiceStream(subscription) {
+    const { paymentHash, callback } = subscription;
+    const controller = new AbortController();
+    subscription.controller = controller;
+
+    const follow = async () => {
+      let invoice = await this.findInvoice(paymentHash);
+      callback(this.formatInvoice(invoice));
+      if (invoice.hold) return this.pollHoldInvoice(invoice, callback, controller.signal);
+
+      while (invoice.status === 'unpaid' && !controller.signal.aborted) {
+        try {
+          invoice = await this.rpc('waitinvoice', { label: invoice.label }, { timeout: 0, signal: controller.signal });
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          if (error.details?.rpcCode !== INVOICE_EXPIRED) throw error;
+          invoice = await this.findInvoice(paymentHash);
+        }
+        if (!controller.signal.aborted) callback(this.formatInvoice(invoice));
+      }
+    };
+
+    follow()
+      .then(() => this.singleInvoiceSubscriptions.delete(subscription))
+      .catch((error) => {
+        // Left in place for restoreStreams() when the node went away
+        if (!this.isConnectionError(error)) this.singleInvoiceSubscriptions.delete(subscription);
+        console.error(`Invoice ${paymentHash.slice(0, 8)} stream error:`, error.message);
+      })
+      .finally(() => {
+        if (subscription.controller === controller) subscription.controller = null;
+      });
+  }
+
+  /**
+   * Report each state change of a hold invoice until it is paid or
+   * cancelled
+   */
+  async pollHoldInvoice(invoice, callback, signal) {
+    let { state } = invoice;
+    while (state !== 'paid' && state !== 'cancelled') {
+      await sleep(this.holdInvoicePollMs, signal);
+      if (signal.aborted) return;
+
+      const current = await this.findHoldInvoice(invoice.payment_hash);
+      if (signal.aborted) return;
+      if (!current) throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to locate invoice', 404);
+      if (current.state === state) continue;
+      state = current.state;
+      callback(this.formatInvoice(current));
+    }
+  }
+
+  /**
+   * Describe a BOLT11 or BOLT12 invoice for payment progress updates
+   */
+  async describeInvoice(paymentRequest) {
+    if (/^lni/i.test(paymentRequest)) {
+      const decoded = await this.rpc('decode', { string: paymentRequest });
+      return { hash: decoded.invoice_payment_hash, amountMsat: toMsat(decoded.invoice_amount_msat) };
+    }
+    const decoded = decodeBolt11(paymentRequest);
+    return { hash: decoded.payment_hash, amountMsat: parseInt(decoded.num_msat) };
+  }
+
+  /**
+   * Run `pay` (a pay, keysend or sendpay call resolving with CLN's payment
+   * result) and report progress to payment subscribers in the shape of
+   * LND's Router payment stream, tagged with `type`
+   */
+  async sendPayment(pay, { type, paymentHash = '', paymentRequest = '', amountMsat = 0, onUpdate = null }) {
+    const startedNs = nowNs();
+    const base = {
+      payment_hash: paymentHash,
+      value_sat: Math.floor(amountMsat / 1000).toString(),
+      payment_request: paymentRequest,
+      creation_time_ns: startedNs,
+      failure_reason: 'FAILURE_REASON_NONE',
+      payment_preimage: '',
+      fee_sat: '0',
+      htlcs: [],
+      type
+    };
+    const emit = (update) => {
+      const payment = { ...base, ...update };
+      this.paymentSubscribers.forEach(cb => cb(payment));
+      if (onUpdate) onUpdate(payment);
+      return payment;
+    };
+
+    // keysend picks its own payment hash, so it is only known afterwards
+    if (paymentHash) emit({ status: 'IN_FLIGHT' });
+
+    let result;
+    try {
+      result = await pay();
+    } catch (error) {
+      const reason = PAYMENT_FAILURES[error.details?.rpcCode];
+      if (!reason) throw error;
+
+      const failed = emit({
+        status: 'FAILED',
+        failure_reason: reason,
+        payment_hash: paymentHash || error.details.data?.payment_hash || ''
+      });
+      return {
+        payment_error: reason,
+        payment_preimage: '',
+        payment_route: null,
+        payment_hash: failed.payment_hash,
+        fee_sat: '0',
+        status: 'FAILED'
+      };
+    }
+
+    const amount = toMsat(result.amount_msat);
+    const sent = toMsat(result.amount_sent_msat);
+    // CLN reports totals per payment, not the hops each part took
+    const route = {
+      total_amt: Math.floor(sent / 1000).toString(),
+      total_amt_msat: sent.toString(),
+      total_fees: Math.floor((sent - amount) / 1000).toString(),
+      total_fees_msat: (sent - amount).toString(),
+      hops: result.destination ? [{
+        chan_id: '0',
+        pub_key: result.destination,
+        amt_to_forward: Math.floor(amount / 1000).toString(),
+        fee: '0'
+      }] : []
+    };
+    emit({
+      status: 'SUCCEEDED',
+      payment_hash: result.payment_hash,
+      value_sat: Math.floor(amount / 1000).toString(),
+      payment_preimage: result.payment_preimage,
+      fee_sat: route.total_fees,
+      htlcs: [{
+        attempt_id: '1',
+        status: 'SUCCEEDED',
+        route,
+        attempt_time_ns: startedNs,
+        resolve_time_ns: nowNs()
+      }]
+    });
+
+    return {
+      payment_error: '',
+      payment_preimage: result.payment_preimage,
+      payment_route: route,
+      payment_hash: result.payment_hash,
+      fee_sat: route.total_fees,
+      status: 'SUCCEEDED'
+    };
+  }
+
+  /**
+   * Pay a BOLT11 invoice, or a BOLT12 invoice from fetchInvoice
+   * Takes LNDClient.buildRoutingRequest's options; maxParts is left to
+   * CLN. Pinning the first or last hop pays one getroute route with
+   * sendpay instead of using pay.
+   */
+  async payInvoice(paymentRequest, options = {}) {
+    // Older callers pass a flat fee cap in sats
+    const opts = typeof options === 'number' ? { feeLimitSat: options } : options;
+    const { amountSat, feeLimitSat, feeLimitPpm, timeoutSeconds = 60, outgoingChanId, lastHopPubkey, allowSelfPayment = false, onUpdate } = opts;
+
+    const { hash, amountMsat } = await this.describeInvoice(paymentRequest);
+    const totalMsat = amountSat ? amountSat * 1000 : amountMsat;
+    const maxFeeMsat = feeLimitPpm !== undefined
+      ? Math.floor(totalMsat * feeLimitPpm / 1000000)
+      : (feeLimitSat ?? 100) * 1000;
+    const progress = { type: 'invoice', paymentHash: hash, paymentRequest, amountMsat: totalMsat, onUpdate };
+
+    if (outgoingChanId || lastHopPubkey) {
+      return this.sendPayment(() => this.payAlongRoute(paymentRequest, {
+        amountMsat: totalMsat,
+        maxFeeMsat,
+        timeoutSeconds,
+        outgoingChanId,
+        lastHopPubkey,
+        allowSelfPayment
+      }), progress);
+    }
+
+    return this.sendPayment(() => this.rpc('pay', {
+      bolt11: paymentRequest,
+      amount_msat: amountSat ? amountSat * 1000 : undefined,
+      maxfee: maxFeeMsat,
+      retry_for: timeoutSeconds
+    }, { timeout: (timeoutSeconds + 30) * 1000 }), progress);
+  }
+
+  /**
+   * Pay a BOLT11 invoice along one route through `outgoingChanId` and/or
+   * from `lastHopPubkey`, with sendpay; resolves like pay once the
+   * payment is final
+   */
+  async payAlongRoute(paymentRequest, { amountMsat, maxFeeMsat, timeoutSeconds, outgoingChanId, lastHopPubkey, allowSelfPayment }) {
+    if (/^lni/i.test(paymentRequest)) {
+      throw notSupported('Choosing the first or last hop is only supported for BOLT11 invoices on CLN');
+    }
+
+    const decoded = decodeBolt11(paymentRequest);
+    const route = await this.buildRoute(decoded.destination, amountMsat, {
+      cltv: parseInt(decoded.cltv_expiry) || DEFAULT_FINAL_CLTV,
+      outgoingChanId,
+      lastHopPubkey,
+      allowSelfPayment
+    });
+    if (!route || route[0].amount_msat - amountMsat > maxFeeMsat) {
+      throw new HubError(ERROR_CODES.CLN_RPC_ERROR, 'No route through the requested hops within the fee limit', 502, { rpcCode: 205 });
+    }
+
+    await this.rpc('sendpay', {
+      route,
+      payment_hash: decoded.payment_hash,
+      payment_secret: decoded.payment_addr,
+      bolt11: paymentRequest,
+      amount_msat: amountMsat
+    });
+    return this.rpc('waitsendpay', {
+      payment_hash: decoded.payment_hash,
+      timeout: timeoutSeconds
+    }, { timeout: (timeoutSeconds + 30) * 1000 });
+  }
+
+  /**
+   * Routing policy of the channel `from` uses to reach `to`: our own
+   * channel with that peer when we are `to`, otherwise from gossip
+   * (`scid` narrows it to one channel). Null when there is none
+   */
+  async channelPolicy(from, to, { scid, channels = [], exclude = [] } = {}) {
+    if (to === this.identityPubkey) {
+      const ours = channels.find(ch => ch.peer_id === from && OPEN_STATES.has(ch.state)
+        && ch.updates?.remote && !exclude.includes(ch.short_channel_id));
+      return ours && {
+        scid: ours.short_channel_id,
+        baseMsat: toMsat(ours.updates.remote.fee_base_msat),
+        ppm: ours.updates.remote.fee_proportional_millionths,
+        delay: ours.updates.remote.cltv_expiry_delta
+      };
+    }
+
+    const { channels: halves = [] } = await this.rpc('listchannels', scid ? { short_channel_id: scid } : { source: from, destination: to });
+    const half = halves.find(h => h.source === from && h.destination === to && h.active);
+    return half && {
+      scid: half.short_channel_id,
+      baseMsat: half.base_fee_millisatoshi,
+      ppm: half.fee_per_millionth,
+      delay: half.delay
+    };
+  }
+
+  /**
+   * A sendpay route paying `amountMsat` to `destination`, whose first hop
+   * is our channel `outgoingChanId` and/or whose last hop comes from
+   * `lastHopPubkey`. The hops between are found with getroute. Paying
+   * ourselves (a circular rebalance) needs allowSelfPayment and a last
+   * hop. Null when there is no such route.
+   */
+  async buildRoute(destination, amountMsat, { cltv, outgoingChanId, lastHopPubkey, allowSelfPayment }) {
+    const self = destination === this.identityPubkey;
+    if (self && (!allowSelfPayment || !lastHopPubkey)) return null;
+
+    const channels = await this.peerChannels();
+    let first = null;
+    if (outgoingChanId) {
+      const scid = chanIdToScid(outgoingChanId);
+      first = channels.find(ch => ch.short_channel_id === scid && OPEN_STATES.has(ch.state));
+      if (!first) return null;
+    }
+
+    // Built back to front: each hop carries what its node receives
+    const tail = [];
+    let target = destination;
+    let amount = amountMsat;
+    let delay = cltv;
+
+    if (lastHopPubkey) {
+      const last = await this.channelPolicy(lastHopPubkey, destination, {
+        channels,
+        exclude: first ? [first.short_channel_id] : []
+      });
+      if (!last) return null;
+      tail.unshift(routeHop(destination, lastHopPubkey, last, amount, delay));
+      amount += forwardingFee(last, amount);
+      delay += last.delay;
+      target = lastHopPubkey;
+    }
+
+    const source = first ? first.peer_id : this.identityPubkey;
+    let middle = [];
+    if (source !== target) {
+      try {
+        ({ route: middle } = await this.rpc('getroute', {
+          id: target,
+          amount_msat: amount,
+          riskfactor: 10,
+          cltv: delay,
+          fromid: first ? source : undefined,
+          // A circular route must not pass back through us on the way
+          exclude: self ? [this.identityPubkey] : undefined
+        }));
+      } catch (error) {
+        if (error.details?.rpcCode === 205) return null;
+        throw error;
+      }
+      middle = middle.map(hop => ({ ...hop, amount_msat: toMsat(hop.amount_msat) }));
+    }
+
+    if (!first) return [...middle, ...tail];
+
+    // Our own first hop is free; the peer charges for forwarding onwards
+    let firstAmount = amount;
+    let firstDelay = delay;
+    if (middle.length) {
+      const onward = await this.channelPolicy(source, middle[0].id, { scid: middle[0].channel });
+      if (!onward) return null;
+      firstAmount = middle[0].amount_msat + forwardingFee(onward, middle[0].amount_msat);
+      firstDelay = middle[0].delay + onward.delay;
+    }
+    const head = routeHop(source, this.identityPubkey, { scid: first.short_channel_id }, firstAmount, firstDelay);
+    return [head, ...middle, ...tail];
+  }
+
+  // Send keysend payment with TLV data (for messaging)
+  async sendKeysend(destPubkey, amount, tlvData = {}) {
+    return this.sendPayment(() => this.rpc('keysend', {
+      destination: destPubkey,
+      amount_msat: amount * 1000,
+      maxfee: 100000,
+      retry_for: 60,
+      extratlvs: Object.keys(tlvData).length ? tlvData : undefined
+    }, { timeout: 90000 }), { type: 'keysend', amountMsat: amount * 1000 });
+  }
+
+  /**
+   * Sign with the node key. signmessage signs the message text (here the
+   * hex of `messageHex`) under CLN's "Lightning Signed Message:" prefix
+   * with a double sha256; verifyKeysendSignature accepts that scheme.
+   */
+  async signMessage(messageHex) {
+    const { signature } = await this.rpc('signmessage', { message: messageHex });
+    return { signature };
+  }
+
+  // Decode a BOLT11 invoice (offline, in DecodePayReq's shape)
+  async decodeInvoice(paymentRequest) {
+    return decodeBolt11(paymentRequest);
+  }
+
+  // Subscribe to invoice payments; returns a function that unsubscribes,
+  // stopping the shared loop after the last subscriber
+  subscribeInvoices(callback) {
+    this.invoiceSubscribers.push(callback);
+
+    if (!this.invoiceStream && this.connected) {
+      this.startInvoiceStream();
+    }
+
+    return () => {
+      this.invoiceSubscribers = this.invoiceSubscribers.filter(cb => cb !== callback);
+      if (this.invoiceSubscribers.length === 0 && this.invoiceStream) {
+        this.invoiceStream.stopped = true;
+        this.invoiceStream = null;
+      }
+    };
+  }
+
+  /**
+   * Long-poll waitanyinvoice for payments after the latest pay_index
+   */
+  startInvoiceStream() {
+    const stream = { stopped: false };
+    this.invoiceStream = stream;
+
+    const follow = async () => {
+      if (this.invoicePayIndex === null) {
+        const { invoices = [] } = await this.rpc('listinvoices');
+        this.invoicePayIndex = invoices.reduce((max, invoice) => Math.max(max, invoice.pay_index || 0), 0);
+      }
+
+      while (!stream.stopped) {
+        try {
+          const paid = await this.rpc('waitanyinvoice', {
+            lastpay_index: this.invoicePayIndex,
+            timeout: INVOICE_WAIT_SECONDS
+          }, { timeout: (INVOICE_WAIT_SECONDS + 30) * 1000 });
+          // Unsubscribed meanwhile: leave it for the next loop to replay
+          if (stream.stopped) break;
+
+          this.invoicePayIndex = paid.pay_index;
+          const invoice = this.formatInvoice(paid);
+          this.invoiceSubscribers.forEach(cb => cb(invoice));
+        } catch (error) {
+          if (error.details?.rpcCode === WAIT_TIMEOUT) continue;
+          // restoreStreams() restarts the loop once the node is back
+          if (!this.connected) break;
+          console.error('Invoice stream error:', error.message);
+          await new Promise(resolve => setTimeout(resolve, INVOICE_RETRY_MS));
+        }
+      }
+    };
+
+    follow()
+      .catch((error) => {
+        console.error('Invoice stream error:', error.message);
+      })
+      .finally(() => {
+        if (this.invoiceStream === stream) this.invoiceStream = null;
+      });
+  }
+
+  // Subscribe to payments
+  subscribePayments(callback) {
+    this.paymentSubscribers.push(callback);
+  }
+
+  /**
+   * Outgoing payments, oldest first, paginated by listsendpays'
+   * created_index. A payment whose parts straddle two pages is listed on
+   * both; the later listing has its latest state
+   */
+  async listPayments({ indexOffset = 0, maxPayments = 100 } = {}) {
+    const { payments: parts = [] } = await this.rpc('listsendpays', {
+      index: 'created',
+      start: Number(indexOffset) + 1,
+      limit: maxPayments
+    });
+
+    const byHash = new Map();
+    parts.forEach(part => byHash.set(part.payment_hash, [...(byHash.get(part.payment_hash) || []), part]));
+    const payments = Array.from(byHash.values(), formatSendpays);
+
+    return {
+      payments,
+      first_index_offset: parts.length ? parts[0].created_index.toString() : '0',
+      last_index_offset: parts.length ? parts[parts.length - 1].created_index.toString() : '0'
+    };
+  }
+
+  // A payment by hash, or null if the node never sent it
+  async lookupPayment(paymentHash) {
+    const { payments: parts = [] } = await this.rpc('listsendpays', { payment_hash: paymentHash });
+    return parts.length ? formatSendpays(parts) : null;
+  }
+
+  // Get forwarding history (for routing stats)
+  // indexOffset pages through the events between startTime and endTime
+  async getForwardingHistory(startTime, endTime, maxEvents = 100, indexOffset = 0) {
+    const { forwards = [] } = await this.rpc('listforwards', { status: 'settled' });
+
+    const events = forwards
+      .map((fwd) => {
+        const settledAt = fwd.resolved_time || fwd.received_time;
+        const amtIn = toMsat(fwd.in_msat);
+        const amtOut = toMsat(fwd.out_msat);
+        return {
+          timestamp: Math.floor(settledAt),
+          timestamp_ns: (BigInt(Math.floor(settledAt * 1000)) * 1000000n).toString(),
+          chan_id_in: scidToChanId(fwd.in_channel),
+          chan_id_out: fwd.out_channel ? scidToChanId(fwd.out_channel) : '0',
+          amt_in: Math.floor(amtIn / 1000).toString(),
+          amt_out: Math.floor(amtOut / 1000).toString(),
+          fee: Math.floor(toMsat(fwd.fee_msat) / 1000).toString(),
+          fee_msat: toMsat(fwd.fee_msat).toString(),
+          amt_in_msat: amtIn.toString(),
+          amt_out_msat: amtOut.toString(),
+          peer_alias_in: '',
+          peer_alias_out: ''
+        };
+      })
+      .filter(e => e.timestamp >= startTime && e.timestamp < endTime)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const page = events.slice(indexOffset, indexOffset + maxEvents);
+    return {
+      forwarding_events: page.map(e => ({ ...e, timestamp: e.timestamp.toString() })),
+      last_offset_index: indexOffset + page.length
+    };
+  }
+
+  // Get node stats
+  async getNodeStats() {
+    return LNDClient.prototype.getNodeStats.call(this);
+  }
+
+  /**
+   * Reusable payment code: a BOLT12 offer. Payers fetch a fresh invoice
+   * from it for every payment.
+   */
+  async createOffer(description, amount = 'any', expiry = PAYMENT_CODE_EXPIRY) {
+    const offer = await this.rpc('offer', {
+      amount: amount === 'any' ? 'any' : `${amount}sat`,
+      description,
+      absolute_expiry: Math.floor(Date.now() / 1000) + expiry
+    });
+
+    return {
+      type: 'bolt12',
+      offer_id: offer.offer_id,
+      offer: offer.bolt12,
+      add_index: null
+    };
+  }
+
+  /**
+   * An offer with the invoices paid against it, in the shape
+   * PaymentCodeStore keeps
+   */
+  async formatOffer(offer) {
+    const [decoded, { invoices = [] }] = await Promise.all([
+      this.rpc('decode', { string: offer.bolt12 }),
+      this.rpc('listinvoices', { offer_id: offer.offer_id })
+    ]);
+
+    const amountMsat = toMsat(decoded.offer_amount_msat);
+    return {
+      type: 'bolt12',
+      offer_id: offer.offer_id,
+      offer: offer.bolt12,
+      description: decoded.offer_description || '',
+      amount: amountMsat ? Math.floor(amountMsat / 1000) : 'any',
+      single_use: !!offer.single_use,
+      // listoffers does not record when an offer was made
+      created_at: null,
+      expires_at: decoded.offer_absolute_expiry ? decoded.offer_absolute_expiry * 1000 : null,
+      state: offer.active ? 'OPEN' : 'CANCELED',
+      payments: invoices
+        .filter(invoice => invoice.status === 'paid')
+        .map(invoice => ({
+          id: invoice.payment_hash,
+          amount_sat: toSat(invoice.amount_received_msat),
+          settle_index: (invoice.pay_index || 0).toString(),
+          settled_at: (invoice.paid_at || 0) * 1000
+        }))
+    };
+  }
+
+  // Reusable payment codes (BOLT12 offers) with their payments
+  async listOffers() {
+    const { offers = [] } = await this.rpc('listoffers');
+    return Promise.all(offers.map(offer => this.formatOffer(offer)));
+  }
+
+  async lookupOffer(offerId) {
+    const { offers = [] } = await this.rpc('listoffers', { offer_id: offerId });
+    if (!offers.length) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'Not a reusable payment code', 404);
+    }
+    return this.formatOffer(offers[0]);
+  }
+
+  /**
+   * Request an invoice from a BOLT12 offer, to be paid with payInvoice
+   * amountSat is required when the offer leaves the amount to the payer
+   */
+  async fetchInvoice(offer, { amountSat, payerNote } = {}) {
+    const { invoice } = await this.rpc('fetchinvoice', {
+      offer,
+      amount_msat: amountSat ? amountSat * 1000 : undefined,
+      payer_note: payerNote
+    });
+    return { invoice };
+  }
+}
+
+export default CLNClient;
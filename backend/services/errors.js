@@ -0,0 +1,49 @@
+/**
+ * Hub Errors
+ *
+ * Typed errors shared by all services. The Express error handler
+ * turns `status` and `code` into the HTTP response.
+ */
+
+export const ERROR_CODES = {
+  LND_NOT_CONNECTED: 'LND_NOT_CONNECTED',
+  LND_UNAVAILABLE: 'LND_UNAVAILABLE',
+  LND_RPC_ERROR: 'LND_RPC_ERROR',
+  CLN_NOT_CONNECTED: 'CLN_NOT_CONNECTED',
+  CLN_UNAVAILABLE: 'CLN_UNAVAILABLE',
+  CLN_RPC_ERROR: 'CLN_RPC_ERROR',
+  CASHU_MINT_UNAVAILABLE: 'CASHU_MINT_UNAVAILABLE',
+  CASHU_MINT_ERROR: 'CASHU_MINT_ERROR',
+  CASHU_NO_KEYSET: 'CASHU_NO_KEYSET',
+  AI_PROVIDER_UNAVAILABLE: 'AI_PROVIDER_UNAVAILABLE',
+  AI_PROVIDER_ERROR: 'AI_PROVIDER_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_SUPPORTED: 'NOT_SUPPORTED',
+  REBALANCE_IN_PROGRESS: 'REBALANCE_IN_PROGRESS'
+};
+
+export class HubError extends Error {
+  constructor(code, message, status = 500, details = undefined) {
+    super(message);
+    this.name = 'HubError';
+    this.code = code;
+    this.status = status;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+
+  /**
+   * Compact form for health/status reporting
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+export default HubError;
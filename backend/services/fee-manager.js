@@ -0,0 +1,231 @@
+/**
+ * Fee Manager
+ *
+ * Reads and sets the routing policy (fees, time lock delta, HTLC limits)
+ * of our channels, and applies fee rules across every channel with an
+ * optional dry-run preview.
+ *
+ * Rules:
+ * - fixed: the given policy fields on every channel
+ * - balance_ratio: fee rate scaled between max_fee_rate_ppm (no local
+ *   balance) and min_fee_rate_ppm (all local balance), so depleted
+ *   channels become expensive and full ones cheap
+ */
+
+import { HubError, ERROR_CODES } from './errors.js';
+
+// Policy fields that can be set
+export const POLICY_FIELDS = ['base_fee_msat', 'fee_rate_ppm', 'time_lock_delta', 'min_htlc_msat', 'max_htlc_msat'];
+
+// LND rejects smaller time lock deltas
+const MIN_TIME_LOCK_DELTA = 18;
+
+const RULE_TYPES = ['fixed', 'balance_ratio'];
+
+function invalid(message) {
+  return new HubError(ERROR_CODES.INVALID_REQUEST, message, 400);
+}
+
+/**
+ * Our side of a channel edge, in the shape returned by the API
+ */
+function formatPolicy(edge, policy) {
+  return {
+    chan_id: edge.channel_id,
+    channel_point: edge.chan_point,
+    capacity: parseInt(edge.capacity),
+    base_fee_msat: parseInt(policy.fee_base_msat),
+    fee_rate_ppm: parseInt(policy.fee_rate_milli_msat),
+    time_lock_delta: policy.time_lock_delta,
+    min_htlc_msat: parseInt(policy.min_htlc),
+    max_htlc_msat: parseInt(policy.max_htlc_msat),
+    disabled: policy.disabled,
+    last_update: policy.last_update
+  };
+}
+
+/**
+ * Check a complete policy before sending it to the node
+ */
+function validatePolicy(policy) {
+  for (const field of POLICY_FIELDS) {
+    if (!Number.isInteger(policy[field]) || policy[field] < 0) {
+      throw invalid(`${field} must be a non-negative integer`);
+    }
+  }
+  if (policy.time_lock_delta < MIN_TIME_LOCK_DELTA) {
+    throw invalid(`time_lock_delta must be at least ${MIN_TIME_LOCK_DELTA}`);
+  }
+  if (policy.min_htlc_msat > policy.max_htlc_msat) {
+    throw invalid('min_htlc_msat must not exceed max_htlc_msat');
+  }
+  if (policy.capacity && policy.max_htlc_msat > policy.capacity * 1000) {
+    throw invalid('max_htlc_msat must not exceed the channel capacity');
+  }
+}
+
+function pickPolicy(policy) {
+  return Object.fromEntries(POLICY_FIELDS.map(field => [field, policy[field]]));
+}
+
+export class FeeManager {
+  constructor(options = {}) {
+    this.lnd = options.lnd;
+    this.identityPubkey = null;
+  }
+
+  async getIdentityPubkey() {
+    if (!this.identityPubkey) {
+      this.identityPubkey = (await this.lnd.getInfo()).identity_pubkey;
+    }
+    return this.identityPubkey;
+  }
+
+  /**
+   * Our routing policy for a channel
+   */
+  async getPolicy(chanId) {
+    const edge = await this.lnd.getChanInfo(chanId);
+    const pubkey = await this.getIdentityPubkey();
+    const policy = edge.node1_pub === pubkey ? edge.node1_policy : edge.node2_policy;
+
+    if (!policy) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, `No routing policy announced for channel ${chanId}`, 404);
+    }
+    return formatPolicy(edge, policy);
+  }
+
+  /**
+   * Change some fields of a channel's policy, keeping the others
+   */
+  async setPolicy(chanId, changes) {
+    const current = await this.getPolicy(chanId);
+    const next = { ...current, ...changes };
+    validatePolicy(next);
+
+    await this.lnd.updateChannelPolicy(current.channel_point, pickPolicy(next));
+    return this.getPolicy(chanId);
+  }
+
+  /**
+   * Check a bulk rule before planning with it
+   */
+  validateRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw invalid(`rule.type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+
+    if (rule.type === 'fixed' && !POLICY_FIELDS.some(field => rule[field] !== undefined)) {
+      throw invalid(`A fixed rule needs at least one of ${POLICY_FIELDS.join(', ')}`);
+    }
+
+    if (rule.type === 'balance_ratio') {
+      const { min_fee_rate_ppm: min, max_fee_rate_ppm: max } = rule;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+        throw invalid('balance_ratio needs integer min_fee_rate_ppm <= max_fee_rate_ppm');
+      }
+      if (rule.fee_rate_ppm !== undefined) {
+        throw invalid('balance_ratio sets fee_rate_ppm itself');
+      }
+    }
+
+    if (rule.chan_ids !== undefined && !Array.isArray(rule.chan_ids)) {
+      throw invalid('rule.chan_ids must be an array of channel ids');
+    }
+  }
+
+  /**
+   * Policy fields a rule sets on one channel
+   */
+  proposeChanges(rule, channel) {
+    const changes = {};
+    for (const field of POLICY_FIELDS) {
+      if (rule[field] !== undefined) changes[field] = rule[field];
+    }
+
+    if (rule.type === 'balance_ratio') {
+      const local = parseInt(channel.local_balance);
+      const total = local + parseInt(channel.remote_balance);
+      const ratio = total ? local / total : 0;
+      changes.fee_rate_ppm = Math.round(
+        rule.max_fee_rate_ppm - ratio * (rule.max_fee_rate_ppm - rule.min_fee_rate_ppm)
+      );
+    }
+    return changes;
+  }
+
+  /**
+   * Work out the policy a rule would give every channel
+   */
+  async planBulk(rule) {
+    this.validateRule(rule);
+
+    const { channels } = await this.lnd.listChannels();
+    const selected = rule.chan_ids
+      ? channels.filter(c => rule.chan_ids.includes(c.chan_id))
+      : channels;
+
+    const plan = [];
+    for (const channel of selected) {
+      const current = await this.getPolicy(channel.chan_id);
+      const proposed = { ...pickPolicy(current), ...this.proposeChanges(rule, channel) };
+      const local = parseInt(channel.local_balance);
+      const total = local + parseInt(channel.remote_balance);
+
+      plan.push({
+        chan_id: channel.chan_id,
+        channel_point: channel.channel_point,
+        remote_pubkey: channel.remote_pubkey,
+        local_ratio: total ? Math.round((local / total) * 1000) / 1000 : 0,
+        current: pickPolicy(current),
+        proposed,
+        changed: POLICY_FIELDS.some(field => proposed[field] !== current[field]),
+        capacity: current.capacity
+      });
+    }
+    return plan;
+  }
+
+  /**
+   * Apply a rule to every channel, or only preview it
+   */
+  async applyBulk(rule, { dryRun = false } = {}) {
+    const plan = await this.planBulk(rule);
+
+    // Reject the whole run if any proposed policy is invalid
+    for (const entry of plan) {
+      try {
+        validatePolicy({ ...entry.proposed, capacity: entry.capacity });
+      } catch (error) {
+        throw invalid(`Channel ${entry.chan_id}: ${error.message}`);
+      }
+    }
+
+    if (dryRun) {
+      return { dry_run: true, plan };
+    }
+
+    const results = [];
+    for (const entry of plan) {
+      if (!entry.changed) {
+        results.push({ ...entry, status: 'unchanged' });
+        continue;
+      }
+      try {
+        await this.lnd.updateChannelPolicy(entry.channel_point, entry.proposed);
+        results.push({ ...entry, status: 'updated' });
+      } catch (error) {
+        results.push({ ...entry, status: 'failed', error: error.message });
+      }
+    }
+
+    return {
+      dry_run: false,
+      updated: results.filter(r => r.status === 'updated').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      plan: results
+    };
+  }
+}
+
+export default FeeManager;
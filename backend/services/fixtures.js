@@ -0,0 +1,68 @@
+/**
+ * Mock Mode Fixtures
+ *
+ * Deterministic data source for HUB_MODE=mock. Every value is derived
+ * from the seed and a label, so the same seed always produces the same
+ * pubkeys, hashes and invoices across restarts.
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_SEED = 'lightning-hub';
+
+// Fixed reference time for fixture timestamps (2024-01-01T00:00:00Z)
+export const FIXTURE_EPOCH = 1704067200;
+
+export class Fixtures {
+  constructor(seed = DEFAULT_SEED) {
+    this.seed = seed;
+    this.counters = new Map();
+  }
+
+  /**
+   * Deterministic bytes for a label
+   */
+  bytes(label, length = 32) {
+    const chunks = [];
+    let size = 0;
+
+    for (let block = 0; size < length; block++) {
+      const chunk = crypto.createHash('sha256')
+        .update(`${this.seed}:${label}:${block}`)
+        .digest();
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    return Buffer.concat(chunks).subarray(0, length);
+  }
+
+  hex(label, length = 32) {
+    return this.bytes(label, length).toString('hex');
+  }
+
+  /**
+   * Compressed-pubkey-shaped identifier for a label
+   */
+  pubkey(label) {
+    return '03' + this.hex(`pubkey:${label}`);
+  }
+
+  /**
+   * Deterministic integer in [min, max] for a label
+   */
+  int(label, min, max) {
+    return min + (this.bytes(`int:${label}`, 4).readUInt32BE(0) % (max - min + 1));
+  }
+
+  /**
+   * Monotonic counter per name, used to derive sequences of fixtures
+   */
+  next(name) {
+    const value = (this.counters.get(name) || 0) + 1;
+    this.counters.set(name, value);
+    return value;
+  }
+}
+
+export default Fixtures;
@@ -0,0 +1,266 @@
+/**
+ * Forwarding Store
+ *
+ * Ingests the node's complete forwarding history page by page and keeps
+ * it locally, so routing revenue can be analysed over any window without
+ * re-reading the whole history from LND. New events are picked up by
+ * periodic syncs that resume from the last ingested offset.
+ *
+ * Fees are attributed to the outgoing channel, whose policy set them.
+ */
+
+import { EventEmitter } from 'events';
+
+const DAY_SECONDS = 86400;
+
+/**
+ * Normalize an LND forwarding event
+ */
+function formatForward(event) {
+  const amtInMsat = parseInt(event.amt_in_msat || '0') || parseInt(event.amt_in || '0') * 1000;
+  const amtOutMsat = parseInt(event.amt_out_msat || '0') || parseInt(event.amt_out || '0') * 1000;
+
+  return {
+    timestamp: parseInt(event.timestamp || '0'),
+    chan_id_in: event.chan_id_in,
+    chan_id_out: event.chan_id_out,
+    amt_in_msat: amtInMsat,
+    amt_out_msat: amtOutMsat,
+    fee_msat: parseInt(event.fee_msat || '0') || amtInMsat - amtOutMsat
+  };
+}
+
+function emptyStats() {
+  return { forwards: 0, fees_msat: 0, volume_in_sat: 0, volume_out_sat: 0 };
+}
+
+/**
+ * Round msat to whole sats for display
+ */
+function finish(stats) {
+  return { ...stats, fees_sat: Math.floor(stats.fees_msat / 1000) };
+}
+
+function dayOf(timestamp) {
+  return new Date(Math.floor(timestamp / DAY_SECONDS) * DAY_SECONDS * 1000).toISOString().slice(0, 10);
+}
+
+export class ForwardingStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.pageSize = options.pageSize || 5000;
+
+    // Ingested events in LND's offset order
+    this.events = [];
+    this.lastOffset = 0;
+    this.lastSyncedAt = null;
+    this.syncing = null;
+    this.timer = null;
+
+    // chan_id → { remote_pubkey, capacity, open }
+    this.channels = new Map();
+  }
+
+  /**
+   * Sync now and then every `intervalMs`
+   */
+  start(intervalMs = 60000) {
+    if (this.timer) return;
+
+    const sync = () => this.sync().catch((error) => {
+      console.error('Forwarding history sync failed:', error.message);
+    });
+
+    sync();
+    this.timer = setInterval(sync, intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Ingest every event after the last offset; concurrent calls share one sync
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.ingest().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async ingest() {
+    const endTime = Math.floor(Date.now() / 1000);
+    let added = 0;
+
+    // Offsets index the series from the beginning of time, so they stay stable between syncs
+    for (;;) {
+      const page = await this.lnd.getForwardingHistory(0, endTime, this.pageSize, this.lastOffset);
+      const events = page.forwarding_events || [];
+
+      events.forEach(event => this.events.push(formatForward(event)));
+      added += events.length;
+      this.lastOffset = page.last_offset_index || this.lastOffset + events.length;
+
+      if (events.length < this.pageSize) break;
+    }
+
+    await this.refreshChannels();
+    this.lastSyncedAt = Date.now();
+
+    if (added) {
+      this.emit('sync', { added, total: this.events.length });
+    }
+    return { added, total: this.events.length };
+  }
+
+  /**
+   * Map channel ids, including closed ones, to their peer and capacity
+   */
+  async refreshChannels() {
+    const [{ channels }, closed] = await Promise.all([
+      this.lnd.listChannels(),
+      this.lnd.closedChannels().catch(() => ({ channels: [] }))
+    ]);
+
+    for (const c of closed.channels || []) {
+      this.channels.set(c.chan_id, { remote_pubkey: c.remote_pubkey, capacity: parseInt(c.capacity), open: false });
+    }
+    for (const c of channels) {
+      this.channels.set(c.chan_id, { remote_pubkey: c.remote_pubkey, capacity: parseInt(c.capacity), open: true });
+    }
+  }
+
+  /**
+   * Events in [start, end), in seconds
+   */
+  range(start, end) {
+    return this.events.filter(e => e.timestamp >= start && e.timestamp < end);
+  }
+
+  /**
+   * A page of ingested events, newest first
+   */
+  list({ start = 0, end = Infinity, limit = 100, offset = 0 } = {}) {
+    const events = this.range(start, end).reverse();
+    return {
+      total: events.length,
+      events: events.slice(offset, offset + limit),
+      last_synced_at: this.lastSyncedAt
+    };
+  }
+
+  /**
+   * Daily totals in date order, with zeroed days for gaps so charts stay continuous
+   */
+  fillDays(perDay) {
+    const dates = Array.from(perDay.keys()).sort();
+    if (!dates.length) return [];
+
+    const days = [];
+    const last = Date.parse(dates[dates.length - 1]) / 1000;
+    for (let t = Date.parse(dates[0]) / 1000; t <= last; t += DAY_SECONDS) {
+      const date = dayOf(t);
+      days.push({ date, ...finish(perDay.get(date) || emptyStats()) });
+    }
+    return days;
+  }
+
+  /**
+   * Fees and volume per channel, per peer and per day, with channels
+   * ranked by fees earned per sat of capacity
+   */
+  analytics({ start = 0, end = Math.floor(Date.now() / 1000) } = {}) {
+    const events = this.range(start, end);
+    const totals = emptyStats();
+    const perChannel = new Map();
+    const perDay = new Map();
+
+    const channel = (chanId) => {
+      if (!perChannel.has(chanId)) {
+        perChannel.set(chanId, { ...emptyStats(), forwards_in: 0, forwards_out: 0 });
+      }
+      return perChannel.get(chanId);
+    };
+
+    for (const event of events) {
+      const amtIn = Math.floor(event.amt_in_msat / 1000);
+      const amtOut = Math.floor(event.amt_out_msat / 1000);
+
+      totals.forwards++;
+      totals.fees_msat += event.fee_msat;
+      totals.volume_in_sat += amtIn;
+      totals.volume_out_sat += amtOut;
+
+      const incoming = channel(event.chan_id_in);
+      incoming.forwards_in++;
+      incoming.volume_in_sat += amtIn;
+
+      const outgoing = channel(event.chan_id_out);
+      outgoing.forwards_out++;
+      outgoing.volume_out_sat += amtOut;
+      outgoing.fees_msat += event.fee_msat;
+
+      const date = dayOf(event.timestamp);
+      const day = perDay.get(date) || emptyStats();
+      day.forwards++;
+      day.fees_msat += event.fee_msat;
+      day.volume_in_sat += amtIn;
+      day.volume_out_sat += amtOut;
+      perDay.set(date, day);
+    }
+
+    const channels = Array.from(perChannel, ([chanId, stats]) => {
+      const info = this.channels.get(chanId);
+      const { forwards_in, forwards_out, ...rest } = stats;
+      return {
+        chan_id: chanId,
+        remote_pubkey: info?.remote_pubkey || null,
+        capacity: info?.capacity || null,
+        open: info?.open ?? null,
+        ...finish(rest),
+        forwards: forwards_in + forwards_out,
+        forwards_in,
+        forwards_out,
+        // Fees earned per million sats of capacity over the window
+        fee_yield_ppm: info?.capacity ? Math.round((stats.fees_msat / 1000 / info.capacity) * 1e6) : null
+      };
+    });
+
+    const perPeer = new Map();
+    for (const c of channels) {
+      const key = c.remote_pubkey || 'unknown';
+      const peer = perPeer.get(key) || { ...emptyStats(), channels: 0 };
+      peer.channels++;
+      peer.forwards += c.forwards;
+      peer.fees_msat += c.fees_msat;
+      peer.volume_in_sat += c.volume_in_sat;
+      peer.volume_out_sat += c.volume_out_sat;
+      perPeer.set(key, peer);
+    }
+
+    return {
+      start,
+      end,
+      last_synced_at: this.lastSyncedAt,
+      totals: finish(totals),
+      channels: channels.sort((a, b) => b.fees_msat - a.fees_msat),
+      peers: Array.from(perPeer, ([pubkey, stats]) => ({ remote_pubkey: pubkey === 'unknown' ? null : pubkey, ...finish(stats) }))
+        .sort((a, b) => b.fees_msat - a.fees_msat),
+      days: this.fillDays(perDay),
+      rankings: channels
+        .filter(c => c.fee_yield_ppm !== null)
+        .sort((a, b) => b.fee_yield_ppm - a.fee_yield_ppm)
+        .map((c, i) => ({ rank: i + 1, chan_id: c.chan_id, remote_pubkey: c.remote_pubkey, fees_sat: c.fees_sat, fee_yield_ppm: c.fee_yield_ppm }))
+    };
+  }
+}
+
+export default ForwardingStore;
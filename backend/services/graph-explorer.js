@@ -0,0 +1,137 @@
+/**
+ * Graph Explorer
+ *
+ * Read-only views of the public Lightning graph as the node sees it:
+ * node announcements with their channels and fee policies, candidate
+ * routes for an amount, and probes that test a route before paying.
+ *
+ * A probe is a real HTLC sent with a payment hash nobody knows the
+ * preimage for. The destination has to reject it, so nothing is paid,
+ * but a rejection from the destination itself (rather than an error
+ * from a hop on the way) shows the amount can get there and what it
+ * would cost in fees.
+ */
+
+const PROBE_REACHED = 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS';
+
+function formatPolicy(policy) {
+  if (!policy) return null;
+  return {
+    fee_base_msat: parseInt(policy.fee_base_msat || '0'),
+    fee_rate_ppm: parseInt(policy.fee_rate_milli_msat || '0'),
+    time_lock_delta: policy.time_lock_delta,
+    min_htlc_msat: parseInt(policy.min_htlc || '0'),
+    max_htlc_msat: parseInt(policy.max_htlc_msat || '0'),
+    disabled: !!policy.disabled,
+    last_update: policy.last_update || null
+  };
+}
+
+function formatRoute(route, amountSat) {
+  const feesMsat = parseInt(route.total_fees_msat || '0') || parseInt(route.total_fees || '0') * 1000;
+  return {
+    total_amt: parseInt(route.total_amt),
+    total_fees: parseInt(route.total_fees),
+    total_fees_msat: feesMsat,
+    // Fees as parts-per-million of the amount delivered
+    fee_ppm: Math.round(feesMsat / (amountSat * 1000) * 1e6),
+    total_time_lock: route.total_time_lock,
+    hops: route.hops.map(hop => ({
+      chan_id: hop.chan_id,
+      pubkey: hop.pub_key,
+      amt_to_forward: parseInt(hop.amt_to_forward),
+      fee_msat: parseInt(hop.fee_msat || '0') || parseInt(hop.fee || '0') * 1000,
+      expiry: hop.expiry
+    }))
+  };
+}
+
+export class GraphExplorer {
+  constructor(options = {}) {
+    this.lnd = options.lnd;
+  }
+
+  /**
+   * A node's announcement and channels; `incoming` is the peer's policy
+   * towards the node, `outgoing` the node's own policy on the channel
+   */
+  async node(pubkey) {
+    const info = await this.lnd.getNodeInfo(pubkey);
+
+    const channels = (info.channels || []).map((edge) => {
+      const first = edge.node1_pub === pubkey;
+      return {
+        chan_id: edge.channel_id,
+        chan_point: edge.chan_point || null,
+        peer: first ? edge.node2_pub : edge.node1_pub,
+        capacity: parseInt(edge.capacity),
+        outgoing: formatPolicy(first ? edge.node1_policy : edge.node2_policy),
+        incoming: formatPolicy(first ? edge.node2_policy : edge.node1_policy)
+      };
+    });
+    const outgoing = channels.map(c => c.outgoing).filter(p => p && !p.disabled);
+
+    return {
+      pubkey,
+      alias: info.node.alias,
+      color: info.node.color,
+      addresses: (info.node.addresses || []).map(a => a.addr),
+      last_update: info.node.last_update || null,
+      num_channels: info.num_channels,
+      total_capacity: parseInt(info.total_capacity),
+      median_fee_rate_ppm: outgoing.length
+        ? outgoing.map(p => p.fee_rate_ppm).sort((a, b) => a - b)[Math.floor(outgoing.length / 2)]
+        : null,
+      channels: channels.sort((a, b) => b.capacity - a.capacity)
+    };
+  }
+
+  /**
+   * Routes the node would use to pay `amountSat` to `pubkey`
+   */
+  async routes(pubkey, amountSat, { feeLimitSat } = {}) {
+    const { routes = [], success_prob } = await this.lnd.queryRoutes(pubkey, amountSat, { feeLimitSat });
+    return {
+      destination: pubkey,
+      amount: amountSat,
+      success_probability: routes.length ? success_prob ?? null : 0,
+      routes: routes.map(route => formatRoute(route, amountSat))
+    };
+  }
+
+  /**
+   * Probe whether `amountSat` can reach `pubkey`, and at what fee
+   */
+  async probe(pubkey, amountSat, { feeLimitSat, timeoutSeconds } = {}) {
+    const startedAt = Date.now();
+    const payment = await this.lnd.probePayment(pubkey, amountSat, { feeLimitSat, timeoutSeconds });
+    const htlcs = payment.htlcs || [];
+    const last = htlcs[htlcs.length - 1];
+    const reachable = payment.failure_reason === PROBE_REACHED;
+
+    let failedAt = null;
+    if (!reachable && last?.failure) {
+      // failure_source_index 0 is our own node, n is the n-th hop
+      const index = last.failure.failure_source_index;
+      failedAt = {
+        pubkey: index > 0 ? last.route.hops[index - 1]?.pub_key || null : null,
+        hop: index,
+        code: last.failure.code
+      };
+    }
+
+    return {
+      destination: pubkey,
+      amount: amountSat,
+      reachable,
+      failure_reason: reachable ? null : payment.failure_reason,
+      failed_at: failedAt,
+      route: last?.route ? formatRoute(last.route, amountSat) : null,
+      fee: reachable ? parseInt(last.route.total_fees) : null,
+      attempts: htlcs.length,
+      duration_ms: Date.now() - startedAt
+    };
+  }
+}
+
+export default GraphExplorer;
@@ -0,0 +1,318 @@
+/**
+ * Hold Invoices
+ *
+ * Escrow-style payments: the payer's HTLC is locked in (ACCEPTED) but the
+ * funds only move when we settle with the preimage. If the paid-for work
+ * fails we cancel instead and the payer gets their sats back.
+ *
+ * Invoices created without a payment hash get a hub-generated preimage
+ * that is kept here and never returned by the API. An `onAccepted`
+ * handler turns an invoice into automatic escrow: it runs once the
+ * payment is held, and the invoice is settled if it succeeds and
+ * cancelled if it throws.
+ *
+ * With a path, unresolved invoices and their preimages are saved to a
+ * file with owner-only permissions, so they can still be settled or
+ * cancelled after a restart. Escrow handlers can't be saved: start()
+ * cancels invoices that had one, refunding the payer instead of leaving
+ * their HTLC locked until it expires. Settled and cancelled invoices are
+ * kept in memory only, up to `maxResolved`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { HubError, ERROR_CODES } from './errors.js';
+import { decodeBolt11 } from './bolt11.js';
+
+const FINAL_STATES = new Set(['SETTLED', 'CANCELED']);
+
+const MAX_RESOLVED = 1000;
+
+function invalid(message) {
+  return new HubError(ERROR_CODES.INVALID_REQUEST, message, 400);
+}
+
+function sha256Hex(hex) {
+  return crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest('hex');
+}
+
+export class HoldInvoiceManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.path = options.path || null;
+    this.maxResolved = options.maxResolved || MAX_RESOLVED;
+
+    // r_hash → invoice record
+    this.invoices = new Map();
+    // r_hash → preimage we generated
+    this.preimages = new Map();
+    // r_hash → onAccepted handler
+    this.handlers = new Map();
+    // r_hash of unresolved invoices created with an onAccepted handler
+    this.escrows = new Set();
+    // r_hash → stop following the invoice
+    this.subscriptions = new Map();
+    // r_hash of final invoices, oldest first
+    this.resolved = [];
+  }
+
+  /**
+   * Restore the unresolved invoices saved by an earlier run: follow them
+   * again, or cancel them if their escrow handler was lost
+   */
+  async start() {
+    for (const { preimage, escrow, ...record } of this.load()) {
+      const hash = record.r_hash;
+      this.invoices.set(hash, record);
+      if (preimage) this.preimages.set(hash, preimage);
+
+      let invoice;
+      try {
+        invoice = await this.lnd.lookupInvoice(hash);
+      } catch (error) {
+        if (error.code !== ERROR_CODES.NOT_FOUND) throw error;
+        // The node no longer knows it, so nothing can be held
+        this.setState(record, 'CANCELED');
+        continue;
+      }
+
+      if (FINAL_STATES.has(invoice.state)) {
+        this.setState(record, invoice.state);
+      } else if (escrow) {
+        record.error = 'Escrow handler lost on restart';
+        await this.cancel(hash).catch((error) => {
+          console.error(`Failed to cancel hold invoice ${hash}:`, error.message);
+        });
+      } else {
+        this.follow(hash);
+      }
+    }
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return [];
+    return JSON.parse(fs.readFileSync(this.path, 'utf8')).invoices || [];
+  }
+
+  /**
+   * Save unresolved invoices with the preimages needed to settle them
+   */
+  save() {
+    if (!this.path) return;
+
+    const invoices = Array.from(this.invoices.values())
+      .filter(record => !FINAL_STATES.has(record.state))
+      .map(record => ({
+        ...record,
+        preimage: this.preimages.get(record.r_hash) || null,
+        escrow: this.escrows.has(record.r_hash)
+      }));
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    // Write then rename, so a crash never leaves a truncated file
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ invoices }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.path);
+  }
+
+  /**
+   * Create a hold invoice
+   *
+   * Options:
+   * - amount, memo, expiry (seconds), cltvExpiry (blocks)
+   * - paymentHash: hash of a preimage the caller keeps; generated if omitted
+   * - onAccepted: async (record) => void, settles on success, cancels on throw
+   */
+  async create({ amount, memo = '', expiry = 3600, cltvExpiry = 0, paymentHash, onAccepted } = {}) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw invalid('amount must be a positive integer');
+    }
+    if (paymentHash !== undefined && !/^[0-9a-f]{64}$/i.test(paymentHash)) {
+      throw invalid('payment_hash must be a 32-byte hex hash');
+    }
+
+    let hash = paymentHash?.toLowerCase();
+    let preimage = null;
+    if (!hash) {
+      preimage = crypto.randomBytes(32).toString('hex');
+      hash = sha256Hex(preimage);
+    }
+
+    const invoice = await this.lnd.createHoldInvoice(hash, amount, memo, expiry, cltvExpiry);
+    const decoded = decodeBolt11(invoice.payment_request);
+
+    const record = {
+      r_hash: hash,
+      payment_request: invoice.payment_request,
+      amount,
+      memo,
+      state: 'OPEN',
+      // Whether the hub can settle without the caller's preimage
+      hub_preimage: !!preimage,
+      created_at: Date.now(),
+      expires_at: decoded.expires_at,
+      accepted_at: null,
+      resolved_at: null,
+      error: null
+    };
+
+    this.invoices.set(hash, record);
+    if (preimage) this.preimages.set(hash, preimage);
+    if (onAccepted) {
+      this.handlers.set(hash, onAccepted);
+      this.escrows.add(hash);
+    }
+    this.save();
+
+    this.follow(hash);
+    this.emit('update', { ...record });
+    return { ...record };
+  }
+
+  /**
+   * Track state changes from the node until the invoice is final
+   */
+  follow(hash) {
+    const unsubscribe = this.lnd.subscribeSingleInvoice(hash, invoice => this.handleUpdate(hash, invoice));
+    this.subscriptions.set(hash, unsubscribe);
+  }
+
+  handleUpdate(hash, invoice) {
+    const record = this.invoices.get(hash);
+    if (!record || record.state === invoice.state) return;
+
+    this.setState(record, invoice.state);
+
+    if (invoice.state === 'ACCEPTED' && this.handlers.has(hash)) {
+      const handler = this.handlers.get(hash);
+      this.handlers.delete(hash);
+      this.fulfil(record, handler);
+    }
+  }
+
+  setState(record, state) {
+    record.state = state;
+    if (state === 'ACCEPTED') record.accepted_at = Date.now();
+
+    if (FINAL_STATES.has(state)) {
+      record.resolved_at = record.resolved_at || Date.now();
+      this.preimages.delete(record.r_hash);
+      this.handlers.delete(record.r_hash);
+      this.escrows.delete(record.r_hash);
+      this.subscriptions.get(record.r_hash)?.();
+      this.subscriptions.delete(record.r_hash);
+      this.prune(record.r_hash);
+    }
+
+    this.save();
+    this.emit('update', { ...record });
+  }
+
+  /**
+   * Forget the oldest final invoices beyond maxResolved
+   */
+  prune(hash) {
+    this.resolved.push(hash);
+    while (this.resolved.length > this.maxResolved) {
+      this.invoices.delete(this.resolved.shift());
+    }
+  }
+
+  /**
+   * Run the escrow handler for a held payment, then settle or refund
+   */
+  async fulfil(record, handler) {
+    try {
+      await handler({ ...record });
+    } catch (error) {
+      record.error = error.message;
+      await this.cancel(record.r_hash).catch((cancelError) => {
+        console.error(`Failed to cancel hold invoice ${record.r_hash}:`, cancelError.message);
+      });
+      return;
+    }
+
+    await this.settle(record.r_hash).catch((error) => {
+      console.error(`Failed to settle hold invoice ${record.r_hash}:`, error.message);
+    });
+  }
+
+  /**
+   * Settle a held payment; hub-generated invoices need no preimage
+   */
+  async settle(hash, preimage) {
+    const secret = preimage?.toLowerCase() || this.preimages.get(hash);
+    if (!secret) {
+      throw invalid('preimage is required for invoices created with a payment_hash');
+    }
+    if (!/^[0-9a-f]{64}$/.test(secret) || sha256Hex(secret) !== hash) {
+      throw invalid('preimage does not match the payment hash');
+    }
+
+    await this.lnd.settleInvoice(secret);
+
+    const record = this.invoices.get(hash);
+    if (record && record.state !== 'SETTLED') this.setState(record, 'SETTLED');
+    return this.get(hash);
+  }
+
+  /**
+   * Cancel an open or held invoice, refunding the payer
+   */
+  async cancel(hash) {
+    await this.lnd.cancelInvoice(hash);
+
+    const record = this.invoices.get(hash);
+    if (record && record.state !== 'CANCELED') this.setState(record, 'CANCELED');
+    return this.get(hash);
+  }
+
+  /**
+   * Current state of a hold invoice, read from the node unless final
+   */
+  async get(hash) {
+    const record = this.invoices.get(hash);
+    if (record && FINAL_STATES.has(record.state)) {
+      return { ...record };
+    }
+
+    const invoice = await this.lnd.lookupInvoice(hash);
+    if (!record) {
+      // Created outside this process: report what the node knows
+      return {
+        r_hash: hash,
+        payment_request: invoice.payment_request,
+        amount: parseInt(invoice.value || '0'),
+        memo: invoice.memo,
+        state: invoice.state,
+        hub_preimage: false,
+        created_at: parseInt(invoice.creation_date || '0') * 1000,
+        expires_at: (parseInt(invoice.creation_date || '0') + parseInt(invoice.expiry || '0')) * 1000,
+        accepted_at: null,
+        resolved_at: null,
+        error: null
+      };
+    }
+
+    if (record.state !== invoice.state) {
+      this.handleUpdate(hash, invoice);
+    }
+    return { ...record };
+  }
+
+  /**
+   * Hold invoices created by this process, newest first
+   */
+  list({ state } = {}) {
+    return Array.from(this.invoices.values())
+      .filter(record => !state || record.state === state)
+      .reverse()
+      .map(record => ({ ...record }));
+  }
+}
+
+export default HoldInvoiceManager;
@@ -0,0 +1,122 @@
+/**
+ * Invoice Store
+ *
+ * Tracks invoices created on the node. LND is the source of truth
+ * (ListInvoices / LookupInvoice); a local cache keyed by payment hash
+ * is kept current from the invoice subscription so status polls for
+ * settled invoices never hit the node.
+ */
+
+import { EventEmitter } from 'events';
+
+// Invoice states that can no longer change
+const FINAL_STATES = new Set(['SETTLED', 'CANCELED']);
+
+/**
+ * Normalize an LND invoice into the shape returned by the API
+ */
+export function formatInvoice(invoice) {
+  const creationDate = parseInt(invoice.creation_date || '0');
+  const expiry = parseInt(invoice.expiry || '0');
+
+  return {
+    r_hash: invoice.r_hash,
+    payment_request: invoice.payment_request,
+    memo: invoice.memo,
+    value: parseInt(invoice.value || '0'),
+    amt_paid_sat: parseInt(invoice.amt_paid_sat || '0'),
+    state: invoice.state,
+    settled: invoice.state === 'SETTLED',
+    add_index: invoice.add_index,
+    settle_index: invoice.settle_index,
+    creation_date: creationDate,
+    settle_date: parseInt(invoice.settle_date || '0'),
+    expiry,
+    expires_at: (creationDate + expiry) * 1000,
+    is_keysend: invoice.is_keysend || false,
+    is_amp: invoice.is_amp || false
+  };
+}
+
+export class InvoiceStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.maxCacheSize = options.maxCacheSize || 10000;
+
+    // r_hash → formatted invoice
+    this.cache = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Start following invoice updates from the node
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.lnd.subscribeInvoices((invoice) => {
+      const formatted = this.remember(invoice);
+      this.emit('update', formatted);
+    });
+  }
+
+  /**
+   * Put an invoice into the cache, evicting the oldest entries when full
+   */
+  remember(invoice) {
+    const formatted = formatInvoice(invoice);
+
+    this.cache.delete(formatted.r_hash);
+    this.cache.set(formatted.r_hash, formatted);
+
+    while (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return formatted;
+  }
+
+  /**
+   * List invoices from the node, paginated by add_index
+   */
+  async list({ indexOffset = 0, limit = 100, reversed = false, pendingOnly = false } = {}) {
+    const result = await this.lnd.listInvoices({
+      indexOffset,
+      numMaxInvoices: limit,
+      reversed,
+      pendingOnly
+    });
+
+    return {
+      invoices: result.invoices.map(invoice => this.remember(invoice)),
+      first_index_offset: result.first_index_offset,
+      last_index_offset: result.last_index_offset
+    };
+  }
+
+  /**
+   * Get one invoice by payment hash
+   * Invoices in a final state are served from the cache
+   */
+  async get(rHash) {
+    const cached = this.cache.get(rHash);
+    if (cached && FINAL_STATES.has(cached.state)) {
+      return cached;
+    }
+
+    const invoice = await this.lnd.lookupInvoice(rHash);
+    return this.remember(invoice);
+  }
+
+  getStats() {
+    return {
+      cached: this.cache.size,
+      following: this.started
+    };
+  }
+}
+
+export default InvoiceStore;
@@ -0,0 +1,334 @@
+/**
+ * Keysend Inbox
+ *
+ * Turns incoming keysend payments into chat messages. Senders attach
+ * TLV custom records to the payment; settled keysend invoices are read
+ * from the invoice subscription, decoded and grouped into one
+ * conversation per sender pubkey, alongside the messages we sent.
+ *
+ * Outgoing messages carry our pubkey, a timestamp and a signature made
+ * with the node key, so compatible wallets can verify who sent them
+ * (unsigned on backends that cannot sign with the node key).
+ *
+ * Records (WhatSat layout):
+ * - 34349334 message text (UTF-8)
+ * - 34349339 sender pubkey (33 bytes)
+ * - 34349343 timestamp (8 bytes, big-endian unix nanoseconds)
+ * - 34349337 signature (64-byte compact) by the sender over
+ *            sha256(sender || recipient || timestamp || message), or
+ *            over CLN's signmessage digest of those bytes as hex text
+ * - 34349345 reply_to: payment hash of the message being answered
+ *            (not covered by the signature)
+ * - 7629169  podcast boostagram (JSON)
+ *
+ * A sender pubkey is only a claim; messages carry `verified: true`
+ * when the signature checks out against it.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import * as secp from '@noble/secp256k1';
+import { ERROR_CODES } from './errors.js';
+
+export const KEYSEND_RECORDS = {
+  MESSAGE: '34349334',
+  SIGNATURE: '34349337',
+  SENDER: '34349339',
+  TIMESTAMP: '34349343',
+  REPLY_TO: '34349345',
+  BOOSTAGRAM: '7629169'
+};
+
+// Messages from senders that did not include a pubkey
+export const ANONYMOUS = 'anonymous';
+
+// Longest outgoing message (UTF-8 bytes). The whole onion is 1300 bytes:
+// this leaves room for the preimage, sender, timestamp, signature and
+// reply_to records and a few intermediate hops
+export const MAX_MESSAGE_BYTES = 800;
+
+const MAX_MESSAGES_PER_CONVERSATION = 1000;
+// Payment hashes remembered for deduplication, well beyond the backfill
+const MAX_SEEN = 10000;
+
+/**
+ * Bytes a sender signs: sender || recipient || timestamp || message
+ */
+export function signedPayload(senderPubkey, recipientPubkey, timestamp, message) {
+  return Buffer.concat([
+    Buffer.from(senderPubkey, 'hex'),
+    Buffer.from(recipientPubkey, 'hex'),
+    Buffer.from(timestamp, 'hex'),
+    Buffer.from(message, 'hex')
+  ]);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Digests a sender may have signed: LND's SignMessage signs
+ * sha256(payload); CLN's signmessage signs the payload hex as text,
+ * sha256d("Lightning Signed Message:" || text)
+ */
+function signedDigests(payload) {
+  return [
+    sha256(payload),
+    sha256(sha256(Buffer.from(`Lightning Signed Message:${payload.toString('hex')}`, 'utf8')))
+  ];
+}
+
+/**
+ * Check a 64-byte compact signature against the claimed sender
+ */
+export function verifyKeysendSignature({ sender, recipient, timestamp = '', message = '', signature }) {
+  if (!sender || !recipient || !signature || signature.length !== 128) return false;
+
+  return signedDigests(signedPayload(sender, recipient, timestamp, message)).some((digest) => {
+    try {
+      return secp.verify(Buffer.from(signature, 'hex'), digest, Buffer.from(sender, 'hex'), { lowS: false });
+    } catch {
+      return false;
+    }
+  });
+}
+
+function parseBoostagram(hex) {
+  try {
+    const boost = JSON.parse(Buffer.from(hex, 'hex').toString('utf8'));
+    return boost && typeof boost === 'object' ? boost : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the messaging records of one payment (record type → hex value)
+ * Returns null when the payment carries no message
+ */
+export function parseKeysendRecords(records = {}, recipientPubkey) {
+  const messageHex = records[KEYSEND_RECORDS.MESSAGE];
+  const boost = records[KEYSEND_RECORDS.BOOSTAGRAM] ? parseBoostagram(records[KEYSEND_RECORDS.BOOSTAGRAM]) : null;
+  if (messageHex === undefined && !boost) return null;
+
+  const sender = records[KEYSEND_RECORDS.SENDER];
+  const senderPubkey = sender && /^0[23][0-9a-f]{64}$/.test(sender) ? sender : null;
+
+  const replyTo = records[KEYSEND_RECORDS.REPLY_TO];
+  const timestampHex = records[KEYSEND_RECORDS.TIMESTAMP];
+  const timestamp = timestampHex?.length === 16
+    ? Number(Buffer.from(timestampHex, 'hex').readBigUInt64BE() / 1000000n)
+    : null;
+
+  return {
+    message: messageHex !== undefined ? Buffer.from(messageHex, 'hex').toString('utf8') : (boost.message || ''),
+    sender_pubkey: senderPubkey,
+    timestamp,
+    reply_to: replyTo && /^[0-9a-f]{64}$/.test(replyTo) ? replyTo : null,
+    verified: verifyKeysendSignature({
+      sender: senderPubkey,
+      recipient: recipientPubkey,
+      timestamp: timestampHex,
+      message: messageHex,
+      signature: records[KEYSEND_RECORDS.SIGNATURE]
+    }),
+    boost
+  };
+}
+
+/**
+ * Custom records of a keysend invoice, merged across its HTLCs
+ */
+function invoiceRecords(invoice) {
+  return Object.assign({}, ...(invoice.htlcs || []).map(htlc => htlc.custom_records || {}));
+}
+
+export class KeysendInbox extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.backfillLimit = options.backfillLimit || 1000;
+    this.maxSeen = Math.max(options.maxSeen || MAX_SEEN, this.backfillLimit);
+
+    // pubkey (or ANONYMOUS) → { pubkey, messages }
+    this.conversations = new Map();
+    // Payment hashes already filed, oldest first
+    this.seen = new Set();
+    this.identityPubkey = null;
+    this.started = false;
+  }
+
+  /**
+   * Load recent keysend messages and follow new ones
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.identity();
+
+    this.lnd.subscribeInvoices((invoice) => {
+      const message = this.receive(invoice);
+      if (message) this.emit('message', message);
+    });
+
+    const { invoices = [] } = await this.lnd.listInvoices({ numMaxInvoices: this.backfillLimit, reversed: true });
+    invoices.forEach(invoice => this.receive(invoice));
+  }
+
+  /**
+   * File a settled keysend invoice; returns the message if it is new
+   */
+  receive(invoice) {
+    if (!invoice.is_keysend || invoice.state !== 'SETTLED' || this.seen.has(invoice.r_hash)) {
+      return null;
+    }
+
+    const parsed = parseKeysendRecords(invoiceRecords(invoice), this.identityPubkey);
+    if (!parsed) return null;
+
+    this.remember(invoice.r_hash);
+    return this.add({
+      id: invoice.r_hash,
+      direction: 'in',
+      pubkey: parsed.sender_pubkey || ANONYMOUS,
+      message: parsed.message,
+      amount: parseInt(invoice.amt_paid_sat || '0'),
+      payment_hash: invoice.r_hash,
+      verified: parsed.verified,
+      reply_to: parsed.reply_to,
+      boost: parsed.boost,
+      // Sent time when the sender included one
+      timestamp: parsed.timestamp || parseInt(invoice.settle_date || '0') * 1000,
+      received_at: parseInt(invoice.settle_date || '0') * 1000 || Date.now()
+    });
+  }
+
+  /**
+   * Send a signed message with keysend and file it in the conversation
+   */
+  async send({ pubkey, amount, message, replyTo }) {
+    const sentAt = Date.now();
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64BE(BigInt(sentAt) * 1000000n);
+
+    const sender = await this.identity();
+    const records = {
+      [KEYSEND_RECORDS.MESSAGE]: Buffer.from(message, 'utf8').toString('hex'),
+      [KEYSEND_RECORDS.SENDER]: sender,
+      [KEYSEND_RECORDS.TIMESTAMP]: timestamp.toString('hex')
+    };
+    const signature = await this.sign(
+      signedPayload(sender, pubkey, records[KEYSEND_RECORDS.TIMESTAMP], records[KEYSEND_RECORDS.MESSAGE]).toString('hex')
+    );
+    if (signature) records[KEYSEND_RECORDS.SIGNATURE] = signature;
+    if (replyTo) records[KEYSEND_RECORDS.REPLY_TO] = replyTo;
+
+    const result = await this.lnd.sendKeysend(pubkey, amount, records);
+
+    const sent = this.add({
+      id: result.payment_hash,
+      direction: 'out',
+      pubkey,
+      message,
+      amount,
+      payment_hash: result.payment_hash,
+      fee: parseInt(result.payment_route?.total_fees || '0'),
+      verified: !!signature,
+      reply_to: replyTo || null,
+      boost: null,
+      timestamp: sentAt,
+      received_at: sentAt
+    });
+    return { result, message: sent };
+  }
+
+  /**
+   * Sign with the node key; null when the backend cannot, in which case
+   * the message goes out unsigned
+   */
+  async sign(payloadHex) {
+    try {
+      const { signature } = await this.lnd.signMessage(payloadHex);
+      return signature;
+    } catch (error) {
+      if (error.code === ERROR_CODES.NOT_SUPPORTED) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Our node pubkey, the sender of outgoing messages
+   */
+  async identity() {
+    if (!this.identityPubkey) {
+      this.identityPubkey = (await this.lnd.getInfo()).identity_pubkey;
+    }
+    return this.identityPubkey;
+  }
+
+  /**
+   * Mark a payment hash as filed, forgetting the oldest beyond the limit
+   */
+  remember(hash) {
+    this.seen.add(hash);
+    if (this.seen.size > this.maxSeen) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  add(message) {
+    if (!this.conversations.has(message.pubkey)) {
+      this.conversations.set(message.pubkey, { pubkey: message.pubkey, messages: [] });
+    }
+
+    const { messages } = this.conversations.get(message.pubkey);
+    messages.push(message);
+    // Backfilled and live messages can arrive out of order
+    messages.sort((a, b) => a.timestamp - b.timestamp);
+    if (messages.length > MAX_MESSAGES_PER_CONVERSATION) {
+      messages.shift();
+    }
+
+    return { ...message };
+  }
+
+  summarize({ pubkey, messages }) {
+    const last = messages[messages.length - 1];
+    const incoming = messages.filter(m => m.direction === 'in');
+    return {
+      pubkey,
+      message_count: messages.length,
+      unverified: incoming.filter(m => !m.verified).length,
+      received_sat: incoming.reduce((sum, m) => sum + m.amount, 0),
+      sent_sat: messages.filter(m => m.direction === 'out').reduce((sum, m) => sum + m.amount, 0),
+      last_message: last.message,
+      last_message_at: last.timestamp
+    };
+  }
+
+  /**
+   * Conversation summaries, most recently active first
+   */
+  listConversations() {
+    return Array.from(this.conversations.values())
+      .map(conversation => this.summarize(conversation))
+      .sort((a, b) => b.last_message_at - a.last_message_at);
+  }
+
+  /**
+   * One conversation's messages, oldest first; `before` pages back in time
+   */
+  getConversation(pubkey, { limit = 100, before = Infinity } = {}) {
+    const conversation = this.conversations.get(pubkey);
+    if (!conversation) return null;
+
+    const messages = conversation.messages.filter(m => m.timestamp < before);
+    return {
+      ...this.summarize(conversation),
+      messages: messages.slice(-limit).map(m => ({ ...m }))
+    };
+  }
+}
+
+export default KeysendInbox;
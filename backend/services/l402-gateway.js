@@ -9,15 +9,111 @@
  * 2. Client pays Lightning invoice → Receives preimage
  * 3. Client retries with Authorization: L402 <macaroon>:<preimage>
  * 4. Server validates and grants access
+ *
+ * Macaroons use the chained-HMAC construction and V2 binary serialization
+ * (see macaroon.js), with Aperture's identifier layout, so Aperture and
+ * lnget clients can read and attenuate them. Each request verifies the
+ * signature chain and every caveat.
+ *
+ * Caveats are checked against the request they are presented with by
+ * verifiers registered per condition (see registerCaveat): a token paid
+ * for one provider or token budget cannot be spent on another. Clients
+ * may attenuate a token with further caveats, e.g. `path=/v1/chat` or
+ * `ip=203.0.113.7`; list values like `method=GET,POST` allow any of them.
+ *
+ * Verification is stateless: a token is checked with the root key named
+ * by its identifier (see root-key-store.js) and the preimage the client
+ * presents, so paid tokens survive restarts and no preimages are kept.
+ * The token id starts with the root key ID. Hold invoice preimages are
+ * derived from the root key and token id when the hub needs to settle.
+ *
+ * Sessions, usage and revenue live in a session store (see
+ * session-store.js); startSweeper() deletes expired sessions.
+ *
+ * Each token is consumed per request, atomically in the store, so
+ * concurrent replays cannot spend it twice:
+ * - single-use (default): `requests=1`
+ * - N requests: `requests=N`, asked for with l402_requests
+ * - token budget: `budget=N`, asked for with l402_token_budget; each
+ *   request reserves up to its max_tokens and is charged what it used
+ * A request that fails gives its allowance back.
+ *
+ * With hold invoices the payment is only held while the request runs:
+ * the client retries with Authorization: L402 <macaroon> as soon as its
+ * payment is in flight, and the hub settles once the response has been
+ * delivered or cancels (refunding the client) if the request failed.
  */
 
 import crypto from 'crypto';
-import { createMacaroon, verifyMacaroon, addFirstPartyCaveat } from './macaroon.js';
+import {
+  createMacaroon,
+  addFirstPartyCaveat,
+  verifyMacaroon,
+  serializeMacaroon,
+  deserializeMacaroon,
+  encodeIdentifier,
+  decodeIdentifier,
+  createL402Caveats,
+  parseCaveat
+} from './macaroon.js';
+import { HubError, ERROR_CODES } from './errors.js';
+import { decodeBolt11 } from './bolt11.js';
+import { RootKeyStore } from './root-key-store.js';
+import { MemorySessionStore } from './session-store.js';
+
+// Tokens priced for a challenge request that does not set max_tokens
+const DEFAULT_MAX_TOKENS = 1000;
+
+const MAX_REQUESTS = 1000;
+const MAX_TOKEN_BUDGET = 10000000;
+
+// Failed caveats that a new payment fixes; others mean the token does not
+// cover the request
+const PAY_AGAIN = new Set(['expires', 'requests', 'budget']);
+
+const positiveInteger = value => /^\d+$/.test(value) && parseInt(value) > 0;
+
+const requestPath = req => req.originalUrl.split('?')[0];
+
+function oneOf(value, actual) {
+  return actual !== undefined && actual !== null &&
+    value.split(',').map(v => v.trim()).includes(String(actual));
+}
+
+/**
+ * Built-in caveat verifiers: (value, context) → boolean, with the
+ * request context from requestContext()
+ */
+const DEFAULT_CAVEATS = {
+  expires: (value, ctx) => /^\d+$/.test(value) && ctx.now <= parseInt(value),
+  provider: (value, ctx) => oneOf(value, ctx.provider),
+  model: (value, ctx) => oneOf(value, ctx.model),
+  max_tokens: (value, ctx) => /^\d+$/.test(value) && Number.isInteger(ctx.maxTokens) &&
+    ctx.maxTokens > 0 && ctx.maxTokens <= parseInt(value),
+  method: (value, ctx) => oneOf(value.toUpperCase(), ctx.method),
+  // Exact paths, or prefixes ending in *
+  path: (value, ctx) => value.split(',').map(v => v.trim()).some(pattern => pattern.endsWith('*')
+    ? ctx.path.startsWith(pattern.slice(0, -1))
+    : ctx.path === pattern),
+  ip: (value, ctx) => oneOf(value, ctx.ip),
+  // Consumption limits, enforced when the token is consumed
+  requests: positiveInteger,
+  budget: positiveInteger
+};
 
 export class L402Gateway {
   constructor(options = {}) {
     this.lnd = options.lnd;
-    this.secretKey = options.secretKey || crypto.randomBytes(32);
+
+    // How long multi-use tokens stay valid after the challenge
+    this.tokenLifetimeMs = options.tokenLifetimeMs || 86400000;
+
+    // Root keys by ID; a bare secretKey gives one key that is not persisted
+    this.rootKeys = options.rootKeys || new RootKeyStore({ secret: options.secretKey });
+
+    // Charge only for delivered responses (see header)
+    this.holdInvoices = options.holdInvoices || null;
+    this.useHoldInvoices = !!(options.useHoldInvoices && this.holdInvoices);
     
     // Pricing tiers per provider (sats per token)
     this.pricingTiers = options.pricingTiers || {
@@ -27,24 +123,50 @@ export class L402Gateway {
       'claude': { pricePerToken: 4, name: 'Claude (Anthropic)', minPayment: 40 }
     };
 
-    // Track active sessions (payment hash → session data)
-    this.sessions = new Map();
-    
-    // Track usage for billing
-    this.usage = new Map();
-    
-    // Revenue tracking
-    this.revenue = {
-      total: 0,
-      byProvider: {}
-    };
+    // Sessions issued (payment hash → session, with what the token has
+    // consumed), usage and revenue; tokens are verified without them
+    this.store = options.store || new MemorySessionStore();
+    this.sweepTimer = null;
+
+    // Payment hashes of hold tokens whose request is running
+    this.inFlight = new Set();
 
-    // Initialize provider revenue
-    Object.keys(this.pricingTiers).forEach(provider => {
-      this.revenue.byProvider[provider] = { requests: 0, tokens: 0, sats: 0 };
+    // Caveat verifiers by condition
+    this.caveats = new Map(Object.entries(DEFAULT_CAVEATS));
+    Object.entries(options.caveats || {}).forEach(([condition, verify]) => {
+      this.registerCaveat(condition, verify);
     });
   }
 
+  /**
+   * Delete expired sessions now and then every `intervalMs`
+   */
+  startSweeper(intervalMs = 300000) {
+    if (this.sweepTimer) return;
+
+    const sweep = () => {
+      try {
+        this.sweep();
+      } catch (error) {
+        console.error('L402 session sweep failed:', error.message);
+      }
+    };
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, intervalMs);
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  sweep(now = Date.now()) {
+    return this.store.deleteExpiredSessions(now);
+  }
+
   /**
    * Express middleware for L402 authentication
    */
@@ -53,21 +175,55 @@ export class L402Gateway {
       try {
         // Check for L402 authorization header
         const authHeader = req.headers.authorization;
-        
+        const context = this.requestContext(req);
+        if (context.error) {
+          return res.status(400).json({ error: context.error });
+        }
+        let rejected = null;
+
         if (authHeader && authHeader.startsWith('L402 ')) {
           // Validate existing L402 token
-          const validated = await this.validateL402(authHeader);
+          const validated = await this.validateL402(authHeader, context);
           if (validated.valid) {
+            const { reservation } = validated.session;
+
+            // Providers must not generate more than the token allows
+            if (req.body && ((req.body.max_tokens ?? null) === null || req.body.max_tokens > reservation.reserved)) {
+              req.body.max_tokens = reservation.reserved;
+            }
             req.l402 = validated;
+            if (validated.session.hold) {
+              this.escrow(req, res, validated.session.paymentHash, validated.preimage);
+            }
+            res.once('close', () => this.release(reservation, this.delivered(req, res)));
             return next();
           }
+
+          // A paid token that does not cover this request: paying again
+          // for the same token would not help
+          if (validated.condition && !PAY_AGAIN.has(validated.condition)) {
+            return res.status(401).json({
+              error: 'L402 token does not cover this request',
+              code: 'L402_CAVEAT_FAILED',
+              caveat: validated.caveat,
+              condition: validated.condition,
+              message: validated.error,
+              request: this.describeContext(context)
+            });
+          }
+          rejected = validated;
         }
 
         // No valid L402 token - issue payment challenge
-        const provider = req.query.provider || req.body?.provider || 'oobabooga';
-        const estimatedTokens = req.body?.max_tokens || 1000;
+        const provider = context.provider;
+        const estimatedTokens = context.maxTokens ?? DEFAULT_MAX_TOKENS;
+
+        const kind = this.tokenKind(req);
+        if (kind.error) {
+          return res.status(400).json({ error: kind.error });
+        }
         
-        const challenge = await this.createChallenge(provider, estimatedTokens, req);
+        const challenge = await this.createChallenge(provider, estimatedTokens, req, kind);
         
         res.status(402);
         res.set('WWW-Authenticate', `L402 macaroon="${challenge.macaroon}", invoice="${challenge.invoice}"`);
@@ -81,50 +237,181 @@ export class L402Gateway {
           macaroon: challenge.macaroon,
           payment_hash: challenge.paymentHash,
           amount_sats: challenge.amountSats,
-          expires_at: challenge.expiresAt
+          expires_at: challenge.expiresAt,
+          requests: challenge.requests,
+          token_budget: challenge.tokenBudget,
+          // Why a presented token was not accepted
+          ...(rejected && {
+            token_error: rejected.error,
+            ...(rejected.condition && { caveat: rejected.caveat, condition: rejected.condition })
+          })
         });
         
       } catch (error) {
         console.error('L402 middleware error:', error);
+        // Backend failures (e.g. LND down) keep their typed code
+        if (error instanceof HubError) {
+          return next(error);
+        }
         res.status(500).json({ error: 'L402 authentication error' });
       }
     };
   }
 
   /**
-   * Create L402 challenge with invoice and macaroon
+   * Register a verifier for a caveat condition: (value, context) → boolean.
+   * Replaces any verifier for the same condition
+   */
+  registerCaveat(condition, verify) {
+    this.caveats.set(condition, verify);
+    return this;
+  }
+
+  /**
+   * What a request asks for, for caveat verification. The provider comes
+   * from the path for provider endpoints (/v1/claude/chat), otherwise from
+   * the body or query. An omitted max_tokens is null: as many as the token
+   * allows (see validateL402), or DEFAULT_MAX_TOKENS for a challenge.
+   * Returns { error } for an unknown provider or a bad max_tokens, which
+   * no token could be priced for or pass
+   */
+  requestContext(req) {
+    const [segment] = req.path.split('/').filter(Boolean);
+    const provider = Object.hasOwn(this.pricingTiers, segment ?? '')
+      ? segment
+      : req.body?.provider || req.query.provider || 'oobabooga';
+    if (typeof provider !== 'string' || !Object.hasOwn(this.pricingTiers, provider)) {
+      return { error: `provider must be one of: ${Object.keys(this.pricingTiers).join(', ')}` };
+    }
+
+    const maxTokens = req.body?.max_tokens ?? null;
+    if (maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens <= 0 || maxTokens > MAX_TOKEN_BUDGET)) {
+      return { error: `max_tokens must be an integer between 1 and ${MAX_TOKEN_BUDGET}` };
+    }
+
+    return {
+      now: Date.now(),
+      provider,
+      model: req.body?.model ?? null,
+      maxTokens,
+      method: req.method,
+      path: requestPath(req),
+      // IPv4 clients of a dual-stack listener appear as ::ffff:a.b.c.d
+      ip: req.ip?.replace(/^::ffff:/, '')
+    };
+  }
+
+  describeContext(context) {
+    return {
+      provider: context.provider,
+      model: context.model,
+      max_tokens: context.maxTokens,
+      method: context.method,
+      path: context.path,
+      ip: context.ip
+    };
+  }
+
+  /**
+   * Token kind a challenge request asks for, from l402_requests or
+   * l402_token_budget in the body or query
+   * Returns { requests, tokenBudget } or { error }
    */
-  async createChallenge(provider, estimatedTokens, req) {
+  tokenKind(req) {
+    const requests = req.body?.l402_requests ?? req.query.l402_requests;
+    const tokenBudget = req.body?.l402_token_budget ?? req.query.l402_token_budget;
+
+    if (requests !== undefined && tokenBudget !== undefined) {
+      return { error: 'Ask for either l402_requests or l402_token_budget' };
+    }
+    if (tokenBudget !== undefined) {
+      const budget = Number(tokenBudget);
+      if (!Number.isInteger(budget) || budget <= 0 || budget > MAX_TOKEN_BUDGET) {
+        return { error: `l402_token_budget must be an integer between 1 and ${MAX_TOKEN_BUDGET}` };
+      }
+      return { requests: null, tokenBudget: budget };
+    }
+
+    const count = Number(requests ?? 1);
+    if (!Number.isInteger(count) || count <= 0 || count > MAX_REQUESTS) {
+      return { error: `l402_requests must be an integer between 1 and ${MAX_REQUESTS}` };
+    }
+    return { requests: count, tokenBudget: null };
+  }
+
+  /**
+   * Create L402 challenge with invoice and macaroon: single-use by
+   * default, or for `requests` requests or a `tokenBudget` across requests.
+   * A challenge for a request is bound to its method and path
+   */
+  async createChallenge(provider, estimatedTokens, req, { requests = 1, tokenBudget = null, lifetimeMs } = {}) {
     const tier = this.pricingTiers[provider] || this.pricingTiers['oobabooga'];
+    const multiUse = tokenBudget !== null || requests > 1;
     
     // Calculate required payment
-    const amountSats = Math.max(
+    const perRequest = Math.max(
       tier.minPayment,
       Math.ceil(estimatedTokens * tier.pricePerToken)
     );
+    const amountSats = tokenBudget !== null
+      ? Math.max(tier.minPayment, Math.ceil(tokenBudget * tier.pricePerToken))
+      : perRequest * requests;
+
+    const rootKey = this.rootKeys.current();
+    const tokenId = this.newTokenId(rootKey.id);
+
+    // Create Lightning invoice; a held payment can only back one request
+    const hold = this.useHoldInvoices && !multiUse;
+    const memo = tokenBudget !== null
+      ? `L402: ${tier.name} API - ${tokenBudget} token budget`
+      : `L402: ${tier.name} API - ${requests > 1 ? `${requests} requests of ` : ''}${estimatedTokens} tokens`;
+    const invoice = hold
+      ? await this.holdInvoices.create({
+        amount: amountSats,
+        memo,
+        expiry: 600,
+        paymentHash: crypto.createHash('sha256').update(this.holdPreimage(rootKey.key, tokenId)).digest('hex')
+      })
+      : await this.lnd.createInvoice(amountSats, memo, 600); // 10 min expiry
+
+    // The macaroon is bound to the payment hash, so the invoice must commit to it
+    const decoded = decodeBolt11(invoice.payment_request);
+    if (decoded.payment_hash !== invoice.r_hash || decoded.num_satoshis !== amountSats.toString()) {
+      throw new HubError(ERROR_CODES.LND_RPC_ERROR, 'Node returned an invoice that does not match the L402 challenge', 502);
+    }
+    // Single-use tokens expire with their invoice
+    const expiresAt = multiUse ? Date.now() + (lifetimeMs || this.tokenLifetimeMs) : decoded.expires_at;
 
-    // Create Lightning invoice
-    const memo = `L402: ${tier.name} API - ${estimatedTokens} tokens`;
-    const invoice = await this.lnd.createInvoice(amountSats, memo, 600); // 10 min expiry
+    // Commas and a trailing * have a meaning in path caveats; no route has them
+    const path = req?.originalUrl && requestPath(req);
 
     // Create macaroon with caveats
     const macaroon = this.createL402Macaroon({
+      rootKey,
+      tokenId,
       paymentHash: invoice.r_hash,
       provider: provider,
-      maxTokens: estimatedTokens,
-      expiresAt: Date.now() + 600000 // 10 minutes
+      model: req?.body?.model,
+      method: req?.method,
+      path: path && !/[,*]/.test(path) ? path : undefined,
+      maxTokens: tokenBudget !== null ? null : estimatedTokens,
+      requests,
+      budget: tokenBudget,
+      expiresAt
     });
 
     // Store session
-    this.sessions.set(invoice.r_hash, {
+    this.store.putSession(invoice.r_hash, {
       provider,
-      maxTokens: estimatedTokens,
+      maxTokens: tokenBudget !== null ? null : estimatedTokens,
+      maxRequests: requests,
+      tokenBudget,
       amountSats,
       macaroon,
       invoice: invoice.payment_request,
-      preimage: invoice.preimage, // Store for validation
+      hold,
       createdAt: Date.now(),
-      expiresAt: Date.now() + 600000,
+      expiresAt,
       paid: false,
       used: false
     });
@@ -134,94 +421,132 @@ export class L402Gateway {
       invoice: invoice.payment_request,
       paymentHash: invoice.r_hash,
       amountSats,
-      expiresAt: Date.now() + 600000
+      requests,
+      tokenBudget,
+      expiresAt
     };
   }
 
   /**
-   * Create L402 macaroon with caveats
+   * Token id: the root key ID followed by random bytes
    */
-  createL402Macaroon(data) {
-    const identifier = Buffer.from(JSON.stringify({
-      version: 1,
-      paymentHash: data.paymentHash,
-      timestamp: Date.now()
-    })).toString('base64');
-
-    // Simple macaroon creation (in production, use proper macaroon library)
-    const macaroonData = {
-      identifier,
-      location: 'lightning-hub',
-      caveats: [
-        `provider = ${data.provider}`,
-        `max_tokens = ${data.maxTokens}`,
-        `expires = ${data.expiresAt}`
-      ],
-      signature: this.signMacaroon(identifier, data)
-    };
+  newTokenId(keyId) {
+    return Buffer.concat([Buffer.from(keyId, 'hex'), crypto.randomBytes(32 - keyId.length / 2)]);
+  }
 
-    return Buffer.from(JSON.stringify(macaroonData)).toString('base64');
+  /**
+   * Preimage of a hold token's invoice, recomputed when settling
+   */
+  holdPreimage(key, tokenId) {
+    return crypto.createHmac('sha256', key).update(`l402-hold:${Buffer.from(tokenId).toString('hex')}`).digest();
   }
 
   /**
-   * Sign macaroon data
+   * Create L402 macaroon with caveats, with the current root key unless
+   * `rootKey` ({ id, key }) is given
    */
-  signMacaroon(identifier, data) {
-    const hmac = crypto.createHmac('sha256', this.secretKey);
-    hmac.update(identifier);
-    hmac.update(JSON.stringify(data));
-    return hmac.digest('hex');
+  createL402Macaroon(data) {
+    const rootKey = data.rootKey || this.rootKeys.current();
+    const identifier = encodeIdentifier(data.paymentHash, data.tokenId || this.newTokenId(rootKey.id));
+    const caveats = createL402Caveats({
+      expires: data.expiresAt,
+      provider: data.provider,
+      maxTokens: data.maxTokens,
+      model: data.model,
+      method: data.method,
+      path: data.path,
+      requests: data.requests,
+      budget: data.budget
+    });
+
+    const macaroon = caveats.reduce(
+      (mac, caveat) => addFirstPartyCaveat(mac, caveat),
+      createMacaroon('lightning-hub', identifier, rootKey.key)
+    );
+
+    return serializeMacaroon(macaroon);
   }
 
   /**
-   * Validate L402 authorization header
+   * Validate L402 authorization header; caveats are checked against the
+   * request `context`. Failures name the caveat that failed, if any
    */
-  async validateL402(authHeader) {
+  async validateL402(authHeader, context = { now: Date.now() }) {
     try {
       // Parse L402 header: "L402 <macaroon>:<preimage>"
       const token = authHeader.slice(5); // Remove "L402 "
       const [macaroonB64, preimage] = token.split(':');
 
-      if (!macaroonB64 || !preimage) {
+      if (!macaroonB64) {
         return { valid: false, error: 'Invalid L402 format' };
       }
 
-      // Decode macaroon
-      const macaroon = JSON.parse(Buffer.from(macaroonB64, 'base64').toString());
-      const identifier = JSON.parse(Buffer.from(macaroon.identifier, 'base64').toString());
+      let macaroon;
+      let identifier;
+      try {
+        macaroon = deserializeMacaroon(macaroonB64);
+        identifier = decodeIdentifier(macaroon.identifier);
+      } catch (error) {
+        return { valid: false, error: error.message };
+      }
+
+      // A request without max_tokens asks for what the token allows
+      if (context.maxTokens === null || context.maxTokens === undefined) {
+        context = { ...context, maxTokens: this.allowance(macaroon) };
+      }
 
-      // Get session
-      const session = this.sessions.get(identifier.paymentHash);
-      if (!session) {
-        return { valid: false, error: 'Session not found' };
+      // The token id starts with the ID of the key it was minted with
+      const keyId = identifier.tokenId.slice(0, 8);
+      const rootKey = this.rootKeys.get(keyId);
+      if (!rootKey) {
+        return { valid: false, error: 'Unknown or revoked root key' };
       }
 
-      // Check expiry
-      if (Date.now() > session.expiresAt) {
-        return { valid: false, error: 'Session expired' };
+      // Signature chain and every caveat, before trusting the identifier
+      const verifiers = Object.fromEntries(Array.from(this.caveats, ([condition, verify]) => [
+        condition,
+        value => verify(value, context)
+      ]));
+      const verified = verifyMacaroon(macaroon, rootKey, verifiers);
+      if (!verified.valid) {
+        return verified;
+      }
+
+      const { paymentHash } = identifier;
+      const session = {
+        provider: context.provider,
+        maxTokens: context.maxTokens,
+        amountPaid: this.store.getSession(paymentHash)?.amountSats ?? null,
+        paymentHash
+      };
+
+      // Hold tokens are proven by the held payment, not a preimage
+      if (!preimage && this.holdInvoices) {
+        const held = await this.validateHeld(session, this.holdPreimage(rootKey, Buffer.from(identifier.tokenId, 'hex')));
+        if (!held.valid) {
+          return held;
+        }
+
+        const consumed = this.consume(macaroon, held.session, context);
+        if (!consumed.valid) {
+          this.inFlight.delete(paymentHash);
+        }
+        return consumed.valid ? { ...consumed, preimage: held.preimage } : consumed;
+      }
+
+      if (!preimage || !/^[0-9a-f]{64}$/i.test(preimage)) {
+        return { valid: false, error: 'Invalid L402 format' };
       }
 
       // Validate preimage against payment hash
-      const preimageBuffer = Buffer.from(preimage, 'hex');
-      const computedHash = crypto.createHash('sha256').update(preimageBuffer).digest('hex');
-      
-      // In mock mode, accept the stored preimage
-      if (preimage !== session.preimage && computedHash !== identifier.paymentHash) {
+      const computedHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      if (computedHash !== paymentHash) {
         return { valid: false, error: 'Invalid preimage' };
       }
 
-      // Mark as paid and valid
-      session.paid = true;
+      this.store.updateSession(paymentHash, { paid: true });
 
-      return {
-        valid: true,
-        session: {
-          provider: session.provider,
-          maxTokens: session.maxTokens,
-          amountPaid: session.amountSats,
-          paymentHash: identifier.paymentHash
-        }
-      };
+      return this.consume(macaroon, session, context);
 
     } catch (error) {
       console.error('L402 validation error:', error);
@@ -230,23 +555,159 @@ export class L402Gateway {
   }
 
   /**
-   * Record usage after successful API call
+   * Tokens a request without max_tokens gets: the lowest max_tokens caveat
+   * of the token, or DEFAULT_MAX_TOKENS. The caveats are not verified yet,
+   * but the request is then verified against them like any other
+   */
+  allowance(macaroon) {
+    const limits = macaroon.caveats.map(parseCaveat)
+      .filter(({ condition, value }) => condition === 'max_tokens' && positiveInteger(value))
+      .map(({ value }) => parseInt(value));
+    return limits.length ? Math.min(...limits) : DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Take this request from a paid token's allowance, within the limits
+   * of its `requests` and `budget` caveats (the lowest, if a holder added
+   * more); a token with neither is single-use. The store does this
+   * atomically, so concurrent replays cannot both pass. The session gets
+   * a `reservation` to settle with recordUsage() or give back with
+   * release().
    */
-  recordUsage(paymentHash, tokensUsed, provider) {
-    const session = this.sessions.get(paymentHash);
-    if (!session) return;
+  consume(macaroon, session, context) {
+    const limits = { requests: [], budget: [], expires: [] };
+    macaroon.caveats.map(parseCaveat).forEach(({ condition, value }) => {
+      if (limits[condition]) limits[condition].push(parseInt(value));
+    });
 
-    session.used = true;
-    session.tokensUsed = tokensUsed;
+    const budget = limits.budget.length ? Math.min(...limits.budget) : null;
+    const maxRequests = limits.requests.length ? Math.min(...limits.requests) : (budget === null ? 1 : null);
 
-    // Update revenue tracking
-    const tier = this.pricingTiers[provider];
-    const satsCharged = tokensUsed * tier.pricePerToken;
+    const consumed = this.store.consume(session.paymentHash, {
+      maxRequests,
+      budget,
+      reserve: context.maxTokens,
+      expiresAt: limits.expires.length ? Math.min(...limits.expires) : context.now + this.tokenLifetimeMs
+    });
 
-    this.revenue.total += satsCharged;
-    this.revenue.byProvider[provider].requests += 1;
-    this.revenue.byProvider[provider].tokens += tokensUsed;
-    this.revenue.byProvider[provider].sats += satsCharged;
+    if (!consumed.ok) {
+      const limit = consumed.reason === 'budget' ? budget : maxRequests;
+      return {
+        valid: false,
+        error: consumed.reason === 'budget'
+          ? 'Token budget exhausted'
+          : maxRequests === 1 ? 'Token already used' : `Token already used for ${maxRequests} requests`,
+        caveat: `${consumed.reason}=${limit}`,
+        condition: consumed.reason,
+        value: String(limit)
+      };
+    }
+
+    return {
+      valid: true,
+      session: {
+        ...session,
+        requestsRemaining: maxRequests === null ? null : maxRequests - consumed.requests,
+        tokensRemaining: consumed.remaining,
+        reservation: { id: session.paymentHash, reserved: consumed.reserved, settled: false }
+      }
+    };
+  }
+
+  /**
+   * Give back a reservation that recordUsage() did not settle, refunding
+   * the request itself unless the response was delivered
+   */
+  release(reservation, delivered) {
+    if (reservation.settled) return;
+
+    reservation.settled = true;
+    this.store.release(reservation.id, { reserved: reservation.reserved, used: 0, refund: !delivered });
+  }
+
+  /**
+   * Whether a response reached the client in full. Routes flag failures
+   * that happen after headers are sent with `req.l402.failed`.
+   */
+  delivered(req, res) {
+    return res.writableFinished && res.statusCode < 400 && !req.l402.failed;
+  }
+
+  /**
+   * Accept a hold token while its payment is held, one request at a time;
+   * a settled payment means the token was used
+   */
+  async validateHeld(session, preimage) {
+    const { paymentHash } = session;
+    if (this.inFlight.has(paymentHash)) {
+      return { valid: false, error: 'Token already in use' };
+    }
+
+    // Reserve before awaiting so concurrent requests cannot both pass
+    this.inFlight.add(paymentHash);
+    try {
+      const invoice = await this.holdInvoices.get(paymentHash);
+      if (invoice.state !== 'ACCEPTED') {
+        this.inFlight.delete(paymentHash);
+        return { valid: false, error: `Payment ${invoice.state === 'OPEN' ? 'not received' : invoice.state.toLowerCase()}` };
+      }
+    } catch (error) {
+      this.inFlight.delete(paymentHash);
+      throw error;
+    }
+
+    this.store.updateSession(paymentHash, { paid: true });
+
+    return {
+      valid: true,
+      session: { ...session, hold: true },
+      preimage: preimage.toString('hex')
+    };
+  }
+
+  /**
+   * Settle a held payment once the response has been delivered; refund it
+   * if the request failed or the client went away
+   */
+  escrow(req, res, paymentHash, preimage) {
+    res.once('close', async () => {
+      const delivered = this.delivered(req, res);
+      try {
+        if (delivered) {
+          await this.holdInvoices.settle(paymentHash, preimage);
+          this.store.updateSession(paymentHash, { used: true });
+        } else {
+          await this.holdInvoices.cancel(paymentHash);
+        }
+      } catch (error) {
+        console.error(`L402 hold invoice ${delivered ? 'settle' : 'cancel'} failed:`, error.message);
+      } finally {
+        this.inFlight.delete(paymentHash);
+      }
+    });
+  }
+
+  /**
+   * Record usage after successful API call, settling the request's
+   * `reservation` so a budget token is charged the tokens actually used
+   */
+  recordUsage(paymentHash, tokensUsed, provider, reservation = null) {
+    if (reservation && !reservation.settled) {
+      reservation.settled = true;
+      this.store.release(paymentHash, { reserved: reservation.reserved, used: tokensUsed });
+    }
+
+    // Swept or memory-only sessions may be gone, but the usage still counts
+    this.store.updateSession(paymentHash, { used: true });
+
+    const tier = this.pricingTiers[provider];
+    this.store.recordUsage({
+      paymentHash,
+      provider,
+      tokens: tokensUsed,
+      sats: tokensUsed * tier.pricePerToken,
+      at: Date.now()
+    });
   }
 
   /**
@@ -266,73 +727,42 @@ export class L402Gateway {
    * Get revenue statistics
    */
   getStats() {
+    const revenue = this.store.revenue();
+
+    // Every priced provider, including those without usage yet
+    const byProvider = {};
+    Object.keys(this.pricingTiers).forEach((provider) => {
+      byProvider[provider] = { requests: 0, tokens: 0, sats: 0 };
+    });
+    Object.assign(byProvider, revenue.byProvider);
+
     return {
-      totalRevenue: this.revenue.total,
-      byProvider: this.revenue.byProvider,
-      activeSessions: this.sessions.size,
+      totalRevenue: revenue.total,
+      byProvider,
+      activeSessions: this.store.countSessions(Date.now()),
       pricing: this.getPricing()
     };
   }
 
   /**
-   * Create a pre-paid session (for subscriptions or bulk purchases)
+   * Create a pre-paid session (for subscriptions or bulk purchases): a
+   * token with a budget of `tokenBudget` tokens, valid for `expiryHours`
    */
   async createPrepaidSession(provider, tokenBudget, expiryHours = 24) {
-    const tier = this.pricingTiers[provider];
-    const amountSats = tokenBudget * tier.pricePerToken;
-    
-    const memo = `L402 Prepaid: ${tier.name} - ${tokenBudget} tokens`;
-    const invoice = await this.lnd.createInvoice(amountSats, memo, expiryHours * 3600);
-
-    const sessionId = crypto.randomBytes(16).toString('hex');
-    
-    this.sessions.set(sessionId, {
-      type: 'prepaid',
-      provider,
+    const challenge = await this.createChallenge(provider, null, null, {
+      requests: null,
       tokenBudget,
-      tokensRemaining: tokenBudget,
-      amountSats,
-      invoice: invoice.payment_request,
-      paymentHash: invoice.r_hash,
-      preimage: invoice.preimage,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (expiryHours * 3600000),
-      paid: false
+      lifetimeMs: expiryHours * 3600000
     });
 
     return {
-      sessionId,
-      invoice: invoice.payment_request,
-      paymentHash: invoice.r_hash,
-      amountSats,
+      sessionId: challenge.paymentHash,
+      macaroon: challenge.macaroon,
+      invoice: challenge.invoice,
+      paymentHash: challenge.paymentHash,
+      amountSats: challenge.amountSats,
       tokenBudget,
-      expiresAt: Date.now() + (expiryHours * 3600000)
-    };
-  }
-
-  /**
-   * Use tokens from prepaid session
-   */
-  usePrepaidTokens(sessionId, tokensUsed) {
-    const session = this.sessions.get(sessionId);
-    if (!session || session.type !== 'prepaid') {
-      return { success: false, error: 'Session not found' };
-    }
-
-    if (!session.paid) {
-      return { success: false, error: 'Session not paid' };
-    }
-
-    if (tokensUsed > session.tokensRemaining) {
-      return { success: false, error: 'Insufficient token balance', remaining: session.tokensRemaining };
-    }
-
-    session.tokensRemaining -= tokensUsed;
-    
-    return {
-      success: true,
-      tokensUsed,
-      tokensRemaining: session.tokensRemaining
+      expiresAt: challenge.expiresAt
     };
   }
 
@@ -342,7 +772,7 @@ export class L402Gateway {
   async createBOLT12Offer(provider, description) {
     const tier = this.pricingTiers[provider];
     
-    // Note: BOLT12 requires CLN, this is a compatibility layer
+    // A BOLT12 offer on CLN; LND falls back to a reusable AMP invoice
     const offer = await this.lnd.createOffer(
       `${description || tier.name} - Pay per use`,
       'any'
@@ -0,0 +1,1351 @@
+/**
+ * Mock LND Backend
+ *
+ * Implements the LNDClient interface with deterministic fixtures.
+ * Only used when HUB_MODE=mock (no node required).
+ */
+
+import crypto from 'crypto';
+import * as secp from '@noble/secp256k1';
+import { LNDClient, KEYSEND_PREIMAGE_RECORD, PAYMENT_CODE_EXPIRY, CLOSE_TYPE_FILTERS } from './lnd.js';
+import { Fixtures, FIXTURE_EPOCH } from './fixtures.js';
+import { encodeBolt11, decodeBolt11, encodeSegwitAddress } from './bolt11.js';
+import { HubError, ERROR_CODES } from './errors.js';
+import { KEYSEND_RECORDS, signedPayload } from './keysend-inbox.js';
+
+// Time for a mock funding or closing transaction to "confirm"
+const MOCK_CONFIRMATION_MS = 10000;
+
+// Time before a mock payer pays a hold invoice
+const MOCK_HOLD_PAYMENT_MS = 5000;
+
+// Days of fixture forwarding history
+const MOCK_FORWARDING_DAYS = 30;
+
+// Time before a mock payer first pays a new payment code
+const MOCK_AMP_PAYMENT_MS = 5000;
+
+// Time before a mock keysend contact answers a message
+const MOCK_KEYSEND_REPLY_MS = 3000;
+
+// Fee rate (sat/vbyte) the mock estimator returns for a confirmation target
+function mockFeeRate(targetConf) {
+  if (targetConf <= 1) return 25;
+  if (targetConf <= 3) return 15;
+  if (targetConf <= 6) return 8;
+  return 2;
+}
+
+// Approximate size of a segwit transaction
+function mockVsize(inputs, outputs) {
+  return 11 + inputs * 68 + outputs * 31;
+}
+
+const DUST_LIMIT = 546;
+
+export class MockLNDClient extends LNDClient {
+  constructor(options = {}) {
+    super(options);
+    this.mock = true;
+    this.fixtures = options.fixtures || new Fixtures(options.seed);
+    this.invoiceStreamTimer = null;
+
+    // Fixture node identity, used to sign invoices
+    this.nodeKey = this.fixtures.bytes('node:key');
+    this.identityPubkey = Buffer.from(secp.getPublicKey(this.nodeKey, true)).toString('hex');
+
+    // Invoices created through this backend, in add_index order
+    this.invoiceBook = [];
+    // r_hash → callbacks following that invoice
+    this.singleInvoiceSubscribers = new Map();
+    // Payments sent through this backend, latest state, in payment_index order
+    this.paymentBook = [];
+
+    // Channel lifecycle: pending opens → open channels → pending closes → closed
+    this.channels = [1, 2].map(n => ({
+      active: true,
+      remote_pubkey: this.fixtures.pubkey(`peer:${n}`),
+      channel_point: this.fixtures.hex(`channel:${n}`) + ':0',
+      chan_id: `82000000000000000${n}`,
+      capacity: (n * 1000000).toString(),
+      local_balance: n === 1 ? '150000' : '1700000',
+      remote_balance: n === 1 ? '850000' : '300000',
+      total_satoshis_sent: n === 1 ? '150000' : '500000',
+      total_satoshis_received: n === 1 ? '200000' : '300000',
+      num_updates: n === 1 ? 42 : 128,
+      private: false
+    }));
+    // Connected peers: the two channel partners and gossip-only peers
+    this.peers = [1, 2, 3, 4, 5, 6, 7, 8].map(n => this.mockPeer(this.fixtures.pubkey(`peer:${n}`)));
+
+    this.pendingOpens = [];
+    this.pendingCloses = [];
+    this.closedChannelBook = [];
+
+    // chan_id → our routing policy, defaulted on first read
+    this.channelPolicies = new Map();
+
+    this.forwardingEvents = this.mockForwardingEvents(MOCK_FORWARDING_DAYS);
+
+    // On-chain wallet: UTXOs and transactions, oldest first
+    this.walletUtxos = [];
+    this.walletTransactions = [];
+    [[3000000, 144], [1500000, 52], [900000, 6], [20000, 0]].forEach(([amount, confirmations], i) => {
+      const txid = this.fixtures.hex(`wallet:deposit:${i}`);
+      const address = this.mockAddress(`deposit:${i}`, 'p2wkh');
+      this.walletUtxos.push(this.mockUtxo(txid, 0, address, amount, confirmations));
+      this.walletTransactions.push(this.mockTransaction(txid, amount, 0, confirmations, [
+        { output_type: 'SCRIPT_TYPE_WITNESS_V0_PUBKEY_HASH', address: address.address, pk_script: address.pk_script, output_index: '0', amount: amount.toString(), is_our_address: true }
+      ]));
+    });
+
+    // Keysend chat contacts with real keys, so their messages can be signed
+    this.keysendContacts = [1, 2].map((n) => {
+      const key = this.fixtures.bytes(`contact:${n}:key`);
+      return { key, pubkey: Buffer.from(secp.getPublicKey(key, true)).toString('hex') };
+    });
+    const hoursAgo = hours => Date.now() - hours * 3600000;
+    this.receiveMockKeysend({ contact: this.keysendContacts[0], message: 'Hey! Is your node open to a channel?', amount: 1000, sentAt: hoursAgo(5) });
+    this.receiveMockKeysend({ contact: this.keysendContacts[1], message: 'Thanks for the fast route ⚡', amount: 100, sentAt: hoursAgo(3) });
+    this.receiveMockKeysend({ contact: this.keysendContacts[0], message: 'Opened one, 2M sats. Enjoy!', amount: 1000, sentAt: hoursAgo(2) });
+    // Claims a sender but carries no signature
+    this.receiveMockKeysend({ contact: { pubkey: this.fixtures.pubkey('contact:3') }, message: 'Trust me, send sats here', amount: 1, sentAt: hoursAgo(1) });
+    this.receiveMockKeysend({
+      boost: { action: 'boost', app_name: 'Fountain', podcast: 'Mock Podcast', episode: 'Episode 42', message: 'Great episode!', value_msat_total: '21000' },
+      amount: 21,
+      sentAt: hoursAgo(0.5)
+    });
+  }
+
+  async connect() {
+    this.markConnected();
+    return true;
+  }
+
+  // Mock streams live in this process and never drop
+  restoreStreams() {}
+
+  /**
+   * Forwards between the fixture channels, spread over the last `days`
+   */
+  mockForwardingEvents(days) {
+    const now = Math.floor(Date.now() / 1000);
+    const count = days * 8;
+    const events = [];
+
+    for (let i = 0; i < count; i++) {
+      const timestamp = now - Math.floor(((count - i) * days * 86400) / count);
+      const [chanIn, chanOut] = this.fixtures.int(`forward:${i}:direction`, 0, 2) === 0
+        ? [this.channels[1], this.channels[0]]
+        : [this.channels[0], this.channels[1]];
+      const amtOutMsat = this.fixtures.int(`forward:${i}:amount`, 1000, 500000) * 1000;
+      const feeMsat = 1000 + Math.floor(amtOutMsat * this.fixtures.int(`forward:${i}:rate`, 1, 500) / 1000000);
+
+      events.push({
+        timestamp,
+        timestamp_ns: (BigInt(timestamp) * 1000000000n).toString(),
+        chan_id_in: chanIn.chan_id,
+        chan_id_out: chanOut.chan_id,
+        amt_in: Math.floor((amtOutMsat + feeMsat) / 1000).toString(),
+        amt_out: Math.floor(amtOutMsat / 1000).toString(),
+        fee: Math.floor(feeMsat / 1000).toString(),
+        fee_msat: feeMsat.toString(),
+        amt_in_msat: (amtOutMsat + feeMsat).toString(),
+        amt_out_msat: amtOutMsat.toString(),
+        peer_alias_in: '',
+        peer_alias_out: ''
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Deterministic preimage/hash pair for the nth fixture of a kind
+   */
+  nextPreimage(kind) {
+    const index = this.fixtures.next(kind);
+    const preimage = this.fixtures.bytes(`${kind}:${index}`);
+    return {
+      index,
+      preimage: preimage.toString('hex'),
+      hash: crypto.createHash('sha256').update(preimage).digest('hex')
+    };
+  }
+
+  // Get node info
+  async getInfo() {
+    return {
+      identity_pubkey: this.identityPubkey,
+      alias: 'Lightning Hub Node',
+      num_active_channels: 12,
+      num_peers: this.peers.length,
+      block_height: 820000,
+      synced_to_chain: true,
+      chains: [{ chain: 'bitcoin', network: this.network }],
+      version: '0.17.0-beta'
+    };
+  }
+
+  // Get wallet balance
+  async getBalance() {
+    const confirmed = this.walletUtxos
+      .filter(u => parseInt(u.confirmations) > 0)
+      .reduce((sum, u) => sum + parseInt(u.amount_sat), 0);
+    const total = this.walletUtxos.reduce((sum, u) => sum + parseInt(u.amount_sat), 0);
+
+    return {
+      total_balance: total.toString(),
+      confirmed_balance: confirmed.toString(),
+      unconfirmed_balance: (total - confirmed).toString()
+    };
+  }
+
+  /**
+   * Fixture wallet address with its output script
+   */
+  mockAddress(label, type) {
+    const version = type === 'p2tr' ? 1 : 0;
+    const program = this.fixtures.bytes(`wallet:address:${label}`, version ? 32 : 20);
+    return {
+      type: version ? 'TAPROOT_PUBKEY' : 'WITNESS_PUBKEY_HASH',
+      address: encodeSegwitAddress(version, program, this.network),
+      pk_script: (version ? '5120' : '0014') + program.toString('hex')
+    };
+  }
+
+  mockUtxo(txid, outputIndex, address, amount, confirmations) {
+    return {
+      address_type: address.type,
+      address: address.address,
+      amount_sat: amount.toString(),
+      pk_script: address.pk_script,
+      outpoint: {
+        txid_bytes: Buffer.from(txid, 'hex').reverse().toString('hex'),
+        txid_str: txid,
+        output_index: outputIndex
+      },
+      confirmations: confirmations.toString()
+    };
+  }
+
+  mockTransaction(txid, amount, fee, confirmations, outputs, { label = '', inputs = [] } = {}) {
+    const blockHeight = confirmations ? 820000 - confirmations + 1 : 0;
+    return {
+      tx_hash: txid,
+      amount: amount.toString(),
+      num_confirmations: confirmations,
+      block_hash: confirmations ? this.fixtures.hex(`block:${blockHeight}`) : '',
+      block_height: blockHeight,
+      time_stamp: (Math.floor(Date.now() / 1000) - confirmations * 600).toString(),
+      total_fees: fee.toString(),
+      dest_addresses: outputs.map(o => o.address),
+      output_details: outputs,
+      raw_tx_hex: '',
+      label,
+      previous_outpoints: inputs.map(u => ({ outpoint: `${u.outpoint.txid_str}:${u.outpoint.output_index}`, is_our_output: true }))
+    };
+  }
+
+  async newAddress(type = 'p2wkh') {
+    const index = this.fixtures.next('address');
+    return { address: this.mockAddress(`new:${index}`, type).address };
+  }
+
+  // Spend wallet coins with the same selection rules LND applies
+  async sendCoins(address, amount, options = {}) {
+    const {
+      sendAll = false,
+      satPerVbyte,
+      targetConf,
+      minConfs = 1,
+      spendUnconfirmed = false,
+      coinSelection = 'default',
+      outpoints = [],
+      label = ''
+    } = options;
+
+    const feeRate = satPerVbyte || mockFeeRate(targetConf || 6);
+    const spendable = this.walletUtxos.filter(u => parseInt(u.confirmations) >= (spendUnconfirmed ? 0 : minConfs));
+
+    let candidates;
+    if (outpoints.length) {
+      candidates = outpoints.map((outpoint) => {
+        const utxo = spendable.find(u => `${u.outpoint.txid_str}:${u.outpoint.output_index}` === outpoint);
+        if (!utxo) {
+          throw new HubError(ERROR_CODES.LND_RPC_ERROR, `outpoint ${outpoint} is not a spendable wallet output`, 502, { grpcCode: 2 });
+        }
+        return utxo;
+      });
+    } else if (coinSelection === 'random') {
+      candidates = [...spendable].sort((a, b) =>
+        this.fixtures.int(`coin:${a.outpoint.txid_str}`, 0, 1000) - this.fixtures.int(`coin:${b.outpoint.txid_str}`, 0, 1000));
+    } else {
+      candidates = [...spendable].sort((a, b) => parseInt(b.amount_sat) - parseInt(a.amount_sat));
+    }
+
+    const insufficient = () => new HubError(
+      ERROR_CODES.LND_RPC_ERROR,
+      'insufficient funds available to construct transaction',
+      502,
+      { grpcCode: 2 }
+    );
+
+    // Explicit outpoints and send_all spend every candidate; otherwise add coins until covered
+    const inputs = [];
+    let total = 0;
+    let fee = 0;
+    for (const utxo of candidates) {
+      inputs.push(utxo);
+      total += parseInt(utxo.amount_sat);
+      fee = mockVsize(inputs.length, sendAll ? 1 : 2) * feeRate;
+      if (!sendAll && !outpoints.length && total >= amount + fee) break;
+    }
+
+    const sent = sendAll ? total - fee : amount;
+    if (!inputs.length || sent < DUST_LIMIT || total < sent + fee) {
+      throw insufficient();
+    }
+
+    let change = total - sent - fee;
+    if (change < DUST_LIMIT) {
+      fee += change;
+      change = 0;
+    }
+
+    const index = this.fixtures.next('wallet-send');
+    const txid = this.fixtures.hex(`wallet:send:${index}`);
+    const outputs = [{ output_type: 'SCRIPT_TYPE_WITNESS_V0_PUBKEY_HASH', address, pk_script: '', output_index: '0', amount: sent.toString(), is_our_address: false }];
+
+    this.walletUtxos = this.walletUtxos.filter(u => !inputs.includes(u));
+    if (change) {
+      const changeAddress = this.mockAddress(`change:${index}`, 'p2tr');
+      this.walletUtxos.push(this.mockUtxo(txid, 1, changeAddress, change, 0));
+      outputs.push({ output_type: 'SCRIPT_TYPE_WITNESS_V1_TAPROOT', address: changeAddress.address, pk_script: changeAddress.pk_script, output_index: '1', amount: change.toString(), is_our_address: true });
+    }
+    this.walletTransactions.push(this.mockTransaction(txid, -(sent + fee), fee, 0, outputs, { label, inputs }));
+
+    return { txid };
+  }
+
+  async listUnspent(minConfs = 1, maxConfs = 2147483647) {
+    return {
+      utxos: this.walletUtxos
+        .filter(u => parseInt(u.confirmations) >= minConfs && parseInt(u.confirmations) <= maxConfs)
+        .map(u => ({ ...u, outpoint: { ...u.outpoint } }))
+    };
+  }
+
+  async getTransactions({ indexOffset = 0, maxTransactions = 0 } = {}) {
+    const page = this.walletTransactions.slice(indexOffset, maxTransactions ? indexOffset + maxTransactions : undefined);
+    return {
+      transactions: page.map(tx => ({ ...tx })),
+      first_index: indexOffset.toString(),
+      last_index: (indexOffset + page.length).toString()
+    };
+  }
+
+  // Get channel balance
+  async getChannelBalance() {
+    return {
+      balance: '4200000',
+      pending_open_balance: '100000',
+      local_balance: { sat: '4200000', msat: '4200000000' },
+      remote_balance: { sat: '1200000', msat: '1200000000' }
+    };
+  }
+
+  // List channels
+  async listChannels() {
+    return { channels: this.channels.map(channel => ({ ...channel })) };
+  }
+
+  mockPeer(pubkey, host) {
+    return {
+      pub_key: pubkey,
+      address: host || `10.0.${this.fixtures.int(`peer:${pubkey}:net`, 0, 256)}.${this.fixtures.int(`peer:${pubkey}:host`, 2, 255)}:9735`,
+      bytes_sent: this.fixtures.int(`peer:${pubkey}:sent`, 10000, 5000000).toString(),
+      bytes_recv: this.fixtures.int(`peer:${pubkey}:recv`, 10000, 5000000).toString(),
+      sat_sent: '0',
+      sat_recv: '0',
+      inbound: false,
+      ping_time: '0',
+      sync_type: 'PASSIVE_SYNC',
+      features: {},
+      errors: [],
+      flap_count: 0,
+      last_flap_ns: '0'
+    };
+  }
+
+  // Peers with fresh ping times; the last fixture peer is offline for
+  // five minutes of every fifteen, so uptime tracking has something to show
+  async listPeers() {
+    const flapping = this.fixtures.pubkey('peer:8');
+    const online = Math.floor(Date.now() / 300000) % 3 !== 0;
+
+    return {
+      peers: this.peers
+        .filter(peer => online || peer.pub_key !== flapping)
+        .map(peer => ({
+          ...peer,
+          // Microseconds, like LND
+          ping_time: (this.fixtures.int(`ping:${peer.pub_key}:${this.fixtures.next('ping')}`, 20, 400) * 1000).toString()
+        }))
+    };
+  }
+
+  async disconnectPeer(pubkey) {
+    if (!this.peers.some(peer => peer.pub_key === pubkey)) {
+      throw new HubError(ERROR_CODES.LND_RPC_ERROR, `peer ${pubkey} is not connected`, 502, { grpcCode: 2 });
+    }
+    this.peers = this.peers.filter(peer => peer.pub_key !== pubkey);
+    return {};
+  }
+
+  async connectPeer(pubkey, host) {
+    if (!this.peers.some(peer => peer.pub_key === pubkey)) {
+      this.peers.push(this.mockPeer(pubkey, host));
+    }
+    return {};
+  }
+
+  // Open a channel; it "confirms" after MOCK_CONFIRMATION_MS
+  async openChannel({ nodePubkey, localFundingAmount, pushSat = 0, private: isPrivate = false, onUpdate = null }) {
+    const { confirmed_balance } = await this.getBalance();
+    const committed = this.pendingOpens.reduce((sum, p) => sum + parseInt(p.channel.capacity), 0);
+    const available = parseInt(confirmed_balance) - committed;
+    if (localFundingAmount > available) {
+      throw new HubError(
+        ERROR_CODES.LND_RPC_ERROR,
+        `not enough witness outputs to create funding transaction, need ${localFundingAmount} sats, only have ${available} sats available`,
+        502,
+        { grpcCode: 2 }
+      );
+    }
+
+    const index = this.fixtures.next('channel-open');
+    const fundingTxid = this.fixtures.hex(`channel-open:${index}`);
+    const channelPoint = `${fundingTxid}:0`;
+    const commitFee = 2810;
+
+    const pending = {
+      channel: {
+        remote_node_pub: nodePubkey,
+        channel_point: channelPoint,
+        capacity: localFundingAmount.toString(),
+        local_balance: (localFundingAmount - pushSat - commitFee).toString(),
+        remote_balance: pushSat.toString(),
+        initiator: 'INITIATOR_LOCAL',
+        private: isPrivate
+      },
+      commit_fee: commitFee.toString(),
+      confirmation_height: 0
+    };
+    this.pendingOpens.push(pending);
+
+    const progress = {
+      action: 'open',
+      status: 'pending',
+      pubkey: nodePubkey,
+      funding_txid: fundingTxid,
+      output_index: 0,
+      channel_point: channelPoint
+    };
+    if (onUpdate) onUpdate(progress);
+
+    setTimeout(() => {
+      this.pendingOpens = this.pendingOpens.filter(p => p !== pending);
+      this.channels.push({
+        active: true,
+        remote_pubkey: nodePubkey,
+        channel_point: channelPoint,
+        chan_id: (820000000000000002n + BigInt(index)).toString(),
+        capacity: pending.channel.capacity,
+        local_balance: pending.channel.local_balance,
+        remote_balance: pending.channel.remote_balance,
+        total_satoshis_sent: '0',
+        total_satoshis_received: '0',
+        num_updates: 0,
+        private: isPrivate
+      });
+      if (onUpdate) onUpdate({ ...progress, status: 'open' });
+    }, MOCK_CONFIRMATION_MS);
+
+    return progress;
+  }
+
+  // Close a channel; it is settled after MOCK_CONFIRMATION_MS
+  async closeChannel(channelPoint, { force = false, onUpdate = null } = {}) {
+    const channel = this.channels.find(c => c.channel_point === channelPoint);
+    if (!channel) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to find channel', 404);
+    }
+
+    const index = this.fixtures.next('channel-close');
+    const closingTxid = this.fixtures.hex(`channel-close:${index}`);
+    this.channels = this.channels.filter(c => c !== channel);
+
+    const pending = {
+      channel: {
+        remote_node_pub: channel.remote_pubkey,
+        channel_point: channel.channel_point,
+        capacity: channel.capacity,
+        local_balance: channel.local_balance,
+        remote_balance: channel.remote_balance,
+        private: channel.private
+      },
+      limbo_balance: channel.local_balance,
+      closing_txid: closingTxid,
+      force
+    };
+    this.pendingCloses.push(pending);
+
+    const progress = {
+      action: 'close',
+      status: 'pending',
+      channel_point: channelPoint,
+      force,
+      closing_txid: closingTxid
+    };
+    if (onUpdate) onUpdate(progress);
+
+    setTimeout(() => {
+      this.pendingCloses = this.pendingCloses.filter(p => p !== pending);
+      this.closedChannelBook.push({
+        channel_point: channel.channel_point,
+        chan_id: channel.chan_id,
+        remote_pubkey: channel.remote_pubkey,
+        capacity: channel.capacity,
+        close_height: 820006,
+        settled_balance: channel.local_balance,
+        time_locked_balance: force ? channel.local_balance : '0',
+        close_type: force ? 'LOCAL_FORCE_CLOSE' : 'COOPERATIVE_CLOSE',
+        closing_tx_hash: closingTxid,
+        open_initiator: 'INITIATOR_LOCAL',
+        close_initiator: 'INITIATOR_LOCAL'
+      });
+      if (onUpdate) onUpdate({ ...progress, status: 'closed' });
+    }, MOCK_CONFIRMATION_MS);
+
+    return progress;
+  }
+
+  /**
+   * Our routing policy for a channel, starting from LND's defaults
+   */
+  ourPolicy(channel) {
+    if (!this.channelPolicies.has(channel.chan_id)) {
+      this.channelPolicies.set(channel.chan_id, {
+        time_lock_delta: 80,
+        min_htlc: '1000',
+        fee_base_msat: '1000',
+        fee_rate_milli_msat: '1',
+        disabled: false,
+        max_htlc_msat: (parseInt(channel.capacity) * 990).toString(),
+        last_update: FIXTURE_EPOCH
+      });
+    }
+    return this.channelPolicies.get(channel.chan_id);
+  }
+
+  // Channel edge with both routing policies, shaped like LND's GetChanInfo
+  async getChanInfo(chanId) {
+    const channel = this.channels.find(c => c.chan_id === chanId);
+    if (!channel) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'edge not found', 404);
+    }
+
+    const peerPolicy = {
+      time_lock_delta: 40,
+      min_htlc: '1000',
+      fee_base_msat: '1000',
+      fee_rate_milli_msat: this.fixtures.int(`policy:${chanId}`, 0, 500).toString(),
+      disabled: false,
+      max_htlc_msat: (parseInt(channel.capacity) * 990).toString(),
+      last_update: FIXTURE_EPOCH
+    };
+    const ours = { pub: this.identityPubkey, policy: { ...this.ourPolicy(channel) } };
+    const theirs = { pub: channel.remote_pubkey, policy: peerPolicy };
+    const [node1, node2] = ours.pub < theirs.pub ? [ours, theirs] : [theirs, ours];
+
+    return {
+      channel_id: chanId,
+      chan_point: channel.channel_point,
+      capacity: channel.capacity,
+      node1_pub: node1.pub,
+      node2_pub: node2.pub,
+      node1_policy: node1.policy,
+      node2_policy: node2.policy
+    };
+  }
+
+  /**
+   * A small public graph around the fixture node: our channels, and each
+   * channel partner connected to three of the gossip-only fixture peers
+   */
+  async mockGraph() {
+    const edges = await Promise.all(this.channels.map(channel => this.getChanInfo(channel.chan_id)));
+
+    [1, 2].forEach((partner) => {
+      [1, 2, 3].forEach((i) => {
+        const n = 2 + (partner - 1) * 3 + i;
+        const chanId = `820000000000001${partner}0${i}`;
+        const policy = label => ({
+          time_lock_delta: 40,
+          min_htlc: '1000',
+          fee_base_msat: '1000',
+          fee_rate_milli_msat: this.fixtures.int(`graph:${chanId}:${label}`, 1, 1000).toString(),
+          disabled: false,
+          max_htlc_msat: '990000000',
+          last_update: FIXTURE_EPOCH
+        });
+        edges.push({
+          channel_id: chanId,
+          chan_point: this.fixtures.hex(`graph:${chanId}`) + ':0',
+          capacity: (this.fixtures.int(`graph:${chanId}:capacity`, 5, 50) * 100000).toString(),
+          node1_pub: this.fixtures.pubkey(`peer:${partner}`),
+          node2_pub: this.fixtures.pubkey(`peer:${n}`),
+          node1_policy: policy('node1'),
+          node2_policy: policy('node2')
+        });
+      });
+    });
+
+    return edges;
+  }
+
+  // Node from the mock graph, shaped like LND's GetNodeInfo
+  async getNodeInfo(pubkey) {
+    const edges = await this.mockGraph();
+    const channels = edges.filter(e => e.node1_pub === pubkey || e.node2_pub === pubkey);
+    if (!channels.length) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to find node', 404);
+    }
+
+    const ours = pubkey === this.identityPubkey;
+    return {
+      node: {
+        last_update: FIXTURE_EPOCH,
+        pub_key: pubkey,
+        alias: ours ? 'Lightning Hub Node' : `fixture-${pubkey.slice(0, 8)}`,
+        addresses: ours ? [] : [{ network: 'tcp', addr: this.mockPeer(pubkey).address }],
+        color: ours ? '#f7931a' : `#${pubkey.slice(2, 8)}`,
+        features: {}
+      },
+      num_channels: channels.length,
+      total_capacity: channels.reduce((sum, e) => sum + parseInt(e.capacity), 0).toString(),
+      channels
+    };
+  }
+
+  /**
+   * Shortest route through the mock graph, with each hop's fee taken
+   * from its policy on the outgoing channel
+   */
+  async queryRoutes(pubkey, amountSat, { feeLimitSat } = {}) {
+    const edges = await this.mockGraph();
+    const policyOf = (edge, node) => (edge.node1_pub === node ? edge.node1_policy : edge.node2_policy);
+    const other = (edge, node) => (edge.node1_pub === node ? edge.node2_pub : edge.node1_pub);
+
+    // Breadth-first search from our node
+    const previous = new Map([[this.identityPubkey, null]]);
+    const queue = [this.identityPubkey];
+    while (queue.length && !previous.has(pubkey)) {
+      const node = queue.shift();
+      edges
+        .filter(e => (e.node1_pub === node || e.node2_pub === node) && !previous.has(other(e, node)))
+        .forEach((edge) => {
+          previous.set(other(edge, node), { node, edge });
+          queue.push(other(edge, node));
+        });
+    }
+    if (pubkey === this.identityPubkey || !previous.has(pubkey)) {
+      return { routes: [], success_prob: 0 };
+    }
+
+    const path = [];
+    for (let node = pubkey; previous.get(node); node = previous.get(node).node) {
+      path.unshift({ pubkey: node, ...previous.get(node) });
+    }
+
+    // Walk back from the destination, adding each forwarding node's fee
+    // and CLTV delta to what the hop before it has to send
+    const hops = [];
+    let forwardMsat = amountSat * 1000;
+    let feeMsat = 0;
+    let expiry = 820000 + 40;
+    let delta = 0;
+    for (let i = path.length - 1; i >= 0; i--) {
+      const { pubkey: hopPubkey, edge } = path[i];
+      hops.unshift({
+        chan_id: edge.channel_id,
+        chan_capacity: edge.capacity,
+        pub_key: hopPubkey,
+        amt_to_forward: Math.floor(forwardMsat / 1000).toString(),
+        amt_to_forward_msat: forwardMsat.toString(),
+        fee: Math.floor(feeMsat / 1000).toString(),
+        fee_msat: feeMsat.toString(),
+        expiry
+      });
+
+      forwardMsat += feeMsat;
+      expiry += delta;
+      const policy = policyOf(path[i].edge, path[i].node);
+      feeMsat = i > 0 ? parseInt(policy.fee_base_msat) + Math.floor(forwardMsat * parseInt(policy.fee_rate_milli_msat) / 1000000) : 0;
+      delta = i > 0 ? policy.time_lock_delta : 0;
+    }
+
+    const totalFeesMsat = forwardMsat - amountSat * 1000;
+    const firstHop = this.channels.find(c => c.chan_id === path[0].edge.channel_id);
+    if (parseInt(firstHop.local_balance) * 1000 < forwardMsat ||
+        (feeLimitSat !== undefined && totalFeesMsat > feeLimitSat * 1000)) {
+      return { routes: [], success_prob: 0 };
+    }
+
+    return {
+      routes: [{
+        total_time_lock: expiry,
+        total_fees: Math.floor(totalFeesMsat / 1000).toString(),
+        total_fees_msat: totalFeesMsat.toString(),
+        total_amt: Math.floor(forwardMsat / 1000).toString(),
+        total_amt_msat: forwardMsat.toString(),
+        hops
+      }],
+      success_prob: 0.9 ** hops.length
+    };
+  }
+
+  // Probe along the mock route; the destination rejects the unknown hash
+  async probePayment(pubkey, amountSat, { feeLimitSat = 100 } = {}) {
+    const { routes: [route] } = await this.queryRoutes(pubkey, amountSat, { feeLimitSat });
+    const now = (BigInt(Date.now()) * 1000000n).toString();
+
+    const payment = {
+      payment_hash: crypto.randomBytes(32).toString('hex'),
+      value_sat: amountSat.toString(),
+      creation_time_ns: now,
+      status: 'FAILED',
+      fee_sat: '0',
+      payment_preimage: '',
+      failure_reason: route ? 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS' : 'FAILURE_REASON_NO_ROUTE',
+      htlcs: route ? [{
+        attempt_id: '1',
+        status: 'FAILED',
+        route,
+        attempt_time_ns: now,
+        resolve_time_ns: now,
+        failure: { code: 'INCORRECT_OR_UNKNOWN_PAYMENT_DETAILS', failure_source_index: route.hops.length }
+      }] : [],
+      type: 'probe'
+    };
+    this.recordMockPayment(payment);
+    this.paymentSubscribers.forEach(cb => cb(payment));
+    return payment;
+  }
+
+  async updateChannelPolicy(channelPoint, policy) {
+    const channel = this.channels.find(c => c.channel_point === channelPoint);
+    if (!channel) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to find channel', 404);
+    }
+
+    this.channelPolicies.set(channel.chan_id, {
+      ...this.ourPolicy(channel),
+      time_lock_delta: policy.time_lock_delta,
+      min_htlc: policy.min_htlc_msat.toString(),
+      fee_base_msat: policy.base_fee_msat.toString(),
+      fee_rate_milli_msat: policy.fee_rate_ppm.toString(),
+      max_htlc_msat: policy.max_htlc_msat.toString(),
+      last_update: Math.floor(Date.now() / 1000)
+    });
+    return { failed_updates: [] };
+  }
+
+  // Channels being opened or closed, shaped like LND's PendingChannels
+  async pendingChannels() {
+    const waitingClose = this.pendingCloses.filter(p => !p.force);
+    const forceClosing = this.pendingCloses.filter(p => p.force);
+
+    return {
+      total_limbo_balance: this.pendingCloses.reduce((sum, p) => sum + parseInt(p.limbo_balance), 0).toString(),
+      pending_open_channels: this.pendingOpens.map(p => ({ ...p })),
+      pending_force_closing_channels: forceClosing.map(({ force, ...p }) => ({
+        ...p,
+        maturity_height: 820150,
+        blocks_til_maturity: 144
+      })),
+      waiting_close_channels: waitingClose.map(({ force, ...p }) => p)
+    };
+  }
+
+  // Closed channels; with no filter set every close type is returned
+  async closedChannels(filters = {}) {
+    const types = Object.entries(CLOSE_TYPE_FILTERS)
+      .filter(([filter]) => filters[filter])
+      .map(([, closeType]) => closeType);
+
+    return {
+      channels: this.closedChannelBook
+        .filter(c => !types.length || types.includes(c.close_type))
+        .map(c => ({ ...c }))
+    };
+  }
+
+  // Create invoice
+  async createInvoice(amount, memo = '', expiry = 3600) {
+    const { index, preimage, hash } = this.nextPreimage('invoice');
+    const invoice = this.addMockInvoice({ index, preimage, hash, amount, memo, expiry });
+
+    return {
+      r_hash: invoice.r_hash,
+      payment_request: invoice.payment_request,
+      add_index: invoice.add_index,
+      payment_addr: invoice.payment_addr,
+      preimage
+    };
+  }
+
+  /**
+   * Sign and record an invoice; hold and AMP invoices have no preimage
+   */
+  addMockInvoice({ index, preimage = '', hash, amount, memo, expiry, cltvExpiry = 80, amp = false }) {
+    const creationDate = Math.floor(Date.now() / 1000);
+    const paymentAddr = this.fixtures.hex(`invoice:${index}:addr`);
+
+    const invoice = {
+      memo,
+      r_preimage: preimage,
+      r_hash: hash,
+      value: amount.toString(),
+      settled: false,
+      creation_date: creationDate.toString(),
+      settle_date: '0',
+      payment_request: encodeBolt11({
+        network: this.network,
+        amountMsat: amount * 1000,
+        timestamp: creationDate,
+        paymentHash: hash,
+        paymentSecret: paymentAddr,
+        description: memo,
+        expiry,
+        minFinalCltvExpiry: cltvExpiry,
+        // AMP invoices require AMP (bit 30) instead of MPP
+        features: amp ? [9, 14, 30] : [9, 14, 17]
+      }, this.nodeKey),
+      expiry: expiry.toString(),
+      cltv_expiry: cltvExpiry.toString(),
+      add_index: index.toString(),
+      settle_index: '0',
+      amt_paid_sat: '0',
+      state: 'OPEN',
+      payment_addr: paymentAddr,
+      is_amp: amp,
+      // set_id → state of each AMP payment
+      amp_invoice_state: {},
+      htlcs: []
+    };
+    this.invoiceBook.push(invoice);
+    this.notifyInvoice(invoice);
+
+    return invoice;
+  }
+
+  // Hold invoice that a mock payer "pays" after MOCK_HOLD_PAYMENT_MS
+  async createHoldInvoice(paymentHash, amount, memo = '', expiry = 3600, cltvExpiry = 0) {
+    if (this.invoiceBook.some(inv => inv.r_hash === paymentHash)) {
+      throw new HubError(ERROR_CODES.LND_RPC_ERROR, 'invoice with payment hash already exists', 502, { grpcCode: 2 });
+    }
+
+    const index = this.fixtures.next('invoice');
+    const invoice = this.addMockInvoice({ index, hash: paymentHash, amount, memo, expiry, cltvExpiry: cltvExpiry || 80 });
+
+    setTimeout(() => {
+      if (invoice.state !== 'OPEN') return;
+      invoice.state = 'ACCEPTED';
+      invoice.amt_paid_sat = invoice.value;
+      this.notifyInvoice(invoice, { streamAll: false });
+    }, MOCK_HOLD_PAYMENT_MS);
+
+    return {
+      r_hash: paymentHash,
+      payment_request: invoice.payment_request,
+      add_index: invoice.add_index,
+      payment_addr: invoice.payment_addr
+    };
+  }
+
+  async settleInvoice(preimage) {
+    const hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const invoice = this.holdInvoice(hash);
+
+    if (invoice.state !== 'ACCEPTED') {
+      throw new HubError(ERROR_CODES.LND_RPC_ERROR, invoice.state === 'OPEN' ? 'invoice still open' : `invoice already ${invoice.state.toLowerCase()}`, 502, { grpcCode: 2 });
+    }
+
+    invoice.r_preimage = preimage;
+    this.settleMockInvoice(invoice);
+    return {};
+  }
+
+  async cancelInvoice(paymentHash) {
+    const invoice = this.holdInvoice(paymentHash);
+
+    if (invoice.state === 'SETTLED') {
+      throw new HubError(ERROR_CODES.LND_RPC_ERROR, 'invoice already settled', 502, { grpcCode: 2 });
+    }
+
+    invoice.state = 'CANCELED';
+    invoice.amt_paid_sat = '0';
+    this.notifyInvoice(invoice, { streamAll: false });
+    return {};
+  }
+
+  holdInvoice(paymentHash) {
+    const invoice = this.invoiceBook.find(inv => inv.r_hash === paymentHash);
+    if (!invoice) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to locate invoice', 404);
+    }
+    return invoice;
+  }
+
+  subscribeSingleInvoice(paymentHash, callback) {
+    if (!this.singleInvoiceSubscribers.has(paymentHash)) {
+      this.singleInvoiceSubscribers.set(paymentHash, new Set());
+    }
+    this.singleInvoiceSubscribers.get(paymentHash).add(callback);
+
+    // LND sends the current state first
+    const invoice = this.invoiceBook.find(inv => inv.r_hash === paymentHash);
+    if (invoice) setImmediate(() => callback({ ...invoice }));
+
+    return () => this.singleInvoiceSubscribers.get(paymentHash)?.delete(callback);
+  }
+
+  /**
+   * Announce an invoice change. Like LND, the all-invoices stream only
+   * carries additions and settlements; per-invoice streams get every state.
+   */
+  notifyInvoice(invoice, { streamAll = true } = {}) {
+    if (streamAll) {
+      this.invoiceSubscribers.forEach(cb => cb({ ...invoice }));
+    }
+    this.singleInvoiceSubscribers.get(invoice.r_hash)?.forEach(cb => cb({ ...invoice }));
+  }
+
+  // List invoices, paginated by add_index
+  async listInvoices({ indexOffset = 0, numMaxInvoices = 100, reversed = false, pendingOnly = false } = {}) {
+    const offset = Number(indexOffset);
+    let candidates = this.invoiceBook.filter(inv => !pendingOnly || inv.state === 'OPEN');
+
+    if (reversed) {
+      // Invoices before the offset (or the newest ones), still returned oldest first
+      candidates = candidates.filter(inv => !offset || Number(inv.add_index) < offset);
+      candidates = candidates.slice(-numMaxInvoices);
+    } else {
+      candidates = candidates.filter(inv => Number(inv.add_index) > offset).slice(0, numMaxInvoices);
+    }
+
+    const invoices = candidates.map(inv => ({ ...inv }));
+    return {
+      invoices,
+      first_index_offset: invoices.length ? invoices[0].add_index : '0',
+      last_index_offset: invoices.length ? invoices[invoices.length - 1].add_index : '0'
+    };
+  }
+
+  // Look up a single invoice by payment hash (hex)
+  async lookupInvoice(rHash) {
+    const invoice = this.invoiceBook.find(inv => inv.r_hash === rHash);
+    if (!invoice) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'unable to locate invoice', 404);
+    }
+    return { ...invoice };
+  }
+
+  /**
+   * Report payment progress to subscribers, shaped like LND's Router
+   * payment stream: one IN_FLIGHT update per shard, then the final state
+   */
+  emitMockPayment(type, { hash, preimage, paymentRequest = '', amount, routes, failureReason = null, onUpdate = null }) {
+    const startedNs = (BigInt(Date.now()) * 1000000n).toString();
+    const base = {
+      payment_hash: hash,
+      value_sat: amount.toString(),
+      payment_request: paymentRequest,
+      creation_time_ns: startedNs,
+      failure_reason: 'FAILURE_REASON_NONE',
+      payment_preimage: '',
+      fee_sat: '0',
+      type
+    };
+
+    const emit = (update) => {
+      const payment = { ...base, ...update };
+      this.recordMockPayment(payment);
+      this.paymentSubscribers.forEach(cb => cb(payment));
+      if (onUpdate) onUpdate(payment);
+    };
+    const htlc = (route, index, status) => ({
+      attempt_id: (index + 1).toString(),
+      status,
+      route,
+      attempt_time_ns: startedNs,
+      resolve_time_ns: status === 'IN_FLIGHT' ? '0' : (BigInt(Date.now()) * 1000000n).toString()
+    });
+
+    if (failureReason) {
+      emit({ status: 'FAILED', failure_reason: failureReason, htlcs: [] });
+      return;
+    }
+
+    routes.forEach((route, i) => emit({
+      status: 'IN_FLIGHT',
+      htlcs: routes.slice(0, i + 1).map((r, j) => htlc(r, j, 'IN_FLIGHT'))
+    }));
+    emit({
+      status: 'SUCCEEDED',
+      payment_preimage: preimage,
+      fee_sat: routes.reduce((sum, route) => sum + parseInt(route.total_fees), 0).toString(),
+      htlcs: routes.map((r, j) => htlc(r, j, 'SUCCEEDED'))
+    });
+  }
+
+  // Keep the latest state of a payment for listPayments and lookupPayment
+  recordMockPayment(payment) {
+    const { type, ...stored } = payment;
+    const index = this.paymentBook.findIndex(p => p.payment_hash === payment.payment_hash);
+    if (index === -1) {
+      this.paymentBook.push({ ...stored, payment_index: (this.paymentBook.length + 1).toString() });
+    } else {
+      this.paymentBook[index] = { ...stored, payment_index: this.paymentBook[index].payment_index };
+    }
+  }
+
+  // Outgoing payments, oldest first, paginated by payment index
+  async listPayments({ indexOffset = 0, maxPayments = 100 } = {}) {
+    const payments = this.paymentBook
+      .filter(p => Number(p.payment_index) > Number(indexOffset))
+      .slice(0, maxPayments)
+      .map(p => ({ ...p }));
+    return {
+      payments,
+      first_index_offset: payments.length ? payments[0].payment_index : '0',
+      last_index_offset: payments.length ? payments[payments.length - 1].payment_index : '0'
+    };
+  }
+
+  async lookupPayment(paymentHash) {
+    const payment = this.paymentBook.find(p => p.payment_hash === paymentHash);
+    return payment ? { ...payment } : null;
+  }
+
+  // Pay invoice, routed through the fixture channels
+  async payInvoice(paymentRequest, options = {}) {
+    const opts = typeof options === 'number' ? { feeLimitSat: options } : options;
+    const request = this.buildRoutingRequest(paymentRequest, opts);
+    const decoded = await this.decodeInvoice(paymentRequest);
+    const amount = request.amt || parseInt(decoded.num_satoshis);
+
+    // Paying one of our own invoices is a circular rebalance
+    const ownInvoice = decoded.destination === this.identityPubkey
+      ? this.invoiceBook.find(inv => inv.r_hash === decoded.payment_hash)
+      : null;
+    const { preimage, hash } = ownInvoice
+      ? { preimage: ownInvoice.r_preimage, hash: ownInvoice.r_hash }
+      : this.nextPreimage('payment');
+    const incoming = ownInvoice && opts.lastHopPubkey
+      ? this.channels.find(c => c.remote_pubkey === opts.lastHopPubkey)
+      : null;
+
+    // Pinned channel, or both channels when the payment may be split
+    const { channels } = await this.listChannels();
+    const firstHops = request.outgoing_chan_ids
+      ? channels.filter(c => c.chan_id === request.outgoing_chan_ids[0])
+      : channels.slice(0, request.max_parts > 1 ? 2 : 1);
+
+    // Every shard pays a flat 5 sat fee to the first hop
+    const feePerShard = 5;
+    const feeLimitMsat = request.fee_limit_msat ?? request.fee_limit_sat * 1000;
+    let failureReason = null;
+    if (!firstHops.length || feePerShard * firstHops.length * 1000 > feeLimitMsat) {
+      failureReason = 'FAILURE_REASON_NO_ROUTE';
+    } else if (decoded.destination === this.identityPubkey && !request.allow_self_payment) {
+      failureReason = 'FAILURE_REASON_NO_ROUTE';
+    } else if (ownInvoice && (ownInvoice.state !== 'OPEN' || !ownInvoice.r_preimage)) {
+      failureReason = 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS';
+    } else if (firstHops.some(c => parseInt(c.local_balance) < amount / firstHops.length + feePerShard)) {
+      failureReason = 'FAILURE_REASON_INSUFFICIENT_BALANCE';
+    }
+
+    const routes = firstHops.map((channel, i) => {
+      const share = Math.floor(amount / firstHops.length) + (i === 0 ? amount % firstHops.length : 0);
+      const hops = [{ chan_id: channel.chan_id, pub_key: channel.remote_pubkey, amt_to_forward: share.toString(), fee: feePerShard.toString() }];
+      if (opts.lastHopPubkey) {
+        hops.push({ chan_id: '820000000000000101', pub_key: opts.lastHopPubkey, amt_to_forward: share.toString(), fee: '0' });
+      }
+      hops.push({
+        chan_id: incoming ? incoming.chan_id : '820000000000000102',
+        pub_key: decoded.destination,
+        amt_to_forward: share.toString(),
+        fee: '0'
+      });
+
+      return {
+        total_time_lock: 820100,
+        total_fees: feePerShard.toString(),
+        total_amt: (share + feePerShard).toString(),
+        hops
+      };
+    });
+
+    this.emitMockPayment('invoice', {
+      hash, preimage, paymentRequest, amount, routes, failureReason, onUpdate: opts.onUpdate
+    });
+
+    if (failureReason) {
+      return { payment_error: failureReason, payment_preimage: '', payment_route: null, payment_hash: hash, fee_sat: '0', status: 'FAILED' };
+    }
+
+    // Move the balances along the route
+    routes.forEach((route, i) => {
+      const channel = this.channels.find(c => c.chan_id === firstHops[i].chan_id);
+      this.shiftBalance(channel, -parseInt(route.total_amt));
+    });
+    if (incoming) {
+      this.shiftBalance(incoming, amount);
+    }
+    if (ownInvoice) {
+      this.settleMockInvoice(ownInvoice);
+    }
+
+    return {
+      payment_error: '',
+      payment_preimage: preimage,
+      payment_route: routes[0],
+      payment_hash: hash,
+      fee_sat: (feePerShard * routes.length).toString(),
+      status: 'SUCCEEDED'
+    };
+  }
+
+  // Send keysend payment with TLV data (for messaging)
+  async sendKeysend(destPubkey, amount, tlvData = {}) {
+    const { preimage, hash } = this.nextPreimage('keysend');
+    const route = {
+      total_fees: '1',
+      total_amt: (amount + 1).toString(),
+      hops: [{ pub_key: destPubkey, amt_to_forward: amount.toString(), fee: '0' }]
+    };
+
+    this.emitMockPayment('keysend', { hash, preimage, amount, routes: [route] });
+
+    // Mock contacts answer chat messages
+    const contact = this.keysendContacts.find(c => c.pubkey === destPubkey);
+    if (contact && tlvData[KEYSEND_RECORDS.MESSAGE]) {
+      const received = Buffer.from(tlvData[KEYSEND_RECORDS.MESSAGE], 'hex').toString('utf8');
+      setTimeout(() => {
+        this.receiveMockKeysend({ contact, message: `Got it: "${received}"`, amount: 1, replyTo: hash });
+      }, MOCK_KEYSEND_REPLY_MS);
+    }
+
+    return {
+      payment_error: '',
+      payment_preimage: preimage,
+      payment_hash: hash,
+      payment_route: route,
+      fee_sat: route.total_fees,
+      status: 'SUCCEEDED'
+    };
+  }
+
+  // Sign with the fixture node key, like signrpc SignMessage
+  async signMessage(messageHex) {
+    const hash = crypto.createHash('sha256').update(Buffer.from(messageHex, 'hex')).digest();
+    return { signature: Buffer.from(secp.sign(hash, this.nodeKey).toCompactRawBytes()).toString('hex') };
+  }
+
+  // Decode invoice (offline, same shape as LND's DecodePayReq)
+  async decodeInvoice(paymentRequest) {
+    return decodeBolt11(paymentRequest);
+  }
+
+  // Subscribe to invoices; returns a function that unsubscribes
+  subscribeInvoices(callback) {
+    this.invoiceSubscribers.push(callback);
+
+    // Simulate incoming invoice updates while anyone is listening
+    if (!this.invoiceStreamTimer) {
+      this.startMockInvoiceStream();
+    }
+
+    return () => {
+      this.invoiceSubscribers = this.invoiceSubscribers.filter(cb => cb !== callback);
+      if (this.invoiceSubscribers.length === 0) {
+        clearInterval(this.invoiceStreamTimer);
+        this.invoiceStreamTimer = null;
+      }
+    };
+  }
+
+  startMockInvoiceStream() {
+    // Settle the oldest open invoice every 30 seconds
+    this.invoiceStreamTimer = setInterval(() => {
+      // Hold invoices (no preimage) wait for settleInvoice instead
+      const invoice = this.invoiceBook.find(inv => inv.state === 'OPEN' && inv.r_preimage);
+      if (invoice) this.settleMockInvoice(invoice);
+
+      // Payment codes keep being paid
+      this.invoiceBook
+        .filter(inv => inv.is_amp && inv.state === 'OPEN')
+        .forEach(inv => this.payMockAmp(inv));
+    }, 30000);
+  }
+
+  /**
+   * Settle one AMP payment (a new set id) against a payment code. The
+   * invoice itself stays OPEN so it can be paid again.
+   */
+  payMockAmp(invoice) {
+    const n = this.fixtures.next('amp');
+    const setId = this.fixtures.hex(`amp:${n}:set`);
+    const amountSat = parseInt(invoice.value) || this.fixtures.int(`amp:${n}:amount`, 100, 5000);
+    const settleIndex = this.fixtures.next('settle').toString();
+    const preimage = this.fixtures.bytes(`amp:${n}:preimage`);
+
+    invoice.amp_invoice_state = {
+      ...invoice.amp_invoice_state,
+      [setId]: {
+        state: 'SETTLED',
+        settle_index: settleIndex,
+        settle_time: Math.floor(Date.now() / 1000).toString(),
+        amt_paid_msat: (amountSat * 1000).toString()
+      }
+    };
+    invoice.htlcs = [...invoice.htlcs, {
+      chan_id: this.channels[0].chan_id,
+      htlc_index: n.toString(),
+      amt_msat: (amountSat * 1000).toString(),
+      state: 'SETTLED',
+      custom_records: {},
+      amp: {
+        root_share: this.fixtures.hex(`amp:${n}:root`),
+        set_id: setId,
+        child_index: 0,
+        hash: crypto.createHash('sha256').update(preimage).digest('hex'),
+        preimage: preimage.toString('hex')
+      }
+    }];
+    invoice.amt_paid_sat = (parseInt(invoice.amt_paid_sat) + amountSat).toString();
+    invoice.settle_index = settleIndex;
+
+    this.notifyInvoice(invoice);
+  }
+
+  /**
+   * Record a settled keysend payment carrying chat records. A contact
+   * with a key signs the message; without one only the pubkey is sent.
+   */
+  receiveMockKeysend({ contact, message, boost, amount, replyTo, sentAt = Date.now() }) {
+    const { index, preimage, hash } = this.nextPreimage('invoice');
+    const text = value => Buffer.from(value, 'utf8').toString('hex');
+
+    const records = { [KEYSEND_PREIMAGE_RECORD]: preimage };
+    if (message !== undefined) records[KEYSEND_RECORDS.MESSAGE] = text(message);
+    if (boost) records[KEYSEND_RECORDS.BOOSTAGRAM] = text(JSON.stringify(boost));
+    if (replyTo) records[KEYSEND_RECORDS.REPLY_TO] = replyTo;
+    if (contact) {
+      const timestamp = Buffer.alloc(8);
+      timestamp.writeBigUInt64BE(BigInt(sentAt) * 1000000n);
+      records[KEYSEND_RECORDS.SENDER] = contact.pubkey;
+      records[KEYSEND_RECORDS.TIMESTAMP] = timestamp.toString('hex');
+
+      if (contact.key) {
+        const payload = signedPayload(contact.pubkey, this.identityPubkey, records[KEYSEND_RECORDS.TIMESTAMP], records[KEYSEND_RECORDS.MESSAGE] || '');
+        const hash = crypto.createHash('sha256').update(payload).digest();
+        records[KEYSEND_RECORDS.SIGNATURE] = Buffer.from(secp.sign(hash, contact.key).toCompactRawBytes()).toString('hex');
+      }
+    }
+
+    const settleDate = Math.floor(sentAt / 1000).toString();
+    const invoice = {
+      memo: '',
+      r_preimage: preimage,
+      r_hash: hash,
+      value: amount.toString(),
+      settled: true,
+      creation_date: settleDate,
+      settle_date: settleDate,
+      payment_request: '',
+      expiry: '86400',
+      cltv_expiry: '40',
+      add_index: index.toString(),
+      settle_index: this.fixtures.next('settle').toString(),
+      amt_paid_sat: amount.toString(),
+      state: 'SETTLED',
+      is_keysend: true,
+      payment_addr: '',
+      htlcs: [{
+        chan_id: this.channels[0].chan_id,
+        htlc_index: index.toString(),
+        amt_msat: (amount * 1000).toString(),
+        state: 'SETTLED',
+        custom_records: records
+      }]
+    };
+    this.invoiceBook.push(invoice);
+    this.notifyInvoice(invoice);
+
+    return invoice;
+  }
+
+  settleMockInvoice(invoice) {
+    invoice.state = 'SETTLED';
+    invoice.settled = true;
+    invoice.settle_date = Math.floor(Date.now() / 1000).toString();
+    invoice.settle_index = this.fixtures.next('settle').toString();
+    invoice.amt_paid_sat = invoice.value;
+
+    this.notifyInvoice(invoice);
+  }
+
+  /**
+   * Move sats between the local and remote side of a channel
+   */
+  shiftBalance(channel, localDelta) {
+    channel.local_balance = (parseInt(channel.local_balance) + localDelta).toString();
+    channel.remote_balance = (parseInt(channel.remote_balance) - localDelta).toString();
+    if (localDelta < 0) {
+      channel.total_satoshis_sent = (parseInt(channel.total_satoshis_sent) - localDelta).toString();
+    } else {
+      channel.total_satoshis_received = (parseInt(channel.total_satoshis_received) + localDelta).toString();
+    }
+  }
+
+  // Get forwarding history (for routing stats)
+  async getForwardingHistory(startTime, endTime, maxEvents = 100, indexOffset = 0) {
+    const events = this.forwardingEvents.filter(e => e.timestamp >= startTime && e.timestamp < endTime);
+    const page = events.slice(indexOffset, indexOffset + maxEvents);
+
+    return {
+      forwarding_events: page.map(e => ({ ...e, timestamp: e.timestamp.toString() })),
+      last_offset_index: indexOffset + page.length
+    };
+  }
+
+  // Reusable payment code (AMP invoice); a mock payer pays it after MOCK_AMP_PAYMENT_MS
+  async createOffer(description, amount = 'any', expiry = PAYMENT_CODE_EXPIRY) {
+    const { index, hash } = this.nextPreimage('invoice');
+    const invoice = this.addMockInvoice({ index, hash, amount: amount === 'any' ? 0 : amount, memo: description, expiry, amp: true });
+
+    setTimeout(() => this.payMockAmp(invoice), MOCK_AMP_PAYMENT_MS);
+
+    return {
+      type: 'amp',
+      offer_id: invoice.r_hash,
+      offer: invoice.payment_request,
+      add_index: invoice.add_index
+    };
+  }
+}
+
+export default MockLNDClient;
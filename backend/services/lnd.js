@@ -1,6 +1,6 @@
 /**
  * LND Client Service
- * 
+ *
  * Handles all Lightning Network operations via LND's gRPC API
  */
 
@@ -9,7 +9,24 @@ import * as protoLoader from '@grpc/proto-loader';
 import fs from 'fs';
 import path from 'path';
 import { homedir } from 'os';
+import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { HubError, ERROR_CODES } from './errors.js';
+import { decodeBolt11 } from './bolt11.js';
+import { NodeConnection } from './node-connection.js';
+
+// Upstream LND proto definitions shipped with the backend
+const DEFAULT_PROTO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'protos');
+const PROTO_FILES = ['lightning.proto', 'invoices.proto', 'router.proto', 'signer.proto'];
+
+// TLV record carrying the preimage of a keysend payment
+export const KEYSEND_PREIMAGE_RECORD = '5482373484';
+
+// Default lifetime of a reusable payment code: LND's maximum invoice expiry (1 year)
+export const PAYMENT_CODE_EXPIRY = 365 * 24 * 3600;
+
+// Key family of the node identity key in LND's keychain
+const NODE_KEY_FAMILY = 6;
 
 // Expand ~ to home directory
 function expandPath(filepath) {
@@ -19,19 +36,145 @@ function expandPath(filepath) {
   return filepath;
 }
 
-export class LNDClient {
+// Convert every Buffer in a gRPC response to hex so callers get plain JSON
+function bytesToHex(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex');
+  }
+  if (Array.isArray(value)) {
+    return value.map(bytesToHex);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, val]) => [
+        key,
+        key === 'custom_records' ? recordsToHex(val) : bytesToHex(val)
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * TLV records (map<uint64, bytes>) keyed by decimal record type. The
+ * loader decodes uint64 map keys as 8-character little-endian hashes.
+ */
+export function recordsToHex(records = {}) {
+  return Object.fromEntries(Object.entries(records).map(([type, bytes]) => [
+    type.length === 8 && !/^\d+$/.test(type) ? Buffer.from(type, 'latin1').readBigUInt64LE().toString() : type,
+    bytesToHex(bytes)
+  ]));
+}
+
+// LND sends txids in internal byte order; explorers show them reversed
+function txidFromBytes(hex) {
+  return Buffer.from(hex, 'hex').reverse().toString('hex');
+}
+
+// "txid:index" → lnrpc.ChannelPoint
+function parseChannelPoint(channelPoint) {
+  const [txid, index] = channelPoint.split(':');
+  return { funding_txid_str: txid, output_index: parseInt(index) };
+}
+
+// Address types accepted by NewAddress
+export const ADDRESS_TYPES = {
+  p2wkh: 'WITNESS_PUBKEY_HASH',
+  p2tr: 'TAPROOT_PUBKEY'
+};
+
+// Wallet coin selection strategies for SendCoins
+export const COIN_SELECTION = {
+  default: 'STRATEGY_USE_GLOBAL_CONFIG',
+  largest: 'STRATEGY_LARGEST',
+  random: 'STRATEGY_RANDOM'
+};
+
+// ClosedChannels filter → close_type
+export const CLOSE_TYPE_FILTERS = {
+  cooperative: 'COOPERATIVE_CLOSE',
+  local_force: 'LOCAL_FORCE_CLOSE',
+  remote_force: 'REMOTE_FORCE_CLOSE',
+  breach: 'BREACH_CLOSE',
+  funding_canceled: 'FUNDING_CANCELED',
+  abandoned: 'ABANDONED'
+};
+
+/**
+ * An AMP invoice as a reusable payment code, in the shape PaymentCodeStore
+ * keeps: every settled set id is one payment
+ */
+function formatAmpCode(invoice) {
+  const creationDate = parseInt(invoice.creation_date || '0');
+  return {
+    type: 'amp',
+    offer_id: invoice.r_hash,
+    offer: invoice.payment_request,
+    description: invoice.memo,
+    amount: parseInt(invoice.value || '0') || 'any',
+    single_use: false,
+    created_at: creationDate * 1000,
+    expires_at: (creationDate + parseInt(invoice.expiry || '0')) * 1000,
+    state: invoice.state,
+    payments: Object.entries(invoice.amp_invoice_state || {})
+      .filter(([, state]) => state.state === 'SETTLED')
+      .map(([setId, state]) => ({
+        id: setId,
+        amount_sat: Math.floor(parseInt(state.amt_paid_msat || '0') / 1000),
+        settle_index: state.settle_index,
+        settled_at: parseInt(state.settle_time || '0') * 1000
+      }))
+  };
+}
+
+// Wrap a gRPC error in a typed HubError
+function toHubError(error) {
+  if (error instanceof HubError) {
+    return error;
+  }
+  if (error.code === grpc.status.UNAVAILABLE || error.code === grpc.status.DEADLINE_EXCEEDED) {
+    return new HubError(ERROR_CODES.LND_UNAVAILABLE, `LND unavailable: ${error.details || error.message}`, 503, { grpcCode: error.code });
+  }
+  if (error.code === grpc.status.NOT_FOUND) {
+    return new HubError(ERROR_CODES.NOT_FOUND, error.details || error.message, 404);
+  }
+  if (error.code === grpc.status.INVALID_ARGUMENT) {
+    return new HubError(ERROR_CODES.INVALID_REQUEST, error.details || error.message, 400);
+  }
+  return new HubError(ERROR_CODES.LND_RPC_ERROR, error.details || error.message, 502, { grpcCode: error.code });
+}
+
+export class LNDClient extends NodeConnection {
   constructor(options = {}) {
+    super(options);
+    this.nodeName = 'LND';
     this.socket = options.socket || 'localhost:10009';
     this.macaroonPath = expandPath(options.macaroonPath || '~/.lnd/data/chain/bitcoin/mainnet/admin.macaroon');
     this.tlsCertPath = expandPath(options.tlsCertPath || '~/.lnd/tls.cert');
-    
+    this.protoDir = options.protoDir || DEFAULT_PROTO_DIR;
+
+    // Pre-built channel credentials (e.g. insecure credentials for a local fake server)
+    this.credentials = options.credentials || null;
+    this.timeout = options.timeout || 30000;
+
+    // Bitcoin network the node runs on; updated from GetInfo once connected
+    this.network = options.network || 'mainnet';
+
     this.lightning = null;
     this.invoices = null;
     this.router = null;
-    this.connected = false;
-    
+    this.signer = null;
+
     this.invoiceSubscribers = [];
     this.paymentSubscribers = [];
+    this.invoiceStream = null;
+    // Last invoice indexes seen, so a re-opened stream replays what was missed
+    this.invoiceAddIndex = '0';
+    this.invoiceSettleIndex = '0';
+    // Open subscribeSingleInvoice subscriptions, re-opened after a reconnect
+    this.singleInvoiceSubscriptions = new Set();
+    // payment_hash → type of payments whose stream dropped while in flight
+    this.interruptedPayments = new Map();
   }
 
   async connect() {
@@ -42,234 +185,769 @@ export class LNDClient {
         longs: String,
         enums: String,
         defaults: true,
-        oneofs: true
+        oneofs: true,
+        includeDirs: [this.protoDir]
       };
 
-      // For simplicity, we'll use the REST API fallback
-      // In production, you'd load the actual proto files
-      
-      // Read credentials
-      const tlsCert = fs.readFileSync(this.tlsCertPath);
-      const macaroon = fs.readFileSync(this.macaroonPath).toString('hex');
-
-      // Create SSL credentials
-      const sslCreds = grpc.credentials.createSsl(tlsCert);
-      
-      // Create macaroon credentials
-      const macaroonCreds = grpc.credentials.createFromMetadataGenerator((args, callback) => {
-        const metadata = new grpc.Metadata();
-        metadata.add('macaroon', macaroon);
-        callback(null, metadata);
-      });
+      const packageDefinition = protoLoader.loadSync(PROTO_FILES, loaderOptions);
+      const { lnrpc, invoicesrpc, routerrpc, signrpc } = grpc.loadPackageDefinition(packageDefinition);
+
+      const credentials = this.credentials || this.createCredentials();
+      this.closeClients();
+
+      const channelOptions = {
+        // Graph and channel listings can exceed the default 4MB limit
+        'grpc.max_receive_message_length': 50 * 1024 * 1024
+      };
+
+      this.lightning = new lnrpc.Lightning(this.socket, credentials, channelOptions);
+      this.invoices = new invoicesrpc.Invoices(this.socket, credentials, channelOptions);
+      this.router = new routerrpc.Router(this.socket, credentials, channelOptions);
+      this.signer = new signrpc.Signer(this.socket, credentials, channelOptions);
 
-      // Combine credentials
-      const credentials = grpc.credentials.combineChannelCredentials(sslCreds, macaroonCreds);
+      // Verify the connection and credentials with a real call
+      const info = await this.unary(this.lightning, 'GetInfo', {});
+      this.network = info.chains?.[0]?.network || this.network;
+      this.markConnected();
 
-      // Note: In a real implementation, you'd load the proto files
-      // For this example, we'll create a simplified client
-      this.connected = true;
-      
       return true;
     } catch (error) {
       console.error('Failed to connect to LND:', error.message);
-      // Don't throw - allow running in mock mode
-      this.connected = false;
+      this.markDisconnected(error instanceof HubError
+        ? error
+        : new HubError(ERROR_CODES.LND_NOT_CONNECTED, `Failed to connect to LND: ${error.message}`, 503));
       return false;
     }
   }
 
-  isConnected() {
-    return this.connected;
+  /**
+   * Drop the gRPC clients of a previous connection and the streams on them
+   */
+  closeClients() {
+    this.invoiceStream?.cancel();
+    this.invoiceStream = null;
+    this.singleInvoiceSubscriptions.forEach((subscription) => {
+      subscription.stream?.cancel();
+      subscription.stream = null;
+    });
+
+    [this.lightning, this.invoices, this.router, this.signer].forEach(client => client?.close());
   }
 
-  // Get node info
-  async getInfo() {
-    if (!this.connected) {
-      return this.getMockInfo();
+  // Only gRPC UNAVAILABLE means the node is gone; a slow call is not a lost connection
+  isConnectionError(error) {
+    return error?.code === ERROR_CODES.LND_UNAVAILABLE && error.details?.grpcCode === grpc.status.UNAVAILABLE;
+  }
+
+  async probe() {
+    return this.getInfo();
+  }
+
+  /**
+   * Re-open streams after (re)connecting. Subscriber lists are kept, so
+   * nobody is subscribed twice; invoice events missed while disconnected
+   * are replayed from the last seen indexes, and payments that were in
+   * flight are tracked to their final state.
+   */
+  restoreStreams() {
+    if (this.invoiceSubscribers.length && !this.invoiceStream) {
+      this.startInvoiceStream();
     }
-    
-    // Real implementation would call lnd.getInfo()
-    return this.getMockInfo();
+    this.singleInvoiceSubscriptions.forEach(subscription => this.openSingleInvoiceStream(subscription));
+    this.interruptedPayments.forEach((type, paymentHash) => this.trackPayment(paymentHash, type));
   }
 
-  getMockInfo() {
-    return {
-      identity_pubkey: '03' + crypto.randomBytes(32).toString('hex'),
-      alias: 'Lightning Hub Node',
-      num_active_channels: 12,
-      num_peers: 8,
-      block_height: 820000,
-      synced_to_chain: true,
-      version: '0.17.0-beta'
-    };
+  /**
+   * Build TLS + macaroon credentials from the configured files
+   */
+  createCredentials() {
+    // Read credentials
+    const tlsCert = fs.readFileSync(this.tlsCertPath);
+    const macaroon = fs.readFileSync(this.macaroonPath).toString('hex');
+
+    // Create SSL credentials
+    const sslCreds = grpc.credentials.createSsl(tlsCert);
+
+    // Create macaroon credentials
+    const macaroonCreds = grpc.credentials.createFromMetadataGenerator((args, callback) => {
+      const metadata = new grpc.Metadata();
+      metadata.add('macaroon', macaroon);
+      callback(null, metadata);
+    });
+
+    // Combine credentials
+    return grpc.credentials.combineChannelCredentials(sslCreds, macaroonCreds);
   }
 
-  // Get wallet balance
-  async getBalance() {
+  /**
+   * Invoke a unary RPC and resolve with a hex-normalized response
+   */
+  unary(client, method, request) {
+    return new Promise((resolve, reject) => {
+      const deadline = Date.now() + this.timeout;
+      client[method](request, { deadline }, (error, response) => {
+        if (error) {
+          reject(toHubError(error));
+        } else {
+          resolve(bytesToHex(response));
+        }
+      });
+    });
+  }
+
+  /**
+   * Throw if connect() has not succeeded
+   */
+  ensureConnected() {
     if (!this.connected) {
-      return this.getMockBalance();
+      throw new HubError(
+        ERROR_CODES.LND_NOT_CONNECTED,
+        'LND is not connected',
+        503,
+        this.lastError ? this.lastError.toJSON() : undefined
+      );
     }
-    return this.getMockBalance();
   }
 
-  getMockBalance() {
+  /**
+   * Invoke a unary RPC on one of the connected services
+   */
+  async call(service, method, request = {}) {
+    this.ensureConnected();
+    try {
+      return await this.unary(this[service], method, request);
+    } catch (error) {
+      this.checkConnectionError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow a server stream of status updates
+   * Resolves with the first update `isAccepted` returns true for; every
+   * update (including later ones) is passed to `onUpdate`
+   */
+  watchStream(stream, isAccepted, onUpdate = null) {
+    return new Promise((resolve, reject) => {
+      let accepted = false;
+
+      stream.on('data', (raw) => {
+        const update = bytesToHex(raw);
+        if (onUpdate) onUpdate(update);
+        if (!accepted && isAccepted(update)) {
+          accepted = true;
+          resolve(update);
+        }
+      });
+      stream.on('error', (error) => {
+        const hubError = toHubError(error);
+        this.checkConnectionError(hubError);
+        if (!accepted) {
+          reject(hubError);
+        } else if (onUpdate) {
+          onUpdate({ error: hubError.toJSON() });
+        }
+      });
+      stream.on('end', () => {
+        if (!accepted) {
+          reject(new HubError(ERROR_CODES.LND_RPC_ERROR, 'Stream ended before the update was accepted', 502));
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a payment through Router.SendPaymentV2 and wait for the final state
+   * Every status update is forwarded to payment subscribers, tagged with `type`
+   */
+  async sendPayment(request, type = 'invoice', onUpdate = null) {
+    this.ensureConnected();
+
+    const payment = await new Promise((resolve, reject) => {
+      const stream = this.router.SendPaymentV2(request);
+      let latest = null;
+      let finished = false;
+
+      stream.on('data', (update) => {
+        latest = bytesToHex(update);
+        this.paymentSubscribers.forEach(cb => cb({ ...latest, type }));
+        if (onUpdate) onUpdate({ ...latest, type });
+        if (latest.status === 'SUCCEEDED' || latest.status === 'FAILED') {
+          finished = true;
+          stream.cancel();
+          resolve(latest);
+        }
+      });
+      stream.on('error', (error) => {
+        // Cancelling after the final update surfaces as a CANCELLED error
+        if (finished) return;
+
+        const hubError = toHubError(error);
+        this.checkConnectionError(hubError);
+        // Still in flight on the node: follow it to its final state, now
+        // or once reconnected
+        if (latest) {
+          this.interruptedPayments.set(latest.payment_hash, type);
+          if (this.connected) this.trackPayment(latest.payment_hash, type);
+        }
+        reject(hubError);
+      });
+      stream.on('end', () => {
+        if (latest) {
+          resolve(latest);
+        } else {
+          reject(new HubError(ERROR_CODES.LND_RPC_ERROR, 'Payment stream ended without an update', 502));
+        }
+      });
+    });
+
+    const succeeded = payment.htlcs.find(htlc => htlc.status === 'SUCCEEDED');
+
     return {
-      total_balance: '5420000',
-      confirmed_balance: '5400000',
-      unconfirmed_balance: '20000'
+      payment_error: payment.status === 'SUCCEEDED' ? '' : payment.failure_reason,
+      payment_preimage: payment.payment_preimage,
+      payment_route: succeeded ? succeeded.route : null,
+      payment_hash: payment.payment_hash,
+      fee_sat: payment.fee_sat,
+      status: payment.status
     };
   }
 
+  // Get node info
+  async getInfo() {
+    return this.call('lightning', 'GetInfo');
+  }
+
+  // Get wallet balance
+  async getBalance() {
+    return this.call('lightning', 'WalletBalance');
+  }
+
   // Get channel balance
   async getChannelBalance() {
-    if (!this.connected) {
-      return this.getMockChannelBalance();
+    return this.call('lightning', 'ChannelBalance');
+  }
+
+  // List channels
+  async listChannels() {
+    return this.call('lightning', 'ListChannels');
+  }
+
+  // Connected peers with traffic and ping times
+  async listPeers() {
+    return this.call('lightning', 'ListPeers', { latest_error: true });
+  }
+
+  // Disconnect from a connected peer
+  async disconnectPeer(pubkey) {
+    return this.call('lightning', 'DisconnectPeer', { pub_key: pubkey });
+  }
+
+  // Connect to a peer; an existing connection is not an error
+  async connectPeer(pubkey, host) {
+    try {
+      return await this.call('lightning', 'ConnectPeer', {
+        addr: { pubkey, host },
+        perm: false,
+        timeout: Math.ceil(this.timeout / 1000)
+      });
+    } catch (error) {
+      if (/already connected/i.test(error.message)) {
+        return {};
+      }
+      throw error;
     }
-    return this.getMockChannelBalance();
   }
 
-  getMockChannelBalance() {
-    return {
-      balance: '4200000',
-      pending_open_balance: '100000',
-      local_balance: { sat: '4200000', msat: '4200000000' },
-      remote_balance: { sat: '1200000', msat: '1200000000' }
+  /**
+   * Open a channel and resolve once the funding transaction is broadcast
+   * Later progress (channel open, stream errors) is reported to `onUpdate`
+   */
+  async openChannel({ nodePubkey, localFundingAmount, pushSat = 0, private: isPrivate = false, satPerVbyte, onUpdate = null }) {
+    this.ensureConnected();
+
+    const stream = this.lightning.OpenChannel({
+      node_pubkey: Buffer.from(nodePubkey, 'hex'),
+      local_funding_amount: localFundingAmount,
+      push_sat: pushSat,
+      private: isPrivate,
+      ...(satPerVbyte && { sat_per_vbyte: satPerVbyte })
+    });
+
+    const toProgress = (update) => {
+      if (update.error) {
+        return { action: 'open', status: 'failed', pubkey: nodePubkey, error: update.error };
+      }
+      if (update.chan_pending) {
+        const fundingTxid = txidFromBytes(update.chan_pending.txid);
+        return {
+          action: 'open',
+          status: 'pending',
+          pubkey: nodePubkey,
+          funding_txid: fundingTxid,
+          output_index: update.chan_pending.output_index,
+          channel_point: `${fundingTxid}:${update.chan_pending.output_index}`
+        };
+      }
+      if (update.chan_open) {
+        const point = update.chan_open.channel_point;
+        const fundingTxid = point.funding_txid_str || txidFromBytes(point.funding_txid_bytes);
+        return {
+          action: 'open',
+          status: 'open',
+          pubkey: nodePubkey,
+          funding_txid: fundingTxid,
+          output_index: point.output_index,
+          channel_point: `${fundingTxid}:${point.output_index}`
+        };
+      }
+      return null;
     };
+
+    const pending = await this.watchStream(stream, update => !!update.chan_pending, (update) => {
+      const progress = toProgress(update);
+      if (progress && onUpdate) onUpdate(progress);
+    });
+
+    return toProgress(pending);
   }
 
-  // List channels
-  async listChannels() {
-    if (!this.connected) {
-      return this.getMockChannels();
+  /**
+   * Close a channel and resolve once the closing transaction is broadcast
+   * Later progress (confirmation, stream errors) is reported to `onUpdate`
+   */
+  async closeChannel(channelPoint, { force = false, satPerVbyte, deliveryAddress, onUpdate = null } = {}) {
+    this.ensureConnected();
+
+    const stream = this.lightning.CloseChannel({
+      channel_point: parseChannelPoint(channelPoint),
+      force,
+      ...(satPerVbyte && { sat_per_vbyte: satPerVbyte }),
+      ...(deliveryAddress && { delivery_address: deliveryAddress })
+    });
+
+    const toProgress = (update) => {
+      if (update.error) {
+        return { action: 'close', status: 'failed', channel_point: channelPoint, force, error: update.error };
+      }
+      if (update.close_pending) {
+        return {
+          action: 'close',
+          status: 'pending',
+          channel_point: channelPoint,
+          force,
+          closing_txid: txidFromBytes(update.close_pending.txid)
+        };
+      }
+      if (update.chan_close) {
+        return {
+          action: 'close',
+          status: update.chan_close.success ? 'closed' : 'failed',
+          channel_point: channelPoint,
+          force,
+          closing_txid: txidFromBytes(update.chan_close.closing_txid)
+        };
+      }
+      return null;
+    };
+
+    const pending = await this.watchStream(stream, update => !!update.close_pending, (update) => {
+      const progress = toProgress(update);
+      if (progress && onUpdate) onUpdate(progress);
+    });
+
+    return toProgress(pending);
+  }
+
+  // Channels being opened or closed
+  async pendingChannels() {
+    return this.call('lightning', 'PendingChannels');
+  }
+
+  // Closed channels, optionally filtered by close type
+  async closedChannels(filters = {}) {
+    return this.call('lightning', 'ClosedChannels', filters);
+  }
+
+  // Channel edge from the graph, with the routing policy of both ends
+  async getChanInfo(chanId) {
+    return this.call('lightning', 'GetChanInfo', { chan_id: chanId });
+  }
+
+  // Node announcement from the graph, with its channels and their policies
+  async getNodeInfo(pubkey) {
+    return this.call('lightning', 'GetNodeInfo', { pub_key: pubkey, include_channels: true });
+  }
+
+  /**
+   * Find a route to `pubkey` for `amountSat` using mission control's view
+   * of past payments; { routes: [] } when there is none
+   */
+  async queryRoutes(pubkey, amountSat, { feeLimitSat } = {}) {
+    try {
+      return await this.call('lightning', 'QueryRoutes', {
+        pub_key: pubkey,
+        amt: amountSat,
+        use_mission_control: true,
+        ...(feeLimitSat !== undefined && { fee_limit: { fixed: feeLimitSat } })
+      });
+    } catch (error) {
+      if (/unable to find a path/i.test(error.message)) {
+        return { routes: [], success_prob: 0 };
+      }
+      throw error;
     }
-    return this.getMockChannels();
   }
 
-  getMockChannels() {
-    return {
-      channels: [
-        {
-          active: true,
-          remote_pubkey: '03' + crypto.randomBytes(32).toString('hex'),
-          channel_point: crypto.randomBytes(32).toString('hex') + ':0',
-          chan_id: '820000000000000001',
-          capacity: '1000000',
-          local_balance: '600000',
-          remote_balance: '400000',
-          total_satoshis_sent: '150000',
-          total_satoshis_received: '200000',
-          num_updates: 42,
-          private: false
-        },
-        {
-          active: true,
-          remote_pubkey: '03' + crypto.randomBytes(32).toString('hex'),
-          channel_point: crypto.randomBytes(32).toString('hex') + ':0',
-          chan_id: '820000000000000002',
-          capacity: '2000000',
-          local_balance: '1200000',
-          remote_balance: '800000',
-          total_satoshis_sent: '500000',
-          total_satoshis_received: '300000',
-          num_updates: 128,
-          private: false
-        }
-      ]
-    };
+  /**
+   * Set the routing policy of one channel
+   * Every field is sent, so callers merge with the current policy first
+   */
+  async updateChannelPolicy(channelPoint, policy) {
+    const response = await this.call('lightning', 'UpdateChannelPolicy', {
+      chan_point: parseChannelPoint(channelPoint),
+      base_fee_msat: policy.base_fee_msat,
+      fee_rate_ppm: policy.fee_rate_ppm,
+      time_lock_delta: policy.time_lock_delta,
+      min_htlc_msat: policy.min_htlc_msat,
+      min_htlc_msat_specified: true,
+      max_htlc_msat: policy.max_htlc_msat
+    });
+
+    if (response.failed_updates?.length) {
+      const [failed] = response.failed_updates;
+      throw new HubError(
+        ERROR_CODES.LND_RPC_ERROR,
+        `Policy update failed: ${failed.update_error || failed.reason}`,
+        502,
+        { reason: failed.reason }
+      );
+    }
+    return response;
+  }
+
+  // New on-chain wallet address (see ADDRESS_TYPES)
+  async newAddress(type = 'p2wkh') {
+    return this.call('lightning', 'NewAddress', { type: ADDRESS_TYPES[type] });
+  }
+
+  /**
+   * Send on-chain funds
+   * Fee: satPerVbyte, or targetConf blocks (LND's estimator); coins: a
+   * COIN_SELECTION strategy, or explicit "txid:index" outpoints
+   */
+  async sendCoins(address, amount, options = {}) {
+    const {
+      sendAll = false,
+      satPerVbyte,
+      targetConf,
+      minConfs = 1,
+      spendUnconfirmed = false,
+      coinSelection = 'default',
+      outpoints = [],
+      label = ''
+    } = options;
+
+    return this.call('lightning', 'SendCoins', {
+      addr: address,
+      amount: sendAll ? 0 : amount,
+      send_all: sendAll,
+      sat_per_vbyte: satPerVbyte || 0,
+      target_conf: targetConf || 0,
+      min_confs: minConfs,
+      spend_unconfirmed: spendUnconfirmed,
+      coin_selection_strategy: COIN_SELECTION[coinSelection],
+      outpoints: outpoints.map((outpoint) => {
+        const [txid, index] = outpoint.split(':');
+        return { txid_str: txid, output_index: parseInt(index) };
+      }),
+      label
+    });
+  }
+
+  // Wallet UTXOs with between minConfs and maxConfs confirmations
+  async listUnspent(minConfs = 1, maxConfs = 2147483647) {
+    return this.call('lightning', 'ListUnspent', { min_confs: minConfs, max_confs: maxConfs });
+  }
+
+  /**
+   * Wallet transactions, including unconfirmed ones
+   * indexOffset/maxTransactions page through the history (0 = all)
+   */
+  async getTransactions({ startHeight = 0, endHeight = -1, indexOffset = 0, maxTransactions = 0 } = {}) {
+    return this.call('lightning', 'GetTransactions', {
+      start_height: startHeight,
+      end_height: endHeight,
+      index_offset: indexOffset,
+      max_transactions: maxTransactions
+    });
   }
 
   // Create invoice
   async createInvoice(amount, memo = '', expiry = 3600) {
+    // Generate the preimage locally so callers can reference it
     const preimage = crypto.randomBytes(32);
-    const hash = crypto.createHash('sha256').update(preimage).digest();
-    
+
+    const invoice = await this.call('lightning', 'AddInvoice', {
+      value: amount,
+      memo,
+      expiry,
+      r_preimage: preimage
+    });
+
     return {
-      r_hash: hash.toString('hex'),
-      payment_request: 'lnbc' + amount + '0n1p' + crypto.randomBytes(50).toString('hex'),
-      add_index: Date.now().toString(),
-      payment_addr: crypto.randomBytes(32).toString('hex'),
+      r_hash: invoice.r_hash,
+      payment_request: invoice.payment_request,
+      add_index: invoice.add_index,
+      payment_addr: invoice.payment_addr,
       preimage: preimage.toString('hex')
     };
   }
 
-  // Pay invoice
-  async payInvoice(paymentRequest, maxFee = 100) {
-    const preimage = crypto.randomBytes(32);
-    
+  // List invoices, paginated by add_index
+  async listInvoices({ indexOffset = 0, numMaxInvoices = 100, reversed = false, pendingOnly = false } = {}) {
+    return this.call('lightning', 'ListInvoices', {
+      index_offset: indexOffset,
+      num_max_invoices: numMaxInvoices,
+      reversed,
+      pending_only: pendingOnly
+    });
+  }
+
+  // Look up a single invoice by payment hash (hex)
+  async lookupInvoice(rHash) {
+    return this.call('lightning', 'LookupInvoice', { r_hash: Buffer.from(rHash, 'hex') });
+  }
+
+  /**
+   * Create a hold invoice for a payment hash we know the preimage of
+   * Incoming HTLCs are held (state ACCEPTED) until settleInvoice or cancelInvoice
+   */
+  async createHoldInvoice(paymentHash, amount, memo = '', expiry = 3600, cltvExpiry = 0) {
+    const invoice = await this.call('invoices', 'AddHoldInvoice', {
+      hash: Buffer.from(paymentHash, 'hex'),
+      value: amount,
+      memo,
+      expiry,
+      cltv_expiry: cltvExpiry
+    });
+
     return {
-      payment_error: '',
-      payment_preimage: preimage.toString('hex'),
-      payment_route: {
-        total_time_lock: 820100,
-        total_fees: '5',
-        total_amt: '1000',
-        hops: []
-      },
-      payment_hash: crypto.createHash('sha256').update(preimage).digest('hex')
+      r_hash: paymentHash,
+      payment_request: invoice.payment_request,
+      add_index: invoice.add_index,
+      payment_addr: invoice.payment_addr
     };
   }
 
+  // Settle an accepted hold invoice by revealing its preimage (hex)
+  async settleInvoice(preimage) {
+    return this.call('invoices', 'SettleInvoice', { preimage: Buffer.from(preimage, 'hex') });
+  }
+
+  // Cancel an open or accepted hold invoice, failing any held HTLCs back
+  async cancelInvoice(paymentHash) {
+    return this.call('invoices', 'CancelInvoice', { payment_hash: Buffer.from(paymentHash, 'hex') });
+  }
+
+  /**
+   * Follow every state change of one invoice, starting with its current state
+   * Returns a function that stops the subscription
+   */
+  subscribeSingleInvoice(paymentHash, callback) {
+    this.ensureConnected();
+
+    const subscription = { paymentHash, callback, stream: null };
+    this.singleInvoiceSubscriptions.add(subscription);
+    this.openSingleInvoiceStream(subscription);
+
+    return () => {
+      this.singleInvoiceSubscriptions.delete(subscription);
+      subscription.stream?.cancel();
+    };
+  }
+
+  openSingleInvoiceStream(subscription) {
+    const { paymentHash, callback } = subscription;
+    const stream = this.invoices.SubscribeSingleInvoice({ r_hash: Buffer.from(paymentHash, 'hex') });
+    subscription.stream = stream;
+
+    stream.on('data', update => callback(bytesToHex(update)));
+    stream.on('error', (error) => {
+      if (subscription.stream !== stream) return;
+      subscription.stream = null;
+      if (error.code !== grpc.status.CANCELLED) {
+        console.error(`Invoice ${paymentHash.slice(0, 8)} stream error:`, error.message);
+        this.checkConnectionError(toHubError(error));
+      }
+    });
+  }
+
+  // Pay invoice
+  async payInvoice(paymentRequest, options = {}) {
+    // Older callers pass a flat fee cap in sats
+    const opts = typeof options === 'number' ? { feeLimitSat: options } : options;
+
+    return this.sendPayment({
+      payment_request: paymentRequest,
+      ...this.buildRoutingRequest(paymentRequest, opts)
+    }, 'invoice', opts.onUpdate);
+  }
+
+  /**
+   * Map payment routing options onto SendPaymentV2 request fields
+   *
+   * Options:
+   * - amountSat: amount to pay, for invoices without one
+   * - feeLimitSat / feeLimitPpm: absolute fee cap, or cap relative to the amount
+   * - timeoutSeconds: give up on finding a route after this long
+   * - maxParts: maximum number of shards for multi-path payments
+   * - outgoingChanId: first hop channel to pay through
+   * - lastHopPubkey: peer the final hop must come from
+   * - allowSelfPayment: allow circular routes back to our own node
+   */
+  buildRoutingRequest(paymentRequest, {
+    amountSat,
+    feeLimitSat,
+    feeLimitPpm,
+    timeoutSeconds = 60,
+    maxParts,
+    outgoingChanId,
+    lastHopPubkey,
+    allowSelfPayment = false
+  } = {}) {
+    const request = {
+      timeout_seconds: timeoutSeconds,
+      allow_self_payment: allowSelfPayment
+    };
+
+    if (amountSat) {
+      request.amt = amountSat;
+    }
+
+    if (feeLimitPpm !== undefined) {
+      const amountMsat = amountSat
+        ? amountSat * 1000
+        : parseInt(decodeBolt11(paymentRequest).num_msat);
+      request.fee_limit_msat = Math.floor(amountMsat * feeLimitPpm / 1000000);
+    } else {
+      request.fee_limit_sat = feeLimitSat ?? 100;
+    }
+
+    if (maxParts) {
+      request.max_parts = maxParts;
+    }
+    if (outgoingChanId) {
+      request.outgoing_chan_ids = [outgoingChanId];
+    }
+    if (lastHopPubkey) {
+      request.last_hop_pubkey = Buffer.from(lastHopPubkey, 'hex');
+    }
+
+    return request;
+  }
+
   // Send keysend payment with TLV data (for messaging)
   async sendKeysend(destPubkey, amount, tlvData = {}) {
     const preimage = crypto.randomBytes(32);
-    
-    return {
-      payment_error: '',
-      payment_preimage: preimage.toString('hex'),
-      payment_hash: crypto.createHash('sha256').update(preimage).digest('hex'),
-      payment_route: {
-        total_fees: '1',
-        total_amt: amount.toString()
-      }
-    };
+
+    const customRecords = { [KEYSEND_PREIMAGE_RECORD]: preimage };
+    for (const [type, hex] of Object.entries(tlvData)) {
+      customRecords[type] = Buffer.from(hex, 'hex');
+    }
+
+    return this.sendPayment({
+      dest: Buffer.from(destPubkey, 'hex'),
+      amt: amount,
+      payment_hash: crypto.createHash('sha256').update(preimage).digest(),
+      dest_custom_records: customRecords,
+      fee_limit_sat: 100,
+      timeout_seconds: 60
+    }, 'keysend');
+  }
+
+  /**
+   * Pay `pubkey` with a payment hash nobody has the preimage for. The
+   * destination rejects it, so nothing is paid, but a rejection by the
+   * destination itself (INCORRECT_PAYMENT_DETAILS) proves a working route.
+   * Resolves with the final payment, including every attempt
+   */
+  async probePayment(pubkey, amountSat, { feeLimitSat = 100, timeoutSeconds = 60 } = {}) {
+    let payment = null;
+
+    await this.sendPayment({
+      dest: Buffer.from(pubkey, 'hex'),
+      amt: amountSat,
+      payment_hash: crypto.randomBytes(32),
+      fee_limit_sat: feeLimitSat,
+      timeout_seconds: timeoutSeconds
+    }, 'probe', (update) => {
+      payment = update;
+    });
+
+    return payment;
+  }
+
+  /**
+   * Sign bytes (hex) with the node identity key via signrpc SignMessage:
+   * a 64-byte compact signature over sha256(message)
+   */
+  async signMessage(messageHex) {
+    const { signature } = await this.call('signer', 'SignMessage', {
+      msg: Buffer.from(messageHex, 'hex'),
+      key_loc: { key_family: NODE_KEY_FAMILY, key_index: 0 }
+    });
+    return { signature };
   }
 
   // Decode invoice
   async decodeInvoice(paymentRequest) {
-    return {
-      destination: '03' + crypto.randomBytes(32).toString('hex'),
-      payment_hash: crypto.randomBytes(32).toString('hex'),
-      num_satoshis: '1000',
-      timestamp: Math.floor(Date.now() / 1000).toString(),
-      expiry: '3600',
-      description: 'Lightning Payment',
-      description_hash: '',
-      fallback_addr: '',
-      cltv_expiry: '40',
-      route_hints: [],
-      payment_addr: crypto.randomBytes(32).toString('hex'),
-      num_msat: '1000000',
-      features: {}
-    };
+    return this.call('lightning', 'DecodePayReq', { pay_req: paymentRequest });
   }
 
-  // Subscribe to invoices
+  // Subscribe to invoices; returns a function that unsubscribes, closing
+  // the shared stream after the last subscriber
   subscribeInvoices(callback) {
     this.invoiceSubscribers.push(callback);
-    
-    // Simulate incoming invoice updates
-    if (this.invoiceSubscribers.length === 1) {
-      this.startMockInvoiceStream();
+
+    if (!this.invoiceStream && this.connected) {
+      this.startInvoiceStream();
     }
+
+    return () => {
+      this.invoiceSubscribers = this.invoiceSubscribers.filter(cb => cb !== callback);
+      if (this.invoiceSubscribers.length === 0 && this.invoiceStream) {
+        const stream = this.invoiceStream;
+        this.invoiceStream = null;
+        stream.cancel();
+      }
+    };
   }
 
-  startMockInvoiceStream() {
-    // Simulate occasional invoice settlements
-    setInterval(() => {
-      if (Math.random() > 0.8) {
-        const invoice = {
-          memo: 'L402 API Payment',
-          r_preimage: crypto.randomBytes(32).toString('hex'),
-          r_hash: crypto.randomBytes(32).toString('hex'),
-          value: Math.floor(Math.random() * 1000) + 100,
-          settled: true,
-          settle_date: Math.floor(Date.now() / 1000),
-          amt_paid_sat: Math.floor(Math.random() * 1000) + 100
-        };
-        
-        this.invoiceSubscribers.forEach(cb => cb(invoice));
+  startInvoiceStream() {
+    const stream = this.lightning.SubscribeInvoices({
+      add_index: this.invoiceAddIndex,
+      settle_index: this.invoiceSettleIndex
+    });
+    this.invoiceStream = stream;
+
+    stream.on('data', (update) => {
+      const invoice = bytesToHex(update);
+      if (BigInt(invoice.add_index || 0) > BigInt(this.invoiceAddIndex)) this.invoiceAddIndex = invoice.add_index;
+      if (BigInt(invoice.settle_index || 0) > BigInt(this.invoiceSettleIndex)) this.invoiceSettleIndex = invoice.settle_index;
+      this.invoiceSubscribers.forEach(cb => cb(invoice));
+    });
+    stream.on('error', (error) => {
+      if (this.invoiceStream !== stream) return;
+      this.invoiceStream = null;
+      if (error.code !== grpc.status.CANCELLED) {
+        console.error('Invoice stream error:', error.message);
+        this.checkConnectionError(toHubError(error));
       }
-    }, 10000);
+    });
+    stream.on('end', () => {
+      if (this.invoiceStream === stream) this.invoiceStream = null;
+    });
   }
 
   // Subscribe to payments
@@ -277,22 +955,71 @@ export class LNDClient {
     this.paymentSubscribers.push(callback);
   }
 
+  /**
+   * Outgoing payments, including failed and in-flight ones, oldest first,
+   * paginated by payment index
+   */
+  async listPayments({ indexOffset = 0, maxPayments = 100 } = {}) {
+    return this.call('lightning', 'ListPayments', {
+      include_incomplete: true,
+      index_offset: indexOffset,
+      max_payments: maxPayments
+    });
+  }
+
+  /**
+   * A payment's current state (the first Router.TrackPaymentV2 update), or
+   * null if the node has no payment with that hash
+   */
+  async lookupPayment(paymentHash) {
+    this.ensureConnected();
+
+    const stream = this.router.TrackPaymentV2({ payment_hash: Buffer.from(paymentHash, 'hex') });
+    try {
+      return await this.watchStream(stream, () => true);
+    } catch (error) {
+      if (error.code === ERROR_CODES.NOT_FOUND) return null;
+      throw error;
+    } finally {
+      stream.cancel();
+    }
+  }
+
+  /**
+   * Follow a payment started before a disconnect (Router.TrackPaymentV2)
+   * and report its updates to payment subscribers until it is final
+   */
+  trackPayment(paymentHash, type) {
+    const stream = this.router.TrackPaymentV2({ payment_hash: Buffer.from(paymentHash, 'hex') });
+
+    stream.on('data', (update) => {
+      const payment = bytesToHex(update);
+      this.paymentSubscribers.forEach(cb => cb({ ...payment, type }));
+      if (payment.status === 'SUCCEEDED' || payment.status === 'FAILED') {
+        this.interruptedPayments.delete(paymentHash);
+        stream.cancel();
+      }
+    });
+    stream.on('error', (error) => {
+      if (error.code === grpc.status.CANCELLED) return;
+      // Kept for the next reconnect if the node dropped again
+      const hubError = toHubError(error);
+      if (!this.isConnectionError(hubError)) {
+        this.interruptedPayments.delete(paymentHash);
+      }
+      this.checkConnectionError(hubError);
+    });
+  }
+
   // Get forwarding history (for routing stats)
-  async getForwardingHistory(startTime, endTime, maxEvents = 100) {
-    return {
-      forwarding_events: [
-        {
-          timestamp: Math.floor(Date.now() / 1000) - 3600,
-          chan_id_in: '820000000000000001',
-          chan_id_out: '820000000000000002',
-          amt_in: '10005',
-          amt_out: '10000',
-          fee: '5',
-          fee_msat: '5000'
-        }
-      ],
-      last_offset_index: 1
-    };
+  // indexOffset pages through the events between startTime and endTime
+  async getForwardingHistory(startTime, endTime, maxEvents = 100, indexOffset = 0) {
+    return this.call('lightning', 'ForwardingHistory', {
+      start_time: startTime,
+      end_time: endTime,
+      index_offset: indexOffset,
+      num_max_events: maxEvents
+    });
   }
 
   // Get node stats
@@ -301,11 +1028,11 @@ export class LNDClient {
     const balance = await this.getBalance();
     const channelBalance = await this.getChannelBalance();
     const channels = await this.listChannels();
-    
+
     const totalCapacity = channels.channels.reduce((sum, ch) => sum + parseInt(ch.capacity), 0);
     const localBalance = channels.channels.reduce((sum, ch) => sum + parseInt(ch.local_balance), 0);
     const remoteBalance = channels.channels.reduce((sum, ch) => sum + parseInt(ch.remote_balance), 0);
-    
+
     return {
       pubkey: info.identity_pubkey,
       alias: info.alias,
@@ -328,17 +1055,45 @@ export class LNDClient {
     };
   }
 
-  // Create BOLT12 offer (for CLN compatibility layer)
-  async createOffer(description, amount = 'any') {
-    // BOLT12 offers are primarily supported in CLN
-    // This provides a mock/compatibility layer
+  /**
+   * Reusable payment code. LND does not implement BOLT12 offers, so this
+   * is an AMP invoice: it can be paid any number of times, and each
+   * payment settles separately under its own set id.
+   */
+  async createOffer(description, amount = 'any', expiry = PAYMENT_CODE_EXPIRY) {
+    const invoice = await this.call('lightning', 'AddInvoice', {
+      memo: description,
+      value: amount === 'any' ? 0 : amount,
+      expiry,
+      is_amp: true
+    });
+
     return {
-      offer: 'lno1qgs' + crypto.randomBytes(50).toString('hex'),
-      offer_id: crypto.randomBytes(32).toString('hex'),
-      description: description,
-      single_use: false
+      type: 'amp',
+      offer_id: invoice.r_hash,
+      offer: invoice.payment_request,
+      add_index: invoice.add_index
     };
   }
+
+  // Reusable payment codes among the newest `limit` invoices, with their payments
+  async listOffers({ limit = 1000 } = {}) {
+    const { invoices = [] } = await this.listInvoices({ numMaxInvoices: limit, reversed: true });
+    return invoices.filter(invoice => invoice.is_amp).map(formatAmpCode);
+  }
+
+  async lookupOffer(offerId) {
+    const invoice = await this.lookupInvoice(offerId);
+    if (!invoice.is_amp) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, 'Not a reusable payment code', 404);
+    }
+    return formatAmpCode(invoice);
+  }
+
+  // Paying BOLT12 offers needs CLN
+  async fetchInvoice() {
+    throw new HubError(ERROR_CODES.NOT_SUPPORTED, 'LND cannot pay BOLT12 offers', 501);
+  }
 }
 
 export default LNDClient;
@@ -1,23 +1,51 @@
 /**
  * Macaroon Helper
- * 
- * Simple macaroon implementation for L402 authentication
- * In production, use the macaroons.js library
+ *
+ * Macaroons as in libmacaroons and gopkg.in/macaroon.v2, which Aperture
+ * and lnget use:
+ *
+ * - The signature starts as HMAC(derived root key, identifier) and each
+ *   first-party caveat chains it: sig = HMAC(sig, caveat). Caveats can be
+ *   added by anyone holding the macaroon but never removed.
+ * - The root key is first derived with HMAC("macaroons-key-generator", key).
+ * - Tokens travel in the binary V2 format, base64 encoded.
+ *
+ * Third-party caveats are not supported.
  */
 
 import crypto from 'crypto';
 
+const KEY_GENERATOR = 'macaroons-key-generator';
+
+// V2 binary format
+const VERSION_2 = 2;
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VERIFICATION_ID = 4;
+const FIELD_SIGNATURE = 6;
+
+// L402 identifier: version (uint16) || payment hash (32) || token id (32)
+const IDENTIFIER_VERSION = 0;
+const IDENTIFIER_LENGTH = 2 + 32 + 32;
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function deriveKey(rootKey) {
+  return hmac(KEY_GENERATOR, rootKey);
+}
+
 /**
  * Create a new macaroon
  */
 export function createMacaroon(location, identifier, rootKey) {
-  const sig = crypto.createHmac('sha256', rootKey)
-    .update(identifier)
-    .digest();
+  const sig = hmac(deriveKey(rootKey), identifier);
 
   return {
     location,
-    identifier,
+    identifier: Buffer.from(identifier),
     caveats: [],
     signature: sig.toString('hex')
   };
@@ -27,50 +55,57 @@ export function createMacaroon(location, identifier, rootKey) {
  * Add a first-party caveat
  */
 export function addFirstPartyCaveat(macaroon, caveat) {
-  const newMacaroon = { ...macaroon, caveats: [...macaroon.caveats, caveat] };
-  
-  // Update signature
-  const sig = crypto.createHmac('sha256', Buffer.from(macaroon.signature, 'hex'))
-    .update(caveat)
-    .digest();
-  
-  newMacaroon.signature = sig.toString('hex');
-  
-  return newMacaroon;
+  const sig = hmac(Buffer.from(macaroon.signature, 'hex'), caveat);
+
+  return {
+    ...macaroon,
+    caveats: [...macaroon.caveats, caveat],
+    signature: sig.toString('hex')
+  };
 }
 
 /**
- * Verify a macaroon
+ * Split a "condition=value" caveat; whitespace around either is ignored
+ */
+export function parseCaveat(caveat) {
+  const index = caveat.indexOf('=');
+  if (index === -1) {
+    return { condition: caveat.trim(), value: '' };
+  }
+  return { condition: caveat.slice(0, index).trim(), value: caveat.slice(index + 1).trim() };
+}
+
+/**
+ * Verify a macaroon's signature chain and its caveats. Every caveat must
+ * have a verifier for its condition that returns true, so a caveat the
+ * verifier does not know fails rather than being ignored.
  */
 export function verifyMacaroon(macaroon, rootKey, verifiers = {}) {
   try {
-    // Start with root key
-    let sig = crypto.createHmac('sha256', rootKey)
-      .update(macaroon.identifier)
-      .digest();
+    let sig = hmac(deriveKey(rootKey), macaroon.identifier);
 
-    // Chain through caveats
     for (const caveat of macaroon.caveats) {
-      // Verify caveat
-      const [key, value] = caveat.split(' = ');
-      
-      if (verifiers[key]) {
-        if (!verifiers[key](value)) {
-          return { valid: false, error: `Caveat failed: ${caveat}` };
-        }
-      }
-
-      // Update signature chain
-      sig = crypto.createHmac('sha256', sig)
-        .update(caveat)
-        .digest();
+      sig = hmac(sig, caveat);
     }
 
-    // Compare signatures
-    if (sig.toString('hex') !== macaroon.signature) {
+    const expected = Buffer.from(macaroon.signature, 'hex');
+    if (expected.length !== sig.length || !crypto.timingSafeEqual(expected, sig)) {
       return { valid: false, error: 'Signature mismatch' };
     }
 
+    // Only trust the caveats once the chain proves they were not altered
+    for (const caveat of macaroon.caveats) {
+      const { condition, value } = parseCaveat(caveat);
+      const verify = verifiers[condition];
+
+      if (!verify) {
+        return { valid: false, error: `Unknown caveat: ${caveat}`, caveat, condition };
+      }
+      if (!verify(value)) {
+        return { valid: false, error: `Caveat failed: ${caveat}`, caveat, condition, value };
+      }
+    }
+
     return { valid: true };
 
   } catch (error) {
@@ -78,18 +113,165 @@ export function verifyMacaroon(macaroon, rootKey, verifiers = {}) {
   }
 }
 
+function appendUvarint(parts, n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+  parts.push(Buffer.from(bytes));
+}
+
+function appendField(parts, type, value) {
+  const data = Buffer.from(value);
+  parts.push(Buffer.from([type]));
+  appendUvarint(parts, data.length);
+  parts.push(data);
+}
+
 /**
- * Serialize macaroon to base64
+ * Serialize a macaroon in the V2 binary format, base64 encoded
  */
 export function serializeMacaroon(macaroon) {
-  return Buffer.from(JSON.stringify(macaroon)).toString('base64');
+  const parts = [Buffer.from([VERSION_2])];
+
+  if (macaroon.location) {
+    appendField(parts, FIELD_LOCATION, macaroon.location);
+  }
+  appendField(parts, FIELD_IDENTIFIER, macaroon.identifier);
+  parts.push(Buffer.from([FIELD_EOS]));
+
+  for (const caveat of macaroon.caveats) {
+    appendField(parts, FIELD_IDENTIFIER, caveat);
+    parts.push(Buffer.from([FIELD_EOS]));
+  }
+  parts.push(Buffer.from([FIELD_EOS]));
+
+  appendField(parts, FIELD_SIGNATURE, Buffer.from(macaroon.signature, 'hex'));
+
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Reader over V2 fields: { type, data } with type FIELD_EOS for end markers
+ */
+function fieldReader(buf) {
+  let offset = 1;
+
+  const readUvarint = () => {
+    let n = 0;
+    let shift = 0;
+    for (;;) {
+      if (offset >= buf.length || shift > 28) throw new Error('Invalid macaroon: bad length');
+      const byte = buf[offset++];
+      n += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) return n;
+      shift += 7;
+    }
+  };
+
+  return {
+    done: () => offset >= buf.length,
+    peek: () => {
+      if (offset >= buf.length) throw new Error('Invalid macaroon: truncated');
+      return buf[offset];
+    },
+    read: () => {
+      const type = buf[offset++];
+      if (type === undefined) throw new Error('Invalid macaroon: truncated');
+      if (type === FIELD_EOS) return { type };
+
+      const length = readUvarint();
+      if (offset + length > buf.length) throw new Error('Invalid macaroon: truncated');
+      const data = buf.subarray(offset, offset + length);
+      offset += length;
+      return { type, data };
+    }
+  };
 }
 
 /**
- * Deserialize macaroon from base64
+ * Read one section (location?, identifier, vid?) up to its end marker
+ */
+function readSection(reader) {
+  const section = {};
+  for (let field = reader.read(); field.type !== FIELD_EOS; field = reader.read()) {
+    switch (field.type) {
+      case FIELD_LOCATION:
+        section.location = field.data.toString();
+        break;
+      case FIELD_IDENTIFIER:
+        section.identifier = Buffer.from(field.data);
+        break;
+      case FIELD_VERIFICATION_ID:
+        section.verificationId = field.data;
+        break;
+      default:
+        throw new Error(`Invalid macaroon: unexpected field ${field.type}`);
+    }
+  }
+  if (!section.identifier) {
+    throw new Error('Invalid macaroon: missing identifier');
+  }
+  return section;
+}
+
+/**
+ * Deserialize a base64 (standard or URL-safe) V2 binary macaroon
  */
 export function deserializeMacaroon(serialized) {
-  return JSON.parse(Buffer.from(serialized, 'base64').toString());
+  const buf = Buffer.from(serialized, 'base64');
+  if (buf[0] !== VERSION_2) {
+    throw new Error('Invalid macaroon: unsupported version');
+  }
+
+  const reader = fieldReader(buf);
+  const { location = '', identifier } = readSection(reader);
+
+  const caveats = [];
+  while (reader.peek() !== FIELD_EOS) {
+    const caveat = readSection(reader);
+    if (caveat.verificationId || caveat.location) {
+      throw new Error('Invalid macaroon: third-party caveats are not supported');
+    }
+    caveats.push(caveat.identifier.toString());
+  }
+  reader.read();
+
+  const signature = reader.read();
+  if (signature.type !== FIELD_SIGNATURE || signature.data.length !== 32 || !reader.done()) {
+    throw new Error('Invalid macaroon: bad signature');
+  }
+
+  return { location, identifier, caveats, signature: signature.data.toString('hex') };
+}
+
+/**
+ * Encode an L402 identifier for a payment hash, with a random token id
+ * unless one is given
+ */
+export function encodeIdentifier(paymentHash, tokenId = crypto.randomBytes(32)) {
+  const identifier = Buffer.alloc(IDENTIFIER_LENGTH);
+  identifier.writeUInt16BE(IDENTIFIER_VERSION, 0);
+  Buffer.from(paymentHash, 'hex').copy(identifier, 2);
+  Buffer.from(tokenId).copy(identifier, 34);
+  return identifier;
+}
+
+/**
+ * Decode an L402 identifier into { version, paymentHash, tokenId }
+ */
+export function decodeIdentifier(identifier) {
+  const buf = Buffer.from(identifier);
+  if (buf.length !== IDENTIFIER_LENGTH || buf.readUInt16BE(0) !== IDENTIFIER_VERSION) {
+    throw new Error('Invalid L402 identifier');
+  }
+  return {
+    version: IDENTIFIER_VERSION,
+    paymentHash: buf.subarray(2, 34).toString('hex'),
+    tokenId: buf.subarray(34).toString('hex')
+  };
 }
 
 /**
@@ -99,19 +281,35 @@ export function createL402Caveats(options = {}) {
   const caveats = [];
 
   if (options.expires) {
-    caveats.push(`expires = ${options.expires}`);
+    caveats.push(`expires=${options.expires}`);
   }
 
   if (options.provider) {
-    caveats.push(`provider = ${options.provider}`);
+    caveats.push(`provider=${options.provider}`);
   }
 
   if (options.maxTokens) {
-    caveats.push(`max_tokens = ${options.maxTokens}`);
+    caveats.push(`max_tokens=${options.maxTokens}`);
   }
 
   if (options.model) {
-    caveats.push(`model = ${options.model}`);
+    caveats.push(`model=${options.model}`);
+  }
+
+  if (options.method) {
+    caveats.push(`method=${options.method}`);
+  }
+
+  if (options.path) {
+    caveats.push(`path=${options.path}`);
+  }
+
+  if (options.requests) {
+    caveats.push(`requests=${options.requests}`);
+  }
+
+  if (options.budget) {
+    caveats.push(`budget=${options.budget}`);
   }
 
   return caveats;
@@ -120,8 +318,11 @@ export function createL402Caveats(options = {}) {
 export default {
   createMacaroon,
   addFirstPartyCaveat,
+  parseCaveat,
   verifyMacaroon,
   serializeMacaroon,
   deserializeMacaroon,
+  encodeIdentifier,
+  decodeIdentifier,
   createL402Caveats
 };
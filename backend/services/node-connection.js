@@ -0,0 +1,160 @@
+/**
+ * Node Connection
+ *
+ * Connection state shared by the Lightning node clients: periodic health
+ * probes, reconnecting with exponential backoff once the node becomes
+ * unreachable, and a 'state' event whenever the connection changes.
+ *
+ * Subclasses implement:
+ * - connect(): open the connection, then call markConnected() or
+ *   markDisconnected(error)
+ * - probe(): a cheap call that throws when the node is unusable
+ * - isConnectionError(error): whether a failed call means the node is gone
+ * - restoreStreams(): re-open long-lived subscriptions after a reconnect
+ */
+
+import { EventEmitter } from 'events';
+
+const DEFAULT_HEALTH_CHECK_MS = 30000;
+const DEFAULT_RECONNECT_BASE_MS = 1000;
+const DEFAULT_RECONNECT_MAX_MS = 60000;
+
+export class NodeConnection extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // One 'state' listener per interested service
+    this.setMaxListeners(0);
+
+    this.nodeName = 'Lightning node';
+    this.healthCheckMs = options.healthCheckMs || DEFAULT_HEALTH_CHECK_MS;
+    this.reconnectBaseMs = options.reconnectBaseMs || DEFAULT_RECONNECT_BASE_MS;
+    this.reconnectMaxMs = options.reconnectMaxMs || DEFAULT_RECONNECT_MAX_MS;
+
+    this.connected = false;
+    this.lastError = null;
+    this.connectedSince = null;
+    this.lastCheckedAt = null;
+    this.reconnectAttempts = 0;
+    this.nextRetryAt = null;
+
+    // Reconnecting only starts with startHealthChecks()
+    this.monitoring = false;
+    this.healthTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Connection state for /health, status endpoints and 'state' events
+   */
+  status() {
+    return {
+      connected: this.connected,
+      connected_since: this.connectedSince,
+      last_checked_at: this.lastCheckedAt,
+      last_error: this.lastError ? this.lastError.toJSON() : null,
+      reconnect_attempts: this.reconnectAttempts,
+      next_retry_at: this.nextRetryAt
+    };
+  }
+
+  markConnected() {
+    const changed = !this.connected;
+    this.connected = true;
+    this.lastError = null;
+    this.lastCheckedAt = Date.now();
+    this.reconnectAttempts = 0;
+    this.nextRetryAt = null;
+
+    if (changed) {
+      this.connectedSince = Date.now();
+      this.restoreStreams();
+      this.emit('state', this.status());
+    }
+  }
+
+  markDisconnected(error) {
+    const changed = this.connected;
+    this.connected = false;
+    this.lastError = error;
+    this.connectedSince = null;
+
+    if (changed) this.emit('state', this.status());
+    if (this.monitoring) this.scheduleReconnect();
+  }
+
+  /**
+   * Mark the node down if a failed call shows it is unreachable
+   */
+  checkConnectionError(error) {
+    if (this.connected && this.isConnectionError(error)) {
+      console.error(`${this.nodeName} connection lost:`, error.message);
+      this.markDisconnected(error);
+    }
+  }
+
+  /**
+   * Retry connect() after 1s, 2s, 4s... up to reconnectMaxMs; a failed
+   * attempt schedules the next one through markDisconnected
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs);
+    this.reconnectAttempts += 1;
+    this.nextRetryAt = Date.now() + delay;
+    this.emit('state', this.status());
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+      if (await this.connect()) {
+        console.log(`✅ Reconnected to ${this.nodeName}`);
+      }
+    }, delay);
+  }
+
+  /**
+   * Probe the node every `intervalMs` and reconnect whenever it is down
+   */
+  startHealthChecks(intervalMs = this.healthCheckMs) {
+    this.monitoring = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = setInterval(() => this.checkHealth(), intervalMs);
+
+    if (!this.connected) this.scheduleReconnect();
+  }
+
+  stopHealthChecks() {
+    this.monitoring = false;
+    clearInterval(this.healthTimer);
+    clearTimeout(this.reconnectTimer);
+    this.healthTimer = null;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+  }
+
+  /**
+   * One health probe; while disconnected the reconnect loop does the work
+   */
+  async checkHealth() {
+    if (!this.connected) return false;
+
+    try {
+      await this.probe();
+      this.lastCheckedAt = Date.now();
+    } catch (error) {
+      this.lastCheckedAt = Date.now();
+      if (this.connected) {
+        console.error(`${this.nodeName} health check failed:`, error.message);
+        this.markDisconnected(error);
+      }
+    }
+    return this.connected;
+  }
+}
+
+export default NodeConnection;
@@ -0,0 +1,54 @@
+/**
+ * Mock Nostr Service
+ *
+ * Keeps the NostrService interface but never opens relay connections.
+ * Published events are acknowledged locally. Only used when HUB_MODE=mock.
+ */
+
+import { NostrService } from './nostr.js';
+import { Fixtures } from './fixtures.js';
+
+export class MockNostrService extends NostrService {
+  constructor(options = {}) {
+    const fixtures = options.fixtures || new Fixtures(options.seed);
+    super({ ...options, privateKey: options.privateKey || fixtures.hex('nostr:private-key') });
+    this.mock = true;
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Pretend to connect to all configured relays
+   */
+  async connect() {
+    this.connected = true;
+    return true;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Acknowledge the event on every configured relay without sending it
+   */
+  async publish(event) {
+    return {
+      event,
+      results: this.relays.map(url => ({ relay: url, sent: true, mock: true }))
+    };
+  }
+
+  getRelayStatus() {
+    return this.relays.map(url => ({
+      url,
+      connected: this.connected,
+      mock: true
+    }));
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+}
+
+export default MockNostrService;
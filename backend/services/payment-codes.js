@@ -0,0 +1,125 @@
+/**
+ * Payment Codes
+ *
+ * Reusable payment codes: one payment request that can be paid any
+ * number of times. On LND these are AMP invoices: the invoice stays OPEN
+ * and every payment settles on its own under a set id. On CLN they are
+ * BOLT12 offers, and every payment is an invoice fetched from the offer.
+ * Either way each payment is tracked here as a sub-payment of the code.
+ *
+ * Codes are rediscovered from the node on start, so their payment
+ * history survives restarts.
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * The code an invoice update pays into: the AMP invoice itself, or the
+ * offer a BOLT12 invoice was fetched from
+ */
+function offerIdOf(invoice) {
+  if (invoice.is_amp) return invoice.r_hash;
+  return invoice.local_offer_id || null;
+}
+
+export class PaymentCodeStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.backfillLimit = options.backfillLimit || 1000;
+
+    // offer_id → code record with a payment id → payment map
+    this.codes = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Load existing codes and follow their payments
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.lnd.subscribeInvoices((invoice) => {
+      const offerId = offerIdOf(invoice);
+      if (!offerId) return;
+      this.refresh(offerId).catch((error) => {
+        console.error(`Failed to refresh payment code ${offerId.slice(0, 8)}:`, error.message);
+      });
+    });
+
+    const codes = await this.lnd.listOffers({ limit: this.backfillLimit });
+    codes.forEach(code => this.merge(code, { silent: true }));
+  }
+
+  /**
+   * Create a code that can be paid repeatedly
+   */
+  async create({ description = '', amount = 'any', expiry } = {}) {
+    const { offer_id } = await this.lnd.createOffer(description, amount, expiry);
+    const code = await this.lnd.lookupOffer(offer_id);
+    return this.format(this.merge({ ...code, created_at: code.created_at ?? Date.now() }, { silent: true }));
+  }
+
+  /**
+   * Re-read a code and its payments from the node
+   */
+  async refresh(offerId) {
+    return this.merge(await this.lnd.lookupOffer(offerId));
+  }
+
+  /**
+   * Merge a code read from the node; emits 'payment' for each new
+   * sub-payment unless `silent`
+   */
+  merge({ payments, ...fields }, { silent = false } = {}) {
+    let code = this.codes.get(fields.offer_id);
+    if (!code) {
+      code = { ...fields, payments: new Map() };
+      this.codes.set(fields.offer_id, code);
+    }
+    code.state = fields.state;
+
+    for (const payment of payments) {
+      if (code.payments.has(payment.id)) continue;
+      code.payments.set(payment.id, payment);
+      if (!silent) {
+        this.emit('payment', { offer_id: code.offer_id, ...payment });
+      }
+    }
+
+    return code;
+  }
+
+  format(code, { payments = false } = {}) {
+    const { payments: received, ...rest } = code;
+    const list = Array.from(received.values()).sort((a, b) => a.settled_at - b.settled_at);
+
+    return {
+      ...rest,
+      payment_count: list.length,
+      total_received_sat: list.reduce((sum, p) => sum + p.amount_sat, 0),
+      last_paid_at: list.length ? list[list.length - 1].settled_at : null,
+      ...(payments && { payments: list })
+    };
+  }
+
+  /**
+   * Codes, newest first
+   */
+  list() {
+    return Array.from(this.codes.values())
+      .sort((a, b) => (b.created_at || 0) - (a.created_at || 0))
+      .map(code => this.format(code));
+  }
+
+  /**
+   * One code with its sub-payments, refreshed from the node
+   */
+  async get(offerId) {
+    return this.format(await this.refresh(offerId), { payments: true });
+  }
+}
+
+export default PaymentCodeStore;
@@ -0,0 +1,317 @@
+/**
+ * Payment Store
+ *
+ * Records every outgoing payment of the node and the hub:
+ * - BOLT11 invoice payments and keysend messages (LND payment updates)
+ * - Cashu melts, where the mint pays a Lightning invoice for us
+ * - Payments made outside the hub, and before it started, read from the
+ *   node's payment history (ListPayments) by periodic syncs that resume
+ *   from the last payment index
+ *
+ * Each record follows the payment from IN_FLIGHT to SUCCEEDED/FAILED
+ * and every change is emitted as an 'update' event. A payment that is
+ * not in the store is looked up on the node.
+ */
+
+import { EventEmitter } from 'events';
+import { decodeBolt11 } from './bolt11.js';
+
+// Cashu melt quote states → payment status
+const MELT_STATUS = {
+  PENDING: 'IN_FLIGHT',
+  PAID: 'SUCCEEDED',
+  UNPAID: 'FAILED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Reduce an LND route to the fields worth keeping
+ */
+function formatRoute(route) {
+  if (!route) return null;
+
+  return {
+    total_amt: parseInt(route.total_amt || '0'),
+    total_fees: parseInt(route.total_fees || '0'),
+    total_time_lock: route.total_time_lock || 0,
+    hops: (route.hops || []).map(hop => ({
+      chan_id: hop.chan_id,
+      pub_key: hop.pub_key,
+      amt_to_forward: parseInt(hop.amt_to_forward || '0'),
+      fee: parseInt(hop.fee || '0')
+    }))
+  };
+}
+
+/**
+ * Decode a paid invoice, or null if it is not a valid BOLT11 invoice
+ */
+function tryDecodeInvoice(invoice) {
+  try {
+    return decodeBolt11(invoice);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Summarize one HTLC attempt of a payment
+ */
+function formatAttempt(htlc) {
+  return {
+    attempt_id: htlc.attempt_id,
+    status: htlc.status,
+    attempted_at: Math.floor(parseInt(htlc.attempt_time_ns || '0') / 1e6),
+    resolved_at: Math.floor(parseInt(htlc.resolve_time_ns || '0') / 1e6),
+    failure: htlc.failure?.code || null,
+    route: formatRoute(htlc.route)
+  };
+}
+
+/**
+ * Probes pay a destination with a hash it cannot know. The node keeps them
+ * in its history like other failed payments; only a failure at the
+ * destination with no invoice tells them apart
+ */
+function isProbe(payment) {
+  return payment.type === 'probe' || (payment.status === 'FAILED' && !payment.payment_request &&
+    payment.failure_reason === 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS');
+}
+
+/**
+ * Normalize an update from LND's Router payment stream into a payment record
+ */
+export function formatPayment(update) {
+  const htlcs = update.htlcs || [];
+  const settled = htlcs.find(htlc => htlc.status === 'SUCCEEDED');
+  const route = formatRoute((settled || htlcs[htlcs.length - 1])?.route);
+  const status = update.status === 'INITIATED' ? 'IN_FLIGHT' : update.status;
+
+  return {
+    payment_hash: update.payment_hash,
+    type: update.type || (update.payment_request ? 'invoice' : 'keysend'),
+    status,
+    failure_reason: update.failure_reason && update.failure_reason !== 'FAILURE_REASON_NONE'
+      ? update.failure_reason
+      : null,
+    amount_sat: parseInt(update.value_sat || '0'),
+    fee_sat: parseInt(update.fee_sat || '0'),
+    payment_request: update.payment_request || null,
+    destination: route?.hops.length
+      ? route.hops[route.hops.length - 1].pub_key
+      : (update.payment_request && tryDecodeInvoice(update.payment_request)?.destination) || null,
+    preimage: status === 'SUCCEEDED' ? update.payment_preimage : null,
+    route,
+    attempts: htlcs.map(formatAttempt)
+  };
+}
+
+export class PaymentStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.cashu = options.cashu;
+    this.maxEntries = options.maxEntries || 10000;
+    this.pageSize = options.pageSize || 1000;
+
+    // payment_hash → payment record
+    this.payments = new Map();
+    this.started = false;
+
+    // Node payment history read so far
+    this.lastIndex = 0;
+    this.lastSyncedAt = null;
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start recording payment updates from LND and the Cashu wallet
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.lnd.subscribePayments(update => this.handleLndPayment(update));
+
+    if (this.cashu) {
+      this.cashu.on('melt', event => this.handleMelt(event));
+    }
+  }
+
+  /**
+   * Read the node's payment history now and then every `intervalMs`
+   */
+  startSync(intervalMs = 60000) {
+    if (this.timer) return;
+
+    const sync = () => this.sync().catch((error) => {
+      console.error('Payment history sync failed:', error.message);
+    });
+
+    sync();
+    this.timer = setInterval(sync, intervalMs);
+  }
+
+  stopSync() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record every payment after the last index; concurrent calls share one sync
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.ingest().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async ingest() {
+    // The first sync loads history; later ones announce what is new
+    const silent = !this.lastSyncedAt;
+    let added = 0;
+
+    for (;;) {
+      const page = await this.lnd.listPayments({ indexOffset: this.lastIndex, maxPayments: this.pageSize });
+      const payments = page.payments || [];
+      if (!payments.length) break;
+
+      payments.forEach((payment) => {
+        if (!this.payments.has(payment.payment_hash) && this.remember(payment, { silent })) added += 1;
+      });
+      const lastIndex = parseInt(page.last_index_offset) || 0;
+      if (lastIndex <= this.lastIndex) break;
+      this.lastIndex = lastIndex;
+    }
+
+    // Payments the hub is not following itself only change when looked up
+    const inFlight = Array.from(this.payments.values())
+      .filter(p => p.status === 'IN_FLIGHT' && p.type !== 'cashu_melt');
+    for (const { payment_hash: paymentHash } of inFlight) {
+      const payment = await this.lnd.lookupPayment(paymentHash);
+      if (payment && payment.status !== 'IN_FLIGHT') this.remember(payment);
+    }
+
+    this.lastSyncedAt = Date.now();
+    return { added, total: this.payments.size };
+  }
+
+  /**
+   * Record a payment read from the node's history; probes are skipped
+   */
+  remember(payment, options = {}) {
+    if (isProbe(payment)) return null;
+
+    const { payment_hash, ...fields } = formatPayment(payment);
+    const createdAt = Math.floor(parseInt(payment.creation_time_ns || '0') / 1e6);
+    return this.upsert(payment_hash, { ...fields, ...(createdAt && { created_at: createdAt }) }, options);
+  }
+
+  /**
+   * Record an update from LND's Router payment stream
+   */
+  handleLndPayment(update) {
+    // Probes use a fake payment hash and can never be paid
+    if (update.type === 'probe') return;
+
+    const { payment_hash, ...fields } = formatPayment(update);
+    this.upsert(payment_hash, fields);
+  }
+
+  /**
+   * Record a Cashu melt event
+   */
+  handleMelt(event) {
+    const status = MELT_STATUS[event.state] || 'IN_FLIGHT';
+    const invoice = event.invoice ? tryDecodeInvoice(event.invoice) : null;
+
+    // Melts without a decodable invoice are keyed by their quote id
+    this.upsert(invoice ? invoice.payment_hash : `melt:${event.quote}`, {
+      type: 'cashu_melt',
+      status,
+      failure_reason: status === 'FAILED' ? (event.error || `Melt quote ${event.state}`) : null,
+      amount_sat: event.amount,
+      fee_sat: null,
+      payment_request: event.invoice || null,
+      destination: invoice ? invoice.destination : null,
+      preimage: event.preimage || null,
+      route: null,
+      attempts: [],
+      quote: event.quote
+    });
+  }
+
+  /**
+   * Create or update a payment record and announce the change, unless
+   * `silent`. New records are dated `fields.created_at` if given
+   */
+  upsert(paymentHash, fields, { silent = false } = {}) {
+    const now = Date.now();
+    const existing = this.payments.get(paymentHash);
+
+    const payment = {
+      payment_hash: paymentHash,
+      ...existing,
+      ...fields,
+      created_at: existing ? existing.created_at : (fields.created_at || now),
+      updated_at: now
+    };
+
+    // Keep the preimage and route once learned
+    payment.preimage = fields.preimage || existing?.preimage || null;
+    payment.route = fields.route || existing?.route || null;
+
+    this.payments.delete(paymentHash);
+    this.payments.set(paymentHash, payment);
+
+    while (this.payments.size > this.maxEntries) {
+      this.payments.delete(this.payments.keys().next().value);
+    }
+
+    if (!silent) this.emit('update', payment);
+    return payment;
+  }
+
+  /**
+   * List payments, newest first
+   */
+  list({ status, type, limit = 100, offset = 0 } = {}) {
+    const payments = Array.from(this.payments.values())
+      .filter(p => !status || p.status === status)
+      .filter(p => !type || p.type === type)
+      .sort((a, b) => b.created_at - a.created_at);
+
+    return {
+      total: payments.length,
+      payments: payments.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * A payment by hash; one the store has not seen is looked up on the node
+   */
+  async get(paymentHash) {
+    const known = this.payments.get(paymentHash);
+    if (known || !/^[0-9a-f]{64}$/.test(paymentHash)) return known || null;
+
+    const payment = await this.lnd.lookupPayment(paymentHash);
+    return payment ? this.remember(payment, { silent: true }) : null;
+  }
+
+  getStats() {
+    const stats = { total: this.payments.size, IN_FLIGHT: 0, SUCCEEDED: 0, FAILED: 0 };
+    for (const payment of this.payments.values()) {
+      stats[payment.status] = (stats[payment.status] || 0) + 1;
+    }
+    return stats;
+  }
+}
+
+export default PaymentStore;
@@ -0,0 +1,201 @@
+/**
+ * Peer Tracker
+ *
+ * Polls the node's peer list to record when each peer was online or
+ * offline and how its ping time develops, so channel partners can be
+ * judged on reliability. Channel partners are tracked even while they
+ * are disconnected; other peers from the first time they are seen.
+ *
+ * Periods are observed at poll granularity, so a peer that drops and
+ * comes back between two polls is not noticed.
+ */
+
+import { EventEmitter } from 'events';
+
+const MAX_PERIODS = 500;
+const MAX_PINGS = 100;
+
+export class PeerTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+
+    // pubkey → { pubkey, peer, channels, online, periods, pings }
+    this.peers = new Map();
+    this.lastPolledAt = null;
+    this.polling = null;
+    this.timer = null;
+  }
+
+  /**
+   * Poll now and then every `intervalMs`
+   */
+  start(intervalMs = 60000) {
+    if (this.timer) return;
+
+    const poll = () => this.poll().catch((error) => {
+      console.error('Peer poll failed:', error.message);
+    });
+
+    poll();
+    this.timer = setInterval(poll, intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record the current peer list; concurrent calls share one poll
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.observe().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async observe() {
+    const [{ peers = [] }, { channels = [] }] = await Promise.all([
+      this.lnd.listPeers(),
+      this.lnd.listChannels()
+    ]);
+    const now = Date.now();
+
+    const channelCounts = new Map();
+    channels.forEach((c) => {
+      channelCounts.set(c.remote_pubkey, (channelCounts.get(c.remote_pubkey) || 0) + 1);
+    });
+    const connected = new Map(peers.map(peer => [peer.pub_key, peer]));
+
+    for (const pubkey of new Set([...connected.keys(), ...channelCounts.keys()])) {
+      const record = this.record(pubkey, now);
+      const peer = connected.get(pubkey);
+
+      record.channels = channelCounts.get(pubkey) || 0;
+      if (peer) {
+        record.peer = peer;
+        // LND reports microseconds; 0 means no ping has completed yet
+        const pingUs = parseInt(peer.ping_time || '0');
+        if (pingUs > 0) {
+          record.pings.push({ at: now, ping_ms: pingUs / 1000 });
+          if (record.pings.length > MAX_PINGS) record.pings.shift();
+        }
+      }
+      this.transition(record, !!peer, now);
+    }
+
+    // Tracked peers that are neither connected nor channel partners
+    for (const record of this.peers.values()) {
+      if (!connected.has(record.pubkey) && !channelCounts.has(record.pubkey)) {
+        record.channels = 0;
+        this.transition(record, false, now);
+      }
+    }
+
+    this.lastPolledAt = now;
+    return this.list();
+  }
+
+  record(pubkey, now) {
+    if (!this.peers.has(pubkey)) {
+      this.peers.set(pubkey, { pubkey, peer: null, channels: 0, online: null, first_seen_at: now, periods: [], pings: [] });
+    }
+    return this.peers.get(pubkey);
+  }
+
+  /**
+   * Close the current period and open a new one when `online` changed
+   */
+  transition(record, online, now) {
+    if (record.online === online) return;
+
+    const current = record.periods[record.periods.length - 1];
+    if (current) current.end = now;
+
+    record.periods.push({ online, start: now, end: null });
+    if (record.periods.length > MAX_PERIODS) record.periods.shift();
+
+    const first = record.online === null;
+    record.online = online;
+    if (!first) {
+      this.emit('change', { pubkey: record.pubkey, online, at: now });
+    }
+  }
+
+  /**
+   * Share of the observed time in the last `windowMs` the peer was online;
+   * null before anything was observed in the window
+   */
+  uptime(record, windowMs, now = Date.now()) {
+    const since = now - windowMs;
+    let observed = 0;
+    let online = 0;
+
+    for (const period of record.periods) {
+      const start = Math.max(period.start, since);
+      const end = period.end ?? now;
+      if (end <= start) continue;
+
+      observed += end - start;
+      if (period.online) online += end - start;
+    }
+    return observed ? Math.round((online / observed) * 10000) / 10000 : null;
+  }
+
+  summarize(record, windowMs) {
+    const { peer, pings, periods } = record;
+    const current = periods[periods.length - 1];
+    const recent = pings.length ? pings[pings.length - 1].ping_ms : null;
+
+    return {
+      pubkey: record.pubkey,
+      online: record.online,
+      // Start of the current online or offline period
+      since: current ? current.start : null,
+      address: peer?.address || null,
+      inbound: peer?.inbound ?? null,
+      channels: record.channels,
+      ping_ms: record.online ? recent : null,
+      avg_ping_ms: pings.length ? Math.round(pings.reduce((sum, p) => sum + p.ping_ms, 0) / pings.length * 10) / 10 : null,
+      uptime: this.uptime(record, windowMs),
+      // Times the peer went offline while tracked
+      disconnects: periods.filter((p, i) => i > 0 && !p.online).length,
+      bytes_sent: parseInt(peer?.bytes_sent || '0'),
+      bytes_recv: parseInt(peer?.bytes_recv || '0'),
+      first_seen_at: record.first_seen_at
+    };
+  }
+
+  /**
+   * Tracked peers, online first, then by uptime over `windowMs`
+   */
+  list({ windowMs = 86400000 } = {}) {
+    return Array.from(this.peers.values())
+      .map(record => this.summarize(record, windowMs))
+      .sort((a, b) => (b.online - a.online) || ((b.uptime ?? -1) - (a.uptime ?? -1)));
+  }
+
+  /**
+   * One peer with its online/offline periods and ping samples
+   */
+  get(pubkey, { windowMs = 86400000 } = {}) {
+    const record = this.peers.get(pubkey);
+    if (!record) return null;
+
+    return {
+      ...this.summarize(record, windowMs),
+      periods: record.periods.map(period => ({ ...period })),
+      pings: record.pings.map(ping => ({ ...ping })),
+      last_polled_at: this.lastPolledAt
+    };
+  }
+}
+
+export default PeerTracker;
@@ -0,0 +1,261 @@
+/**
+ * Rebalancer
+ *
+ * Moves liquidity from saturated channels (mostly local balance) to
+ * depleted ones (mostly remote balance) with circular self-payments:
+ * we pay our own invoice out through the saturated channel and back in
+ * through the depleted channel's peer. Fees are capped at max_fee_ppm
+ * of the amount moved.
+ *
+ * Every attempt is recorded. Runs can be triggered on demand or on a
+ * schedule.
+ */
+
+import { EventEmitter } from 'events';
+import { HubError, ERROR_CODES } from './errors.js';
+
+const DEFAULTS = {
+  depletedRatio: 0.2,   // local/capacity at or below this needs inbound liquidity moved in
+  saturatedRatio: 0.8,  // local/capacity at or above this has liquidity to spare
+  targetRatio: 0.5,     // balance both sides towards this
+  maxFeePpm: 500,
+  minAmount: 10000,     // smaller moves are not worth the fees
+  maxAmount: 1000000
+};
+
+const MAX_ATTEMPTS_KEPT = 1000;
+
+export class Rebalancer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.lnd = options.lnd;
+    this.config = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (options[key] !== undefined) this.config[key] = options[key];
+    }
+
+    this.attempts = [];
+    this.running = false;
+    this.schedule = { enabled: false, intervalMs: null, timer: null, lastRunAt: null, nextRunAt: null };
+  }
+
+  /**
+   * Per-run settings: configured defaults with request overrides
+   */
+  settings(overrides = {}) {
+    const settings = { ...this.config };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (overrides[key] !== undefined) settings[key] = overrides[key];
+    }
+
+    if (!(settings.depletedRatio < settings.targetRatio && settings.targetRatio < settings.saturatedRatio)) {
+      throw new HubError(ERROR_CODES.INVALID_REQUEST, 'Ratios must satisfy depleted < target < saturated', 400);
+    }
+    if (settings.minAmount > settings.maxAmount) {
+      throw new HubError(ERROR_CODES.INVALID_REQUEST, 'min_amount must not exceed max_amount', 400);
+    }
+    return settings;
+  }
+
+  /**
+   * Find depleted and saturated channels and pair them into moves
+   */
+  async plan(overrides = {}) {
+    const settings = this.settings(overrides);
+    const { channels } = await this.lnd.listChannels();
+
+    const balances = channels
+      .filter(c => c.active)
+      .map((c) => {
+        const capacity = parseInt(c.capacity);
+        const local = parseInt(c.local_balance);
+        return {
+          chan_id: c.chan_id,
+          remote_pubkey: c.remote_pubkey,
+          capacity,
+          local_balance: local,
+          local_ratio: capacity ? Math.round((local / capacity) * 1000) / 1000 : 0,
+          // Sats to move in (depleted) or out (saturated) to reach the target
+          need: Math.round(settings.targetRatio * capacity) - local
+        };
+      });
+
+    const depleted = balances
+      .filter(c => c.local_ratio <= settings.depletedRatio)
+      .sort((a, b) => b.need - a.need);
+    const saturated = balances
+      .filter(c => c.local_ratio >= settings.saturatedRatio)
+      .map(c => ({ ...c, spare: -c.need }))
+      .sort((a, b) => b.spare - a.spare);
+
+    // Fill the most depleted channels first from the fullest saturated ones
+    const moves = [];
+    for (const target of depleted) {
+      let remaining = target.need;
+
+      for (const source of saturated) {
+        if (remaining < settings.minAmount) break;
+        const amount = Math.min(remaining, source.spare, settings.maxAmount);
+        if (amount < settings.minAmount) continue;
+
+        moves.push({
+          outgoing_chan_id: source.chan_id,
+          incoming_chan_id: target.chan_id,
+          last_hop_pubkey: target.remote_pubkey,
+          amount,
+          max_fee_sat: Math.floor(amount * settings.maxFeePpm / 1000000)
+        });
+        source.spare -= amount;
+        remaining -= amount;
+      }
+    }
+
+    return {
+      settings,
+      depleted: depleted.map(({ need, ...c }) => ({ ...c, needed: need })),
+      saturated: saturated.map(({ need, spare, ...c }) => ({ ...c, spare: -need })),
+      moves
+    };
+  }
+
+  /**
+   * Plan and execute every move, one at a time
+   */
+  async run(overrides = {}) {
+    if (this.running) {
+      throw new HubError(ERROR_CODES.REBALANCE_IN_PROGRESS, 'A rebalance run is already in progress', 409);
+    }
+    this.running = true;
+
+    try {
+      const { moves, settings } = await this.plan(overrides);
+      const attempts = [];
+
+      for (const move of moves) {
+        attempts.push(await this.attempt(move, settings));
+      }
+
+      return {
+        moves: moves.length,
+        succeeded: attempts.filter(a => a.status === 'SUCCEEDED').length,
+        failed: attempts.filter(a => a.status === 'FAILED').length,
+        fees_paid_sat: attempts.reduce((sum, a) => sum + (a.fee_sat || 0), 0),
+        attempts
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Move liquidity with one circular self-payment
+   */
+  async attempt(move, settings) {
+    const record = {
+      id: `${Date.now()}-${this.attempts.length + 1}`,
+      ...move,
+      status: 'IN_FLIGHT',
+      fee_sat: null,
+      payment_hash: null,
+      failure_reason: null,
+      started_at: Date.now(),
+      finished_at: null
+    };
+    this.record(record);
+
+    try {
+      const invoice = await this.lnd.createInvoice(
+        move.amount,
+        `Rebalance ${move.outgoing_chan_id} → ${move.incoming_chan_id}`,
+        600
+      );
+      record.payment_hash = invoice.r_hash;
+
+      const result = await this.lnd.payInvoice(invoice.payment_request, {
+        feeLimitPpm: settings.maxFeePpm,
+        outgoingChanId: move.outgoing_chan_id,
+        lastHopPubkey: move.last_hop_pubkey,
+        allowSelfPayment: true,
+        maxParts: 1
+      });
+
+      record.status = result.status === 'SUCCEEDED' ? 'SUCCEEDED' : 'FAILED';
+      record.fee_sat = parseInt(result.fee_sat || '0');
+      record.failure_reason = result.payment_error || null;
+    } catch (error) {
+      record.status = 'FAILED';
+      record.failure_reason = error.message;
+    }
+
+    record.finished_at = Date.now();
+    this.emit('attempt', record);
+    return record;
+  }
+
+  record(attempt) {
+    this.attempts.push(attempt);
+    if (this.attempts.length > MAX_ATTEMPTS_KEPT) {
+      this.attempts.shift();
+    }
+    this.emit('attempt', attempt);
+  }
+
+  /**
+   * Recorded attempts, newest first
+   */
+  listAttempts({ status, limit = 100 } = {}) {
+    return this.attempts
+      .filter(a => !status || a.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Run automatically every `intervalMs`
+   */
+  startSchedule(intervalMs) {
+    this.stopSchedule();
+
+    this.schedule.enabled = true;
+    this.schedule.intervalMs = intervalMs;
+    this.schedule.nextRunAt = Date.now() + intervalMs;
+    this.schedule.timer = setInterval(async () => {
+      this.schedule.lastRunAt = Date.now();
+      this.schedule.nextRunAt = Date.now() + intervalMs;
+      if (this.running) return;
+
+      try {
+        const result = await this.run();
+        if (result.moves) {
+          console.log(`Rebalance: ${result.succeeded}/${result.moves} moves succeeded, ${result.fees_paid_sat} sats in fees`);
+        }
+      } catch (error) {
+        console.error('Scheduled rebalance failed:', error.message);
+      }
+    }, intervalMs);
+  }
+
+  stopSchedule() {
+    if (this.schedule.timer) {
+      clearInterval(this.schedule.timer);
+    }
+    this.schedule = { ...this.schedule, enabled: false, timer: null, nextRunAt: null };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      config: this.config,
+      schedule: {
+        enabled: this.schedule.enabled,
+        interval_minutes: this.schedule.intervalMs ? this.schedule.intervalMs / 60000 : null,
+        last_run_at: this.schedule.lastRunAt,
+        next_run_at: this.schedule.nextRunAt
+      },
+      attempts: this.attempts.length
+    };
+  }
+}
+
+export default Rebalancer;
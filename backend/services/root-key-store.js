@@ -0,0 +1,138 @@
+/**
+ * Root Key Store
+ *
+ * Root keys for minting and verifying L402 macaroons, by key ID. New
+ * macaroons use the current key; rotating adds a new current key while
+ * tokens minted with older keys stay valid until those keys are revoked.
+ *
+ * With a master secret (L402_SECRET_KEY) each key is derived from the
+ * secret and its ID, so the file only records which IDs exist. Without
+ * one, random keys are kept in the file itself, which is written with
+ * owner-only permissions. Without a path nothing is persisted and
+ * tokens do not survive a restart.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { HubError, ERROR_CODES } from './errors.js';
+
+const KEY_ID_BYTES = 4;
+
+export class RootKeyStore {
+  constructor(options = {}) {
+    this.path = options.path || null;
+    this.secret = options.secret ? Buffer.from(options.secret) : null;
+
+    // id → { id, key (hex, only without a secret), created_at }
+    this.keys = new Map();
+    this.currentId = null;
+
+    this.load();
+    if (!this.currentId) {
+      this.rotate();
+    }
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    (data.keys || []).forEach((entry) => {
+      if (!this.secret && !entry.key) {
+        throw new Error(`L402 root key ${entry.id} is derived from L402_SECRET_KEY, which is not set`);
+      }
+      this.keys.set(entry.id, entry);
+    });
+    this.currentId = this.keys.has(data.current) ? data.current : null;
+  }
+
+  save() {
+    if (!this.path) return;
+
+    const data = { current: this.currentId, keys: Array.from(this.keys.values()) };
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    // Write then rename, so a crash never leaves a truncated key file
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.path);
+  }
+
+  keyFor(entry) {
+    return entry.key
+      ? Buffer.from(entry.key, 'hex')
+      : crypto.createHmac('sha256', this.secret).update(`l402-root-key:${entry.id}`).digest();
+  }
+
+  /**
+   * The key new macaroons are minted with: { id, key }
+   */
+  current() {
+    return { id: this.currentId, key: this.keyFor(this.keys.get(this.currentId)) };
+  }
+
+  /**
+   * Key by ID; null for unknown or revoked keys
+   */
+  get(id) {
+    const entry = this.keys.get(id);
+    return entry ? this.keyFor(entry) : null;
+  }
+
+  /**
+   * Add a new current key; older keys keep verifying until revoked
+   */
+  rotate() {
+    let id;
+    do {
+      id = crypto.randomBytes(KEY_ID_BYTES).toString('hex');
+    } while (this.keys.has(id));
+
+    this.keys.set(id, {
+      id,
+      ...(!this.secret && { key: crypto.randomBytes(32).toString('hex') }),
+      created_at: Date.now()
+    });
+    this.currentId = id;
+    this.save();
+
+    return this.describe(id);
+  }
+
+  /**
+   * Remove a key; every token minted with it stops verifying
+   */
+  revoke(id) {
+    if (!this.keys.has(id)) {
+      throw new HubError(ERROR_CODES.NOT_FOUND, `Unknown root key ${id}`, 404);
+    }
+    if (id === this.currentId) {
+      throw new HubError(ERROR_CODES.INVALID_REQUEST, 'Cannot revoke the current root key; rotate first', 400);
+    }
+
+    this.keys.delete(id);
+    this.save();
+  }
+
+  describe(id) {
+    const entry = this.keys.get(id);
+    return {
+      id,
+      current: id === this.currentId,
+      derived: !entry.key,
+      created_at: entry.created_at
+    };
+  }
+
+  /**
+   * Key IDs, newest first; never the keys themselves
+   */
+  list() {
+    return Array.from(this.keys.keys())
+      .map(id => this.describe(id))
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+}
+
+export default RootKeyStore;
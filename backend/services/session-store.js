@@ -0,0 +1,305 @@
+/**
+ * L402 Session Store
+ *
+ * Where the L402 gateway keeps the sessions it issues (challenges and
+ * prepaid budgets), a usage record per billed request, and the revenue
+ * those add up to. Two stores share one synchronous interface:
+ *
+ * - MemorySessionStore: lost on restart; keeps revenue totals only. What
+ *   each token has consumed is lost too, so after a restart every spent
+ *   token can be replayed until it expires: for tests and HUB_MODE=mock
+ *   only, which createSessionStore() enforces
+ * - SqliteSessionStore: a SQLite file, so billing survives restarts and
+ *   deploys; every usage record is kept
+ *
+ * Interface:
+ * - putSession(id, session), getSession(id)
+ * - updateSession(id, changes) → updated session, or null if gone
+ * - countSessions(now) → sessions not yet expired
+ * - deleteExpiredSessions(now) → number deleted
+ * - consume(id, rule) / release(id, settlement): atomic token consumption,
+ *   see applyConsume() and applyRelease()
+ * - recordUsage({ paymentHash, provider, tokens, sats, at })
+ * - revenue() → { total, byProvider: { [provider]: { requests, tokens, sats } } }
+ * - close()
+ *
+ * Sessions are plain objects with an `expiresAt` timestamp (ms).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Take one request from a session's allowance. Rule:
+ * - maxRequests: requests the token allows in total, or null
+ * - budget: tokens the token allows in total, or null
+ * - reserve: tokens to hold for this request; with a budget, only what
+ *   is left is granted
+ * - expiresAt: for a session the store has not seen
+ *
+ * Returns { result, changes }: result is { ok: true, requests, reserved,
+ * remaining } or { ok: false, reason: 'requests' | 'budget', ... }, and
+ * changes (if ok) are the session fields to write
+ */
+export function applyConsume(session, { maxRequests = null, budget = null, reserve = 0 }) {
+  const requests = session.requests || 0;
+  const reserved = session.tokensReserved || 0;
+  const used = session.tokensUsed || 0;
+
+  if (maxRequests !== null && requests >= maxRequests) {
+    return { result: { ok: false, reason: 'requests', requests, maxRequests } };
+  }
+
+  let granted = reserve;
+  let remaining = null;
+  if (budget !== null) {
+    const left = budget - used - reserved;
+    if (left <= 0) {
+      return { result: { ok: false, reason: 'budget', remaining: 0, budget } };
+    }
+    granted = Math.min(reserve, left);
+    remaining = left - granted;
+  }
+
+  return {
+    result: { ok: true, requests: requests + 1, reserved: granted, remaining },
+    changes: { requests: requests + 1, tokensReserved: reserved + granted }
+  };
+}
+
+/**
+ * Finish a consumed request: return its reservation, count the tokens
+ * actually `used`, and with `refund` give the request back
+ */
+export function applyRelease(session, { reserved = 0, used = 0, refund = false }) {
+  return {
+    tokensReserved: Math.max(0, (session.tokensReserved || 0) - reserved),
+    tokensUsed: (session.tokensUsed || 0) + used,
+    requests: Math.max(0, (session.requests || 0) - (refund ? 1 : 0))
+  };
+}
+
+/**
+ * Sessions in process memory. Single-use and N-request counters do not
+ * survive a restart, so spent tokens become spendable again; never use it
+ * where payments are real.
+ */
+export class MemorySessionStore {
+  constructor() {
+    // id → session
+    this.sessions = new Map();
+    // provider → { requests, tokens, sats }
+    this.totals = new Map();
+  }
+
+  putSession(id, session) {
+    this.sessions.set(id, { ...session });
+  }
+
+  getSession(id) {
+    const session = this.sessions.get(id);
+    return session ? { ...session } : null;
+  }
+
+  updateSession(id, changes) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    Object.assign(session, changes);
+    return { ...session };
+  }
+
+  consume(id, rule) {
+    const session = this.sessions.get(id) || { expiresAt: rule.expiresAt };
+    const { result, changes } = applyConsume(session, rule);
+    if (result.ok) {
+      this.sessions.set(id, Object.assign(session, changes));
+    }
+    return result;
+  }
+
+  release(id, settlement) {
+    const session = this.sessions.get(id);
+    if (session) Object.assign(session, applyRelease(session, settlement));
+  }
+
+  countSessions(now = Date.now()) {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.expiresAt > now) count += 1;
+    }
+    return count;
+  }
+
+  deleteExpiredSessions(now = Date.now()) {
+    let deleted = 0;
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  recordUsage({ provider, tokens, sats }) {
+    const totals = this.totals.get(provider) || { requests: 0, tokens: 0, sats: 0 };
+    totals.requests += 1;
+    totals.tokens += tokens;
+    totals.sats += sats;
+    this.totals.set(provider, totals);
+  }
+
+  revenue() {
+    const byProvider = Object.fromEntries(Array.from(this.totals, ([provider, totals]) => [provider, { ...totals }]));
+    return {
+      total: Object.values(byProvider).reduce((sum, p) => sum + p.sats, 0),
+      byProvider
+    };
+  }
+
+  close() {}
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+
+  CREATE TABLE IF NOT EXISTS usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payment_hash TEXT,
+    provider TEXT NOT NULL,
+    tokens INTEGER NOT NULL,
+    sats INTEGER NOT NULL,
+    at INTEGER NOT NULL
+  );
+`;
+
+export class SqliteSessionStore {
+  constructor(options = {}) {
+    this.path = options.path || 'data/l402.sqlite';
+
+    // Loaded here so the memory store works where the native module does not
+    let Database;
+    try {
+      Database = createRequire(import.meta.url)('better-sqlite3');
+    } catch (error) {
+      throw new Error(`The sqlite L402 store needs better-sqlite3 (${error.message}); set L402_STORE=memory to run without it`);
+    }
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      put: this.db.prepare('INSERT OR REPLACE INTO sessions (id, expires_at, data) VALUES (?, ?, ?)'),
+      get: this.db.prepare('SELECT data FROM sessions WHERE id = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?'),
+      sweep: this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+      usage: this.db.prepare('INSERT INTO usage (payment_hash, provider, tokens, sats, at) VALUES (?, ?, ?, ?, ?)'),
+      revenue: this.db.prepare('SELECT provider, COUNT(*) AS requests, SUM(tokens) AS tokens, SUM(sats) AS sats FROM usage GROUP BY provider')
+    };
+
+    // Read, merge and write in one transaction
+    this.update = this.db.transaction((id, changes) => {
+      const session = this.getSession(id);
+      if (!session) return null;
+
+      const updated = { ...session, ...changes };
+      this.putSession(id, updated);
+      return updated;
+    });
+
+    // IMMEDIATE takes the write lock before reading, so processes sharing
+    // the file cannot both spend the same allowance
+    const consume = this.db.transaction((id, rule) => {
+      const session = this.getSession(id) || { expiresAt: rule.expiresAt };
+      const { result, changes } = applyConsume(session, rule);
+      if (result.ok) {
+        this.putSession(id, { ...session, ...changes });
+      }
+      return result;
+    });
+    this.consumeImmediate = consume.immediate;
+
+    const release = this.db.transaction((id, settlement) => {
+      const session = this.getSession(id);
+      if (session) this.putSession(id, { ...session, ...applyRelease(session, settlement) });
+    });
+    this.releaseImmediate = release.immediate;
+  }
+
+  putSession(id, session) {
+    this.statements.put.run(id, session.expiresAt, JSON.stringify(session));
+  }
+
+  getSession(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  updateSession(id, changes) {
+    return this.update(id, changes);
+  }
+
+  consume(id, rule) {
+    return this.consumeImmediate(id, rule);
+  }
+
+  release(id, settlement) {
+    this.releaseImmediate(id, settlement);
+  }
+
+  countSessions(now = Date.now()) {
+    return this.statements.count.get(now).count;
+  }
+
+  deleteExpiredSessions(now = Date.now()) {
+    return this.statements.sweep.run(now).changes;
+  }
+
+  recordUsage({ paymentHash = null, provider, tokens, sats, at = Date.now() }) {
+    this.statements.usage.run(paymentHash, provider, tokens, sats, at);
+  }
+
+  revenue() {
+    const byProvider = {};
+    let total = 0;
+    for (const row of this.statements.revenue.all()) {
+      byProvider[row.provider] = { requests: row.requests, tokens: row.tokens, sats: row.sats };
+      total += row.sats;
+    }
+    return { total, byProvider };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Store by type: 'sqlite' (with `path`) or 'memory', which is refused
+ * unless `mock` is set because it lets spent tokens be replayed after a
+ * restart
+ */
+export function createSessionStore({ type = 'sqlite', path: file, mock = false } = {}) {
+  switch (type) {
+    case 'memory':
+      if (!mock) {
+        throw new Error('The memory L402 store forgets spent tokens on restart, so they could be replayed; use L402_STORE=sqlite, or HUB_MODE=mock for testing');
+      }
+      return new MemorySessionStore();
+    case 'sqlite':
+      return new SqliteSessionStore({ path: file });
+    default:
+      throw new Error(`Unknown L402 store "${type}"; use memory or sqlite`);
+  }
+}
+
+export default createSessionStore;
@@ -0,0 +1,126 @@
+/**
+ * Subscription Manager
+ *
+ * Fans real-time updates out to socket clients. Each source (invoices,
+ * payments, Nostr mentions...) opens one upstream subscription when its
+ * first socket subscribes and closes it when the last one leaves or
+ * disconnects; updates are broadcast to the socket.io room named after
+ * the source.
+ *
+ * Per-socket upstreams that cannot be shared (e.g. a custom Nostr
+ * filter) are tied to the socket with own() and closed on disconnect.
+ */
+
+export class SubscriptionManager {
+  constructor(options = {}) {
+    this.io = options.io;
+
+    // name → { open, close function while open, subscribed socket ids }
+    this.sources = new Map();
+    // key → { socket id, stop function } of upstreams serving one socket
+    this.owned = new Map();
+  }
+
+  /**
+   * Register a source. `open(emit)` starts the upstream, calls
+   * emit(event, data) for each update and returns a function that stops it
+   */
+  register(name, open) {
+    this.sources.set(name, { name, open, close: null, sockets: new Set() });
+    return this;
+  }
+
+  /**
+   * Wire a connected socket: subscribe:<source> and unsubscribe:<source>
+   * events, and releasing everything once it disconnects
+   */
+  attach(socket) {
+    this.sources.forEach((source, name) => {
+      socket.on(`subscribe:${name}`, () => this.subscribe(socket, name));
+      socket.on(`unsubscribe:${name}`, () => this.unsubscribe(socket, name));
+    });
+    socket.on('disconnect', () => this.release(socket));
+  }
+
+  /**
+   * Add a socket to a source, opening the upstream for the first one.
+   * Subscribing twice is a no-op
+   */
+  subscribe(socket, name) {
+    const source = this.sources.get(name);
+    if (!source || source.sockets.has(socket.id)) return;
+
+    source.sockets.add(socket.id);
+    socket.join(name);
+
+    if (!source.close) {
+      source.close = source.open((event, data) => this.io.to(name).emit(event, data));
+    }
+  }
+
+  /**
+   * Remove a socket from a source, closing the upstream after the last one
+   */
+  unsubscribe(socket, name) {
+    const source = this.sources.get(name);
+    if (!source || !source.sockets.delete(socket.id)) return;
+
+    socket.leave(name);
+
+    if (source.sockets.size === 0 && source.close) {
+      source.close();
+      source.close = null;
+    }
+  }
+
+  /**
+   * Tie an upstream that serves one socket to that socket's lifetime
+   */
+  own(socketId, key, stop) {
+    this.owned.set(key, { socketId, stop });
+  }
+
+  /**
+   * Stop and forget one upstream registered with own()
+   */
+  disown(key) {
+    const owned = this.owned.get(key);
+    if (!owned) return false;
+
+    owned.stop();
+    this.owned.delete(key);
+    return true;
+  }
+
+  /**
+   * Drop everything a disconnected socket was subscribed to
+   */
+  release(socket) {
+    this.sources.forEach(source => this.unsubscribe(socket, source.name));
+
+    this.owned.forEach((owned, key) => {
+      if (owned.socketId === socket.id) this.disown(key);
+    });
+  }
+
+  /**
+   * Subscriber counts per source and upstreams currently open
+   */
+  stats() {
+    const sources = {};
+    let upstreams = 0;
+    this.sources.forEach((source) => {
+      sources[source.name] = source.sockets.size;
+      if (source.close) upstreams += 1;
+    });
+
+    return {
+      sockets: this.io.engine.clientsCount,
+      sources,
+      upstreams: upstreams + this.owned.size,
+      socket_owned: this.owned.size
+    };
+  }
+}
+
+export default SubscriptionManager;
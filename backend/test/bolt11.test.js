@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { decodeBolt11, encodeBolt11, validateInvoice } from '../services/bolt11.js';
+import { ERROR_CODES } from '../services/errors.js';
+
+// "Please send $3 for a cup of coffee to the same peer, within one minute" (BOLT11 test vectors)
+const SPEC_INVOICE = 'lnbc2500u1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpu9qrsgquk0rl77nj30yxdy8j9vdx85fkpmdla2087ne0xh8nhedh8w27kyke0lp53ut353s06fv3qfegext0eh0ymjpf39tuven09sam30g4vgpfna3rh';
+const SPEC_KEY = Buffer.from('e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734', 'hex');
+const SPEC_PUBKEY = '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad';
+const SPEC_HASH = '0001020304050607080900010203040506070809000102030405060708090102';
+
+const invalid = { code: ERROR_CODES.INVALID_REQUEST, status: 400 };
+
+test('decodes the BOLT11 specification vector', () => {
+  const decoded = decodeBolt11(SPEC_INVOICE);
+
+  assert.equal(decoded.destination, SPEC_PUBKEY);
+  assert.equal(decoded.network, 'mainnet');
+  assert.equal(decoded.num_satoshis, '250000');
+  assert.equal(decoded.num_msat, '250000000');
+  assert.equal(decoded.payment_hash, SPEC_HASH);
+  assert.equal(decoded.payment_addr, '11'.repeat(32));
+  assert.equal(decoded.description, '1 cup coffee');
+  assert.equal(decoded.expiry, '60');
+  assert.equal(decoded.timestamp, '1496314658');
+  assert.equal(decoded.expires_at, (1496314658 + 60) * 1000);
+  assert.equal(decoded.expired, true);
+  assert.deepEqual(Object.keys(decoded.features), ['8', '14']);
+});
+
+test('encoded invoices decode to the same fields and recover the signer', () => {
+  const fields = {
+    network: 'regtest',
+    amountMsat: 1234567,
+    paymentHash: SPEC_HASH,
+    paymentSecret: '22'.repeat(32),
+    description: 'round trip',
+    expiry: 900,
+    minFinalCltvExpiry: 40,
+    features: [8, 14],
+    metadata: '01fa'
+  };
+  const decoded = decodeBolt11(`lightning:${encodeBolt11(fields, SPEC_KEY)}`);
+
+  assert.equal(decoded.destination, SPEC_PUBKEY);
+  assert.equal(decoded.network, 'regtest');
+  assert.equal(decoded.num_msat, '1234567');
+  assert.equal(decoded.num_satoshis, '1234');
+  assert.equal(decoded.payment_addr, '22'.repeat(32));
+  assert.equal(decoded.cltv_expiry, '40');
+  assert.equal(decoded.metadata, '01fa');
+  assert.equal(decoded.expired, false);
+});
+
+test('description hashes and payee fields are kept', () => {
+  const descriptionHash = crypto.createHash('sha256').update('long description').digest('hex');
+  const invoice = encodeBolt11({ network: 'testnet', paymentHash: SPEC_HASH, descriptionHash, payeeNodeKey: true }, SPEC_KEY);
+  const decoded = decodeBolt11(invoice);
+
+  assert.ok(invoice.startsWith('lntb1'));
+  assert.equal(decoded.description_hash, descriptionHash);
+  assert.equal(decoded.destination, SPEC_PUBKEY);
+  assert.equal(decoded.num_msat, '0');
+});
+
+test('malformed and tampered invoices are rejected', () => {
+  assert.throws(() => decodeBolt11(''), invalid);
+  assert.throws(() => decodeBolt11('lnbc1notaninvoice'), invalid);
+  assert.throws(() => decodeBolt11('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), invalid);
+
+  // One changed character breaks the checksum
+  const tampered = SPEC_INVOICE.slice(0, 30) + (SPEC_INVOICE[30] === 'q' ? 'p' : 'q') + SPEC_INVOICE.slice(31);
+  assert.throws(() => decodeBolt11(tampered), invalid);
+});
+
+test('validateInvoice checks network, expiry and amount', () => {
+  const now = 1496314658 * 1000;
+  assert.equal(validateInvoice(SPEC_INVOICE, { network: 'mainnet', now }).payment_hash, SPEC_HASH);
+
+  assert.throws(() => validateInvoice(SPEC_INVOICE, { network: 'regtest', now }), { ...invalid, message: /expected regtest/ });
+  assert.throws(() => validateInvoice(SPEC_INVOICE, { now: now + 60 * 1000 }), { ...invalid, message: /expired/ });
+
+  const anyAmount = encodeBolt11({ network: 'regtest', paymentHash: SPEC_HASH, description: 'tip' }, SPEC_KEY);
+  assert.equal(validateInvoice(anyAmount, { network: 'regtest' }).num_msat, '0');
+  assert.throws(() => validateInvoice(anyAmount, { requireAmount: true }), { ...invalid, message: /amount required/ });
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import channelRoutes from '../routes/channels.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+const PEER = '02' + 'bb'.repeat(32);
+
+let fake;
+let lnd;
+
+before(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+});
+
+after(async () => {
+  lnd.closeClients();
+  await fake.close();
+});
+
+// Resolves with the first progress update matching `status`
+function progressUntil(status) {
+  const updates = [];
+  let done;
+  const reached = new Promise(resolve => { done = resolve; });
+  const onUpdate = (update) => {
+    updates.push(update.status);
+    if (update.status === status) done(update);
+  };
+  return { onUpdate, reached, updates };
+}
+
+test('a channel is pending until its funding confirms, then listed', async () => {
+  const progress = progressUntil('open');
+  const pending = await lnd.openChannel({ nodePubkey: PEER, localFundingAmount: 100000, pushSat: 1000, onUpdate: progress.onUpdate });
+
+  assert.equal(pending.status, 'pending');
+  const channel = fake.node.findChannel(pending.channel_point);
+  assert.equal(pending.funding_txid, channel.fundingTxid);
+
+  const { pending_open_channels: opening } = await lnd.pendingChannels();
+  assert.deepEqual(opening.map(c => c.channel.channel_point), [pending.channel_point]);
+  assert.equal(opening[0].channel.local_balance, '99000');
+
+  fake.node.mine();
+  const open = await progress.reached;
+  assert.equal(open.channel_point, pending.channel_point);
+  assert.deepEqual(progress.updates, ['pending', 'open']);
+
+  const { channels } = await lnd.listChannels();
+  const listed = channels.find(c => c.channel_point === pending.channel_point);
+  assert.equal(listed.chan_id, channel.chanId);
+  assert.equal(listed.remote_balance, '1000');
+});
+
+test('closed channels are filtered by close type', async () => {
+  const { channel_point: cooperative } = await lnd.openChannel({ nodePubkey: PEER, localFundingAmount: 50000 });
+  const { channel_point: forced } = await lnd.openChannel({ nodePubkey: PEER, localFundingAmount: 50000 });
+  fake.node.mine();
+
+  const progress = progressUntil('closed');
+  const closing = await lnd.closeChannel(forced, { force: true, onUpdate: progress.onUpdate });
+  assert.equal(closing.status, 'pending');
+  assert.equal(closing.closing_txid, fake.node.findChannel(forced).closingTxid);
+  await lnd.closeChannel(cooperative);
+
+  const pending = await lnd.pendingChannels();
+  assert.deepEqual(pending.pending_force_closing_channels.map(c => c.channel.channel_point), [forced]);
+  assert.deepEqual(pending.waiting_close_channels.map(c => c.channel.channel_point), [cooperative]);
+
+  fake.node.mine();
+  await progress.reached;
+
+  const all = await lnd.closedChannels();
+  assert.deepEqual(all.channels.map(c => c.channel_point).sort(), [cooperative, forced].sort());
+  const { channels } = await lnd.closedChannels({ local_force: true });
+  assert.deepEqual(channels.map(c => [c.channel_point, c.close_type]), [[forced, 'LOCAL_FORCE_CLOSE']]);
+});
+
+test('closing an unknown channel is an error', async () => {
+  await assert.rejects(lnd.closeChannel(`${'00'.repeat(32)}:0`), /unable to find channel/);
+});
+
+test('channel routes validate their input before calling the node', async () => {
+  const calls = [];
+  const node = new Proxy({}, { get: (target, method) => async (...args) => { calls.push(method); return {}; } });
+  const app = await startApp({ '/api/channels': channelRoutes }, { lnd: node, io: { to: () => ({ emit() {} }) }, adminToken: 'admin' });
+  const admin = { authorization: 'Bearer admin' };
+
+  try {
+    const rejected = [
+      ['POST', '/api/channels/open', { pubkey: 'bb'.repeat(33), local_funding_amount: 100000 }],
+      ['POST', '/api/channels/open', { pubkey: PEER, local_funding_amount: 19999 }],
+      ['POST', '/api/channels/open', { pubkey: PEER, local_funding_amount: 100000, push_amount: 100000 }],
+      ['POST', '/api/channels/open', { pubkey: PEER, local_funding_amount: 100000, sat_per_vbyte: 0 }],
+      ['POST', '/api/channels/not-a-point/close', {}],
+      ['POST', `/api/channels/${'aa'.repeat(32)}:0/close`, { force: 'yes' }],
+      ['POST', `/api/channels/${'aa'.repeat(32)}:0/close`, { force: true, sat_per_vbyte: 5 }],
+      ['GET', '/api/channels/closed?type=cooperative,sideways']
+    ];
+    for (const [method, path, body] of rejected) {
+      const { status } = await app.request(method, path, body, admin);
+      assert.equal(status, 400, `${method} ${path}`);
+    }
+    assert.deepEqual(calls, []);
+
+    const open = { pubkey: PEER, local_funding_amount: 100000, host: '127.0.0.1:9735' };
+    assert.equal((await app.request('POST', '/api/channels/open', open)).status, 401);
+    assert.equal((await app.request('POST', `/api/channels/${'aa'.repeat(32)}:0/close`, {}, { authorization: 'Bearer wrong' })).status, 401);
+    assert.deepEqual(calls, []);
+
+    assert.equal((await app.request('POST', '/api/channels/open', open, admin)).status, 202);
+    assert.deepEqual(calls, ['connectPeer', 'openChannel']);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,683 @@
+/**
+ * Fake CLN
+ *
+ * A JSON-RPC server on a unix socket answering from a FakeNode, like
+ * lightningd's lightning-rpc: one request per connection, the response
+ * followed by a blank line. Point a CLNClient at the `rpcPath` it
+ * returns. The last params each method received are kept in `requests`
+ * by method name. Methods without a handler answer -32601, like a
+ * lightningd without that command; `{ hold: false }` leaves out the hold
+ * invoice plugin's commands.
+ *
+ * getroute and the gossip commands answer from the FakeNode's graph.
+ */
+
+import net from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import * as secp from '@noble/secp256k1';
+import { FakeNode, KEYSEND_PREIMAGE_RECORD } from './fake-node.js';
+import { decodeBolt11 } from '../../services/bolt11.js';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+const INVOICE_STATUSES = { OPEN: 'unpaid', SETTLED: 'paid', CANCELED: 'expired' };
+const HOLD_STATES = { OPEN: 'unpaid', ACCEPTED: 'accepted', SETTLED: 'paid', CANCELED: 'cancelled' };
+
+const CHANNEL_STATES = {
+  pending_open: 'CHANNELD_AWAITING_LOCKIN',
+  open: 'CHANNELD_NORMAL',
+  closing: 'CLOSINGD_SIGEXCHANGE',
+  force_closing: 'AWAITING_UNILATERAL'
+};
+
+// Close type → close_cause
+const CLOSE_CAUSES = {
+  cooperative: 'user',
+  local_force: 'local',
+  remote_force: 'remote'
+};
+
+// pay/keysend failures: payment failure reason → error code
+const PAY_FAILURES = {
+  FAILURE_REASON_INCORRECT_PAYMENT_DETAILS: 203,
+  FAILURE_REASON_NO_ROUTE: 205,
+  FAILURE_REASON_INSUFFICIENT_BALANCE: 205
+};
+
+// waitsendpay failures: payment failure reason → where and how it failed
+const SENDPAY_FAILURES = {
+  FAILURE_REASON_INCORRECT_PAYMENT_DETAILS: { code: 203, failcodename: 'WIRE_INCORRECT_OR_UNKNOWN_PAYMENT_DETAILS' },
+  FAILURE_REASON_INSUFFICIENT_BALANCE: { code: 204, failcodename: 'WIRE_TEMPORARY_CHANNEL_FAILURE', erring_index: 0 },
+  FAILURE_REASON_NO_ROUTE: { code: 204, failcodename: 'WIRE_UNKNOWN_NEXT_PEER', erring_index: 1 }
+};
+
+// FakeNode.refusal() codes → the failure each is reported as
+const REFUSALS = {
+  INCORRECT_OR_UNKNOWN_PAYMENT_DETAILS: 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS',
+  UNKNOWN_NEXT_PEER: 'FAILURE_REASON_NO_ROUTE'
+};
+
+function listedInvoice(invoice) {
+  const paid = invoice.state === 'SETTLED';
+  return {
+    label: invoice.label || `${invoice.keysend ? 'keysend' : 'fake'}-${invoice.hash}`,
+    bolt11: invoice.bolt11,
+    payment_hash: invoice.hash,
+    ...(invoice.amountMsat && { amount_msat: invoice.amountMsat }),
+    status: INVOICE_STATUSES[invoice.state],
+    description: invoice.memo,
+    expires_at: invoice.createdAt + invoice.expiry,
+    created_index: invoice.addIndex,
+    ...(paid && {
+      pay_index: invoice.settleIndex,
+      amount_received_msat: invoice.paidMsat,
+      paid_at: invoice.paidAt,
+      payment_preimage: invoice.preimage
+    })
+  };
+}
+
+function listedHoldInvoice(invoice) {
+  return {
+    payment_hash: invoice.hash,
+    bolt11: invoice.bolt11,
+    ...(invoice.preimage && { preimage: invoice.preimage }),
+    state: HOLD_STATES[invoice.state],
+    htlcs: []
+  };
+}
+
+function channelUpdate(policy) {
+  return {
+    htlc_minimum_msat: policy.minHtlcMsat,
+    htlc_maximum_msat: policy.maxHtlcMsat,
+    cltv_expiry_delta: policy.timeLockDelta,
+    fee_base_msat: policy.baseMsat,
+    fee_proportional_millionths: policy.ppm
+  };
+}
+
+function gossipHalf(source, destination, scid, capacitySat, policy, isPublic = true) {
+  return {
+    source,
+    destination,
+    short_channel_id: scid,
+    direction: source < destination ? 0 : 1,
+    public: isPublic,
+    amount_msat: capacitySat * 1000,
+    active: !policy.disabled,
+    last_update: policy.lastUpdate,
+    base_fee_millisatoshi: policy.baseMsat,
+    fee_per_millionth: policy.ppm,
+    delay: policy.timeLockDelta,
+    htlc_minimum_msat: policy.minHtlcMsat,
+    htlc_maximum_msat: policy.maxHtlcMsat
+  };
+}
+
+const SENDPAY_STATUSES = { SUCCEEDED: 'complete', FAILED: 'failed' };
+
+// A FakeNode payment as its one listsendpays part
+function listedSendpay(payment, index) {
+  return {
+    created_index: index,
+    id: index,
+    groupid: 1,
+    payment_hash: payment.hash,
+    status: SENDPAY_STATUSES[payment.status],
+    amount_msat: payment.amountMsat,
+    amount_sent_msat: payment.amountMsat + payment.feeMsat,
+    destination: payment.destination,
+    created_at: Math.floor(payment.createdAt / 1000),
+    ...(payment.bolt11 && { bolt11: payment.bolt11 }),
+    ...(payment.preimage && { payment_preimage: payment.preimage })
+  };
+}
+
+function paymentResult(payment, amountSentMsat = payment.amountMsat + payment.feeMsat) {
+  return {
+    payment_hash: payment.hash,
+    payment_preimage: payment.preimage,
+    amount_msat: payment.amountMsat,
+    amount_sent_msat: amountSentMsat,
+    destination: payment.destination,
+    created_at: payment.createdAt / 1000,
+    parts: 1,
+    status: 'complete'
+  };
+}
+
+/**
+ * Check a hold plugin command's parameters the way pyln-client binds them
+ * to the plugin's Python method: unknown or missing ones are an error
+ */
+function pluginParams(method, params, required, optional) {
+  const extra = Object.keys(params).filter(key => !required.includes(key) && !optional.includes(key));
+  if (extra.length) throw rpcError(-32600, `Error while processing ${method}: Extra arguments given: ${extra.join(', ')}`);
+  const missing = required.filter(key => params[key] === undefined);
+  if (missing.length) throw rpcError(-32600, `Error while processing ${method}: Missing required parameter: ${missing.join(', ')}`);
+}
+
+/**
+ * Command handlers, answering from `node`; a handler may return a
+ * promise, and gets the socket so long calls can stop when it closes
+ */
+export function clnHandlers(node, { hold = true } = {}) {
+  // payment hash → { payment, route } of sendpay attempts
+  const sendpays = new Map();
+
+  const findChannel = id => node.channels.find(ch => ch.state !== 'closed'
+    && (ch.scid === id || ch.fundingTxid === id));
+  const ordinary = () => Array.from(node.invoices.values()).filter(invoice => !invoice.hold);
+
+  // Both gossip halves of every public channel
+  function gossip() {
+    return node.graph().flatMap(({ scid, capacitySat, policies }) => {
+      const [a, b] = Object.keys(policies);
+      return [gossipHalf(a, b, scid, capacitySat, policies[a]), gossipHalf(b, a, scid, capacitySat, policies[b])];
+    });
+  }
+
+  function hop(id, from, scid, amountMsat, delay) {
+    return { id, channel: scid, direction: from < id ? 0 : 1, amount_msat: amountMsat, delay, style: 'tlv' };
+  }
+
+  // Resolve with `match(invoice)` for the first invoice change it accepts
+  function waitForInvoice(socket, match, timeoutSeconds, onTimeout) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const done = () => {
+        node.off('invoice', onInvoice);
+        socket.off('close', done);
+        clearTimeout(timer);
+      };
+      const onInvoice = (invoice) => {
+        const result = match(invoice);
+        if (!result) return;
+        done();
+        resolve(result);
+      };
+      node.on('invoice', onInvoice);
+      socket.on('close', done);
+      if (timeoutSeconds) {
+        timer = setTimeout(() => {
+          done();
+          reject(onTimeout());
+        }, timeoutSeconds * 1000);
+      }
+    });
+  }
+
+  function settlePayment(payment) {
+    if (payment.status === 'SUCCEEDED') return paymentResult(payment);
+    throw rpcError(PAY_FAILURES[payment.failureReason] || 205, `Payment failed: ${payment.failureReason}`, {
+      payment_hash: payment.hash
+    });
+  }
+
+  const handlers = {
+    getinfo() {
+      const open = node.channels.filter(ch => ch.state === 'open');
+      return {
+        id: node.pubkey,
+        alias: node.alias,
+        color: 'ff9900',
+        num_peers: new Set(open.map(ch => ch.peer)).size,
+        num_pending_channels: node.channels.filter(ch => ch.state === 'pending_open').length,
+        num_active_channels: open.length,
+        num_inactive_channels: 0,
+        address: [],
+        version: 'v24.08 fake',
+        blockheight: node.blockHeight,
+        network: 'regtest'
+      };
+    },
+
+    // Peers
+
+    listpeers() {
+      return {
+        peers: Array.from(node.peers.values()).map(peer => ({
+          id: peer.pubkey,
+          connected: true,
+          netaddr: [peer.address],
+          num_channels: node.channels.filter(ch => ch.peer === peer.pubkey && ch.state !== 'closed').length
+        }))
+      };
+    },
+
+    // Connecting to a connected peer succeeds
+    connect({ id }) {
+      const [pubkey, address] = id.split('@');
+      if (!node.peers.has(pubkey)) node.connectPeer(pubkey, address);
+      return { id: pubkey, features: '', direction: 'out', address: {} };
+    },
+
+    disconnect({ id }) {
+      if (!node.peers.has(id)) throw rpcError(-1, 'Peer not connected');
+      node.disconnectPeer(id);
+      return {};
+    },
+
+    // Invoices
+
+    invoice({ amount_msat: amount, label, description = '', expiry = 604800, preimage }) {
+      if (ordinary().some(invoice => invoice.label === label)) {
+        throw rpcError(900, 'Duplicate label');
+      }
+      const invoice = node.addInvoice({ amountMsat: amount === 'any' ? 0 : amount, memo: description, expiry, preimage });
+      invoice.label = label;
+      return {
+        payment_hash: invoice.hash,
+        bolt11: invoice.bolt11,
+        payment_secret: decodeBolt11(invoice.bolt11).payment_addr,
+        expires_at: invoice.createdAt + invoice.expiry,
+        created_index: invoice.addIndex
+      };
+    },
+
+    // By hash or label, or `limit` invoices from created_index `start`
+    listinvoices({ payment_hash: hash, label, offer_id: offerId, index, start = 0, limit = Infinity } = {}) {
+      if (offerId) return { invoices: [] };
+      if (index && index !== 'created') throw rpcError(-32602, 'index: should be one of created, updated');
+      return {
+        invoices: ordinary()
+          .map(listedInvoice)
+          .filter(invoice => (!hash || invoice.payment_hash === hash) && (!label || invoice.label === label))
+          .filter(invoice => invoice.created_index >= start)
+          .sort((a, b) => a.created_index - b.created_index)
+          .slice(0, limit)
+      };
+    },
+
+    // Only the current value of an index: the fake never blocks on one
+    wait({ subsystem, indexname, nextvalue }) {
+      if (subsystem !== 'invoices' || indexname !== 'created') throw rpcError(-32602, 'subsystem: unsupported in this fake');
+      if (nextvalue > node.addIndex) throw rpcError(-32602, 'nextvalue: the fake does not wait');
+      return { subsystem, created: node.addIndex };
+    },
+
+    delinvoice({ label, status }) {
+      const invoice = ordinary().find(i => listedInvoice(i).label === label);
+      if (!invoice) throw rpcError(905, 'Unknown invoice');
+      if (INVOICE_STATUSES[invoice.state] !== status) throw rpcError(906, 'Invoice status mismatch');
+      node.invoices.delete(invoice.hash);
+      return listedInvoice(invoice);
+    },
+
+    // The first invoice paid after lastpay_index
+    waitanyinvoice({ lastpay_index: after = 0, timeout } = {}, socket) {
+      const paid = invoice => !invoice.hold && invoice.state === 'SETTLED' && invoice.settleIndex > after;
+      const [next] = ordinary().filter(paid).sort((a, b) => a.settleIndex - b.settleIndex);
+      if (next) return listedInvoice(next);
+      return waitForInvoice(socket, invoice => paid(invoice) && listedInvoice(invoice), timeout, () => rpcError(904, 'Timed out'));
+    },
+
+    // The invoice once it is paid; 903 once it can no longer be
+    waitinvoice({ label }, socket) {
+      const invoice = ordinary().find(i => listedInvoice(i).label === label);
+      if (!invoice) throw rpcError(-1, 'Unknown invoice');
+      const final = (i) => {
+        if (i.state === 'CANCELED') throw rpcError(903, 'invoice expired during wait');
+        return i.state === 'SETTLED' && listedInvoice(i);
+      };
+      return final(invoice) || waitForInvoice(socket, i => i === invoice && final(i));
+    },
+
+    // Payments
+
+    pay({ bolt11, amount_msat: amountMsat }) {
+      return settlePayment(node.pay(bolt11, { amountMsat }));
+    },
+
+    keysend({ destination, amount_msat: amountMsat, extratlvs = {} }) {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const hash = sha256(Buffer.from(preimage, 'hex')).toString('hex');
+      return settlePayment(node.keysend(destination, {
+        amountMsat,
+        hash,
+        records: { ...extratlvs, [KEYSEND_PREIMAGE_RECORD]: preimage }
+      }));
+    },
+
+    // Our route to `id`, or a network channel from another node
+    getroute({ id, amount_msat: amountMsat, cltv = 9, fromid: from = node.pubkey, exclude = [] }) {
+      if (from === node.pubkey) {
+        const route = node.findRoute(id, amountMsat, { cltv, exclude });
+        if (!route) throw rpcError(205, 'Could not find a route');
+        return {
+          route: route.map((h, i) => hop(h.pubkey, i ? route[i - 1].pubkey : from, h.scid, h.amountMsat, h.delay))
+        };
+      }
+
+      if (id === node.pubkey || exclude.includes(id)) throw rpcError(205, 'Could not find a route');
+      return { route: [hop(id, from, node.networkChannel(from, id).scid, amountMsat, cltv)] };
+    },
+
+    listnodes({ id } = {}) {
+      const announced = Array.from(node.announcements).filter(([pubkey]) => !id || pubkey === id);
+      return {
+        nodes: announced.map(([pubkey, { alias, color, addresses, lastUpdate }]) => ({
+          nodeid: pubkey,
+          alias,
+          color: color.replace(/^#/, ''),
+          last_timestamp: lastUpdate,
+          addresses: addresses.map((address) => {
+            const [host, port] = address.split(':');
+            return { type: 'ipv4', address: host, port: parseInt(port) };
+          })
+        }))
+      };
+    },
+
+    // Pays through our channel at route[0]; a route back to us comes in
+    // over our channel with the second to last node. Without a bolt11
+    // nobody knows the preimage, so the HTLC is refused along the way.
+    sendpay({ route, payment_hash: hash, bolt11, amount_msat: amountMsat }) {
+      const outgoing = node.channels.find(ch => ch.state === 'open' && ch.scid === route[0].channel && ch.peer === route[0].id);
+      if (!outgoing) throw rpcError(204, 'First peer not ready');
+
+      const lastHop = route.length > 1 ? route[route.length - 2].id : undefined;
+      const payment = bolt11
+        ? node.pay(bolt11, { amountMsat, outgoingChanId: outgoing.chanId, lastHopPubkey: lastHop, allowSelfPayment: true })
+        : { hash, status: 'FAILED', failure: node.refusal(route.map(h => h.id)) };
+      sendpays.set(hash, { payment, route });
+      return { payment_hash: hash, status: 'pending', amount_sent_msat: route[0].amount_msat };
+    },
+
+    // By payment hash, or `limit` parts from created_index `start`
+    listsendpays({ payment_hash: hash, index, start = 0, limit = Infinity } = {}) {
+      const parts = node.payments.map((payment, i) => listedSendpay(payment, i + 1));
+      if (hash) return { payments: parts.filter(part => part.payment_hash === hash) };
+      if (index && index !== 'created') throw rpcError(-32602, `index: should be one of created, updated`);
+      return { payments: parts.filter(part => part.created_index >= start).slice(0, limit) };
+    },
+
+    waitsendpay({ payment_hash: hash }) {
+      const attempt = sendpays.get(hash);
+      if (!attempt) throw rpcError(208, 'Never attempted payment');
+
+      const { payment, route } = attempt;
+      if (payment.status === 'SUCCEEDED') return paymentResult(payment, route[0].amount_msat);
+      const { code, failcodename, erring_index: index = route.length } = payment.failure
+        ? { ...SENDPAY_FAILURES[REFUSALS[payment.failure.code]], erring_index: payment.failure.index }
+        : SENDPAY_FAILURES[payment.failureReason];
+      throw rpcError(code, 'Payment failed', {
+        payment_hash: hash,
+        erring_index: index,
+        failcodename,
+        erring_node: index ? route[index - 1].id : node.pubkey
+      });
+    },
+
+    signmessage({ message }) {
+      const digest = sha256(sha256(Buffer.from(`Lightning Signed Message:${message}`, 'utf8')));
+      const signature = secp.sign(digest, node.key);
+      return {
+        signature: Buffer.from(signature.toCompactRawBytes()).toString('hex'),
+        recid: `0${signature.recovery}`
+      };
+    },
+
+    // Channels
+
+    listpeerchannels() {
+      return {
+        channels: node.channels.filter(ch => ch.state !== 'closed').map(ch => ({
+          peer_id: ch.peer,
+          peer_connected: true,
+          state: CHANNEL_STATES[ch.state],
+          channel_id: ch.fundingTxid,
+          funding_txid: ch.fundingTxid,
+          funding_outnum: ch.outputIndex,
+          ...(ch.scid && { short_channel_id: ch.scid }),
+          total_msat: ch.capacitySat * 1000,
+          to_us_msat: ch.localMsat,
+          private: ch.private,
+          opener: ch.initiator,
+          ...(ch.closer && { closer: ch.closer }),
+          out_fulfilled_msat: ch.sentMsat,
+          in_fulfilled_msat: ch.receivedMsat,
+          last_tx_fee_msat: 0,
+          updates: { local: channelUpdate(ch.policy.local), remote: channelUpdate(ch.policy.remote) }
+        }))
+      };
+    },
+
+    listclosedchannels() {
+      return {
+        closedchannels: node.channels.filter(ch => ch.state === 'closed').map(ch => ({
+          peer_id: ch.peer,
+          funding_txid: ch.fundingTxid,
+          funding_outnum: ch.outputIndex,
+          short_channel_id: ch.scid,
+          total_msat: ch.capacitySat * 1000,
+          final_to_us_msat: ch.localMsat,
+          opener: ch.initiator,
+          closer: ch.closer,
+          close_cause: CLOSE_CAUSES[ch.closeType],
+          private: ch.private
+        }))
+      };
+    },
+
+    listchannels({ short_channel_id: scid, source, destination } = {}) {
+      return {
+        channels: gossip().filter(half => (!scid || half.short_channel_id === scid)
+          && (!source || half.source === source)
+          && (!destination || half.destination === destination))
+      };
+    },
+
+    setchannel({ id, feebase, feeppm, htlcmin, htlcmax }) {
+      const channel = findChannel(id);
+      if (!channel) throw rpcError(-32602, 'Could not find active channel');
+      const { local } = channel.policy;
+      Object.assign(local, {
+        ...(feebase !== undefined && { baseMsat: feebase }),
+        ...(feeppm !== undefined && { ppm: feeppm }),
+        ...(htlcmin !== undefined && { minHtlcMsat: htlcmin }),
+        ...(htlcmax !== undefined && { maxHtlcMsat: htlcmax }),
+        lastUpdate: Math.floor(Date.now() / 1000)
+      });
+      return {
+        channels: [{
+          peer_id: channel.peer,
+          channel_id: channel.fundingTxid,
+          short_channel_id: channel.scid,
+          fee_base_msat: local.baseMsat,
+          fee_proportional_millionths: local.ppm,
+          minimum_htlc_out_msat: local.minHtlcMsat,
+          maximum_htlc_out_msat: local.maxHtlcMsat
+        }]
+      };
+    },
+
+    fundchannel({ id, amount, announce = true, push_msat: pushMsat = 0 }) {
+      const channel = node.openChannel({ peer: id, capacitySat: amount, pushSat: pushMsat / 1000, private: !announce });
+      return { txid: channel.fundingTxid, outnum: channel.outputIndex, channel_id: channel.fundingTxid };
+    },
+
+    close({ id, unilateraltimeout }) {
+      const channel = findChannel(id);
+      if (!channel || channel.state !== 'open') throw rpcError(-32602, 'Short channel ID not found');
+      node.closeChannel(channel, { force: !!unilateraltimeout });
+      return { type: unilateraltimeout ? 'unilateral' : 'mutual', txid: channel.closingTxid };
+    },
+
+    listforwards() {
+      const scid = chanId => node.channels.find(ch => ch.chanId === chanId)?.scid;
+      return {
+        forwards: node.forwards.map(e => ({
+          in_channel: scid(e.chanIdIn),
+          out_channel: scid(e.chanIdOut),
+          in_msat: e.amountInMsat,
+          out_msat: e.amountOutMsat,
+          fee_msat: e.feeMsat,
+          status: 'settled',
+          received_time: e.timestamp,
+          resolved_time: e.timestamp
+        }))
+      };
+    },
+
+    // On-chain wallet
+
+    newaddr({ addresstype = 'bech32' } = {}) {
+      return { [addresstype]: node.newAddress(addresstype === 'p2tr' ? 'p2tr' : 'p2wkh') };
+    },
+
+    listfunds() {
+      return {
+        outputs: node.utxos.map(u => ({
+          txid: u.txid,
+          output: u.outputIndex,
+          amount_msat: u.amountSat * 1000,
+          address: u.address,
+          status: u.height ? 'confirmed' : 'unconfirmed',
+          ...(u.height && { blockheight: u.height }),
+          reserved: false
+        })),
+        channels: []
+      };
+    },
+
+    withdraw({ destination, satoshi, feerate, minconf = 1, utxos = [] }) {
+      try {
+        const txid = node.sendCoins({
+          address: destination,
+          amountSat: satoshi === 'all' ? 0 : satoshi,
+          sendAll: satoshi === 'all',
+          satPerVbyte: /perkb$/.test(feerate) ? parseInt(feerate) / 1000 : undefined,
+          minConfs: minconf,
+          spendUnconfirmed: minconf === 0,
+          outpoints: utxos
+        });
+        return { txid, tx: '' };
+      } catch (error) {
+        throw rpcError(301, error.message);
+      }
+    }
+  };
+
+  if (hold) {
+    Object.assign(handlers, {
+      holdinvoice(params = {}) {
+        pluginParams('holdinvoice', params, ['payment_hash', 'amount'], ['memo', 'expiry', 'min_final_cltv_expiry', 'routing_hints']);
+        const { payment_hash: hash, amount, memo = '', expiry = 3600 } = params;
+        try {
+          const invoice = node.addHoldInvoice({ hash, amountMsat: amount, memo, expiry });
+          return { payment_hash: hash, bolt11: invoice.bolt11 };
+        } catch (error) {
+          throw rpcError(2103, error.message);
+        }
+      },
+
+      listholdinvoices(params = {}) {
+        pluginParams('listholdinvoices', params, [], ['payment_hash']);
+        const { payment_hash: hash } = params;
+        return {
+          holdinvoices: Array.from(node.invoices.values())
+            .filter(invoice => invoice.hold && (!hash || invoice.hash === hash))
+            .map(listedHoldInvoice)
+        };
+      },
+
+      settleholdinvoice(params = {}) {
+        pluginParams('settleholdinvoice', params, ['preimage'], []);
+        const { preimage } = params;
+        try {
+          node.settleHoldInvoice(preimage);
+          return {};
+        } catch (error) {
+          throw rpcError(2103, error.message);
+        }
+      },
+
+      cancelholdinvoice(params = {}) {
+        pluginParams('cancelholdinvoice', params, ['payment_hash'], []);
+        const { payment_hash: hash } = params;
+        try {
+          node.cancelInvoice(hash);
+          return {};
+        } catch (error) {
+          throw rpcError(2103, error.message);
+        }
+      }
+    });
+  }
+
+  return handlers;
+}
+
+/**
+ * Start a fake CLN on a unix socket in a fresh temporary directory
+ * Returns { node, rpcPath, requests, close }
+ */
+export async function startFakeCln(node = new FakeNode(), options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-cln-'));
+  const rpcPath = path.join(dir, 'lightning-rpc');
+  const handlers = clnHandlers(node, options);
+  const requests = {};
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    socket.on('data', async (chunk) => {
+      buffer += chunk;
+      let request;
+      try {
+        request = JSON.parse(buffer);
+      } catch {
+        return; // More to come
+      }
+
+      const respond = (body) => {
+        if (!socket.destroyed) socket.write(`${JSON.stringify({ jsonrpc: '2.0', id: request.id, ...body })}\n\n`);
+      };
+      const handler = handlers[request.method];
+      requests[request.method] = request.params;
+      if (!handler) {
+        return respond({ error: { code: -32601, message: `Unknown command '${request.method}'` } });
+      }
+
+      try {
+        respond({ result: await handler(request.params, socket) });
+      } catch (error) {
+        respond({ error: { code: error.code ?? -1, message: error.message, ...(error.data && { data: error.data }) } });
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(rpcPath, resolve);
+  });
+
+  return {
+    node,
+    rpcPath,
+    requests,
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+      });
+    })
+  };
+}
+
+export default startFakeCln;
@@ -0,0 +1,628 @@
+/**
+ * Fake Node
+ *
+ * The in-memory Lightning node behind the fake LND and CLN servers: an
+ * identity key, the invoices it issued, the payments it sent and its
+ * channels. A second key stands in for the rest of the network, so tests
+ * can make invoices someone else issued (payable) or invent ones nobody
+ * can pay, and send us keysend payments.
+ *
+ * Channels move pending_open → open → closing | force_closing → closed,
+ * one step per mine(); every change is emitted as 'channel'. Invoice
+ * state changes are emitted as 'invoice'.
+ *
+ * The graph is our public channels plus network channels made up on
+ * demand: any node is reached over our first open channel and a
+ * network channel on from that peer, unless it was taken offline().
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import * as secp from '@noble/secp256k1';
+import { encodeBolt11, decodeBolt11, encodeSegwitAddress } from '../../services/bolt11.js';
+
+export const NETWORK = 'regtest';
+
+// Flat routing fee charged by the network on every payment
+export const NETWORK_FEE_MSAT = 1000;
+
+// Size charged for every on-chain send, and its rate unless one is given
+const TX_VBYTES = 141;
+const DEFAULT_SAT_PER_VBYTE = 10;
+
+// TLV record carrying the preimage of a keysend payment
+export const KEYSEND_PREIMAGE_RECORD = '5482373484';
+
+// Capacity and policy of every made-up network channel
+export const NETWORK_CAPACITY_SAT = 10000000;
+export const NETWORK_POLICY = {
+  baseMsat: NETWORK_FEE_MSAT,
+  ppm: 0,
+  timeLockDelta: 40,
+  minHtlcMsat: 1,
+  maxHtlcMsat: 10000000000,
+  disabled: false,
+  lastUpdate: 0
+};
+
+// CLTV delta the destination of a route asks for
+const FINAL_CLTV_DELTA = 9;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+function defaultPolicy(capacitySat) {
+  return {
+    baseMsat: 1000,
+    ppm: 1,
+    timeLockDelta: 40,
+    minHtlcMsat: 1000,
+    maxHtlcMsat: capacitySat * 990,
+    disabled: false,
+    lastUpdate: Math.floor(Date.now() / 1000)
+  };
+}
+
+export class FakeNode extends EventEmitter {
+  constructor({ alias = 'fake-node', blockHeight = 800000 } = {}) {
+    super();
+    this.key = crypto.randomBytes(32);
+    this.pubkey = Buffer.from(secp.getPublicKey(this.key, true)).toString('hex');
+    this.alias = alias;
+    this.blockHeight = blockHeight;
+
+    // Stands in for every other node
+    this.remoteKey = crypto.randomBytes(32);
+    this.remotePubkey = Buffer.from(secp.getPublicKey(this.remoteKey, true)).toString('hex');
+    // payment hash → preimage of invoices the network can settle
+    this.remotePreimages = new Map();
+
+    // payment hash → invoice
+    this.invoices = new Map();
+    this.addIndex = 0;
+    this.settleIndex = 0;
+
+    // Payments sent, oldest first
+    this.payments = [];
+
+    // Channels ever opened, oldest first
+    this.channels = [];
+    // pubkey → connected peer { pubkey, address, inbound, pingUs, bytesSent, bytesRecv }
+    this.peers = new Map();
+
+    // pubkey → node announcement { alias, color, addresses } of other nodes
+    this.announcements = new Map();
+    // "a:b" (sorted pubkeys) → made-up channel between two other nodes
+    this.networkChannels = new Map();
+    // Nodes whose channels are still announced but who don't answer
+    this.offlineNodes = new Set();
+
+    // HTLCs routed through us, oldest first
+    this.forwards = [];
+
+    // On-chain wallet; a height of 0 is unconfirmed
+    this.utxos = [];
+    this.transactions = [];
+  }
+
+  encode({ paymentHash, amountMsat, memo = '', expiry = 3600, key = this.key }) {
+    return encodeBolt11({
+      network: NETWORK,
+      amountMsat: amountMsat || undefined,
+      paymentHash,
+      paymentSecret: crypto.randomBytes(32).toString('hex'),
+      description: memo,
+      expiry,
+      minFinalCltvExpiry: 18
+    }, key);
+  }
+
+  /**
+   * Issue an invoice; `preimage` (hex) is generated unless given
+   */
+  addInvoice({ amountMsat = 0, memo = '', expiry = 3600, preimage = crypto.randomBytes(32).toString('hex'), amp = false } = {}) {
+    const hash = sha256(Buffer.from(preimage, 'hex')).toString('hex');
+    const invoice = {
+      hash,
+      preimage,
+      amountMsat,
+      memo,
+      expiry,
+      bolt11: this.encode({ paymentHash: hash, amountMsat, memo, expiry }),
+      createdAt: Math.floor(Date.now() / 1000),
+      state: 'OPEN',
+      paidMsat: 0,
+      paidAt: 0,
+      addIndex: ++this.addIndex,
+      settleIndex: 0,
+      hold: false,
+      // AMP invoices stay OPEN; every payment settles as its own set
+      amp,
+      ampSets: []
+    };
+    this.invoices.set(hash, invoice);
+    return invoice;
+  }
+
+  /**
+   * Issue a hold invoice for a hash whose preimage we don't know yet
+   */
+  addHoldInvoice({ hash, amountMsat = 0, memo = '', expiry = 3600 }) {
+    if (this.invoices.has(hash)) throw new Error('invoice with payment hash already exists');
+    const invoice = {
+      hash,
+      preimage: '',
+      amountMsat,
+      memo,
+      expiry,
+      bolt11: this.encode({ paymentHash: hash, amountMsat, memo, expiry }),
+      createdAt: Math.floor(Date.now() / 1000),
+      state: 'OPEN',
+      paidMsat: 0,
+      paidAt: 0,
+      addIndex: ++this.addIndex,
+      settleIndex: 0,
+      hold: true
+    };
+    this.invoices.set(hash, invoice);
+    return invoice;
+  }
+
+  /**
+   * Someone on the network pays our invoice: hold invoices are held
+   * (ACCEPTED), others settle
+   */
+  receivePayment(hash) {
+    const invoice = this.invoices.get(hash);
+    if (invoice.state !== 'OPEN') throw new Error(`invoice is ${invoice.state}`);
+    if (!invoice.hold) return this.settle(invoice, invoice.amountMsat);
+
+    invoice.state = 'ACCEPTED';
+    invoice.paidMsat = invoice.amountMsat;
+    this.emit('invoice', invoice);
+  }
+
+  /**
+   * Someone pays `amountMsat` into an AMP invoice under a new set id
+   */
+  receiveAmpPayment(hash, amountMsat) {
+    const invoice = this.invoices.get(hash);
+    if (!invoice?.amp) throw new Error('not an AMP invoice');
+
+    const set = {
+      setId: crypto.randomBytes(32).toString('hex'),
+      amountMsat,
+      settleIndex: ++this.settleIndex,
+      settledAt: Math.floor(Date.now() / 1000)
+    };
+    invoice.ampSets.push(set);
+    invoice.paidMsat += amountMsat;
+    this.emit('invoice', invoice);
+    return set;
+  }
+
+  settleHoldInvoice(preimage) {
+    const invoice = this.invoices.get(sha256(Buffer.from(preimage, 'hex')).toString('hex'));
+    if (!invoice) throw new Error('unable to locate invoice');
+    if (invoice.state !== 'ACCEPTED') throw new Error(`invoice is ${invoice.state}, not accepted`);
+    invoice.preimage = preimage;
+    this.settle(invoice, invoice.paidMsat);
+  }
+
+  cancelInvoice(hash) {
+    const invoice = this.invoices.get(hash);
+    if (!invoice) throw new Error('unable to locate invoice');
+    if (invoice.state === 'SETTLED') throw new Error('invoice already settled');
+    invoice.state = 'CANCELED';
+    this.emit('invoice', invoice);
+  }
+
+  /**
+   * A keysend payment reaches us: it is filed as a settled invoice
+   * carrying the sender's TLV `records` (type → hex)
+   */
+  receiveKeysend({ amountMsat, records = {} }) {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const invoice = this.addInvoice({ amountMsat, preimage });
+    invoice.keysend = true;
+    invoice.records = { ...records, [KEYSEND_PREIMAGE_RECORD]: preimage };
+    this.settle(invoice, amountMsat);
+    return invoice;
+  }
+
+  /**
+   * Sign with the node key over sha256(message), in the 64-byte compact
+   * format LND's signer returns
+   */
+  signMessage(messageHex) {
+    return Buffer.from(secp.sign(sha256(Buffer.from(messageHex, 'hex')), this.key).toCompactRawBytes()).toString('hex');
+  }
+
+  /**
+   * An invoice issued by another node that the network can settle
+   */
+  remoteInvoice(amountSat, memo = 'remote') {
+    const preimage = crypto.randomBytes(32);
+    const paymentHash = sha256(preimage).toString('hex');
+    this.remotePreimages.set(paymentHash, preimage.toString('hex'));
+    return this.encode({ paymentHash, amountMsat: amountSat * 1000, memo, key: this.remoteKey });
+  }
+
+  /**
+   * An invoice nobody knows the preimage of
+   */
+  unpayableInvoice(amountSat) {
+    return this.encode({ paymentHash: crypto.randomBytes(32).toString('hex'), amountMsat: amountSat * 1000, key: this.remoteKey });
+  }
+
+  settle(invoice, paidMsat) {
+    invoice.state = 'SETTLED';
+    invoice.paidMsat = paidMsat;
+    invoice.paidAt = Math.floor(Date.now() / 1000);
+    invoice.settleIndex = ++this.settleIndex;
+    this.emit('invoice', invoice);
+  }
+
+  /**
+   * Pay a BOLT11 invoice. Resolves with the payment record:
+   * { hash, amountMsat, feeMsat, preimage, status: 'SUCCEEDED' | 'FAILED', failureReason, destination }
+   *
+   * Paying one of our own invoices is a circular payment: it needs
+   * allowSelfPayment and moves the amount from the outgoing channel to
+   * our channel with lastHopPubkey. An outgoingChanId is paid out of
+   * that channel, which must hold the amount plus fees.
+   */
+  pay(bolt11, { amountMsat, outgoingChanId, lastHopPubkey, allowSelfPayment = false } = {}) {
+    const decoded = decodeBolt11(bolt11);
+    const hash = decoded.payment_hash;
+    const amount = amountMsat || parseInt(decoded.num_msat);
+    const own = this.invoices.get(hash);
+    const self = decoded.destination === this.pubkey;
+
+    const outgoing = outgoingChanId && this.findChannelById(outgoingChanId);
+    const incoming = self && this.channels.find(ch => ch.state === 'open' && ch !== outgoing && ch.peer === lastHopPubkey);
+    let failureReason = '';
+    if (self && (!allowSelfPayment || !incoming)) {
+      failureReason = 'FAILURE_REASON_NO_ROUTE';
+    } else if (outgoingChanId && (outgoing?.state !== 'open' || outgoing.localMsat < amount + NETWORK_FEE_MSAT)) {
+      failureReason = 'FAILURE_REASON_INSUFFICIENT_BALANCE';
+    }
+    const preimage = failureReason ? '' : own?.state === 'OPEN' ? own.preimage : this.remotePreimages.get(hash);
+    if (!failureReason && !preimage) failureReason = 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS';
+
+    const payment = {
+      hash,
+      bolt11,
+      amountMsat: amount,
+      feeMsat: preimage ? NETWORK_FEE_MSAT : 0,
+      preimage: preimage || '',
+      status: preimage ? 'SUCCEEDED' : 'FAILED',
+      failureReason,
+      destination: decoded.destination,
+      createdAt: Date.now()
+    };
+    if (preimage) {
+      if (own) this.settle(own, amount);
+      if (outgoing) {
+        outgoing.localMsat -= amount + payment.feeMsat;
+        outgoing.sentMsat += amount + payment.feeMsat;
+      }
+      if (incoming) {
+        incoming.localMsat += amount;
+        incoming.receivedMsat += amount;
+      }
+    }
+
+    this.payments.push(payment);
+    return payment;
+  }
+
+  /**
+   * Pay `destination` spontaneously; the preimage travels in the keysend
+   * record. Paying ourselves finds no route.
+   */
+  keysend(destination, { amountMsat, hash, records = {} }) {
+    const preimage = records[KEYSEND_PREIMAGE_RECORD] || '';
+    let failureReason = '';
+    if (destination === this.pubkey) {
+      failureReason = 'FAILURE_REASON_NO_ROUTE';
+    } else if (!preimage || sha256(Buffer.from(preimage, 'hex')).toString('hex') !== hash) {
+      failureReason = 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS';
+    }
+
+    const payment = {
+      hash,
+      bolt11: '',
+      amountMsat,
+      feeMsat: failureReason ? 0 : NETWORK_FEE_MSAT,
+      preimage: failureReason ? '' : preimage,
+      status: failureReason ? 'FAILED' : 'SUCCEEDED',
+      failureReason,
+      destination,
+      records,
+      createdAt: Date.now()
+    };
+    this.payments.push(payment);
+    return payment;
+  }
+
+  /**
+   * A peer connects to us, or we to it; connecting twice is an error,
+   * as it is on LND
+   */
+  connectPeer(pubkey, address, { inbound = false, pingUs = 0 } = {}) {
+    if (this.peers.has(pubkey)) throw new Error(`already connected to peer: ${pubkey}@${address}`);
+    const peer = { pubkey, address, inbound, pingUs, bytesSent: 0, bytesRecv: 0 };
+    this.peers.set(pubkey, peer);
+    return peer;
+  }
+
+  disconnectPeer(pubkey) {
+    if (!this.peers.delete(pubkey)) throw new Error(`peer ${pubkey} is not connected`);
+  }
+
+  /**
+   * Gossip a node announcement for another node
+   */
+  announce(pubkey, { alias = '', color = '#3399ff', addresses = [] } = {}) {
+    this.announcements.set(pubkey, { alias, color, addresses, lastUpdate: Math.floor(Date.now() / 1000) });
+  }
+
+  /**
+   * Take a node off the network: routes to it are still found, but
+   * HTLCs are refused by the hop before it
+   */
+  offline(pubkey) {
+    this.offlineNodes.add(pubkey);
+  }
+
+  networkChannel(a, b) {
+    const key = [a, b].sort().join(':');
+    if (!this.networkChannels.has(key)) {
+      const tx = this.networkChannels.size + 1;
+      this.networkChannels.set(key, {
+        scid: `1x${tx}x0`,
+        chanId: ((1n << 40n) | (BigInt(tx) << 16n)).toString(),
+        nodes: [a, b].sort()
+      });
+    }
+    return this.networkChannels.get(key);
+  }
+
+  /**
+   * Public channels of the graph, ours first:
+   * { scid, chanId, chanPoint, capacitySat, policies: { pubkey → policy } }
+   */
+  graph() {
+    const ours = this.channels
+      .filter(ch => ch.state === 'open' && !ch.private)
+      .map(ch => ({
+        scid: ch.scid,
+        chanId: ch.chanId,
+        chanPoint: `${ch.fundingTxid}:${ch.outputIndex}`,
+        capacitySat: ch.capacitySat,
+        policies: { [this.pubkey]: ch.policy.local, [ch.peer]: ch.policy.remote }
+      }));
+    const network = Array.from(this.networkChannels.values()).map(({ scid, chanId, nodes: [a, b] }) => ({
+      scid,
+      chanId,
+      chanPoint: '',
+      capacitySat: NETWORK_CAPACITY_SAT,
+      policies: { [a]: NETWORK_POLICY, [b]: NETWORK_POLICY }
+    }));
+    return [...ours, ...network];
+  }
+
+  /**
+   * A route from us to `destination` for `amountMsat`: over our channel
+   * with it, or our first open channel and a network channel on from
+   * that peer. Each hop { pubkey, scid, chanId, amountMsat, delay }
+   * carries what its node receives. `exclude` lists channels (scid) and
+   * nodes to avoid. Null when there is no route.
+   */
+  findRoute(destination, amountMsat, { cltv = FINAL_CLTV_DELTA, exclude = [] } = {}) {
+    const usable = ch => ch.state === 'open' && !exclude.includes(ch.scid) && !exclude.includes(ch.peer);
+    const hop = (pubkey, channel, amount, delay) => ({ pubkey, scid: channel.scid, chanId: channel.chanId, amountMsat: amount, delay });
+
+    const direct = this.channels.find(ch => usable(ch) && ch.peer === destination);
+    if (direct) return [hop(destination, direct, amountMsat, cltv)];
+
+    const first = this.channels.find(usable);
+    if (!first || exclude.includes(destination)) return null;
+    return [
+      hop(first.peer, first, amountMsat + NETWORK_FEE_MSAT, cltv + NETWORK_POLICY.timeLockDelta),
+      hop(destination, this.networkChannel(first.peer, destination), amountMsat, cltv)
+    ];
+  }
+
+  /**
+   * Where an HTLC along the nodes `pubkeys` is refused when nobody knows
+   * its preimage: { index, code }, where index 0 is us and n the n-th
+   * hop. The destination refuses it unless a node on the way is offline.
+   */
+  refusal(pubkeys) {
+    const offline = pubkeys.findIndex(pubkey => this.offlineNodes.has(pubkey));
+    return offline === -1
+      ? { index: pubkeys.length, code: 'INCORRECT_OR_UNKNOWN_PAYMENT_DETAILS' }
+      : { index: offline, code: 'UNKNOWN_NEXT_PEER' };
+  }
+
+  /**
+   * Send `destination` an HTLC for `hash` that nobody can settle, as a
+   * probe does. The failed payment carries its `route` and `failure`;
+   * failureReason is INCORRECT_PAYMENT_DETAILS when the destination
+   * refused it, NO_ROUTE otherwise
+   */
+  probe(destination, { amountMsat, hash, maxFeeMsat = Infinity }) {
+    const route = this.findRoute(destination, amountMsat);
+    const fits = route && route[0].amountMsat - amountMsat <= maxFeeMsat;
+    const failure = fits ? this.refusal(route.map(hop => hop.pubkey)) : null;
+    const reached = !!failure && failure.index === route.length;
+
+    const payment = {
+      hash,
+      bolt11: '',
+      amountMsat,
+      feeMsat: 0,
+      preimage: '',
+      status: 'FAILED',
+      failureReason: reached ? 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS' : 'FAILURE_REASON_NO_ROUTE',
+      destination,
+      route: fits ? route : null,
+      failure,
+      createdAt: Date.now()
+    };
+    this.payments.push(payment);
+    return payment;
+  }
+
+  /**
+   * Fund a channel; it is usable after the next mine()
+   */
+  openChannel({ peer, capacitySat, pushSat = 0, private: isPrivate = false, initiator = 'local' }) {
+    const channel = {
+      chanId: '0',
+      scid: '',
+      fundingTxid: crypto.randomBytes(32).toString('hex'),
+      outputIndex: 0,
+      peer,
+      capacitySat,
+      localMsat: (initiator === 'local' ? capacitySat - pushSat : pushSat) * 1000,
+      private: isPrivate,
+      initiator,
+      state: 'pending_open',
+      closeType: '',
+      closer: '',
+      closingTxid: '',
+      sentMsat: 0,
+      receivedMsat: 0,
+      // Routing policy of each end
+      policy: { local: defaultPolicy(capacitySat), remote: defaultPolicy(capacitySat) }
+    };
+    this.channels.push(channel);
+    this.emit('channel', channel);
+    return channel;
+  }
+
+  findChannel(channelPoint) {
+    return this.channels.find(ch => `${ch.fundingTxid}:${ch.outputIndex}` === channelPoint);
+  }
+
+  findChannelById(chanId) {
+    return this.channels.find(ch => ch.chanId !== '0' && ch.chanId === chanId);
+  }
+
+  /**
+   * Start closing an open channel: cooperatively, by force from our side,
+   * or as the peer force-closing on us (closer 'remote')
+   */
+  closeChannel(channel, { force = false, closer = 'local' } = {}) {
+    channel.state = force ? 'force_closing' : 'closing';
+    channel.closeType = !force ? 'cooperative' : closer === 'local' ? 'local_force' : 'remote_force';
+    channel.closer = closer;
+    channel.closingTxid = crypto.randomBytes(32).toString('hex');
+    this.emit('channel', channel);
+    return channel;
+  }
+
+  /**
+   * Route a payment from one of our channels into another, earning `feeMsat`
+   */
+  forward(incoming, outgoing, { amountMsat, feeMsat, timestamp = Math.floor(Date.now() / 1000) }) {
+    incoming.localMsat += amountMsat + feeMsat;
+    outgoing.localMsat -= amountMsat;
+    const event = {
+      timestamp,
+      chanIdIn: incoming.chanId,
+      chanIdOut: outgoing.chanId,
+      amountInMsat: amountMsat + feeMsat,
+      amountOutMsat: amountMsat,
+      feeMsat
+    };
+    this.forwards.push(event);
+    return event;
+  }
+
+  confirmations(height) {
+    return height ? this.blockHeight - height + 1 : 0;
+  }
+
+  newAddress(type = 'p2wkh') {
+    return type === 'p2tr'
+      ? encodeSegwitAddress(1, crypto.randomBytes(32), NETWORK)
+      : encodeSegwitAddress(0, crypto.randomBytes(20), NETWORK);
+  }
+
+  /**
+   * Receive `amountSat` on a fresh address, unconfirmed until mine()
+   */
+  deposit(amountSat) {
+    const txid = crypto.randomBytes(32).toString('hex');
+    const address = this.newAddress();
+    this.utxos.push({ txid, outputIndex: 0, address, amountSat, height: 0 });
+    this.recordTransaction({ txid, amountSat, feeSat: 0, label: '', addresses: [address] });
+    return txid;
+  }
+
+  /**
+   * Spend wallet coins to `address`, largest first or the given
+   * outpoints, returning change to the wallet. Throws when the coins
+   * can't cover the amount and fee.
+   */
+  sendCoins({ address, amountSat = 0, sendAll = false, satPerVbyte, minConfs = 1, spendUnconfirmed = false, outpoints = [], label = '' }) {
+    const eligible = outpoints.length
+      ? this.utxos.filter(u => outpoints.includes(`${u.txid}:${u.outputIndex}`))
+      : this.utxos.filter(u => this.confirmations(u.height) >= (spendUnconfirmed ? 0 : Math.max(minConfs, 1)));
+    const feeSat = (satPerVbyte || DEFAULT_SAT_PER_VBYTE) * TX_VBYTES;
+
+    const spent = [];
+    let total = 0;
+    for (const utxo of [...eligible].sort((a, b) => b.amountSat - a.amountSat)) {
+      if (!sendAll && !outpoints.length && total >= amountSat + feeSat) break;
+      spent.push(utxo);
+      total += utxo.amountSat;
+    }
+    const amount = sendAll ? total - feeSat : amountSat;
+    if (amount <= 0 || total < amount + feeSat) {
+      throw new Error('insufficient funds available to construct transaction');
+    }
+
+    const txid = crypto.randomBytes(32).toString('hex');
+    this.utxos = this.utxos.filter(u => !spent.includes(u));
+    const change = total - amount - feeSat;
+    if (change > 0) {
+      this.utxos.push({ txid, outputIndex: 1, address: this.newAddress(), amountSat: change, height: 0 });
+    }
+    this.recordTransaction({ txid, amountSat: -(amount + feeSat), feeSat, label, addresses: [address] });
+    return txid;
+  }
+
+  recordTransaction(tx) {
+    this.transactions.push({ ...tx, height: 0, timestamp: Math.floor(Date.now() / 1000) });
+  }
+
+  /**
+   * Mine `blocks` blocks, confirming every pending open and close and
+   * every wallet transaction
+   */
+  mine(blocks = 1) {
+    this.blockHeight += blocks;
+    for (const entry of [...this.utxos, ...this.transactions]) {
+      if (!entry.height) entry.height = this.blockHeight;
+    }
+    for (const channel of this.channels) {
+      if (channel.state === 'pending_open') {
+        const scid = { block: this.blockHeight, tx: this.channels.indexOf(channel) + 1, output: channel.outputIndex };
+        channel.scid = `${scid.block}x${scid.tx}x${scid.output}`;
+        channel.chanId = ((BigInt(scid.block) << 40n) | (BigInt(scid.tx) << 16n) | BigInt(scid.output)).toString();
+        channel.state = 'open';
+      } else if (channel.state === 'closing' || channel.state === 'force_closing') {
+        channel.state = 'closed';
+      } else {
+        continue;
+      }
+      this.emit('channel', channel);
+    }
+  }
+}
+
+export default FakeNode;
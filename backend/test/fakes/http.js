@@ -0,0 +1,56 @@
+/**
+ * Route harness
+ *
+ * Mounts routers on an Express app with the given app.locals and the
+ * same error handler as server.js, listening on a free local port.
+ * `request(method, path, body, headers)` resolves to { status, body }.
+ */
+
+import express from 'express';
+
+export async function startApp(routes, locals = {}) {
+  const app = express();
+  app.use(express.json());
+  Object.assign(app.locals, locals);
+
+  for (const [mountPath, handlers] of Object.entries(routes)) {
+    app.use(mountPath, ...[].concat(handlers));
+  }
+
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({
+      error: err.message || 'Internal server error',
+      code: err.code || 'UNKNOWN_ERROR',
+      ...(err.details && { details: err.details })
+    });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(url + path, {
+      method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch {}
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return {
+    app,
+    url,
+    request,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+export default startApp;
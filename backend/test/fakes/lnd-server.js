@@ -0,0 +1,709 @@
+/**
+ * Fake LND
+ *
+ * A gRPC server built from the same protos LNDClient loads, answering
+ * from a FakeNode. Point an LNDClient at it with the `socket` and
+ * `credentials` (insecure, no macaroon) it returns. The last request
+ * each method received is kept in `requests` by method name. Methods
+ * without a handler answer UNIMPLEMENTED, like an LND built without
+ * that RPC.
+ */
+
+import * as grpc from '@grpc/grpc-js';
+import * as protoLoader from '@grpc/proto-loader';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FakeNode, NETWORK, KEYSEND_PREIMAGE_RECORD } from './fake-node.js';
+import { recordsToHex } from '../../services/lnd.js';
+
+const PROTO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'protos');
+
+function rpcError(code, details) {
+  return Object.assign(new Error(details), { code, details });
+}
+
+function formatInvoice(invoice) {
+  return {
+    memo: invoice.memo,
+    r_preimage: Buffer.from(invoice.preimage, 'hex'),
+    r_hash: Buffer.from(invoice.hash, 'hex'),
+    value: Math.floor(invoice.amountMsat / 1000).toString(),
+    value_msat: invoice.amountMsat.toString(),
+    settled: invoice.state === 'SETTLED',
+    creation_date: invoice.createdAt.toString(),
+    settle_date: invoice.paidAt.toString(),
+    payment_request: invoice.bolt11,
+    expiry: invoice.expiry.toString(),
+    add_index: invoice.addIndex.toString(),
+    settle_index: invoice.settleIndex.toString(),
+    amt_paid_sat: Math.floor(invoice.paidMsat / 1000).toString(),
+    amt_paid_msat: invoice.paidMsat.toString(),
+    state: invoice.state,
+    is_keysend: !!invoice.keysend,
+    is_amp: !!invoice.amp,
+    amp_invoice_state: Object.fromEntries((invoice.ampSets || []).map(set => [set.setId, {
+      state: 'SETTLED',
+      settle_index: set.settleIndex.toString(),
+      settle_time: set.settledAt.toString(),
+      amt_paid_msat: set.amountMsat.toString()
+    }])),
+    htlcs: invoice.keysend
+      ? [{ amt_msat: invoice.paidMsat.toString(), state: 'SETTLED', custom_records: recordBytes(invoice.records) }]
+      : []
+  };
+}
+
+// TLV records: type → hex on the node, type → bytes on the wire
+function recordBytes(records) {
+  return Object.fromEntries(Object.entries(records).map(([type, hex]) => [type, Buffer.from(hex, 'hex')]));
+}
+
+// Mission control without history: the a-priori success probability of
+// each hop beyond our own channel
+const APRIORI_HOP_PROBABILITY = 0.6;
+
+/**
+ * An LND route from FakeNode route hops, each carrying what its node
+ * receives; a hop's fee is what it keeps of that
+ */
+function formatRoute(hops, blockHeight) {
+  const last = hops[hops.length - 1];
+  const feesMsat = hops[0].amountMsat - last.amountMsat;
+  return {
+    total_time_lock: blockHeight + hops[0].delay,
+    total_fees: Math.floor(feesMsat / 1000).toString(),
+    total_fees_msat: feesMsat.toString(),
+    total_amt: Math.floor(hops[0].amountMsat / 1000).toString(),
+    total_amt_msat: hops[0].amountMsat.toString(),
+    hops: hops.map((hop, i) => {
+      const next = hops[i + 1] || hop;
+      return {
+        chan_id: hop.chanId,
+        pub_key: hop.pubkey,
+        amt_to_forward: Math.floor(next.amountMsat / 1000).toString(),
+        amt_to_forward_msat: next.amountMsat.toString(),
+        fee: Math.floor((hop.amountMsat - next.amountMsat) / 1000).toString(),
+        fee_msat: (hop.amountMsat - next.amountMsat).toString(),
+        expiry: blockHeight + next.delay
+      };
+    })
+  };
+}
+
+// A failed probe carries the one HTLC it sent and where it was refused
+function failedHtlcs(payment, blockHeight) {
+  if (!payment.route) return [];
+  return [{
+    attempt_id: '1',
+    status: 'FAILED',
+    route: formatRoute(payment.route, blockHeight),
+    failure: { code: payment.failure.code, failure_source_index: payment.failure.index }
+  }];
+}
+
+function formatPayment(payment, status, blockHeight) {
+  const route = {
+    total_amt: Math.floor((payment.amountMsat + payment.feeMsat) / 1000).toString(),
+    total_fees: Math.floor(payment.feeMsat / 1000).toString(),
+    total_fees_msat: payment.feeMsat.toString(),
+    hops: [{ chan_id: '1', pub_key: payment.destination, amt_to_forward: Math.floor(payment.amountMsat / 1000).toString() }]
+  };
+  return {
+    payment_hash: payment.hash,
+    value_sat: Math.floor(payment.amountMsat / 1000).toString(),
+    payment_request: payment.bolt11,
+    status,
+    fee_sat: status === 'SUCCEEDED' ? route.total_fees : '0',
+    payment_preimage: status === 'SUCCEEDED' ? payment.preimage : '',
+    failure_reason: status === 'FAILED' ? payment.failureReason : 'FAILURE_REASON_NONE',
+    htlcs: status === 'SUCCEEDED' ? [{ attempt_id: '1', status: 'SUCCEEDED', route }]
+      : status === 'FAILED' ? failedHtlcs(payment, blockHeight) : []
+  };
+}
+
+// Display-order txid → the internal byte order LND sends
+function txidBytes(txid) {
+  return Buffer.from(txid, 'hex').reverse();
+}
+
+const INITIATORS = { local: 'INITIATOR_LOCAL', remote: 'INITIATOR_REMOTE' };
+
+const CLOSE_TYPES = {
+  cooperative: 'COOPERATIVE_CLOSE',
+  local_force: 'LOCAL_FORCE_CLOSE',
+  remote_force: 'REMOTE_FORCE_CLOSE'
+};
+
+function pendingChannel(channel) {
+  const local = Math.floor(channel.localMsat / 1000);
+  return {
+    remote_node_pub: channel.peer,
+    channel_point: `${channel.fundingTxid}:${channel.outputIndex}`,
+    capacity: channel.capacitySat.toString(),
+    local_balance: local.toString(),
+    remote_balance: (channel.capacitySat - local).toString(),
+    initiator: INITIATORS[channel.initiator],
+    private: channel.private
+  };
+}
+
+function routingPolicy(policy) {
+  return {
+    time_lock_delta: policy.timeLockDelta,
+    min_htlc: policy.minHtlcMsat.toString(),
+    fee_base_msat: policy.baseMsat.toString(),
+    fee_rate_milli_msat: policy.ppm.toString(),
+    disabled: policy.disabled,
+    max_htlc_msat: policy.maxHtlcMsat.toString(),
+    last_update: policy.lastUpdate
+  };
+}
+
+/**
+ * Follow a channel until `isDone(channel)`, writing `toUpdate(channel)`
+ * and ending the stream
+ */
+function followChannel(node, call, channel, isDone, toUpdate) {
+  const onChannel = (changed) => {
+    if (changed !== channel || !isDone(changed)) return;
+    node.off('channel', onChannel);
+    call.write(toUpdate(changed));
+    call.end();
+  };
+  node.on('channel', onChannel);
+  call.on('cancelled', () => node.off('channel', onChannel));
+}
+
+/**
+ * Handlers per service, answering from `node`
+ */
+export function lndHandlers(node) {
+  return {
+    lightning: {
+      GetInfo(call, callback) {
+        callback(null, {
+          identity_pubkey: node.pubkey,
+          alias: node.alias,
+          block_height: node.blockHeight,
+          synced_to_chain: true,
+          chains: [{ chain: 'bitcoin', network: NETWORK }],
+          version: '0.18.0-beta fake'
+        });
+      },
+
+      AddInvoice(call, callback) {
+        const { value, memo, expiry, r_preimage: preimage, is_amp: amp } = call.request;
+        const invoice = node.addInvoice({
+          amountMsat: parseInt(value) * 1000,
+          memo,
+          expiry: parseInt(expiry) || 3600,
+          amp,
+          ...(preimage.length && { preimage: preimage.toString('hex') })
+        });
+        callback(null, {
+          r_hash: Buffer.from(invoice.hash, 'hex'),
+          payment_request: invoice.bolt11,
+          add_index: invoice.addIndex.toString(),
+          payment_addr: Buffer.alloc(32)
+        });
+      },
+
+      // Pages by add index; `reversed` pages back from index_offset (0: the newest)
+      ListInvoices(call, callback) {
+        const { pending_only: pendingOnly, reversed } = call.request;
+        const offset = parseInt(call.request.index_offset);
+        const max = parseInt(call.request.num_max_invoices) || 100;
+        const all = Array.from(node.invoices.values())
+          .filter(invoice => !pendingOnly || invoice.state === 'OPEN' || invoice.state === 'ACCEPTED');
+        const page = reversed
+          ? all.filter(invoice => !offset || invoice.addIndex < offset).slice(-max)
+          : all.filter(invoice => invoice.addIndex > offset).slice(0, max);
+
+        callback(null, {
+          invoices: page.map(formatInvoice),
+          first_index_offset: (page[0]?.addIndex || 0).toString(),
+          last_index_offset: (page[page.length - 1]?.addIndex || 0).toString()
+        });
+      },
+
+      // Invoices settled after settle_index, then every change
+      SubscribeInvoices(call) {
+        const settleIndex = parseInt(call.request.settle_index);
+        if (settleIndex) {
+          Array.from(node.invoices.values())
+            .filter(invoice => invoice.settleIndex > settleIndex)
+            .forEach(invoice => call.write(formatInvoice(invoice)));
+        }
+
+        const onInvoice = invoice => call.write(formatInvoice(invoice));
+        node.on('invoice', onInvoice);
+        call.on('cancelled', () => node.off('invoice', onInvoice));
+      },
+
+      // Pages by payment index, the payment's position in node.payments
+      ListPayments(call, callback) {
+        const offset = parseInt(call.request.index_offset);
+        const max = parseInt(call.request.max_payments) || 100;
+        const page = node.payments
+          .map((payment, i) => ({ payment, index: i + 1 }))
+          .filter(({ payment, index }) => index > offset && (call.request.include_incomplete || payment.status === 'SUCCEEDED'))
+          .slice(0, max);
+
+        callback(null, {
+          payments: page.map(({ payment, index }) => ({
+            ...formatPayment(payment, payment.status, node.blockHeight),
+            creation_time_ns: (BigInt(payment.createdAt) * 1000000n).toString(),
+            payment_index: index.toString()
+          })),
+          first_index_offset: (page[0]?.index || 0).toString(),
+          last_index_offset: (page[page.length - 1]?.index || 0).toString()
+        });
+      },
+
+      LookupInvoice(call, callback) {
+        const invoice = node.invoices.get(call.request.r_hash.toString('hex'));
+        if (!invoice) return callback(rpcError(grpc.status.NOT_FOUND, 'unable to locate invoice'));
+        callback(null, formatInvoice(invoice));
+      },
+
+      ListPeers(call, callback) {
+        callback(null, {
+          peers: Array.from(node.peers.values()).map(peer => ({
+            pub_key: peer.pubkey,
+            address: peer.address,
+            bytes_sent: peer.bytesSent.toString(),
+            bytes_recv: peer.bytesRecv.toString(),
+            inbound: peer.inbound,
+            ping_time: peer.pingUs.toString()
+          }))
+        });
+      },
+
+      ConnectPeer(call, callback) {
+        const { pubkey, host } = call.request.addr;
+        try {
+          node.connectPeer(pubkey, host);
+          callback(null, {});
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      DisconnectPeer(call, callback) {
+        try {
+          node.disconnectPeer(call.request.pub_key);
+          callback(null, {});
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      ListChannels(call, callback) {
+        callback(null, {
+          channels: node.channels.filter(ch => ch.state === 'open').map(ch => {
+            const local = Math.floor(ch.localMsat / 1000);
+            return {
+              active: true,
+              remote_pubkey: ch.peer,
+              channel_point: `${ch.fundingTxid}:${ch.outputIndex}`,
+              chan_id: ch.chanId,
+              capacity: ch.capacitySat.toString(),
+              local_balance: local.toString(),
+              remote_balance: (ch.capacitySat - local).toString(),
+              total_satoshis_sent: Math.floor(ch.sentMsat / 1000).toString(),
+              total_satoshis_received: Math.floor(ch.receivedMsat / 1000).toString(),
+              private: ch.private,
+              initiator: ch.initiator === 'local'
+            };
+          })
+        });
+      },
+
+      PendingChannels(call, callback) {
+        const inState = state => node.channels.filter(ch => ch.state === state);
+        const closing = ch => ({
+          channel: pendingChannel(ch),
+          limbo_balance: Math.floor(ch.localMsat / 1000).toString(),
+          closing_txid: ch.closingTxid
+        });
+        const limbo = [...inState('closing'), ...inState('force_closing')]
+          .reduce((sum, ch) => sum + Math.floor(ch.localMsat / 1000), 0);
+
+        callback(null, {
+          total_limbo_balance: limbo.toString(),
+          pending_open_channels: inState('pending_open').map(ch => ({ channel: pendingChannel(ch), commit_fee: '0' })),
+          pending_force_closing_channels: inState('force_closing').map(closing),
+          waiting_close_channels: inState('closing').map(closing)
+        });
+      },
+
+      ClosedChannels(call, callback) {
+        const types = Object.keys(CLOSE_TYPES).filter(type => call.request[type]);
+        callback(null, {
+          channels: node.channels
+            .filter(ch => ch.state === 'closed' && (!types.length || types.includes(ch.closeType)))
+            .map(ch => ({
+              channel_point: `${ch.fundingTxid}:${ch.outputIndex}`,
+              chan_id: ch.chanId,
+              remote_pubkey: ch.peer,
+              capacity: ch.capacitySat.toString(),
+              close_height: node.blockHeight,
+              settled_balance: Math.floor(ch.localMsat / 1000).toString(),
+              closing_tx_hash: ch.closingTxid,
+              close_type: CLOSE_TYPES[ch.closeType],
+              open_initiator: INITIATORS[ch.initiator],
+              close_initiator: INITIATORS[ch.closer]
+            }))
+        });
+      },
+
+      GetChanInfo(call, callback) {
+        const channel = node.findChannelById(call.request.chan_id);
+        if (!channel) return callback(rpcError(grpc.status.UNKNOWN, 'edge not found'));
+
+        // node1 is the lexicographically smaller key
+        const localFirst = node.pubkey < channel.peer;
+        const [node1, node2] = localFirst ? ['local', 'remote'] : ['remote', 'local'];
+        const pubkeys = { local: node.pubkey, remote: channel.peer };
+        callback(null, {
+          channel_id: channel.chanId,
+          chan_point: `${channel.fundingTxid}:${channel.outputIndex}`,
+          node1_pub: pubkeys[node1],
+          node2_pub: pubkeys[node2],
+          capacity: channel.capacitySat.toString(),
+          node1_policy: routingPolicy(channel.policy[node1]),
+          node2_policy: routingPolicy(channel.policy[node2])
+        });
+      },
+
+      // Our channels and the network's that `pub_key` is on
+      GetNodeInfo(call, callback) {
+        const pubkey = call.request.pub_key;
+        const announcement = pubkey === node.pubkey
+          ? { alias: node.alias, color: '#ff9900', addresses: [], lastUpdate: 0 }
+          : node.announcements.get(pubkey);
+        const edges = node.graph().filter(edge => pubkey in edge.policies);
+        if (!announcement && !edges.length) return callback(rpcError(grpc.status.NOT_FOUND, 'unable to find node'));
+
+        callback(null, {
+          node: {
+            last_update: announcement?.lastUpdate || 0,
+            pub_key: pubkey,
+            alias: announcement?.alias || '',
+            addresses: (announcement?.addresses || []).map(addr => ({ network: 'tcp', addr })),
+            color: announcement?.color || '#000000'
+          },
+          num_channels: edges.length,
+          total_capacity: edges.reduce((sum, edge) => sum + edge.capacitySat, 0).toString(),
+          channels: call.request.include_channels ? edges.map((edge) => {
+            const [node1, node2] = Object.keys(edge.policies).sort();
+            return {
+              channel_id: edge.chanId,
+              chan_point: edge.chanPoint,
+              node1_pub: node1,
+              node2_pub: node2,
+              capacity: edge.capacitySat.toString(),
+              node1_policy: routingPolicy(edge.policies[node1]),
+              node2_policy: routingPolicy(edge.policies[node2])
+            };
+          }) : []
+        });
+      },
+
+      // The one route FakeNode knows, if it is within the fee limit
+      QueryRoutes(call, callback) {
+        const { pub_key: pubkey, amt, fee_limit: feeLimit } = call.request;
+        const amountMsat = parseInt(amt) * 1000;
+        const route = node.findRoute(pubkey, amountMsat);
+        const maxFeeMsat = feeLimit?.fixed !== undefined ? parseInt(feeLimit.fixed) * 1000 : Infinity;
+        if (!route || route[0].amountMsat - amountMsat > maxFeeMsat) {
+          return callback(rpcError(grpc.status.UNKNOWN, 'unable to find a path to destination'));
+        }
+        callback(null, {
+          routes: [formatRoute(route, node.blockHeight)],
+          success_prob: APRIORI_HOP_PROBABILITY ** (route.length - 1)
+        });
+      },
+
+      UpdateChannelPolicy(call, callback) {
+        const { chan_point: point, base_fee_msat, fee_rate_ppm, time_lock_delta, min_htlc_msat, max_htlc_msat } = call.request;
+        const channel = node.findChannel(`${point.funding_txid_str}:${point.output_index}`);
+        if (!channel || channel.state !== 'open') {
+          return callback(null, {
+            failed_updates: [{ reason: 'UPDATE_FAILURE_NOT_FOUND', update_error: 'channel not found' }]
+          });
+        }
+
+        Object.assign(channel.policy.local, {
+          baseMsat: parseInt(base_fee_msat),
+          ppm: fee_rate_ppm,
+          timeLockDelta: time_lock_delta,
+          minHtlcMsat: parseInt(min_htlc_msat),
+          maxHtlcMsat: parseInt(max_htlc_msat),
+          lastUpdate: Math.floor(Date.now() / 1000)
+        });
+        callback(null, { failed_updates: [] });
+      },
+
+      ForwardingHistory(call, callback) {
+        const { start_time: start, end_time: end, index_offset: offset, num_max_events: max } = call.request;
+        const events = node.forwards
+          .filter(e => e.timestamp >= parseInt(start) && e.timestamp <= parseInt(end))
+          .slice(offset, offset + (max || 100));
+
+        callback(null, {
+          forwarding_events: events.map(e => ({
+            timestamp: e.timestamp.toString(),
+            chan_id_in: e.chanIdIn,
+            chan_id_out: e.chanIdOut,
+            amt_in: Math.floor(e.amountInMsat / 1000).toString(),
+            amt_out: Math.floor(e.amountOutMsat / 1000).toString(),
+            fee_msat: e.feeMsat.toString(),
+            amt_in_msat: e.amountInMsat.toString(),
+            amt_out_msat: e.amountOutMsat.toString()
+          })),
+          last_offset_index: offset + events.length
+        });
+      },
+
+      NewAddress(call, callback) {
+        callback(null, { address: node.newAddress(call.request.type === 'TAPROOT_PUBKEY' ? 'p2tr' : 'p2wkh') });
+      },
+
+      SendCoins(call, callback) {
+        const { addr, amount, send_all, sat_per_vbyte, min_confs, spend_unconfirmed, outpoints, label } = call.request;
+        try {
+          const txid = node.sendCoins({
+            address: addr,
+            amountSat: parseInt(amount),
+            sendAll: send_all,
+            satPerVbyte: parseInt(sat_per_vbyte),
+            minConfs: min_confs,
+            spendUnconfirmed: spend_unconfirmed,
+            outpoints: outpoints.map(o => `${o.txid_str}:${o.output_index}`),
+            label
+          });
+          callback(null, { txid });
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      ListUnspent(call, callback) {
+        const { min_confs: min, max_confs: max } = call.request;
+        callback(null, {
+          utxos: node.utxos
+            .filter(u => node.confirmations(u.height) >= min && node.confirmations(u.height) <= max)
+            .map(u => ({
+              address_type: 'WITNESS_PUBKEY_HASH',
+              address: u.address,
+              amount_sat: u.amountSat.toString(),
+              outpoint: { txid_str: u.txid, output_index: u.outputIndex },
+              confirmations: node.confirmations(u.height).toString()
+            }))
+        });
+      },
+
+      GetTransactions(call, callback) {
+        const { index_offset: offset, max_transactions: max } = call.request;
+        const page = node.transactions.slice(offset, max ? offset + max : undefined);
+        callback(null, {
+          transactions: page.map(tx => ({
+            tx_hash: tx.txid,
+            amount: tx.amountSat.toString(),
+            num_confirmations: node.confirmations(tx.height),
+            block_height: tx.height,
+            time_stamp: tx.timestamp.toString(),
+            total_fees: tx.feeSat.toString(),
+            label: tx.label,
+            output_details: tx.addresses.map((address, index) => ({ address, output_index: index.toString() }))
+          })),
+          first_index: offset,
+          last_index: offset + page.length
+        });
+      },
+
+      OpenChannel(call) {
+        const { node_pubkey: peer, local_funding_amount: amount, push_sat: push, private: isPrivate } = call.request;
+        const channel = node.openChannel({
+          peer: peer.toString('hex'),
+          capacitySat: parseInt(amount),
+          pushSat: parseInt(push),
+          private: isPrivate
+        });
+
+        call.write({ chan_pending: { txid: txidBytes(channel.fundingTxid), output_index: channel.outputIndex } });
+        followChannel(node, call, channel, ch => ch.state === 'open', ch => ({
+          chan_open: { channel_point: { funding_txid_bytes: txidBytes(ch.fundingTxid), output_index: ch.outputIndex } }
+        }));
+      },
+
+      CloseChannel(call) {
+        const { channel_point: point, force } = call.request;
+        const channel = node.findChannel(`${point.funding_txid_str}:${point.output_index}`);
+        if (!channel || channel.state !== 'open') {
+          return call.emit('error', rpcError(grpc.status.UNKNOWN, 'unable to find channel'));
+        }
+
+        node.closeChannel(channel, { force });
+        call.write({ close_pending: { txid: txidBytes(channel.closingTxid), output_index: 0 } });
+        followChannel(node, call, channel, ch => ch.state === 'closed', ch => ({
+          chan_close: { closing_txid: txidBytes(ch.closingTxid), success: true }
+        }));
+      }
+    },
+
+    router: {
+      SendPaymentV2(call) {
+        const { payment_request: paymentRequest, amt, outgoing_chan_ids: outgoing, last_hop_pubkey: lastHop, dest } = call.request;
+        const records = recordsToHex(call.request.dest_custom_records);
+        const spontaneous = {
+          amountMsat: parseInt(amt) * 1000,
+          hash: call.request.payment_hash.toString('hex'),
+          records
+        };
+        // A payment to a node without a preimage for it is a probe
+        const payment = dest.length && !records[KEYSEND_PREIMAGE_RECORD] ? node.probe(dest.toString('hex'), {
+          ...spontaneous,
+          maxFeeMsat: parseInt(call.request.fee_limit_sat) * 1000
+        }) : dest.length ? node.keysend(dest.toString('hex'), spontaneous) : node.pay(paymentRequest, {
+          amountMsat: parseInt(amt) * 1000 || undefined,
+          outgoingChanId: outgoing[0],
+          lastHopPubkey: lastHop.length ? lastHop.toString('hex') : undefined,
+          allowSelfPayment: call.request.allow_self_payment
+        });
+
+        call.write(formatPayment(payment, 'IN_FLIGHT', node.blockHeight));
+        call.write(formatPayment(payment, payment.status, node.blockHeight));
+        call.end();
+      },
+
+      // The payment's state; the fake's payments are final once made
+      TrackPaymentV2(call) {
+        const hash = call.request.payment_hash.toString('hex');
+        const payment = node.payments.findLast(p => p.hash === hash);
+        if (!payment) return call.emit('error', rpcError(grpc.status.NOT_FOUND, 'payment isn\'t initiated'));
+        call.write(formatPayment(payment, payment.status, node.blockHeight));
+        call.end();
+      }
+    },
+
+    invoices: {
+      AddHoldInvoice(call, callback) {
+        const { hash, value, memo, expiry } = call.request;
+        try {
+          const invoice = node.addHoldInvoice({
+            hash: hash.toString('hex'),
+            amountMsat: parseInt(value) * 1000,
+            memo,
+            expiry: parseInt(expiry) || 3600
+          });
+          callback(null, { payment_request: invoice.bolt11, add_index: invoice.addIndex.toString(), payment_addr: Buffer.alloc(32) });
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      SettleInvoice(call, callback) {
+        try {
+          node.settleHoldInvoice(call.request.preimage.toString('hex'));
+          callback(null, {});
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      CancelInvoice(call, callback) {
+        try {
+          node.cancelInvoice(call.request.payment_hash.toString('hex'));
+          callback(null, {});
+        } catch (error) {
+          callback(rpcError(grpc.status.UNKNOWN, error.message));
+        }
+      },
+
+      // The current state, then every change until the invoice is final
+      SubscribeSingleInvoice(call) {
+        const hash = call.request.r_hash.toString('hex');
+        const invoice = node.invoices.get(hash);
+        if (!invoice) return call.emit('error', rpcError(grpc.status.NOT_FOUND, 'unable to locate invoice'));
+
+        // The client may have given up before the call reached us
+        if (call.cancelled) return call.end();
+
+        const onInvoice = (changed) => {
+          if (changed.hash !== hash) return;
+          call.write(formatInvoice(changed));
+          if (changed.state === 'SETTLED' || changed.state === 'CANCELED') {
+            node.off('invoice', onInvoice);
+            call.end();
+          }
+        };
+        node.on('invoice', onInvoice);
+        call.on('cancelled', () => node.off('invoice', onInvoice));
+        call.write(formatInvoice(invoice));
+      }
+    },
+    signer: {
+      // Only the node key (family 6, index 0) is known to the fake
+      SignMessage(call, callback) {
+        const { msg, key_loc: keyLoc } = call.request;
+        if (keyLoc?.key_family !== 6 || keyLoc.key_index !== 0) {
+          return callback(rpcError(grpc.status.UNKNOWN, 'unknown key locator'));
+        }
+        callback(null, { signature: Buffer.from(node.signMessage(msg.toString('hex')), 'hex') });
+      }
+    }
+  };
+}
+
+/**
+ * Start a fake LND on a free local port, or on `port` to stand in for one
+ * that went away
+ * Returns { node, socket, credentials, requests, close }
+ */
+export async function startFakeLnd(node = new FakeNode(), { port: wanted = 0 } = {}) {
+  const definition = protoLoader.loadSync(['lightning.proto', 'invoices.proto', 'router.proto', 'signer.proto'], {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+    includeDirs: [PROTO_DIR]
+  });
+  const { lnrpc, invoicesrpc, routerrpc, signrpc } = grpc.loadPackageDefinition(definition);
+  const handlers = lndHandlers(node);
+  const requests = {};
+
+  const recorded = service => Object.fromEntries(Object.entries(service).map(([name, handler]) => [
+    name,
+    (call, callback) => {
+      requests[name] = call.request;
+      return handler(call, callback);
+    }
+  ]));
+
+  const server = new grpc.Server();
+  server.addService(lnrpc.Lightning.service, recorded(handlers.lightning));
+  server.addService(invoicesrpc.Invoices.service, recorded(handlers.invoices));
+  server.addService(routerrpc.Router.service, recorded(handlers.router));
+  server.addService(signrpc.Signer.service, recorded(handlers.signer));
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync(`127.0.0.1:${wanted}`, grpc.ServerCredentials.createInsecure(), (error, bound) => {
+      if (error) reject(error); else resolve(bound);
+    });
+  });
+
+  return {
+    node,
+    socket: `127.0.0.1:${port}`,
+    credentials: grpc.credentials.createInsecure(),
+    requests,
+    // Not tryShutdown: a stream the client cancelled while we were ending
+    // it can keep the session open, and nothing is waiting on it by now
+    close: async () => server.forceShutdown()
+  };
+}
+
+export default startFakeLnd;
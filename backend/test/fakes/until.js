@@ -0,0 +1,16 @@
+/**
+ * Polling for tests
+ *
+ * Resolves once `check()` holds, checking every 10ms; rejects after
+ * `timeoutMs` so a missed event fails the test instead of hanging it.
+ */
+
+export async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`timed out after ${timeoutMs}ms waiting for ${check}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+export default until;
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import { FeeManager } from '../services/fee-manager.js';
+import { ERROR_CODES } from '../services/errors.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+const PEER = '03' + 'cc'.repeat(32);
+
+let fake;
+let lnd;
+let fees;
+let full;
+let depleted;
+
+before(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  fees = new FeeManager({ lnd });
+
+  full = fake.node.openChannel({ peer: PEER, capacitySat: 100000 });
+  depleted = fake.node.openChannel({ peer: PEER, capacitySat: 100000, pushSat: 100000 });
+  fake.node.mine();
+});
+
+after(async () => {
+  lnd.closeClients();
+  await fake.close();
+});
+
+const invalid = { code: ERROR_CODES.INVALID_REQUEST, status: 400 };
+
+test('getPolicy reads our end of the channel edge', async () => {
+  full.policy.remote.ppm = 777;
+  const policy = await fees.getPolicy(full.chanId);
+
+  assert.equal(policy.chan_id, full.chanId);
+  assert.equal(policy.channel_point, `${full.fundingTxid}:0`);
+  assert.equal(policy.capacity, 100000);
+  assert.equal(policy.base_fee_msat, 1000);
+  assert.equal(policy.fee_rate_ppm, 1);
+  assert.equal(policy.time_lock_delta, 40);
+});
+
+test('setPolicy changes the given fields and keeps the rest', async () => {
+  const policy = await fees.setPolicy(full.chanId, { fee_rate_ppm: 250 });
+  assert.equal(policy.fee_rate_ppm, 250);
+  assert.equal(policy.base_fee_msat, 1000);
+  assert.equal(fake.node.findChannelById(full.chanId).policy.local.ppm, 250);
+
+  await assert.rejects(fees.setPolicy(full.chanId, { time_lock_delta: 10 }), invalid);
+  await assert.rejects(fees.setPolicy(full.chanId, { min_htlc_msat: 10 ** 9 }), invalid);
+  await assert.rejects(fees.setPolicy(full.chanId, { max_htlc_msat: 100001 * 1000 }), invalid);
+  await assert.rejects(fees.setPolicy(full.chanId, { base_fee_msat: -1 }), invalid);
+});
+
+test('balance_ratio prices depleted channels high and full ones low', async () => {
+  const rule = { type: 'balance_ratio', min_fee_rate_ppm: 10, max_fee_rate_ppm: 1000 };
+  const preview = await fees.applyBulk(rule, { dryRun: true });
+
+  assert.equal(preview.dry_run, true);
+  const proposed = Object.fromEntries(preview.plan.map(entry => [entry.chan_id, entry.proposed.fee_rate_ppm]));
+  assert.deepEqual(proposed, { [full.chanId]: 10, [depleted.chanId]: 1000 });
+  assert.equal(fake.node.findChannelById(depleted.chanId).policy.local.ppm, 1, 'dry runs change nothing');
+
+  const applied = await fees.applyBulk({ ...rule, chan_ids: [depleted.chanId] });
+  assert.equal(applied.updated, 1);
+  assert.equal(fake.node.findChannelById(depleted.chanId).policy.local.ppm, 1000);
+
+  // Nothing left to change
+  assert.equal((await fees.applyBulk({ ...rule, chan_ids: [depleted.chanId] })).plan[0].status, 'unchanged');
+});
+
+test('bulk rules are validated, and one invalid channel rejects the run', async () => {
+  await assert.rejects(fees.applyBulk({ type: 'random' }), invalid);
+  await assert.rejects(fees.applyBulk({ type: 'fixed' }), invalid);
+  await assert.rejects(fees.applyBulk({ type: 'balance_ratio', min_fee_rate_ppm: 10, max_fee_rate_ppm: 5 }), invalid);
+  await assert.rejects(fees.applyBulk({ type: 'fixed', fee_rate_ppm: 1, chan_ids: 'all' }), invalid);
+
+  const limits = () => fake.node.channels.map(ch => ch.policy.local.maxHtlcMsat);
+  const unchanged = limits();
+  await assert.rejects(fees.applyBulk({ type: 'fixed', max_htlc_msat: 100001 * 1000 }), { ...invalid, message: /Channel \d+/ });
+  assert.deepEqual(limits(), unchanged);
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import { ForwardingStore } from '../services/forwarding-store.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+const PEER_A = '02' + 'a1'.repeat(32);
+const PEER_B = '03' + 'b2'.repeat(32);
+const DAY = 86400;
+// 2024-01-01T12:00:00Z
+const NOON = 1704110400;
+
+let fake;
+let lnd;
+let a;
+let b;
+let retired;
+
+before(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+
+  a = fake.node.openChannel({ peer: PEER_A, capacitySat: 1000000, pushSat: 500000 });
+  b = fake.node.openChannel({ peer: PEER_B, capacitySat: 2000000, pushSat: 1000000 });
+  retired = fake.node.openChannel({ peer: PEER_B, capacitySat: 500000, pushSat: 250000 });
+  fake.node.mine();
+
+  // Day 1: two forwards a → b; day 3: one b → a and one a → retired
+  fake.node.forward(a, b, { amountMsat: 100000000, feeMsat: 10000, timestamp: NOON });
+  fake.node.forward(a, b, { amountMsat: 50000000, feeMsat: 5000, timestamp: NOON + 60 });
+  fake.node.forward(b, a, { amountMsat: 20000000, feeMsat: 2000, timestamp: NOON + 2 * DAY });
+  fake.node.forward(a, retired, { amountMsat: 10000000, feeMsat: 30000, timestamp: NOON + 2 * DAY + 60 });
+
+  fake.node.closeChannel(retired);
+  fake.node.mine();
+});
+
+after(async () => {
+  lnd.closeClients();
+  await fake.close();
+});
+
+test('sync reads the history page by page and resumes from the last offset', async () => {
+  const store = new ForwardingStore({ lnd, pageSize: 3 });
+  assert.deepEqual(await store.sync(), { added: 4, total: 4 });
+  assert.equal(store.lastOffset, 4);
+
+  fake.node.forward(b, a, { amountMsat: 1000000, feeMsat: 1000, timestamp: NOON + 3 * DAY });
+  assert.deepEqual(await store.sync(), { added: 1, total: 5 });
+  assert.equal(fake.requests.ForwardingHistory.index_offset, 4);
+
+  fake.node.forwards.pop();
+});
+
+test('concurrent syncs share one pass over the history', async () => {
+  const store = new ForwardingStore({ lnd });
+  const [first, second] = await Promise.all([store.sync(), store.sync()]);
+  assert.equal(first, second);
+  assert.equal(store.events.length, 4);
+});
+
+test('analytics attribute fees to the outgoing channel and fill empty days', async () => {
+  const store = new ForwardingStore({ lnd });
+  await store.sync();
+  const report = store.analytics({ start: NOON - DAY, end: NOON + 3 * DAY });
+
+  assert.equal(report.totals.forwards, 4);
+  assert.equal(report.totals.fees_msat, 47000);
+  assert.equal(report.totals.fees_sat, 47);
+
+  const byChannel = Object.fromEntries(report.channels.map(c => [c.chan_id, c]));
+  assert.equal(byChannel[b.chanId].fees_msat, 15000);
+  assert.equal(byChannel[b.chanId].forwards_out, 2);
+  assert.equal(byChannel[b.chanId].forwards_in, 1);
+  assert.equal(byChannel[a.chanId].fees_msat, 2000);
+  assert.equal(byChannel[retired.chanId].open, false);
+  assert.equal(byChannel[retired.chanId].remote_pubkey, PEER_B);
+  assert.equal(byChannel[retired.chanId].fee_yield_ppm, 60);
+
+  assert.deepEqual(report.peers.map(p => [p.remote_pubkey, p.fees_msat]), [[PEER_B, 45000], [PEER_A, 2000]]);
+  assert.deepEqual(report.rankings.map(r => r.chan_id), [retired.chanId, b.chanId, a.chanId]);
+  assert.deepEqual(report.days.map(d => [d.date, d.forwards]), [['2024-01-01', 2], ['2024-01-02', 0], ['2024-01-03', 2]]);
+});
+
+test('list pages through a window newest first', async () => {
+  const store = new ForwardingStore({ lnd });
+  await store.sync();
+
+  const page = store.list({ start: NOON, end: NOON + DAY, limit: 1 });
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.events.map(e => e.timestamp), [NOON + 60]);
+  assert.equal(store.list({ offset: 1, limit: 1 }).events[0].chan_id_out, a.chanId);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { GraphExplorer } from '../services/graph-explorer.js';
+import { LNDClient } from '../services/lnd.js';
+import graphRoutes from '../routes/graph.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+const randomPubkey = () => `03${crypto.randomBytes(32).toString('hex')}`;
+
+test('graph routes validate their input and answer from the node', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const app = await startApp({ '/api/graph': graphRoutes }, { graphExplorer: new GraphExplorer({ lnd }) });
+  const { node } = fake;
+
+  try {
+    const channel = node.openChannel({ peer: randomPubkey(), capacitySat: 1000000 });
+    node.mine(6);
+    const far = randomPubkey();
+    node.announce(far, { alias: 'far' });
+
+    assert.equal((await app.request('GET', '/api/graph/node/xyz')).status, 400);
+    assert.equal((await app.request('GET', `/api/graph/node/${randomPubkey()}`)).status, 404);
+    const { status, body: info } = await app.request('GET', `/api/graph/node/${channel.peer}`);
+    assert.equal(status, 200);
+    assert.deepEqual(info.channels.map(c => c.peer), [node.pubkey]);
+
+    for (const body of [
+      {},
+      { pubkey: 'xyz', amount: 1000 },
+      { pubkey: far, amount: 0 },
+      { pubkey: far, amount: 1.5 },
+      { pubkey: far, amount: '1000' },
+      { pubkey: far, amount: 1000, fee_limit_sat: -1 }
+    ]) {
+      assert.equal((await app.request('POST', '/api/graph/routes', body)).status, 400, JSON.stringify(body));
+      assert.equal((await app.request('POST', '/api/graph/probe', body)).status, 400, JSON.stringify(body));
+    }
+    for (const timeout of [0, 301, 'soon']) {
+      const { status: rejected } = await app.request('POST', '/api/graph/probe', { pubkey: far, amount: 1000, timeout_seconds: timeout });
+      assert.equal(rejected, 400);
+    }
+    assert.equal(node.payments.length, 0);
+
+    const { body: routes } = await app.request('POST', '/api/graph/routes', { pubkey: far.toUpperCase(), amount: 1000 });
+    assert.equal(routes.destination, far);
+    assert.equal(routes.routes.length, 1);
+    assert.equal(routes.success_probability, 0.6);
+
+    // No channel to leave by: no routes, and a probe finds none
+    node.closeChannel(channel);
+    node.mine();
+    const { body: none } = await app.request('POST', '/api/graph/routes', { pubkey: far, amount: 1000 });
+    assert.deepEqual([none.routes, none.success_probability], [[], 0]);
+
+    const { body: probe } = await app.request('POST', '/api/graph/probe', { pubkey: far, amount: 1000, timeout_seconds: 5 });
+    assert.equal(probe.reachable, false);
+    assert.equal(probe.failure_reason, 'FAILURE_REASON_NO_ROUTE');
+    assert.equal(fake.requests.SendPaymentV2.timeout_seconds, 5);
+  } finally {
+    await app.close();
+    lnd.closeClients();
+    await fake.close();
+  }
+});
@@ -0,0 +1,183 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LNDClient } from '../services/lnd.js';
+import { HoldInvoiceManager } from '../services/hold-invoices.js';
+import { ERROR_CODES } from '../services/errors.js';
+import messageRoutes from '../routes/messages.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+let fake;
+let lnd;
+let dir;
+
+beforeEach(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hold-invoices-'));
+});
+
+afterEach(async () => {
+  lnd.closeClients();
+  await fake.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Resolves once `manager` reports `hash` in `state`
+function reaches(manager, hash, state) {
+  return new Promise((resolve) => {
+    const onUpdate = (record) => {
+      if (record.r_hash !== hash || record.state !== state) return;
+      manager.off('update', onUpdate);
+      resolve(record);
+    };
+    manager.on('update', onUpdate);
+  });
+}
+
+test('a held payment is settled with the hub-generated preimage', async () => {
+  const holds = new HoldInvoiceManager({ lnd });
+  const invoice = await holds.create({ amount: 1500, memo: 'escrow' });
+  assert.equal(invoice.hub_preimage, true);
+  assert.equal(fake.node.invoices.get(invoice.r_hash).amountMsat, 1500000);
+
+  const accepted = reaches(holds, invoice.r_hash, 'ACCEPTED');
+  fake.node.receivePayment(invoice.r_hash);
+  await accepted;
+
+  const settled = await holds.settle(invoice.r_hash);
+  assert.equal(settled.state, 'SETTLED');
+  assert.equal(fake.node.invoices.get(invoice.r_hash).state, 'SETTLED');
+  assert.equal(holds.preimages.size, 0);
+});
+
+test('caller hashes need the matching preimage', async () => {
+  const holds = new HoldInvoiceManager({ lnd });
+  const preimage = crypto.randomBytes(32).toString('hex');
+  const hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+  const invalid = { code: ERROR_CODES.INVALID_REQUEST, status: 400 };
+
+  await assert.rejects(holds.create({ amount: 0 }), invalid);
+  await assert.rejects(holds.create({ amount: 10, paymentHash: 'abc' }), invalid);
+
+  await holds.create({ amount: 10, paymentHash: hash });
+  await assert.rejects(holds.settle(hash), invalid);
+  await assert.rejects(holds.settle(hash, '00'.repeat(32)), invalid);
+
+  const accepted = reaches(holds, hash, 'ACCEPTED');
+  fake.node.receivePayment(hash);
+  await accepted;
+  assert.equal((await holds.settle(hash, preimage)).state, 'SETTLED');
+});
+
+test('escrow handlers settle on success and refund on failure', async () => {
+  const holds = new HoldInvoiceManager({ lnd });
+  const delivered = await holds.create({ amount: 100, onAccepted: async () => {} });
+  const failed = await holds.create({ amount: 100, onAccepted: async () => { throw new Error('relay down'); } });
+
+  const settled = reaches(holds, delivered.r_hash, 'SETTLED');
+  const canceled = reaches(holds, failed.r_hash, 'CANCELED');
+  fake.node.receivePayment(delivered.r_hash);
+  fake.node.receivePayment(failed.r_hash);
+
+  await settled;
+  assert.equal((await canceled).error, 'relay down');
+  assert.equal(fake.node.invoices.get(failed.r_hash).state, 'CANCELED');
+});
+
+test('unresolved invoices and preimages survive a restart', async () => {
+  const file = path.join(dir, 'hold-invoices.json');
+  const first = new HoldInvoiceManager({ lnd, path: file });
+  const held = await first.create({ amount: 700 });
+  const accepted = reaches(first, held.r_hash, 'ACCEPTED');
+  fake.node.receivePayment(held.r_hash);
+  await accepted;
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.invoices[0].preimage, first.preimages.get(held.r_hash));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  for (const unsubscribe of first.subscriptions.values()) unsubscribe();
+
+  const second = new HoldInvoiceManager({ lnd, path: file });
+  await second.start();
+  assert.equal((await second.settle(held.r_hash)).state, 'SETTLED');
+  assert.equal(fake.node.invoices.get(held.r_hash).state, 'SETTLED');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).invoices, []);
+});
+
+test('escrows whose handler was lost are cancelled on restart', async () => {
+  const file = path.join(dir, 'hold-invoices.json');
+  const first = new HoldInvoiceManager({ lnd, path: file });
+  const escrow = await first.create({ amount: 300, onAccepted: () => new Promise(() => {}) });
+  const settledElsewhere = await first.create({ amount: 300, paymentHash: crypto.randomBytes(32).toString('hex') });
+  for (const unsubscribe of first.subscriptions.values()) unsubscribe();
+
+  // Paid while the hub was down, and one the node has since cancelled
+  fake.node.receivePayment(escrow.r_hash);
+  fake.node.cancelInvoice(settledElsewhere.r_hash);
+
+  const second = new HoldInvoiceManager({ lnd, path: file });
+  await second.start();
+
+  assert.equal(fake.node.invoices.get(escrow.r_hash).state, 'CANCELED');
+  const restored = await second.get(escrow.r_hash);
+  assert.equal(restored.state, 'CANCELED');
+  assert.match(restored.error, /lost on restart/);
+  assert.equal((await second.get(settledElsewhere.r_hash)).state, 'CANCELED');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).invoices, []);
+});
+
+test('only the most recent final invoices are kept', async () => {
+  const holds = new HoldInvoiceManager({ lnd, maxResolved: 2 });
+  const created = [];
+  for (let i = 0; i < 3; i++) {
+    const invoice = await holds.create({ amount: 10 + i });
+    await holds.cancel(invoice.r_hash);
+    created.push(invoice.r_hash);
+  }
+  const open = await holds.create({ amount: 99 });
+
+  assert.deepEqual(holds.list().map(r => r.r_hash), [open.r_hash, created[2], created[1]]);
+  assert.equal(holds.preimages.size, 1);
+  for (const unsubscribe of holds.subscriptions.values()) unsubscribe();
+});
+
+test('paid DMs to malformed recipients or without content get no invoice', async () => {
+  const holds = new HoldInvoiceManager({ lnd });
+  const sent = [];
+  const nostr = { sendDM: async (recipient, content) => sent.push({ recipient, content }) && { results: [{ sent: true }] } };
+  const app = await startApp({ '/api/messages': messageRoutes }, { holdInvoices: holds, nostr });
+  const recipient = crypto.randomBytes(32).toString('hex');
+
+  try {
+    for (const body of [
+      { content: 'hi', amount: 100 },
+      { recipient: 42, content: 'hi', amount: 100 },
+      { recipient: ['ab'], content: 'hi', amount: 100 },
+      { recipient: `02${recipient}`, content: 'hi', amount: 100 },
+      { recipient: recipient.slice(1), content: 'hi', amount: 100 },
+      { recipient, amount: 100 },
+      { recipient, content: '', amount: 100 },
+      { recipient, content: { text: 'hi' }, amount: 100 }
+    ]) {
+      const { status, body: error } = await app.request('POST', '/api/messages/dm/paid', body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.match(error.error, /recipient|content/);
+    }
+    assert.equal(fake.node.invoices.size, 0);
+
+    const { status, body: invoice } = await app.request('POST', '/api/messages/dm/paid', { recipient, content: 'hi', amount: 100 });
+    assert.equal(status, 200);
+    const settled = reaches(holds, invoice.paymentHash, 'SETTLED');
+    fake.node.receivePayment(invoice.paymentHash);
+    await settled;
+    assert.deepEqual(sent, [{ recipient, content: 'hi' }]);
+  } finally {
+    await app.close();
+  }
+});
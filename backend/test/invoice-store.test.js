@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvoiceStore, formatInvoice } from '../services/invoice-store.js';
+
+function lndInvoice(hash, state = 'OPEN', extra = {}) {
+  return {
+    r_hash: hash,
+    payment_request: `lnbcrt${hash}`,
+    memo: 'memo',
+    value: '1000',
+    amt_paid_sat: state === 'SETTLED' ? '1000' : '0',
+    state,
+    add_index: '1',
+    settle_index: state === 'SETTLED' ? '1' : '0',
+    creation_date: '1700000000',
+    settle_date: '0',
+    expiry: '3600',
+    ...extra
+  };
+}
+
+// Node stand-in that counts lookups and hands out its invoice subscription
+function fakeLnd(invoices) {
+  return {
+    lookups: 0,
+    subscriber: null,
+    async lookupInvoice(hash) {
+      this.lookups += 1;
+      return invoices.get(hash);
+    },
+    async listInvoices({ numMaxInvoices }) {
+      const page = Array.from(invoices.values()).slice(0, numMaxInvoices);
+      return { invoices: page, first_index_offset: '1', last_index_offset: String(page.length) };
+    },
+    subscribeInvoices(callback) {
+      this.subscriber = callback;
+    }
+  };
+}
+
+test('formatInvoice normalizes numbers and derives expires_at', () => {
+  const formatted = formatInvoice(lndInvoice('aa', 'SETTLED'));
+  assert.equal(formatted.value, 1000);
+  assert.equal(formatted.amt_paid_sat, 1000);
+  assert.equal(formatted.settled, true);
+  assert.equal(formatted.expires_at, (1700000000 + 3600) * 1000);
+  assert.equal(formatted.is_keysend, false);
+});
+
+test('open invoices are looked up on the node every time', async () => {
+  const lnd = fakeLnd(new Map([['aa', lndInvoice('aa')]]));
+  const store = new InvoiceStore({ lnd });
+
+  await store.get('aa');
+  await store.get('aa');
+  assert.equal(lnd.lookups, 2);
+});
+
+test('settled invoices are served from the cache', async () => {
+  const invoices = new Map([['aa', lndInvoice('aa')]]);
+  const lnd = fakeLnd(invoices);
+  const store = new InvoiceStore({ lnd });
+  store.start();
+
+  const updates = [];
+  store.on('update', invoice => updates.push(invoice.state));
+  lnd.subscriber(lndInvoice('aa', 'SETTLED'));
+
+  const invoice = await store.get('aa');
+  assert.equal(invoice.state, 'SETTLED');
+  assert.equal(lnd.lookups, 0);
+  assert.deepEqual(updates, ['SETTLED']);
+});
+
+test('list pages through the node and fills the cache', async () => {
+  const lnd = fakeLnd(new Map([['aa', lndInvoice('aa')], ['bb', lndInvoice('bb', 'SETTLED')]]));
+  const store = new InvoiceStore({ lnd });
+
+  const page = await store.list({ limit: 10 });
+  assert.equal(page.invoices.length, 2);
+  assert.equal(page.last_index_offset, '2');
+  assert.equal(store.getStats().cached, 2);
+
+  await store.get('bb');
+  assert.equal(lnd.lookups, 0);
+});
+
+test('the cache evicts the oldest invoices beyond its size', () => {
+  const store = new InvoiceStore({ lnd: fakeLnd(new Map()), maxCacheSize: 2 });
+  ['aa', 'bb', 'cc'].forEach(hash => store.remember(lndInvoice(hash)));
+
+  assert.deepEqual(Array.from(store.cache.keys()), ['bb', 'cc']);
+});
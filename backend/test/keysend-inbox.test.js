@@ -0,0 +1,280 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import * as secp from '@noble/secp256k1';
+import { KeysendInbox, KEYSEND_RECORDS, ANONYMOUS, MAX_MESSAGE_BYTES, parseKeysendRecords, signedPayload, verifyKeysendSignature } from '../services/keysend-inbox.js';
+import { HubError, ERROR_CODES } from '../services/errors.js';
+import { LNDClient, KEYSEND_PREIMAGE_RECORD, recordsToHex } from '../services/lnd.js';
+import invoiceRoutes from '../routes/invoices.js';
+import { startApp } from './fakes/http.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+const OUR_KEY = Buffer.alloc(32, 1);
+const OUR_PUBKEY = Buffer.from(secp.getPublicKey(OUR_KEY, true)).toString('hex');
+const PEER_KEY = Buffer.alloc(32, 2);
+const PEER = Buffer.from(secp.getPublicKey(PEER_KEY, true)).toString('hex');
+
+function hex(text) {
+  return Buffer.from(text, 'utf8').toString('hex');
+}
+
+function sign(payload, key) {
+  const hash = crypto.createHash('sha256').update(payload).digest();
+  return Buffer.from(secp.sign(hash, key).toCompactRawBytes()).toString('hex');
+}
+
+// Records of a message signed with `key` for `recipient`
+function signedRecords(text, timestampMs = 1700000000000, { key = PEER_KEY, recipient = OUR_PUBKEY } = {}) {
+  const sender = Buffer.from(secp.getPublicKey(key, true)).toString('hex');
+  const timestamp = Buffer.alloc(8);
+  timestamp.writeBigUInt64BE(BigInt(timestampMs) * 1000000n);
+  const records = {
+    [KEYSEND_RECORDS.MESSAGE]: hex(text),
+    [KEYSEND_RECORDS.SENDER]: sender,
+    [KEYSEND_RECORDS.TIMESTAMP]: timestamp.toString('hex')
+  };
+  records[KEYSEND_RECORDS.SIGNATURE] = sign(
+    signedPayload(sender, recipient, records[KEYSEND_RECORDS.TIMESTAMP], records[KEYSEND_RECORDS.MESSAGE]),
+    key
+  );
+  return records;
+}
+
+function keysendInvoice(hash, records, settleDate = 1700000000) {
+  return {
+    r_hash: hash,
+    is_keysend: true,
+    state: 'SETTLED',
+    amt_paid_sat: '10',
+    settle_date: String(settleDate),
+    htlcs: [{ custom_records: records }]
+  };
+}
+
+// Node stand-in: signs with OUR_KEY and records keysend payments
+function fakeLnd({ canSign = true, backlog = [] } = {}) {
+  return {
+    sent: [],
+    subscriber: null,
+    async getInfo() {
+      return { identity_pubkey: OUR_PUBKEY };
+    },
+    async signMessage(messageHex) {
+      if (!canSign) throw new HubError(ERROR_CODES.NOT_SUPPORTED, 'Signing is not supported', 501);
+      return { signature: sign(Buffer.from(messageHex, 'hex'), OUR_KEY) };
+    },
+    async sendKeysend(pubkey, amount, records) {
+      this.sent.push({ pubkey, amount, records });
+      return { payment_hash: 'ee'.repeat(32), payment_preimage: 'ff'.repeat(32), payment_route: { total_fees: '1' } };
+    },
+    subscribeInvoices(callback) {
+      this.subscriber = callback;
+    },
+    async listInvoices() {
+      return { invoices: backlog };
+    }
+  };
+}
+
+test('parseKeysendRecords decodes and verifies a signed message', () => {
+  const parsed = parseKeysendRecords({ ...signedRecords('hello'), [KEYSEND_RECORDS.REPLY_TO]: 'ab'.repeat(32) }, OUR_PUBKEY);
+
+  assert.equal(parsed.message, 'hello');
+  assert.equal(parsed.sender_pubkey, PEER);
+  assert.equal(parsed.timestamp, 1700000000000);
+  assert.equal(parsed.reply_to, 'ab'.repeat(32));
+  assert.equal(parsed.verified, true);
+
+  // Signed for someone else, or with the text changed
+  assert.equal(parseKeysendRecords(signedRecords('hello'), PEER).verified, false);
+  assert.equal(parseKeysendRecords({ ...signedRecords('hello'), [KEYSEND_RECORDS.MESSAGE]: hex('bye') }, OUR_PUBKEY).verified, false);
+
+  assert.equal(parseKeysendRecords({}, OUR_PUBKEY), null);
+  const boost = parseKeysendRecords({ [KEYSEND_RECORDS.BOOSTAGRAM]: hex(JSON.stringify({ message: 'great show' })) }, OUR_PUBKEY);
+  assert.equal(boost.message, 'great show');
+  assert.equal(boost.sender_pubkey, null);
+});
+
+test('settled keysend invoices are filed once per payment hash', async () => {
+  const backlog = [keysendInvoice('01'.repeat(32), signedRecords('first', 1700000000000))];
+  const lnd = fakeLnd({ backlog });
+  const inbox = new KeysendInbox({ lnd });
+  const live = [];
+  inbox.on('message', message => live.push(message.message));
+  await inbox.start();
+
+  lnd.subscriber(keysendInvoice('02'.repeat(32), signedRecords('second', 1700000001000)));
+  lnd.subscriber(keysendInvoice('02'.repeat(32), signedRecords('second', 1700000001000)));
+  lnd.subscriber({ ...keysendInvoice('03'.repeat(32), signedRecords('open')), state: 'OPEN' });
+  lnd.subscriber(keysendInvoice('04'.repeat(32), { [KEYSEND_RECORDS.MESSAGE]: hex('who?') }));
+
+  assert.deepEqual(live, ['second', 'who?']);
+  const conversation = inbox.getConversation(PEER);
+  assert.deepEqual(conversation.messages.map(m => m.message), ['first', 'second']);
+  assert.equal(conversation.unverified, 0);
+  assert.equal(inbox.getConversation(ANONYMOUS).messages[0].verified, false);
+});
+
+test('the dedupe set forgets the oldest payment hashes beyond its limit', () => {
+  const inbox = new KeysendInbox({ lnd: fakeLnd(), backfillLimit: 2, maxSeen: 2 });
+  ['01', '02', '03'].forEach(n => inbox.receive(keysendInvoice(n.repeat(32), signedRecords(n))));
+
+  assert.deepEqual(Array.from(inbox.seen), ['02'.repeat(32), '03'.repeat(32)]);
+  // The limit never drops below the backfill window
+  assert.equal(new KeysendInbox({ lnd: fakeLnd(), backfillLimit: 50, maxSeen: 10 }).maxSeen, 50);
+});
+
+test('sent messages are signed with the node key, or go out unsigned', async () => {
+  const lnd = fakeLnd();
+  const inbox = new KeysendInbox({ lnd });
+  const { message } = await inbox.send({ pubkey: PEER, amount: 10, message: 'hi', replyTo: 'cd'.repeat(32) });
+
+  const { records } = lnd.sent[0];
+  assert.equal(records[KEYSEND_RECORDS.SENDER], OUR_PUBKEY);
+  assert.equal(records[KEYSEND_RECORDS.REPLY_TO], 'cd'.repeat(32));
+  // The recipient verifies it as coming from us
+  assert.equal(parseKeysendRecords(records, PEER).verified, true);
+  assert.equal(message.verified, true);
+  assert.equal(message.fee, 1);
+  assert.equal(inbox.getConversation(PEER).messages[0].direction, 'out');
+
+  const unsigned = fakeLnd({ canSign: false });
+  await new KeysendInbox({ lnd: unsigned }).send({ pubkey: PEER, amount: 10, message: 'hi' });
+  assert.equal(unsigned.sent[0].records[KEYSEND_RECORDS.SIGNATURE], undefined);
+});
+
+test('POST /api/invoices/keysend validates the destination, amount and message', async () => {
+  const lnd = fakeLnd();
+  const keysendInbox = new KeysendInbox({ lnd });
+  const app = await startApp({ '/api/invoices': invoiceRoutes }, { lnd, keysendInbox });
+
+  try {
+    const rejected = [
+      { amount: 10 },
+      { dest_pubkey: PEER.slice(2), amount: 10 },
+      { dest_pubkey: '04' + PEER.slice(2), amount: 10 },
+      { dest_pubkey: PEER + '00', amount: 10 },
+      { dest_pubkey: PEER, amount: '10' },
+      { dest_pubkey: PEER, amount: 1.5 },
+      { dest_pubkey: PEER, amount: -10 },
+      { dest_pubkey: PEER, amount: 10, reply_to: 'xyz', message: 'hi' },
+      { dest_pubkey: PEER, amount: 10, message: 42 },
+      { dest_pubkey: PEER, amount: 10, message: { text: 'hi' } },
+      { dest_pubkey: PEER, amount: 10, message: 'x'.repeat(MAX_MESSAGE_BYTES + 1) },
+      // Fits in characters, not in bytes
+      { dest_pubkey: PEER, amount: 10, message: '€'.repeat(Math.ceil((MAX_MESSAGE_BYTES + 1) / 3)) }
+    ];
+    for (const body of rejected) {
+      const { status } = await app.request('POST', '/api/invoices/keysend', body);
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+    assert.equal(lnd.sent.length, 0);
+
+    const { status, body } = await app.request('POST', '/api/invoices/keysend', { dest_pubkey: PEER.toUpperCase(), amount: 10, message: 'hi' });
+    assert.equal(status, 200);
+    assert.equal(body.payment_hash, 'ee'.repeat(32));
+    assert.equal(lnd.sent[0].pubkey, PEER);
+    assert.ok(keysendInbox.getConversation(PEER));
+
+    const longest = 'x'.repeat(MAX_MESSAGE_BYTES);
+    assert.equal((await app.request('POST', '/api/invoices/keysend', { dest_pubkey: PEER, amount: 10, message: longest })).status, 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test('LNDClient signs with the node key through the signer', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+
+  try {
+    const message = hex('sign me');
+    const { signature } = await lnd.signMessage(message);
+    assert.equal(signature.length, 128);
+    assert.deepEqual(fake.requests.SignMessage.key_loc, { key_family: 6, key_index: 0 });
+    assert.equal(secp.verify(
+      Buffer.from(signature, 'hex'),
+      crypto.createHash('sha256').update(Buffer.from(message, 'hex')).digest(),
+      Buffer.from(fake.node.pubkey, 'hex')
+    ), true);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('messages sent through LND carry a signature the recipient can verify', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const recipient = fake.node.remotePubkey;
+
+  try {
+    const inbox = new KeysendInbox({ lnd });
+    const { result, message } = await inbox.send({ pubkey: recipient, amount: 21, message: 'gm', replyTo: 'ab'.repeat(32) });
+    assert.equal(result.status, 'SUCCEEDED');
+    assert.equal(message.verified, true);
+
+    const request = fake.requests.SendPaymentV2;
+    assert.equal(request.dest.toString('hex'), recipient);
+    const records = recordsToHex(request.dest_custom_records);
+    assert.equal(
+      crypto.createHash('sha256').update(Buffer.from(records[KEYSEND_PREIMAGE_RECORD], 'hex')).digest('hex'),
+      request.payment_hash.toString('hex')
+    );
+
+    const parsed = parseKeysendRecords(records, recipient);
+    assert.equal(parsed.message, 'gm');
+    assert.equal(parsed.sender_pubkey, fake.node.pubkey);
+    assert.equal(parsed.reply_to, 'ab'.repeat(32));
+    assert.equal(parsed.verified, true);
+    // The signature names the recipient: it is no good to anyone else
+    assert.equal(verifyKeysendSignature({
+      sender: fake.node.pubkey,
+      recipient: PEER,
+      timestamp: records[KEYSEND_RECORDS.TIMESTAMP],
+      message: records[KEYSEND_RECORDS.MESSAGE],
+      signature: records[KEYSEND_RECORDS.SIGNATURE]
+    }), false);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('signed replies received through LND are threaded and verified', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const { node } = fake;
+  const sender = node.remotePubkey;
+
+  try {
+    const first = node.receiveKeysend({
+      amountMsat: 5000,
+      records: signedRecords('hi', 1700000000000, { key: node.remoteKey, recipient: node.pubkey })
+    });
+    const inbox = new KeysendInbox({ lnd });
+    await inbox.start();
+
+    const arrived = new Promise(resolve => inbox.once('message', resolve));
+    node.receiveKeysend({
+      amountMsat: 7000,
+      records: {
+        ...signedRecords('and again', 1700000005000, { key: node.remoteKey, recipient: node.pubkey }),
+        [KEYSEND_RECORDS.REPLY_TO]: first.hash
+      }
+    });
+    const reply = await arrived;
+    assert.equal(reply.reply_to, first.hash);
+    assert.equal(reply.amount, 7);
+
+    const conversation = inbox.getConversation(sender);
+    assert.deepEqual(conversation.messages.map(m => [m.message, m.verified]), [['hi', true], ['and again', true]]);
+    assert.equal(conversation.received_sat, 12);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
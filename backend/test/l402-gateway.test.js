@@ -0,0 +1,117 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from 'express';
+import { L402Gateway } from '../services/l402-gateway.js';
+import { deserializeMacaroon, parseCaveat } from '../services/macaroon.js';
+import { LNDClient } from '../services/lnd.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+// Stands in for the AI routes: reports what the gateway let through
+const echo = Router();
+const reply = (req, res) => res.json({ max_tokens: req.body.max_tokens, provider: req.l402.session.provider });
+echo.post('/chat', reply);
+echo.post('/completions', reply);
+echo.post('/:provider/chat', reply);
+
+let fake;
+let lnd;
+let gateway;
+let app;
+
+beforeEach(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  gateway = new L402Gateway({ lnd });
+  app = await startApp({ '/v1': [gateway.middleware(), echo] });
+});
+
+afterEach(async () => {
+  await app.close();
+  lnd.closeClients();
+  await fake.close();
+});
+
+// Get a challenge for `body` at `path` and pay it
+async function buy(path, body) {
+  const { status, body: challenge } = await app.request('POST', path, body);
+  assert.equal(status, 402);
+  const { preimage } = fake.node.invoices.get(challenge.payment_hash);
+  return { ...challenge, authorization: `L402 ${challenge.macaroon}:${preimage}` };
+}
+
+const caveats = macaroon => deserializeMacaroon(macaroon).caveats.map(parseCaveat);
+
+test('requests no token could be priced for or pass are rejected before a challenge', async () => {
+  const messages = [{ role: 'user', content: 'hi' }];
+  for (const body of [
+    { messages, max_tokens: 'abc' },
+    { messages, max_tokens: -5 },
+    { messages, max_tokens: 0 },
+    { messages, max_tokens: 1.5 },
+    { messages, max_tokens: 10000001 },
+    { messages, provider: 'toString' },
+    { messages, provider: 'nope' },
+    { messages, provider: ['claude'] }
+  ]) {
+    const { status, body: error } = await app.request('POST', '/v1/chat', body);
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.match(error.error, /max_tokens|provider/);
+  }
+  assert.equal((await app.request('POST', '/v1/chat?provider=__proto__', { messages })).status, 400);
+  assert.equal(fake.node.invoices.size, 0);
+
+  // Only priced providers are taken from the path
+  const { status, body: challenge } = await app.request('POST', '/v1/constructor/chat', { messages, provider: 'grok' });
+  assert.equal(status, 402);
+  assert.equal(challenge.provider, 'grok');
+});
+
+test('challenges are bound to the method, path and provider they were paid for', async () => {
+  const token = await buy('/v1/oobabooga/chat', { max_tokens: 100, l402_requests: 3 });
+  assert.deepEqual(caveats(token.macaroon).map(({ condition, value }) => [condition, value]).slice(1), [
+    ['provider', 'oobabooga'],
+    ['max_tokens', '100'],
+    ['method', 'POST'],
+    ['path', '/v1/oobabooga/chat'],
+    ['requests', '3']
+  ]);
+  const headers = { authorization: token.authorization };
+
+  const other = await app.request('POST', '/v1/claude/chat', { max_tokens: 100 }, headers);
+  assert.equal(other.status, 401);
+  assert.equal(other.body.code, 'L402_CAVEAT_FAILED');
+  assert.equal(other.body.caveat, 'provider=oobabooga');
+
+  const elsewhere = await app.request('POST', '/v1/completions?provider=oobabooga', { max_tokens: 100 }, headers);
+  assert.equal(elsewhere.status, 401);
+  assert.equal(elsewhere.body.caveat, 'path=/v1/oobabooga/chat');
+
+  // Refusals do not use the token up
+  const { status, body } = await app.request('POST', '/v1/oobabooga/chat?stream=false', { max_tokens: 100 }, headers);
+  assert.equal(status, 200);
+  assert.deepEqual(body, { max_tokens: 100, provider: 'oobabooga' });
+});
+
+test('a request without max_tokens gets what the token allows', async () => {
+  const token = await buy('/v1/chat', { provider: 'claude', max_tokens: 100, l402_requests: 3 });
+  assert.equal(token.amount_sats, 3 * 400);
+  const headers = { authorization: token.authorization };
+
+  const omitted = await app.request('POST', '/v1/chat', { provider: 'claude' }, headers);
+  assert.equal(omitted.status, 200);
+  assert.equal(omitted.body.max_tokens, 100);
+  assert.equal((await app.request('POST', '/v1/chat', { provider: 'claude', max_tokens: null }, headers)).body.max_tokens, 100);
+
+  const over = await app.request('POST', '/v1/chat', { provider: 'claude', max_tokens: 101 }, headers);
+  assert.equal(over.status, 401);
+  assert.equal(over.body.caveat, 'max_tokens=100');
+  assert.equal((await app.request('POST', '/v1/chat', { provider: 'claude', max_tokens: 40 }, headers)).body.max_tokens, 40);
+
+  // Budget tokens have no max_tokens caveat: the default, up to what is left
+  const budget = await buy('/v1/chat', { provider: 'claude', l402_token_budget: 300 });
+  assert.equal(caveats(budget.macaroon).some(c => c.condition === 'max_tokens'), false);
+  const spent = await app.request('POST', '/v1/chat', { provider: 'claude' }, { authorization: budget.authorization });
+  assert.equal(spent.body.max_tokens, 300);
+});
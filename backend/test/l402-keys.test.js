@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RootKeyStore } from '../services/root-key-store.js';
+import l402Routes from '../routes/l402.js';
+import { startApp } from './fakes/http.js';
+
+const ADMIN_TOKEN = 'correct horse battery staple';
+
+test('key routes are disabled while no admin token is set', async () => {
+  const rootKeys = new RootKeyStore();
+  const app = await startApp({ '/api/l402': l402Routes }, { rootKeys, adminToken: null });
+  const headers = { authorization: `Bearer ${ADMIN_TOKEN}` };
+
+  try {
+    const current = rootKeys.current().id;
+    for (const [method, path] of [['GET', '/keys'], ['POST', '/keys/rotate'], ['DELETE', `/keys/${current}`]]) {
+      const { status, body } = await app.request(method, `/api/l402${path}`, undefined, headers);
+      assert.equal(status, 403, path);
+      assert.match(body.error, /HUB_ADMIN_TOKEN/);
+    }
+    assert.equal(rootKeys.current().id, current);
+  } finally {
+    await app.close();
+  }
+});
+
+test('key routes need the admin bearer token', async () => {
+  const rootKeys = new RootKeyStore();
+  const app = await startApp({ '/api/l402': l402Routes }, { rootKeys, adminToken: ADMIN_TOKEN });
+  const first = rootKeys.current().id;
+
+  try {
+    for (const authorization of [undefined, 'Bearer', 'Bearer wrong', `Basic ${ADMIN_TOKEN}`, `bearer ${ADMIN_TOKEN}`, `Bearer ${ADMIN_TOKEN}x`]) {
+      const headers = authorization ? { authorization } : {};
+      const listed = await app.request('GET', '/api/l402/keys', undefined, headers);
+      assert.equal(listed.status, 401, String(authorization));
+      assert.equal(listed.body.error, 'Admin token required');
+      assert.equal(listed.headers.get('www-authenticate'), 'Bearer realm="hub-admin"');
+      assert.equal((await app.request('POST', '/api/l402/keys/rotate', undefined, headers)).status, 401);
+    }
+    assert.equal(rootKeys.current().id, first);
+    assert.equal(rootKeys.list().length, 1);
+
+    const headers = { authorization: `Bearer ${ADMIN_TOKEN}` };
+    const rotated = await app.request('POST', '/api/l402/keys/rotate', undefined, headers);
+    assert.equal(rotated.status, 200);
+    assert.equal(rotated.body.current, true);
+    assert.equal(rotated.body.key, undefined);
+
+    const { status, body } = await app.request('GET', '/api/l402/keys', undefined, headers);
+    assert.equal(status, 200);
+    assert.deepEqual(body.keys.map(k => [k.id, k.current]), [[rotated.body.id, true], [first, false]]);
+
+    assert.equal((await app.request('DELETE', '/api/l402/keys/xyz', undefined, headers)).status, 400);
+    assert.equal((await app.request('DELETE', `/api/l402/keys/${rotated.body.id}`, undefined, headers)).status, 400);
+    assert.equal((await app.request('DELETE', `/api/l402/keys/${first}`, undefined, { authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await app.request('DELETE', `/api/l402/keys/${first}`, undefined, headers)).status, 200);
+    assert.equal((await app.request('DELETE', `/api/l402/keys/${first}`, undefined, headers)).status, 404);
+    assert.deepEqual(rootKeys.list().map(k => k.id), [rotated.body.id]);
+  } finally {
+    await app.close();
+  }
+});
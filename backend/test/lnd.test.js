@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { LNDClient } from '../services/lnd.js';
+import { ERROR_CODES } from '../services/errors.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+let fake;
+let lnd;
+
+before(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  assert.equal(await lnd.connect(), true);
+});
+
+after(async () => {
+  lnd.closeClients();
+  await fake.close();
+});
+
+test('connect reads the node identity and network from GetInfo', async () => {
+  const info = await lnd.getInfo();
+  assert.equal(info.identity_pubkey, fake.node.pubkey);
+  assert.equal(info.synced_to_chain, true);
+  assert.equal(lnd.network, 'regtest');
+  assert.equal(lnd.isConnected(), true);
+});
+
+test('createInvoice sends a local preimage with AddInvoice', async () => {
+  const invoice = await lnd.createInvoice(2100, 'coffee', 600);
+
+  const issued = fake.node.invoices.get(invoice.r_hash);
+  assert.ok(issued);
+  assert.equal(issued.preimage, invoice.preimage);
+  assert.equal(issued.amountMsat, 2100000);
+  assert.equal(issued.memo, 'coffee');
+  assert.equal(invoice.payment_request, issued.bolt11);
+  assert.equal(crypto.createHash('sha256').update(Buffer.from(invoice.preimage, 'hex')).digest('hex'), invoice.r_hash);
+});
+
+test('lookupInvoice returns hex fields and maps NOT_FOUND', async () => {
+  const { r_hash: hash } = await lnd.createInvoice(10);
+  const invoice = await lnd.lookupInvoice(hash);
+  assert.equal(invoice.r_hash, hash);
+  assert.equal(invoice.state, 'OPEN');
+
+  await assert.rejects(lnd.lookupInvoice('00'.repeat(32)), { code: ERROR_CODES.NOT_FOUND, status: 404 });
+});
+
+test('payInvoice follows SendPaymentV2 to success and reports every update', async () => {
+  const updates = [];
+  const result = await lnd.payInvoice(fake.node.remoteInvoice(500), { onUpdate: update => updates.push(update.status) });
+
+  assert.equal(result.status, 'SUCCEEDED');
+  assert.equal(result.payment_error, '');
+  assert.equal(result.fee_sat, '1');
+  assert.equal(crypto.createHash('sha256').update(Buffer.from(result.payment_preimage, 'hex')).digest('hex'), result.payment_hash);
+  assert.ok(result.payment_route.hops.length);
+  assert.deepEqual(updates, ['IN_FLIGHT', 'SUCCEEDED']);
+});
+
+test('payInvoice reports a failed payment with its reason', async () => {
+  const result = await lnd.payInvoice(fake.node.unpayableInvoice(500));
+  assert.equal(result.status, 'FAILED');
+  assert.equal(result.payment_error, 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS');
+  assert.equal(result.payment_route, null);
+});
+
+test('connect fails with LND_NOT_CONNECTED when nothing listens', async () => {
+  const offline = new LNDClient({ socket: '127.0.0.1:1', credentials: fake.credentials, timeout: 2000 });
+  assert.equal(await offline.connect(), false);
+  assert.equal(offline.lastError.code, ERROR_CODES.LND_UNAVAILABLE);
+  await assert.rejects(offline.getInfo(), { code: ERROR_CODES.LND_NOT_CONNECTED });
+  offline.closeClients();
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  createMacaroon,
+  addFirstPartyCaveat,
+  verifyMacaroon,
+  serializeMacaroon,
+  deserializeMacaroon,
+  encodeIdentifier,
+  decodeIdentifier,
+  parseCaveat
+} from '../services/macaroon.js';
+import { L402Gateway } from '../services/l402-gateway.js';
+import { RootKeyStore } from '../services/root-key-store.js';
+import { LNDClient } from '../services/lnd.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+// libmacaroons README: the signature after the identifier and each caveat
+const LIBMACAROONS = {
+  location: 'http://mybank/',
+  identifier: 'we used our secret key',
+  rootKey: 'this is our super secret key; only we should know it',
+  chain: [
+    [null, 'e3d9e02908526c4c0039ae15114115d97fdd68bf2ba379b342aaf0f617d0552f'],
+    ['account = 3735928559', '1efe4763f290dbce0c1d08477367e11f4eee456a64933cf662d79772dbb82128'],
+    ['time < 2020-01-01T00:00', 'b5f06c8c8ef92f6c82c6ff282cd1f8bd1849301d09a2db634ba182536a611c49'],
+    ['email = alice@example.org', 'ddf553e46083e55b8d71ab822be3d8fcf21d6bf19c40d617bb9fb438934474b6']
+  ]
+};
+
+// Macaroon format test vector: V2 binary, URL-safe base64 without padding
+const V2_VECTOR = {
+  serialized: 'AgETaHR0cDovL2V4YW1wbGUub3JnLwIFa2V5aWQAAhRhY2NvdW50ID0gMzczNTkyODU1OQACDHVzZXIgPSBhbGljZQAABiBL6WfNHqDGsmuvakqU7psFsViG2guoXoxCqTyNDhJe_A',
+  rootKey: 'this is the key'
+};
+
+const ACCEPT_ALL = { account: () => true, user: () => true };
+
+// Verifiers that accept every caveat `macaroon` has, to check the chain alone
+const acceptAll = macaroon => Object.fromEntries(macaroon.caveats.map(caveat => [parseCaveat(caveat).condition, () => true]));
+
+test('the signature chain matches libmacaroons', () => {
+  const { location, identifier, rootKey, chain: [[, first], ...caveats] } = LIBMACAROONS;
+  let macaroon = createMacaroon(location, identifier, rootKey);
+  assert.equal(macaroon.signature, first);
+
+  for (const [caveat, signature] of caveats) {
+    macaroon = addFirstPartyCaveat(macaroon, caveat);
+    assert.equal(macaroon.signature, signature, caveat);
+  }
+  assert.deepEqual(verifyMacaroon(macaroon, rootKey, acceptAll(macaroon)), { valid: true });
+});
+
+test('V2 binary macaroons are read, verified and written back byte for byte', () => {
+  const macaroon = deserializeMacaroon(V2_VECTOR.serialized);
+  assert.equal(macaroon.location, 'http://example.org/');
+  assert.equal(macaroon.identifier.toString(), 'keyid');
+  assert.deepEqual(macaroon.caveats, ['account = 3735928559', 'user = alice']);
+  assert.equal(macaroon.signature, '4be967cd1ea0c6b26baf6a4a94ee9b05b15886da0ba85e8c42a93c8d0e125efc');
+  assert.deepEqual(verifyMacaroon(macaroon, V2_VECTOR.rootKey, ACCEPT_ALL), { valid: true });
+
+  const written = serializeMacaroon(macaroon);
+  assert.deepEqual(Buffer.from(written, 'base64'), Buffer.from(V2_VECTOR.serialized, 'base64url'));
+  assert.deepEqual(deserializeMacaroon(written), macaroon);
+});
+
+test('altered, truncated or reordered chains fail verification', () => {
+  const macaroon = deserializeMacaroon(V2_VECTOR.serialized);
+  const mismatch = { valid: false, error: 'Signature mismatch' };
+
+  assert.deepEqual(verifyMacaroon(macaroon, 'another key', ACCEPT_ALL), mismatch);
+  assert.deepEqual(verifyMacaroon({ ...macaroon, caveats: ['account = 3735928559'] }, V2_VECTOR.rootKey, ACCEPT_ALL), mismatch);
+  assert.deepEqual(verifyMacaroon({ ...macaroon, caveats: [...macaroon.caveats].reverse() }, V2_VECTOR.rootKey, ACCEPT_ALL), mismatch);
+  assert.deepEqual(verifyMacaroon({ ...macaroon, caveats: ['account = 1', 'user = alice'] }, V2_VECTOR.rootKey, ACCEPT_ALL), mismatch);
+  assert.deepEqual(verifyMacaroon({ ...macaroon, identifier: Buffer.from('keyie') }, V2_VECTOR.rootKey, ACCEPT_ALL), mismatch);
+
+  // Caveats are checked only once the chain holds, and all must pass
+  let checked = 0;
+  const counting = { account: () => ++checked > 0, user: () => ++checked > 0 };
+  verifyMacaroon(macaroon, 'another key', counting);
+  assert.equal(checked, 0);
+
+  assert.deepEqual(verifyMacaroon(macaroon, V2_VECTOR.rootKey, { account: () => true }), {
+    valid: false,
+    error: 'Unknown caveat: user = alice',
+    caveat: 'user = alice',
+    condition: 'user'
+  });
+  const failed = verifyMacaroon(macaroon, V2_VECTOR.rootKey, { account: value => value === '1', user: () => true });
+  assert.equal(failed.error, 'Caveat failed: account = 3735928559');
+  assert.equal(failed.value, '3735928559');
+
+  // Anyone can attenuate, nobody can remove
+  const attenuated = addFirstPartyCaveat(macaroon, 'user = bob');
+  assert.equal(verifyMacaroon(attenuated, V2_VECTOR.rootKey, { ...ACCEPT_ALL, user: value => value === 'alice' }).caveat, 'user = bob');
+});
+
+test('malformed V2 macaroons are rejected', () => {
+  const bytes = Buffer.from(V2_VECTOR.serialized, 'base64url');
+  const broken = buf => () => deserializeMacaroon(buf.toString('base64'));
+
+  assert.throws(broken(Buffer.concat([Buffer.from([1]), bytes.subarray(1)])), /unsupported version/);
+  assert.throws(broken(bytes.subarray(0, bytes.length - 10)), /truncated|bad signature/);
+  assert.throws(broken(Buffer.concat([bytes, Buffer.from([0])])), /bad signature/);
+
+  // A caveat with a verification id is a third-party caveat
+  const plain = Buffer.from(serializeMacaroon(createMacaroon('', 'id', 'key')), 'base64');
+  const caveat = Buffer.from([2, 1, 0x63, 4, 1, 0x76, 0]);
+  const withThirdParty = Buffer.concat([plain.subarray(0, 6), caveat, plain.subarray(6)]);
+  assert.throws(broken(withThirdParty), /third-party caveats are not supported/);
+});
+
+test('L402 identifiers carry the payment hash and token id', () => {
+  const paymentHash = crypto.randomBytes(32).toString('hex');
+  const tokenId = crypto.randomBytes(32);
+  const identifier = encodeIdentifier(paymentHash, tokenId);
+
+  assert.equal(identifier.length, 66);
+  assert.equal(identifier.readUInt16BE(0), 0);
+  assert.deepEqual(decodeIdentifier(identifier), { version: 0, paymentHash, tokenId: tokenId.toString('hex') });
+  assert.throws(() => decodeIdentifier(identifier.subarray(1)), /Invalid L402 identifier/);
+  assert.throws(() => decodeIdentifier(Buffer.concat([Buffer.from([0, 1]), identifier.subarray(2)])), /Invalid L402 identifier/);
+
+  assert.deepEqual(parseCaveat(' provider = claude '), { condition: 'provider', value: 'claude' });
+  assert.deepEqual(parseCaveat('path=/v1/a=b'), { condition: 'path', value: '/v1/a=b' });
+  assert.deepEqual(parseCaveat('flag'), { condition: 'flag', value: '' });
+});
+
+test('the gateway mints chained macaroons and verifies every caveat', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const rootKeys = new RootKeyStore();
+  const gateway = new L402Gateway({ lnd, rootKeys });
+  const context = { now: Date.now(), provider: 'claude', model: null, maxTokens: 500, method: 'POST', path: '/api/ai/chat', ip: '127.0.0.1' };
+
+  try {
+    const challenge = await gateway.createChallenge('claude', 500, { body: {} });
+    const macaroon = deserializeMacaroon(challenge.macaroon);
+    const { paymentHash, tokenId } = decodeIdentifier(macaroon.identifier);
+    assert.equal(paymentHash, challenge.paymentHash);
+    assert.equal(tokenId.slice(0, 8), rootKeys.current().id);
+    assert.equal(macaroon.location, 'lightning-hub');
+    assert.deepEqual(macaroon.caveats.map(c => parseCaveat(c).condition), ['expires', 'provider', 'max_tokens', 'requests']);
+    assert.deepEqual(verifyMacaroon(macaroon, rootKeys.current().key, acceptAll(macaroon)), { valid: true });
+
+    const { preimage } = fake.node.invoices.get(paymentHash);
+    const present = (mac, ctx = context) => gateway.validateL402(`L402 ${serializeMacaroon(mac)}:${preimage}`, ctx);
+
+    // A forged caveat breaks the chain, even with the right preimage
+    const forged = { ...macaroon, caveats: macaroon.caveats.map(c => c.replace('provider=claude', 'provider=grok')) };
+    assert.equal((await present(forged, { ...context, provider: 'grok' })).error, 'Signature mismatch');
+    const otherKey = new RootKeyStore().current().key;
+    const resigned = macaroon.caveats.reduce(addFirstPartyCaveat, createMacaroon('lightning-hub', macaroon.identifier, otherKey));
+    assert.equal((await present(resigned)).error, 'Signature mismatch');
+
+    // Caveats are checked against the request
+    const tooMany = await present(macaroon, { ...context, maxTokens: 501 });
+    assert.deepEqual([tooMany.valid, tooMany.condition], [false, 'max_tokens']);
+    const elsewhere = await present(addFirstPartyCaveat(macaroon, 'path=/api/ai/models'));
+    assert.deepEqual([elsewhere.valid, elsewhere.caveat], [false, 'path=/api/ai/models']);
+
+    // A holder's own caveat that the request meets is accepted
+    const attenuated = addFirstPartyCaveat(macaroon, 'ip=127.0.0.1');
+    const accepted = await present(attenuated);
+    assert.equal(accepted.valid, true);
+    assert.equal(accepted.session.paymentHash, paymentHash);
+    assert.equal((await present(macaroon)).error, 'Token already used');
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
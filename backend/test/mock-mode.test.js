@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Fixtures } from '../services/fixtures.js';
+import { MockLNDClient } from '../services/lnd-mock.js';
+import { HubError, ERROR_CODES } from '../services/errors.js';
+import { decodeBolt11 } from '../services/bolt11.js';
+
+test('fixtures are a function of seed and label', () => {
+  const a = new Fixtures('seed-a');
+  const b = new Fixtures('seed-a');
+  const c = new Fixtures('seed-c');
+
+  assert.equal(a.hex('invoice:1'), b.hex('invoice:1'));
+  assert.notEqual(a.hex('invoice:1'), a.hex('invoice:2'));
+  assert.notEqual(a.hex('invoice:1'), c.hex('invoice:1'));
+  assert.equal(a.bytes('long', 80).length, 80);
+  assert.match(a.pubkey('peer:1'), /^03[0-9a-f]{64}$/);
+});
+
+test('fixture integers stay in range and counters count per name', () => {
+  const fixtures = new Fixtures();
+  for (let i = 0; i < 50; i++) {
+    const value = fixtures.int(`n:${i}`, 3, 7);
+    assert.ok(value >= 3 && value <= 7);
+  }
+  assert.equal(fixtures.next('invoice'), 1);
+  assert.equal(fixtures.next('invoice'), 2);
+  assert.equal(fixtures.next('payment'), 1);
+});
+
+test('mock nodes with the same seed issue the same invoices', async () => {
+  const first = new MockLNDClient({ seed: 'repeatable' });
+  const second = new MockLNDClient({ seed: 'repeatable' });
+  const other = new MockLNDClient({ seed: 'different' });
+
+  assert.equal(first.identityPubkey, second.identityPubkey);
+  assert.notEqual(first.identityPubkey, other.identityPubkey);
+
+  const [a, b] = await Promise.all([first.createInvoice(1000, 'test'), second.createInvoice(1000, 'test')]);
+  assert.equal(a.r_hash, b.r_hash);
+  assert.equal(a.preimage, b.preimage);
+  assert.equal(crypto.createHash('sha256').update(Buffer.from(a.preimage, 'hex')).digest('hex'), a.r_hash);
+});
+
+test('mock invoices are real BOLT11 invoices signed by the mock node', async () => {
+  const mock = new MockLNDClient({ seed: 'signed' });
+  const invoice = await mock.createInvoice(2500, 'signed invoice');
+
+  const decoded = decodeBolt11(invoice.payment_request);
+  assert.equal(decoded.destination, mock.identityPubkey);
+  assert.equal(decoded.payment_hash, invoice.r_hash);
+  assert.equal(decoded.num_satoshis, '2500');
+  assert.equal(decoded.description, 'signed invoice');
+});
+
+test('mock mode connects without a node', async () => {
+  const mock = new MockLNDClient();
+  assert.equal(await mock.connect(), true);
+  assert.equal(mock.isConnected(), true);
+  assert.equal((await mock.getInfo()).identity_pubkey, mock.identityPubkey);
+});
+
+test('HubError carries a code and status and serializes compactly', () => {
+  const error = new HubError(ERROR_CODES.LND_UNAVAILABLE, 'down', 503, { grpcCode: 14 });
+  assert.equal(error.status, 503);
+  assert.deepEqual(error.toJSON(), { code: 'LND_UNAVAILABLE', message: 'down', details: { grpcCode: 14 } });
+  assert.deepEqual(new HubError(ERROR_CODES.NOT_FOUND, 'gone').toJSON(), { code: 'NOT_FOUND', message: 'gone' });
+});
@@ -0,0 +1,447 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { LNDClient } from '../services/lnd.js';
+import { CLNClient } from '../services/cln.js';
+import { KeysendInbox, parseKeysendRecords } from '../services/keysend-inbox.js';
+import { GraphExplorer } from '../services/graph-explorer.js';
+import { decodeBolt11 } from '../services/bolt11.js';
+import { ERROR_CODES } from '../services/errors.js';
+import { FakeNode, NETWORK_FEE_MSAT } from './fakes/fake-node.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startFakeCln } from './fakes/cln-server.js';
+import { until } from './fakes/until.js';
+
+// Each backend: a connected client over a fake node, and whether its
+// invoice stream has reached the node yet
+const BACKENDS = {
+  async LND(node) {
+    const fake = await startFakeLnd(node);
+    const client = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+    await client.connect();
+    return {
+      client,
+      invoiceStreamOpen: () => 'SubscribeInvoices' in fake.requests,
+      close: async () => {
+        client.closeClients();
+        await fake.close();
+      }
+    };
+  },
+
+  async CLN(node) {
+    const fake = await startFakeCln(node);
+    const client = new CLNClient({ rpcPath: fake.rpcPath, timeout: 5000, holdInvoicePollMs: 20 });
+    await client.connect();
+    return {
+      client,
+      invoiceStreamOpen: () => 'waitanyinvoice' in fake.requests,
+      close: () => fake.close()
+    };
+  }
+};
+
+const sha256 = hex => crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest('hex');
+const randomPubkey = () => `02${crypto.randomBytes(32).toString('hex')}`;
+
+// Open channels of `capacitySat` to new peers and confirm them
+function openChannels(node, count, capacitySat = 1000000) {
+  const channels = Array.from({ length: count }, () => node.openChannel({ peer: randomPubkey(), capacitySat }));
+  node.mine(6);
+  return channels;
+}
+
+const channelPoint = channel => `${channel.fundingTxid}:${channel.outputIndex}`;
+
+for (const [name, start] of Object.entries(BACKENDS)) {
+  describe(`${name} node interface`, () => {
+    let node;
+    let backend;
+    let client;
+
+    beforeEach(async () => {
+      node = new FakeNode({ alias: `fake-${name}` });
+      backend = await start(node);
+      client = backend.client;
+    });
+
+    afterEach(() => backend.close());
+
+    test('getInfo reports the node identity and chain', async () => {
+      const info = await client.getInfo();
+      assert.equal(info.identity_pubkey, node.pubkey);
+      assert.equal(info.alias, `fake-${name}`);
+      assert.equal(info.block_height, node.blockHeight);
+      assert.equal(info.chains[0].network, 'regtest');
+      assert.equal(client.network, 'regtest');
+    });
+
+    test('invoices are created, looked up, listed and streamed once paid', async () => {
+      const created = await client.createInvoice(1500, 'coffee', 600);
+      const decoded = decodeBolt11(created.payment_request);
+      assert.equal(created.r_hash, decoded.payment_hash);
+      assert.equal(sha256(created.preimage.toString('hex')), created.r_hash);
+      assert.equal(decoded.num_satoshis, '1500');
+      assert.equal(decoded.description, 'coffee');
+
+      const open = await client.lookupInvoice(created.r_hash);
+      assert.equal(open.state, 'OPEN');
+      assert.equal(open.value, '1500');
+      assert.equal(open.memo, 'coffee');
+
+      const updates = [];
+      const unsubscribe = client.subscribeInvoices(invoice => updates.push(invoice));
+      await until(backend.invoiceStreamOpen);
+      node.receivePayment(created.r_hash);
+      await until(() => updates.some(invoice => invoice.state === 'SETTLED'));
+      unsubscribe();
+
+      const settled = updates.find(invoice => invoice.state === 'SETTLED');
+      assert.equal(settled.r_hash, created.r_hash);
+      assert.equal(settled.amt_paid_sat, '1500');
+      assert.equal((await client.lookupInvoice(created.r_hash)).state, 'SETTLED');
+
+      const second = await client.createInvoice(10, 'tea');
+      const { invoices } = await client.listInvoices();
+      assert.deepEqual(invoices.map(invoice => invoice.r_hash), [created.r_hash, second.r_hash]);
+      const pending = await client.listInvoices({ pendingOnly: true });
+      assert.deepEqual(pending.invoices.map(invoice => invoice.memo), ['tea']);
+
+      const third = await client.createInvoice(20, 'cake');
+      const first = await client.listInvoices({ numMaxInvoices: 2 });
+      assert.deepEqual(first.invoices.map(invoice => invoice.r_hash), [created.r_hash, second.r_hash]);
+      const next = await client.listInvoices({ indexOffset: first.last_index_offset, numMaxInvoices: 2 });
+      assert.deepEqual(next.invoices.map(invoice => invoice.r_hash), [third.r_hash]);
+      const newest = await client.listInvoices({ reversed: true, numMaxInvoices: 2 });
+      assert.deepEqual(newest.invoices.map(invoice => invoice.r_hash), [second.r_hash, third.r_hash]);
+      const older = await client.listInvoices({ reversed: true, indexOffset: newest.first_index_offset, numMaxInvoices: 2 });
+      assert.deepEqual(older.invoices.map(invoice => invoice.r_hash), [created.r_hash]);
+      const pendingPage = await client.listInvoices({ pendingOnly: true, numMaxInvoices: 1 });
+      assert.deepEqual(pendingPage.invoices.map(invoice => invoice.memo), ['tea']);
+
+      await assert.rejects(client.lookupInvoice('00'.repeat(32)));
+    });
+
+    test('payments succeed with their preimage and fee, or fail with a reason', async () => {
+      const updates = [];
+      client.subscribePayments(payment => updates.push(payment));
+
+      const paid = await client.payInvoice(node.remoteInvoice(2000), { feeLimitSat: 10 });
+      assert.equal(paid.status, 'SUCCEEDED');
+      assert.equal(paid.payment_error, '');
+      assert.equal(sha256(paid.payment_preimage), paid.payment_hash);
+      assert.equal(paid.fee_sat, '1');
+      assert.deepEqual(updates.map(p => p.status), ['IN_FLIGHT', 'SUCCEEDED']);
+      assert.equal(updates[1].payment_hash, paid.payment_hash);
+
+      const unpayable = node.unpayableInvoice(2000);
+      const failed = await client.payInvoice(unpayable);
+      assert.equal(failed.status, 'FAILED');
+      assert.equal(failed.payment_error, 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS');
+      assert.equal(failed.payment_hash, decodeBolt11(unpayable).payment_hash);
+      assert.equal(updates.at(-1).status, 'FAILED');
+    });
+
+    test('payment history is paged by index and payments are looked up by hash', async () => {
+      // Made on the node, not through the client
+      const made = [node.pay(node.remoteInvoice(1000)), node.pay(node.unpayableInvoice(2000)), node.pay(node.remoteInvoice(3000))];
+
+      const first = await client.listPayments({ maxPayments: 2 });
+      assert.deepEqual(first.payments.map(p => [p.payment_hash, p.status]), [[made[0].hash, 'SUCCEEDED'], [made[1].hash, 'FAILED']]);
+      assert.equal(first.payments[0].value_sat, '1000');
+      assert.equal(first.payments[0].fee_sat, '1');
+      assert.equal(first.payments[0].payment_preimage, made[0].preimage);
+      assert.equal(first.payments[0].payment_request, made[0].bolt11);
+      assert.ok(Math.abs(parseInt(first.payments[0].creation_time_ns) / 1e6 - made[0].createdAt) < 1000);
+
+      const rest = await client.listPayments({ indexOffset: first.last_index_offset, maxPayments: 2 });
+      assert.deepEqual(rest.payments.map(p => p.payment_hash), [made[2].hash]);
+      const done = await client.listPayments({ indexOffset: rest.last_index_offset });
+      assert.deepEqual(done.payments, []);
+
+      const found = await client.lookupPayment(made[2].hash);
+      assert.equal(found.status, 'SUCCEEDED');
+      assert.equal(found.value_sat, '3000');
+      assert.equal(await client.lookupPayment(crypto.randomBytes(32).toString('hex')), null);
+    });
+
+    test('keysend messages are signed so the recipient can verify them', async () => {
+      const inbox = new KeysendInbox({ lnd: client });
+      const recipient = node.remotePubkey;
+      const { result, message } = await inbox.send({ pubkey: recipient, amount: 21, message: 'gm' });
+      assert.equal(result.status, 'SUCCEEDED');
+      assert.equal(message.verified, true);
+
+      const sent = node.payments.at(-1);
+      assert.equal(sent.destination, recipient);
+      assert.equal(sent.amountMsat, 21000);
+      const parsed = parseKeysendRecords(sent.records, recipient);
+      assert.equal(parsed.message, 'gm');
+      assert.equal(parsed.sender_pubkey, node.pubkey);
+      assert.equal(parsed.verified, true);
+    });
+
+    test('hold invoices are held until settled, and can be cancelled', async () => {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const hash = sha256(preimage);
+      const hold = await client.createHoldInvoice(hash, 50, 'escrow', 600);
+      assert.equal(decodeBolt11(hold.payment_request).payment_hash, hash);
+
+      const states = [];
+      const unsubscribe = client.subscribeSingleInvoice(hash, invoice => states.push(invoice.state));
+      await until(() => states.includes('OPEN'));
+      node.receivePayment(hash);
+      await until(() => states.includes('ACCEPTED'));
+      await client.settleInvoice(preimage);
+      await until(() => states.includes('SETTLED'));
+      unsubscribe();
+      assert.deepEqual(states, ['OPEN', 'ACCEPTED', 'SETTLED']);
+
+      const settled = await client.lookupInvoice(hash);
+      assert.equal(settled.state, 'SETTLED');
+      assert.equal(settled.amt_paid_sat, '50');
+      assert.equal(settled.memo, 'escrow');
+
+      const other = sha256(crypto.randomBytes(32).toString('hex'));
+      await client.createHoldInvoice(other, 10);
+      await client.cancelInvoice(other);
+      assert.equal((await client.lookupInvoice(other)).state, 'CANCELED');
+    });
+
+    test('payments can be pinned to an outgoing channel and a last hop', async () => {
+      const [out, back] = openChannels(node, 2);
+
+      // Circular: out of one channel, back in through the other
+      const invoice = await client.createInvoice(10000, 'rebalance');
+      const circular = await client.payInvoice(invoice.payment_request, {
+        outgoingChanId: out.chanId,
+        lastHopPubkey: back.peer,
+        allowSelfPayment: true,
+        feeLimitSat: 10
+      });
+      assert.equal(circular.status, 'SUCCEEDED');
+      assert.equal(out.localMsat, 1000000000 - 10000000 - NETWORK_FEE_MSAT);
+      assert.equal(back.localMsat, 1000000000 + 10000000);
+      assert.equal((await client.lookupInvoice(invoice.r_hash)).state, 'SETTLED');
+
+      // Paying ourselves has to be allowed
+      const refused = await client.payInvoice((await client.createInvoice(10000)).payment_request, {
+        outgoingChanId: out.chanId,
+        lastHopPubkey: back.peer
+      });
+      assert.equal(refused.status, 'FAILED');
+      assert.equal(refused.payment_error, 'FAILURE_REASON_NO_ROUTE');
+
+      // Only the first hop pinned
+      const before = back.localMsat;
+      const outgoing = await client.payInvoice(node.remoteInvoice(3000), { outgoingChanId: back.chanId });
+      assert.equal(outgoing.status, 'SUCCEEDED');
+      assert.ok(back.localMsat < before - 3000000);
+      assert.equal(node.payments.at(-1).status, 'SUCCEEDED');
+    });
+
+    test('peers are connected, listed and disconnected', async () => {
+      const pubkey = randomPubkey();
+      await client.connectPeer(pubkey, '127.0.0.1:9735');
+      // Already connected is not an error
+      await client.connectPeer(pubkey, '127.0.0.1:9735');
+
+      const { peers } = await client.listPeers();
+      assert.deepEqual(peers.map(peer => [peer.pub_key, peer.address]), [[pubkey, '127.0.0.1:9735']]);
+
+      await client.disconnectPeer(pubkey);
+      assert.deepEqual((await client.listPeers()).peers, []);
+      await assert.rejects(client.disconnectPeer(pubkey));
+    });
+
+    test('channels are listed through opening, and closes report their type', async () => {
+      const peer = randomPubkey();
+      const opened = await client.openChannel({ nodePubkey: peer, localFundingAmount: 500000 });
+      const channel = node.channels[0];
+      assert.equal(opened.funding_txid, channel.fundingTxid);
+
+      const pending = await client.pendingChannels();
+      assert.equal(pending.pending_open_channels.length, 1);
+      assert.equal(pending.pending_open_channels[0].channel.remote_node_pub, peer);
+      assert.deepEqual((await client.listChannels()).channels, []);
+
+      node.mine(6);
+      const [listed] = (await client.listChannels()).channels;
+      assert.equal(listed.active, true);
+      assert.equal(listed.remote_pubkey, peer);
+      assert.equal(listed.channel_point, channelPoint(channel));
+      assert.equal(listed.chan_id, channel.chanId);
+      assert.equal(listed.capacity, '500000');
+      assert.equal(listed.local_balance, '500000');
+      assert.equal(listed.initiator, true);
+
+      const [cooperative, local, remote] = openChannels(node, 3);
+      await client.closeChannel(channelPoint(cooperative));
+      await client.closeChannel(channelPoint(local), { force: true });
+      node.closeChannel(remote, { force: true, closer: 'remote' });
+      assert.equal((await client.pendingChannels()).pending_force_closing_channels.length, 2);
+      node.mine();
+
+      const types = Object.fromEntries((await client.closedChannels()).channels.map(c => [c.chan_id, c.close_type]));
+      assert.deepEqual(types, {
+        [cooperative.chanId]: 'COOPERATIVE_CLOSE',
+        [local.chanId]: 'LOCAL_FORCE_CLOSE',
+        [remote.chanId]: 'REMOTE_FORCE_CLOSE'
+      });
+      const forced = await client.closedChannels({ remote_force: true });
+      assert.deepEqual(forced.channels.map(c => c.chan_id), [remote.chanId]);
+      assert.equal(forced.channels[0].close_initiator, 'INITIATOR_REMOTE');
+    });
+
+    test('channel fee policies are updated and read back from the edge', async () => {
+      const [channel] = openChannels(node, 1);
+      const update = await client.updateChannelPolicy(channelPoint(channel), {
+        base_fee_msat: 2500,
+        fee_rate_ppm: 350,
+        time_lock_delta: 40,
+        min_htlc_msat: 1000,
+        max_htlc_msat: 500000000
+      });
+      assert.deepEqual(update.failed_updates, []);
+
+      const edge = await client.getChanInfo(channel.chanId);
+      assert.equal(edge.capacity, '1000000');
+      const ours = edge.node1_pub === node.pubkey ? edge.node1_policy : edge.node2_policy;
+      assert.equal(ours.fee_base_msat, '2500');
+      assert.equal(String(ours.fee_rate_milli_msat), '350');
+      assert.equal(ours.max_htlc_msat, '500000000');
+    });
+
+    test('forwarding history reports settled forwards between channels', async () => {
+      const [incoming, outgoing] = openChannels(node, 2);
+      node.forward(incoming, outgoing, { amountMsat: 40000, feeMsat: 1200, timestamp: 1700000000 });
+      node.forward(outgoing, incoming, { amountMsat: 8000, feeMsat: 100, timestamp: 1700000100 });
+
+      const history = await client.getForwardingHistory(1600000000, 1800000000);
+      assert.equal(history.forwarding_events.length, 2);
+      const [first] = history.forwarding_events;
+      assert.equal(first.chan_id_in, incoming.chanId);
+      assert.equal(first.chan_id_out, outgoing.chanId);
+      assert.equal(first.amt_in_msat, '41200');
+      assert.equal(first.amt_out_msat, '40000');
+      assert.equal(first.fee_msat, '1200');
+      assert.equal(first.timestamp, '1700000000');
+
+      const late = await client.getForwardingHistory(1700000050, 1800000000);
+      assert.deepEqual(late.forwarding_events.map(e => e.fee_msat), ['100']);
+    });
+
+    test('graph nodes, routes and probes', async () => {
+      const explorer = new GraphExplorer({ lnd: client });
+      const [channel] = openChannels(node, 1);
+      channel.policy.local.ppm = 250;
+      const far = randomPubkey();
+      node.announce(far, { alias: 'far', addresses: ['10.0.0.9:9735'] });
+
+      // Over our channel, then a network channel from our peer
+      const { routes: [route] } = await explorer.routes(far, 5000);
+      assert.deepEqual(route.hops.map(hop => [hop.pubkey, hop.fee_msat, hop.amt_to_forward]), [
+        [channel.peer, NETWORK_FEE_MSAT, 5000],
+        [far, 0, 5000]
+      ]);
+      assert.equal(route.hops[0].chan_id, channel.chanId);
+      assert.equal(route.total_amt, 5001);
+      assert.equal(route.total_fees_msat, NETWORK_FEE_MSAT);
+      assert.equal(route.fee_ppm, 200);
+      assert.equal(route.total_time_lock, node.blockHeight + 49);
+      assert.deepEqual((await explorer.routes(far, 5000, { feeLimitSat: 0 })).routes, []);
+
+      const farInfo = await explorer.node(far);
+      assert.equal(farInfo.alias, 'far');
+      assert.deepEqual(farInfo.addresses, ['10.0.0.9:9735']);
+      assert.equal(farInfo.num_channels, 1);
+      assert.equal(farInfo.channels[0].peer, channel.peer);
+      assert.equal(farInfo.channels[0].outgoing.fee_base_msat, NETWORK_FEE_MSAT);
+
+      // From our peer's side our policy is the incoming one
+      const peerInfo = await explorer.node(channel.peer);
+      assert.equal(peerInfo.total_capacity, 11000000);
+      const ours = peerInfo.channels.find(c => c.chan_id === channel.chanId);
+      assert.equal(ours.peer, node.pubkey);
+      assert.equal(ours.incoming.fee_rate_ppm, 250);
+      assert.equal(ours.outgoing.fee_rate_ppm, 1);
+      await assert.rejects(explorer.node(randomPubkey()), { code: ERROR_CODES.NOT_FOUND });
+
+      // Refused by the destination: reachable, nothing paid
+      const reached = await explorer.probe(far, 5000);
+      assert.equal(reached.reachable, true);
+      assert.equal(reached.fee, 1);
+      assert.equal(reached.failed_at, null);
+      assert.equal(reached.attempts, 1);
+      assert.equal(node.payments.some(p => p.status === 'SUCCEEDED'), false);
+      assert.equal(channel.localMsat, 1000000000);
+
+      // Refused by the hop before an offline node
+      node.offline(far);
+      const refused = await explorer.probe(far, 5000);
+      assert.equal(refused.reachable, false);
+      assert.equal(refused.failure_reason, 'FAILURE_REASON_NO_ROUTE');
+      assert.deepEqual(refused.failed_at, { pubkey: channel.peer, hop: 1, code: 'UNKNOWN_NEXT_PEER' });
+
+      // Nothing is sent over the fee limit
+      const capped = await explorer.probe(randomPubkey(), 5000, { feeLimitSat: 0 });
+      assert.equal(capped.reachable, false);
+      assert.equal(capped.route, null);
+      assert.equal(capped.attempts, 0);
+    });
+
+    test('wallet addresses and unspent outputs', async () => {
+      assert.match((await client.newAddress()).address, /^bcrt1q/);
+      assert.match((await client.newAddress('p2tr')).address, /^bcrt1p/);
+
+      const txid = node.deposit(25000);
+      node.mine();
+      node.mine(2);
+      node.deposit(5000);
+      const { utxos } = await client.listUnspent(1);
+      assert.deepEqual(utxos.map(u => [u.outpoint.txid_str, u.amount_sat, u.confirmations]), [[txid, '25000', '3']]);
+      assert.equal((await client.listUnspent(0)).utxos.length, 2);
+    });
+  });
+}
+
+describe('CLN without the hold invoice plugin', () => {
+  test('hold invoices are not supported, ordinary invoices still work', async () => {
+    const fake = await startFakeCln(new FakeNode(), { hold: false });
+    const client = new CLNClient({ rpcPath: fake.rpcPath, timeout: 5000 });
+    await client.connect();
+
+    try {
+      const hash = sha256(crypto.randomBytes(32).toString('hex'));
+      await assert.rejects(client.createHoldInvoice(hash, 50), { code: ERROR_CODES.NOT_SUPPORTED, status: 501 });
+
+      const { r_hash } = await client.createInvoice(10);
+      assert.equal((await client.lookupInvoice(r_hash)).state, 'OPEN');
+      await assert.rejects(client.lookupInvoice(hash), { code: ERROR_CODES.NOT_FOUND });
+    } finally {
+      await fake.close();
+    }
+  });
+});
+
+describe('CLN with the hold invoice plugin', () => {
+  test('holdinvoice gets only the parameters the plugin takes', async () => {
+    const fake = await startFakeCln(new FakeNode());
+    const client = new CLNClient({ rpcPath: fake.rpcPath, timeout: 5000 });
+    await client.connect();
+
+    try {
+      const hash = sha256(crypto.randomBytes(32).toString('hex'));
+      await client.createHoldInvoice(hash, 50, 'escrow', 600, 80);
+      assert.deepEqual(fake.requests.holdinvoice, {
+        payment_hash: hash, amount: 50000, memo: 'escrow', expiry: 600, min_final_cltv_expiry: 80
+      });
+
+      const other = sha256(crypto.randomBytes(32).toString('hex'));
+      await assert.rejects(client.rpc('holdinvoice', { payment_hash: other, amount: 1000, description: 'x' }), /Extra arguments given: description/);
+      await assert.rejects(client.rpc('holdinvoice', { payment_hash: other }), /Missing required parameter: amount/);
+    } finally {
+      await fake.close();
+    }
+  });
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeConnection } from '../services/node-connection.js';
+import { LNDClient } from '../services/lnd.js';
+import { HubError, ERROR_CODES } from '../services/errors.js';
+import { FakeNode } from './fakes/fake-node.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { until } from './fakes/until.js';
+
+const unavailable = () => new HubError(ERROR_CODES.LND_UNAVAILABLE, 'node is down', 503);
+
+// A connection that fails to connect until `up` is set
+class FlakyConnection extends NodeConnection {
+  constructor(options) {
+    super(options);
+    this.up = false;
+    this.attempts = [];
+    this.restored = 0;
+  }
+
+  async connect() {
+    this.attempts.push(Date.now());
+    if (this.up) this.markConnected(); else this.markDisconnected(unavailable());
+    return this.up;
+  }
+
+  async probe() {
+    if (!this.up) throw unavailable();
+  }
+
+  isConnectionError(error) {
+    return error?.code === ERROR_CODES.LND_UNAVAILABLE;
+  }
+
+  restoreStreams() {
+    this.restored += 1;
+  }
+}
+
+test('reconnects back off exponentially up to the maximum delay', async () => {
+  const connection = new FlakyConnection({ reconnectBaseMs: 10, reconnectMaxMs: 40 });
+  const states = [];
+  connection.on('state', state => states.push(state));
+
+  try {
+    const delays = [];
+    connection.on('state', (state) => {
+      if (state.next_retry_at) delays.push(state.next_retry_at - Date.now());
+    });
+    connection.startHealthChecks(1000);
+    await until(() => connection.attempts.length >= 4);
+
+    // 10, 20, 40, 40ms (give or take the clock)
+    assert.deepEqual(delays.slice(0, 4).map(ms => Math.round(ms / 10) * 10), [10, 20, 40, 40]);
+    assert.equal(connection.status().connected, false);
+    assert.equal(connection.status().last_error.code, ERROR_CODES.LND_UNAVAILABLE);
+
+    connection.up = true;
+    await until(() => connection.connected);
+    assert.equal(connection.reconnectAttempts, 0);
+    assert.equal(connection.restored, 1);
+    assert.equal(states.at(-1).connected, true);
+    assert.ok(states.at(-1).connected_since);
+  } finally {
+    connection.stopHealthChecks();
+  }
+});
+
+test('a failed health probe marks the node down and starts reconnecting', async () => {
+  const connection = new FlakyConnection({ reconnectBaseMs: 10 });
+  connection.up = true;
+  await connection.connect();
+  connection.startHealthChecks(20);
+
+  try {
+    const attempts = connection.attempts.length;
+    connection.up = false;
+    await until(() => !connection.connected);
+    await until(() => connection.attempts.length > attempts);
+
+    connection.up = true;
+    await until(() => connection.connected);
+    assert.equal(connection.restored, 2);
+  } finally {
+    connection.stopHealthChecks();
+  }
+
+  // Without monitoring a lost connection stays lost
+  const attempts = connection.attempts.length;
+  connection.checkConnectionError(unavailable());
+  assert.equal(connection.connected, false);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(connection.attempts.length, attempts);
+});
+
+test('LND streams come back after a restart without missing or repeating invoices', async () => {
+  const node = new FakeNode();
+  let fake = await startFakeLnd(node);
+  const port = fake.socket.split(':')[1];
+  const lnd = new LNDClient({
+    socket: fake.socket,
+    credentials: fake.credentials,
+    timeout: 2000,
+    reconnectBaseMs: 20,
+    reconnectMaxMs: 100
+  });
+  await lnd.connect();
+
+  const states = [];
+  lnd.on('state', state => states.push(state));
+  const settled = [];
+  lnd.subscribeInvoices((invoice) => {
+    if (invoice.state === 'SETTLED') settled.push(invoice.r_hash);
+  });
+  lnd.startHealthChecks(50);
+
+  try {
+    await until(() => 'SubscribeInvoices' in fake.requests);
+    const before = node.addInvoice({ amountMsat: 1000 });
+    node.receivePayment(before.hash);
+    await until(() => settled.length === 1);
+
+    await fake.close();
+    await until(() => !lnd.connected);
+    assert.equal(lnd.status().last_error.code, ERROR_CODES.LND_UNAVAILABLE);
+
+    // Paid while the hub could not see the node
+    const missed = node.addInvoice({ amountMsat: 2000 });
+    node.receivePayment(missed.hash);
+
+    fake = await startFakeLnd(node, { port });
+    await until(() => lnd.connected, 5000);
+    await until(() => settled.length === 2);
+    assert.equal(fake.requests.SubscribeInvoices.settle_index, String(before.settleIndex));
+
+    const after = node.addInvoice({ amountMsat: 3000 });
+    node.receivePayment(after.hash);
+    await until(() => settled.length === 3);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepEqual(settled, [before.hash, missed.hash, after.hash]);
+    assert.equal(lnd.invoiceSubscribers.length, 1);
+    assert.ok(states.some(state => !state.connected && state.next_retry_at));
+    assert.equal(states.at(-1).connected, true);
+  } finally {
+    lnd.stopHealthChecks();
+    lnd.closeClients();
+    await fake.close();
+  }
+});
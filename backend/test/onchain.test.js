@@ -0,0 +1,120 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import onchainRoutes from '../routes/onchain.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+const ADMIN = { authorization: 'Bearer admin' };
+
+let fake;
+let lnd;
+let app;
+
+beforeEach(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  app = await startApp({ '/api/onchain': onchainRoutes }, { lnd, adminToken: 'admin' });
+});
+
+afterEach(async () => {
+  await app.close();
+  lnd.closeClients();
+  await fake.close();
+});
+
+test('new addresses are segwit addresses on the node network', async () => {
+  const p2wkh = await app.request('POST', '/api/onchain/address', {});
+  assert.equal(p2wkh.status, 200);
+  assert.match(p2wkh.body.address, /^bcrt1q[0-9a-z]{38}$/);
+
+  const p2tr = await app.request('POST', '/api/onchain/address', { type: 'p2tr' });
+  assert.match(p2tr.body.address, /^bcrt1p[0-9a-z]{58}$/);
+
+  assert.equal((await app.request('POST', '/api/onchain/address', { type: 'p2pkh' })).status, 400);
+});
+
+test('sends spend confirmed coins and return change', async () => {
+  fake.node.deposit(100000);
+  fake.node.deposit(5000);
+  fake.node.mine();
+  const address = fake.node.newAddress();
+
+  const sent = await app.request('POST', '/api/onchain/send', { address, amount: 20000, sat_per_vbyte: 2, label: 'rent' }, ADMIN);
+  assert.equal(sent.status, 200);
+  assert.equal(fake.requests.SendCoins.target_conf, 0);
+  assert.equal(fake.requests.SendCoins.coin_selection_strategy, 'STRATEGY_USE_GLOBAL_CONFIG');
+
+  // The change is unconfirmed, so only the untouched coin is listed by default
+  const utxos = await app.request('GET', '/api/onchain/utxos');
+  assert.equal(utxos.body.total_sat, 5000);
+  const all = await app.request('GET', '/api/onchain/utxos?min_confs=0');
+  assert.equal(all.body.total_sat, 105000 - 20000 - 282);
+
+  const history = await app.request('GET', '/api/onchain/transactions?limit=10');
+  const last = history.body.transactions.at(-1);
+  assert.equal(last.tx_hash, sent.body.txid);
+  assert.equal(last.amount, '-20282');
+  assert.equal(last.label, 'rent');
+  assert.equal(last.num_confirmations, 0);
+
+  const page = await app.request('GET', '/api/onchain/transactions?limit=1&offset=1');
+  assert.equal(page.body.transactions.length, 1);
+});
+
+test('sends need the admin token', async () => {
+  fake.node.deposit(100000);
+  fake.node.mine();
+  const body = { address: fake.node.newAddress(), send_all: true };
+
+  const anonymous = await app.request('POST', '/api/onchain/send', body);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer realm="hub-admin"');
+  assert.equal((await app.request('POST', '/api/onchain/send', body, { authorization: 'Bearer wrong' })).status, 401);
+  assert.equal(fake.requests.SendCoins, undefined);
+  assert.equal(fake.node.utxos.length, 1);
+});
+
+test('send_all sweeps the selected outpoints', async () => {
+  const txid = fake.node.deposit(30000);
+  fake.node.deposit(70000);
+  fake.node.mine(3);
+
+  const sent = await app.request('POST', '/api/onchain/send', {
+    address: fake.node.newAddress(),
+    send_all: true,
+    target_conf: 2,
+    outpoints: [`${txid}:0`]
+  }, ADMIN);
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.amount, null);
+  assert.equal(fake.requests.SendCoins.target_conf, 2);
+  assert.deepEqual(fake.node.utxos.map(u => u.amountSat), [70000]);
+});
+
+test('node errors surface as errors and bad sends are rejected up front', async () => {
+  const address = fake.node.newAddress();
+  const broke = await app.request('POST', '/api/onchain/send', { address, amount: 1000 }, ADMIN);
+  assert.equal(broke.status, 502);
+  assert.match(broke.body.error, /insufficient funds/);
+
+  const rejected = [
+    { address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', amount: 1000 },
+    { address: 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn', amount: 1000, send_all: 'no' },
+    { address, amount: 545 },
+    { address, amount: 1000, send_all: true },
+    { address, amount: 1000, sat_per_vbyte: 1, target_conf: 6 },
+    { address, amount: 1000, target_conf: 2000 },
+    { address, amount: 1000, coin_selection: 'smallest' },
+    { address, amount: 1000, coin_selection: 'largest', outpoints: [`${'ab'.repeat(32)}:0`] },
+    { address, amount: 1000, outpoints: ['ab:0'] }
+  ];
+  for (const body of rejected) {
+    assert.equal((await app.request('POST', '/api/onchain/send', body, ADMIN)).status, 400, JSON.stringify(body));
+  }
+
+  assert.equal((await app.request('GET', '/api/onchain/utxos?min_confs=5&max_confs=1')).status, 400);
+  assert.equal((await app.request('GET', '/api/onchain/transactions?limit=0')).status, 400);
+  assert.equal((await app.request('GET', '/api/onchain/transactions?offset=-1')).status, 400);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { PaymentCodeStore } from '../services/payment-codes.js';
+import { LNDClient, PAYMENT_CODE_EXPIRY } from '../services/lnd.js';
+import invoiceRoutes from '../routes/invoices.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+async function connected() {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  return { fake, lnd, node: fake.node };
+}
+
+test('codes on LND are AMP invoices that stay open', async () => {
+  const { fake, lnd, node } = await connected();
+
+  try {
+    const codes = new PaymentCodeStore({ lnd });
+    const code = await codes.create({ description: 'tips', amount: 'any' });
+
+    assert.equal(fake.requests.AddInvoice.is_amp, true);
+    assert.equal(fake.requests.AddInvoice.expiry, String(PAYMENT_CODE_EXPIRY));
+    assert.equal(code.type, 'amp');
+    assert.equal(code.amount, 'any');
+    assert.equal(code.single_use, false);
+    assert.equal(code.state, 'OPEN');
+    assert.equal(code.payment_count, 0);
+    assert.ok(node.invoices.get(code.offer_id).amp);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('every payment into a code is tracked as its own sub-payment', async () => {
+  const { fake, lnd, node } = await connected();
+
+  try {
+    const codes = new PaymentCodeStore({ lnd });
+    await codes.start();
+    const { offer_id } = await codes.create({ description: 'tips', amount: 100 });
+
+    let paid = once(codes, 'payment');
+    const first = node.receiveAmpPayment(offer_id, 100000);
+    const [payment] = await paid;
+    assert.equal(payment.offer_id, offer_id);
+    assert.equal(payment.id, first.setId);
+    assert.equal(payment.amount_sat, 100);
+
+    paid = once(codes, 'payment');
+    node.receiveAmpPayment(offer_id, 250000);
+    await paid;
+
+    // Ordinary invoices are not codes
+    node.settle(node.addInvoice({ amountMsat: 5000 }), 5000);
+
+    const code = await codes.get(offer_id);
+    assert.equal(code.state, 'OPEN');
+    assert.equal(code.payment_count, 2);
+    assert.equal(code.total_received_sat, 350);
+    assert.deepEqual(code.payments.map(p => p.amount_sat), [100, 250]);
+    assert.equal(codes.list().length, 1);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('codes and their payments are rediscovered from the node on start', async () => {
+  const { fake, lnd, node } = await connected();
+
+  try {
+    const code = node.addInvoice({ amp: true, memo: 'donations' });
+    node.receiveAmpPayment(code.hash, 21000);
+    node.addInvoice({ amountMsat: 1000 });
+
+    const codes = new PaymentCodeStore({ lnd });
+    const announced = [];
+    codes.on('payment', payment => announced.push(payment));
+    await codes.start();
+
+    const [listed] = codes.list();
+    assert.equal(codes.list().length, 1);
+    assert.equal(listed.offer_id, code.hash);
+    assert.equal(listed.description, 'donations');
+    assert.equal(listed.total_received_sat, 21);
+    // Payments made before the restart are not announced again
+    assert.deepEqual(announced, []);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('the payment code routes validate input and 404 on ordinary invoices', async () => {
+  const { fake, lnd, node } = await connected();
+  const paymentCodes = new PaymentCodeStore({ lnd });
+  const app = await startApp({ '/api/invoices': invoiceRoutes }, { lnd, paymentCodes });
+
+  try {
+    const rejected = [
+      { description: 7 },
+      { description: 'x'.repeat(640) },
+      { amount: 0 },
+      { amount: '100' },
+      { expiry: 59 },
+      { expiry: PAYMENT_CODE_EXPIRY + 1 }
+    ];
+    for (const body of rejected) {
+      const { status } = await app.request('POST', '/api/invoices/bolt12/offer', body);
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+    assert.equal(node.invoices.size, 0);
+
+    const created = await app.request('POST', '/api/invoices/bolt12/offer', { description: 'coffee', amount: 5000, expiry: 3600 });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.type, 'amp');
+    assert.equal(created.body.amount, 5000);
+
+    const listed = await app.request('GET', '/api/invoices/bolt12/offer');
+    assert.deepEqual(listed.body.offers.map(o => o.offer_id), [created.body.offer_id]);
+
+    const fetched = await app.request('GET', `/api/invoices/bolt12/offer/${created.body.offer_id.toUpperCase()}`);
+    assert.equal(fetched.status, 200);
+    assert.deepEqual(fetched.body.payments, []);
+
+    assert.equal((await app.request('GET', '/api/invoices/bolt12/offer/xyz')).status, 400);
+    const ordinary = node.addInvoice({ amountMsat: 1000 });
+    assert.equal((await app.request('GET', `/api/invoices/bolt12/offer/${ordinary.hash}`)).status, 404);
+  } finally {
+    await app.close();
+    lnd.closeClients();
+    await fake.close();
+  }
+});
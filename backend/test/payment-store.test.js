@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { PaymentStore, formatPayment } from '../services/payment-store.js';
+import { LNDClient } from '../services/lnd.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+const HASH = 'ab'.repeat(32);
+
+function update(status, extra = {}) {
+  return {
+    payment_hash: HASH,
+    value_sat: '500',
+    fee_sat: status === 'SUCCEEDED' ? '2' : '0',
+    status,
+    payment_preimage: status === 'SUCCEEDED' ? 'cd'.repeat(32) : '',
+    failure_reason: 'FAILURE_REASON_NONE',
+    htlcs: [],
+    type: 'keysend',
+    ...extra
+  };
+}
+
+function store() {
+  const lnd = { subscribePayments(callback) { this.callback = callback; } };
+  const cashu = new EventEmitter();
+  const payments = new PaymentStore({ lnd, cashu });
+  payments.start();
+  return { payments, lnd, cashu };
+}
+
+test('formatPayment takes the route and destination from the settled HTLC', () => {
+  const payment = formatPayment(update('SUCCEEDED', {
+    htlcs: [
+      { attempt_id: '1', status: 'FAILED', failure: { code: 'TEMPORARY_CHANNEL_FAILURE' }, route: { hops: [{ pub_key: 'x' }] } },
+      { attempt_id: '2', status: 'SUCCEEDED', route: { total_amt: '502', total_fees: '2', hops: [{ chan_id: '1', pub_key: 'dest', amt_to_forward: '500', fee: '0' }] } }
+    ]
+  }));
+
+  assert.equal(payment.destination, 'dest');
+  assert.equal(payment.route.total_fees, 2);
+  assert.equal(payment.preimage, 'cd'.repeat(32));
+  assert.deepEqual(payment.attempts.map(a => a.failure), ['TEMPORARY_CHANNEL_FAILURE', null]);
+});
+
+test('a payment is followed from IN_FLIGHT to its final state', async () => {
+  const { payments, lnd } = store();
+  const seen = [];
+  payments.on('update', payment => seen.push(payment.status));
+
+  lnd.callback(update('IN_FLIGHT'));
+  const created = (await payments.get(HASH)).created_at;
+  lnd.callback(update('SUCCEEDED'));
+
+  const payment = await payments.get(HASH);
+  assert.equal(payment.status, 'SUCCEEDED');
+  assert.equal(payment.fee_sat, 2);
+  assert.equal(payment.created_at, created);
+  assert.deepEqual(seen, ['IN_FLIGHT', 'SUCCEEDED']);
+  assert.deepEqual(payments.getStats(), { total: 1, IN_FLIGHT: 0, SUCCEEDED: 1, FAILED: 0 });
+});
+
+test('probes are not recorded', () => {
+  const { payments, lnd } = store();
+  lnd.callback(update('FAILED', { type: 'probe' }));
+  assert.equal(payments.list().total, 0);
+});
+
+test('cashu melts are recorded by quote when there is no invoice', async () => {
+  const { payments, cashu } = store();
+  cashu.emit('melt', { quote: 'q1', state: 'PENDING', amount: 100 });
+  cashu.emit('melt', { quote: 'q1', state: 'UNPAID', amount: 100, error: 'no route' });
+
+  const melt = await payments.get('melt:q1');
+  assert.equal(melt.type, 'cashu_melt');
+  assert.equal(melt.status, 'FAILED');
+  assert.equal(melt.failure_reason, 'no route');
+});
+
+test('list filters by status and type, newest first, and the history is bounded', () => {
+  const lnd = { subscribePayments() {} };
+  const payments = new PaymentStore({ lnd, maxEntries: 2 });
+  ['01', '02', '03'].forEach((n, i) => payments.upsert(n.repeat(32), { type: 'invoice', status: i ? 'SUCCEEDED' : 'FAILED' }));
+
+  assert.equal(payments.list().total, 2);
+  assert.equal(payments.payments.has('01'.repeat(32)), false);
+  assert.equal(payments.list({ status: 'FAILED' }).total, 0);
+  assert.equal(payments.list({ type: 'keysend' }).total, 0);
+});
+
+test('payments made through LNDClient are recorded from the router stream', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const payments = new PaymentStore({ lnd });
+  payments.start();
+
+  try {
+    const result = await lnd.payInvoice(fake.node.remoteInvoice(700));
+    const payment = await payments.get(result.payment_hash);
+    assert.equal(payment.type, 'invoice');
+    assert.equal(payment.status, 'SUCCEEDED');
+    assert.equal(payment.amount_sat, 700);
+    assert.equal(payment.preimage, result.payment_preimage);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('history made outside the hub is read from the node, kept across restarts and looked up on a miss', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const { node } = fake;
+
+  try {
+    const before = node.pay(node.remoteInvoice(1000));
+    node.pay(node.unpayableInvoice(2000));
+    // A probe that reached its destination, as the node keeps it
+    node.openChannel({ peer: node.remotePubkey, capacitySat: 1000000 });
+    node.mine(6);
+    const probe = node.probe(node.remotePubkey, { amountMsat: 1000000, hash: crypto.randomBytes(32).toString('hex') });
+    assert.equal(probe.failureReason, 'FAILURE_REASON_INCORRECT_PAYMENT_DETAILS');
+
+    const payments = new PaymentStore({ lnd, pageSize: 2 });
+    payments.start();
+    const seen = [];
+    payments.on('update', payment => seen.push(payment.payment_hash));
+
+    assert.deepEqual(await payments.sync(), { added: 2, total: 2 });
+    assert.deepEqual(payments.getStats(), { total: 2, IN_FLIGHT: 0, SUCCEEDED: 1, FAILED: 1 });
+    const loaded = await payments.get(before.hash);
+    assert.equal(loaded.type, 'invoice');
+    assert.equal(loaded.amount_sat, 1000);
+    assert.equal(loaded.preimage, before.preimage);
+    assert.ok(Math.abs(loaded.created_at - before.createdAt) < 1000);
+    // Loading history is not news
+    assert.deepEqual(seen, []);
+
+    // Later syncs resume from the last index and announce what is new
+    const outside = node.pay(node.remoteInvoice(3000));
+    assert.deepEqual(await payments.sync(), { added: 1, total: 3 });
+    assert.deepEqual(seen, [outside.hash]);
+    assert.equal(fake.requests.ListPayments.index_offset, '4');
+
+    // Not synced yet: looked up on the node
+    const missed = node.pay(node.remoteInvoice(4000));
+    assert.equal((await payments.get(missed.hash)).status, 'SUCCEEDED');
+    assert.equal(payments.list().total, 4);
+    assert.equal(await payments.get(crypto.randomBytes(32).toString('hex')), null);
+
+    // A restarted hub reads the same history back
+    const restarted = new PaymentStore({ lnd });
+    await restarted.sync();
+    // Payments made in the same millisecond have no order
+    assert.deepEqual(restarted.list().payments.map(p => p.amount_sat).sort((x, y) => y - x), [4000, 3000, 2000, 1000]);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
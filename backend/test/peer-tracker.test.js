@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { PeerTracker } from '../services/peer-tracker.js';
+import { LNDClient } from '../services/lnd.js';
+import peerRoutes from '../routes/peers.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+const randomPubkey = () => `03${crypto.randomBytes(32).toString('hex')}`;
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+async function connected() {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  return { fake, lnd, node: fake.node };
+}
+
+test('online and offline periods and pings are recorded per peer', async () => {
+  const { fake, lnd, node } = await connected();
+  const tracker = new PeerTracker({ lnd });
+  const changes = [];
+  tracker.on('change', change => changes.push(change));
+
+  try {
+    const peer = randomPubkey();
+    const partner = randomPubkey();
+    node.connectPeer(peer, '10.0.0.1:9735', { inbound: true, pingUs: 20000 });
+    node.openChannel({ peer: partner, capacitySat: 100000 });
+    node.mine(6);
+
+    await tracker.poll();
+    const [online, offline] = tracker.list();
+    assert.equal(online.pubkey, peer);
+    assert.equal(online.online, true);
+    assert.equal(online.address, '10.0.0.1:9735');
+    assert.equal(online.inbound, true);
+    assert.equal(online.ping_ms, 20);
+    // Channel partners are tracked while disconnected
+    assert.equal(offline.pubkey, partner);
+    assert.equal(offline.online, false);
+    assert.equal(offline.channels, 1);
+    assert.equal(offline.ping_ms, null);
+    // First sightings are not changes
+    assert.deepEqual(changes, []);
+
+    await tick();
+    node.peers.get(peer).pingUs = 40000;
+    await tracker.poll();
+    assert.equal(tracker.get(peer).avg_ping_ms, 30);
+
+    await tick();
+    node.disconnectPeer(peer);
+    node.connectPeer(partner, '10.0.0.2:9735');
+    await tracker.poll();
+    assert.deepEqual(Object.fromEntries(changes.map(c => [c.pubkey, c.online])), { [peer]: false, [partner]: true });
+
+    const record = tracker.get(peer);
+    assert.equal(record.online, false);
+    assert.equal(record.ping_ms, null);
+    assert.equal(record.disconnects, 1);
+    assert.deepEqual(record.periods.map(p => p.online), [true, false]);
+    assert.equal(record.periods[0].end, record.periods[1].start);
+
+    // As long offline as it was online: half the observed time
+    const [up, down] = record.periods;
+    const later = down.start + (up.end - up.start);
+    assert.equal(tracker.uptime(tracker.peers.get(peer), 86400000, later), 0.5);
+    assert.equal(tracker.uptime(tracker.peers.get(peer), later - down.start, later), 0);
+    assert.equal(tracker.list()[0].pubkey, partner);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('peer routes connect, disconnect and report tracked peers', async () => {
+  const { fake, lnd, node } = await connected();
+  const peerTracker = new PeerTracker({ lnd });
+  const app = await startApp({ '/api/peers': peerRoutes }, { lnd, peerTracker });
+  const pubkey = randomPubkey();
+
+  try {
+    for (const address of [undefined, 42, pubkey, `${pubkey.slice(2)}@host:9735`, `@host:9735`]) {
+      const { status } = await app.request('POST', '/api/peers/connect', { address });
+      assert.equal(status, 400, String(address));
+    }
+    assert.equal(node.peers.size, 0);
+
+    const connectedPeer = await app.request('POST', '/api/peers/connect', { address: `${pubkey.toUpperCase()}@10.0.0.3:9735` });
+    assert.equal(connectedPeer.status, 200);
+    assert.equal(connectedPeer.body.online, true);
+    assert.equal(node.peers.get(pubkey).address, '10.0.0.3:9735');
+    // Connecting again is not an error
+    assert.equal((await app.request('POST', '/api/peers/connect', { address: `${pubkey}@10.0.0.3:9735` })).status, 200);
+
+    const listed = await app.request('GET', '/api/peers?hours=1');
+    assert.deepEqual(listed.body.peers.map(p => [p.pubkey, p.online]), [[pubkey, true]]);
+    assert.equal((await app.request('GET', '/api/peers?hours=0')).status, 400);
+    assert.equal((await app.request('GET', '/api/peers?hours=abc')).status, 400);
+
+    assert.equal((await app.request('GET', `/api/peers/${pubkey}`)).body.periods.length, 1);
+    assert.equal((await app.request('GET', '/api/peers/xyz')).status, 400);
+    assert.equal((await app.request('GET', `/api/peers/${randomPubkey()}`)).status, 404);
+
+    assert.equal((await app.request('DELETE', `/api/peers/${pubkey}`)).status, 200);
+    assert.equal(node.peers.size, 0);
+    assert.equal(peerTracker.get(pubkey).online, false);
+    assert.equal((await app.request('DELETE', `/api/peers/${pubkey}`)).status, 404);
+    assert.equal((await app.request('DELETE', '/api/peers/xyz')).status, 400);
+  } finally {
+    await app.close();
+    lnd.closeClients();
+    await fake.close();
+  }
+});
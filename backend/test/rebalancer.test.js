@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import { Rebalancer } from '../services/rebalancer.js';
+import { ERROR_CODES } from '../services/errors.js';
+import rebalanceRoutes from '../routes/rebalance.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { startApp } from './fakes/http.js';
+
+const SOURCE_PEER = '02' + 'dd'.repeat(32);
+const TARGET_PEER = '03' + 'ee'.repeat(32);
+
+let fake;
+let lnd;
+let source;
+let target;
+
+beforeEach(async () => {
+  fake = await startFakeLnd();
+  lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+
+  // 90% local and 10% local
+  source = fake.node.openChannel({ peer: SOURCE_PEER, capacitySat: 1000000, pushSat: 100000 });
+  target = fake.node.openChannel({ peer: TARGET_PEER, capacitySat: 1000000, pushSat: 900000 });
+  fake.node.mine();
+});
+
+afterEach(async () => {
+  lnd.closeClients();
+  await fake.close();
+});
+
+test('plan pairs depleted channels with saturated ones', async () => {
+  const rebalancer = new Rebalancer({ lnd });
+  const { depleted, saturated, moves } = await rebalancer.plan();
+
+  assert.deepEqual(depleted.map(c => [c.chan_id, c.needed]), [[target.chanId, 400000]]);
+  assert.deepEqual(saturated.map(c => [c.chan_id, c.spare]), [[source.chanId, 400000]]);
+  assert.deepEqual(moves, [{
+    outgoing_chan_id: source.chanId,
+    incoming_chan_id: target.chanId,
+    last_hop_pubkey: TARGET_PEER,
+    amount: 400000,
+    max_fee_sat: 200
+  }]);
+
+  const capped = await rebalancer.plan({ maxAmount: 150000, maxFeePpm: 100 });
+  assert.deepEqual(capped.moves.map(m => [m.amount, m.max_fee_sat]), [[150000, 15]]);
+
+  assert.deepEqual((await rebalancer.plan({ depletedRatio: 0.05 })).moves, []);
+});
+
+test('run moves liquidity with circular payments and records each attempt', async () => {
+  const rebalancer = new Rebalancer({ lnd });
+  const result = await rebalancer.run({ maxAmount: 300000 });
+
+  assert.equal(result.moves, 1);
+  assert.equal(result.succeeded, 1);
+  assert.equal(result.fees_paid_sat, 1);
+  assert.equal(source.localMsat, (900000 - 300000 - 1) * 1000);
+  assert.equal(target.localMsat, (100000 + 300000) * 1000);
+
+  const [attempt] = rebalancer.listAttempts();
+  assert.equal(attempt.status, 'SUCCEEDED');
+  assert.equal(fake.node.invoices.get(attempt.payment_hash).state, 'SETTLED');
+  assert.equal(fake.requests.SendPaymentV2.max_parts, 1);
+  assert.equal(fake.requests.SendPaymentV2.fee_limit_msat, '150000');
+});
+
+test('failed moves are recorded with the failure reason', async () => {
+  const rebalancer = new Rebalancer({ lnd });
+  const move = { outgoing_chan_id: target.chanId, incoming_chan_id: source.chanId, last_hop_pubkey: SOURCE_PEER, amount: 200000, max_fee_sat: 100 };
+  const attempt = await rebalancer.attempt(move, rebalancer.settings());
+
+  assert.equal(attempt.status, 'FAILED');
+  assert.equal(attempt.failure_reason, 'FAILURE_REASON_INSUFFICIENT_BALANCE');
+  assert.deepEqual(rebalancer.listAttempts({ status: 'SUCCEEDED' }), []);
+  assert.equal(target.localMsat, 100000 * 1000);
+});
+
+test('settings are validated and runs do not overlap', async () => {
+  const rebalancer = new Rebalancer({ lnd });
+  const invalid = { code: ERROR_CODES.INVALID_REQUEST, status: 400 };
+  assert.throws(() => rebalancer.settings({ targetRatio: 0.9 }), invalid);
+  assert.throws(() => rebalancer.settings({ minAmount: 10, maxAmount: 5 }), invalid);
+
+  const first = rebalancer.run();
+  await assert.rejects(rebalancer.run(), { code: ERROR_CODES.REBALANCE_IN_PROGRESS, status: 409 });
+  await first;
+  assert.equal(rebalancer.getStatus().running, false);
+});
+
+test('the schedule can be started and stopped', () => {
+  const rebalancer = new Rebalancer({ lnd });
+  rebalancer.startSchedule(60 * 60000);
+  assert.equal(rebalancer.getStatus().schedule.enabled, true);
+  assert.equal(rebalancer.getStatus().schedule.interval_minutes, 60);
+
+  rebalancer.stopSchedule();
+  assert.equal(rebalancer.getStatus().schedule.enabled, false);
+  assert.equal(rebalancer.getStatus().schedule.next_run_at, null);
+});
+
+test('runs and schedule changes need the admin token', async () => {
+  const rebalancer = new Rebalancer({ lnd });
+  const app = await startApp({ '/api/rebalance': rebalanceRoutes }, { rebalancer, adminToken: 'admin' });
+  const admin = { authorization: 'Bearer admin' };
+
+  try {
+    assert.equal((await app.request('POST', '/api/rebalance/run', {})).status, 401);
+    assert.equal((await app.request('POST', '/api/rebalance/schedule', { enabled: true, interval_minutes: 60 })).status, 401);
+    assert.equal(rebalancer.listAttempts().length, 0);
+    assert.equal(rebalancer.getStatus().schedule.enabled, false);
+    assert.equal((await app.request('GET', '/api/rebalance/plan')).status, 200);
+
+    const run = await app.request('POST', '/api/rebalance/run', {}, admin);
+    assert.equal(run.status, 200);
+    assert.ok(rebalancer.listAttempts().length > 0);
+    const scheduled = await app.request('POST', '/api/rebalance/schedule', { enabled: true, interval_minutes: 60 }, admin);
+    assert.equal(scheduled.body.schedule.enabled, true);
+  } finally {
+    rebalancer.stopSchedule();
+    await app.close();
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LNDClient } from '../services/lnd.js';
+import invoiceRoutes from '../routes/invoices.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+import { FakeNode } from './fakes/fake-node.js';
+import { startApp } from './fakes/http.js';
+
+const PEER = '02' + 'aa'.repeat(32);
+
+test('fee limits default to 100 sats and ppm caps are taken from the invoice amount', () => {
+  const lnd = new LNDClient();
+  const invoice = new FakeNode().remoteInvoice(250000);
+
+  assert.equal(lnd.buildRoutingRequest(invoice).fee_limit_sat, 100);
+  assert.equal(lnd.buildRoutingRequest(invoice, { feeLimitSat: 0 }).fee_limit_sat, 0);
+
+  const ppm = lnd.buildRoutingRequest(invoice, { feeLimitPpm: 2000 });
+  assert.equal(ppm.fee_limit_msat, 500000);
+  assert.equal(ppm.fee_limit_sat, undefined);
+
+  // An explicit amount wins over the invoice amount
+  assert.equal(lnd.buildRoutingRequest(invoice, { amountSat: 1000, feeLimitPpm: 2000 }).fee_limit_msat, 2000);
+});
+
+test('routing options reach SendPaymentV2', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+
+  try {
+    await lnd.payInvoice(fake.node.remoteInvoice(1000), {
+      feeLimitPpm: 5000,
+      timeoutSeconds: 30,
+      maxParts: 4,
+      outgoingChanId: '123456789',
+      lastHopPubkey: PEER,
+      allowSelfPayment: true
+    });
+
+    const request = fake.requests.SendPaymentV2;
+    assert.equal(request.fee_limit_msat, '5000');
+    assert.equal(request.timeout_seconds, 30);
+    assert.equal(request.max_parts, 4);
+    assert.deepEqual(request.outgoing_chan_ids, ['123456789']);
+    assert.equal(request.last_hop_pubkey.toString('hex'), PEER);
+    assert.equal(request.allow_self_payment, true);
+  } finally {
+    lnd.closeClients();
+    await fake.close();
+  }
+});
+
+test('POST /api/invoices/pay validates routing options before paying', async () => {
+  const calls = [];
+  const lnd = {
+    network: 'regtest',
+    async payInvoice(paymentRequest, options) {
+      calls.push(options);
+      return { payment_error: '', payment_preimage: '00'.repeat(32), payment_hash: 'ab'.repeat(32), fee_sat: '1' };
+    }
+  };
+  const app = await startApp({ '/api/invoices': invoiceRoutes }, { lnd });
+  const payment_request = new FakeNode().remoteInvoice(1000);
+
+  try {
+    const rejected = [
+      { fee_limit_sat: 10, fee_limit_ppm: 100 },
+      { fee_limit_ppm: -1 },
+      { timeout_seconds: 0 },
+      { max_parts: 129 },
+      { outgoing_chan_id: '12x' },
+      { last_hop_pubkey: 'aa'.repeat(33) },
+      { allow_self_payment: 'yes' }
+    ];
+    for (const options of rejected) {
+      const { status } = await app.request('POST', '/api/invoices/pay', { payment_request, ...options });
+      assert.equal(status, 400, JSON.stringify(options));
+    }
+    assert.equal(calls.length, 0);
+
+    const { status } = await app.request('POST', '/api/invoices/pay', {
+      payment_request,
+      max_fee: 7,
+      outgoing_chan_id: 42,
+      last_hop_pubkey: PEER.toUpperCase()
+    });
+    assert.equal(status, 200);
+    assert.equal(calls[0].feeLimitSat, 7);
+    assert.equal(calls[0].outgoingChanId, '42');
+    assert.equal(calls[0].lastHopPubkey, PEER);
+  } finally {
+    await app.close();
+  }
+});
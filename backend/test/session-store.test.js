@@ -0,0 +1,200 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemorySessionStore, SqliteSessionStore, createSessionStore } from '../services/session-store.js';
+import { L402Gateway } from '../services/l402-gateway.js';
+import { RootKeyStore } from '../services/root-key-store.js';
+import { LNDClient } from '../services/lnd.js';
+import { startFakeLnd } from './fakes/lnd-server.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'l402-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const dbPath = () => path.join(dir, `l402-${++files}.sqlite`);
+
+const STORES = {
+  memory: () => new MemorySessionStore(),
+  sqlite: () => new SqliteSessionStore({ path: dbPath() })
+};
+
+for (const [type, open] of Object.entries(STORES)) {
+  test(`${type}: sessions are copied in and out, and updated in place`, () => {
+    const store = open();
+    try {
+      const session = { provider: 'claude', expiresAt: Date.now() + 60000, paid: false };
+      store.putSession('a', session);
+      session.paid = true;
+      assert.equal(store.getSession('a').paid, false);
+      store.getSession('a').paid = true;
+      assert.equal(store.getSession('a').paid, false);
+
+      assert.deepEqual(store.updateSession('a', { paid: true }), { ...session, paid: true });
+      assert.equal(store.getSession('a').paid, true);
+      assert.equal(store.updateSession('missing', { paid: true }), null);
+      assert.equal(store.getSession('missing'), null);
+    } finally {
+      store.close();
+    }
+  });
+
+  test(`${type}: consume enforces request and budget limits, release gives back`, () => {
+    const store = open();
+    const expiresAt = Date.now() + 60000;
+    try {
+      // A session the store has not seen is started from the rule
+      assert.deepEqual(store.consume('n', { maxRequests: 2, reserve: 100, expiresAt }), { ok: true, requests: 1, reserved: 100, remaining: null });
+      assert.equal(store.getSession('n').expiresAt, expiresAt);
+      assert.equal(store.consume('n', { maxRequests: 2, reserve: 100 }).requests, 2);
+      assert.deepEqual(store.consume('n', { maxRequests: 2, reserve: 100 }), { ok: false, reason: 'requests', requests: 2, maxRequests: 2 });
+
+      // A failed request is refunded; a delivered one is not
+      store.release('n', { reserved: 100, refund: true });
+      assert.equal(store.consume('n', { maxRequests: 2, reserve: 100 }).ok, true);
+      store.release('n', { reserved: 100, used: 80 });
+      assert.equal(store.getSession('n').requests, 2);
+      assert.equal(store.getSession('n').tokensUsed, 80);
+
+      // Budgets grant what is left and count what was used
+      store.putSession('b', { expiresAt });
+      assert.deepEqual(store.consume('b', { budget: 300, reserve: 200 }), { ok: true, requests: 1, reserved: 200, remaining: 100 });
+      assert.deepEqual(store.consume('b', { budget: 300, reserve: 200 }), { ok: true, requests: 2, reserved: 100, remaining: 0 });
+      assert.deepEqual(store.consume('b', { budget: 300, reserve: 1 }), { ok: false, reason: 'budget', remaining: 0, budget: 300 });
+      store.release('b', { reserved: 200, used: 50 });
+      assert.deepEqual(store.consume('b', { budget: 300, reserve: 500 }), { ok: true, requests: 3, reserved: 150, remaining: 0 });
+      assert.deepEqual(
+        [store.getSession('b').tokensReserved, store.getSession('b').tokensUsed],
+        [250, 50]
+      );
+
+      // Releasing a swept session is a no-op
+      store.release('gone', { reserved: 1, refund: true });
+      assert.equal(store.getSession('gone'), null);
+    } finally {
+      store.close();
+    }
+  });
+
+  test(`${type}: expired sessions are counted out and swept`, () => {
+    const store = open();
+    const now = Date.now();
+    try {
+      store.putSession('old', { expiresAt: now - 1 });
+      store.putSession('edge', { expiresAt: now });
+      store.putSession('live', { expiresAt: now + 1000 });
+      assert.equal(store.countSessions(now), 1);
+      assert.equal(store.deleteExpiredSessions(now), 2);
+      assert.equal(store.deleteExpiredSessions(now), 0);
+      assert.deepEqual(['old', 'edge', 'live'].map(id => store.getSession(id) !== null), [false, false, true]);
+      assert.equal(store.deleteExpiredSessions(now + 1000), 1);
+      assert.equal(store.countSessions(now), 0);
+    } finally {
+      store.close();
+    }
+  });
+
+  test(`${type}: revenue adds up usage per provider`, () => {
+    const store = open();
+    try {
+      assert.deepEqual(store.revenue(), { total: 0, byProvider: {} });
+      store.recordUsage({ paymentHash: 'a', provider: 'claude', tokens: 100, sats: 400 });
+      store.recordUsage({ paymentHash: 'a', provider: 'claude', tokens: 50, sats: 200 });
+      store.recordUsage({ paymentHash: 'b', provider: 'grok', tokens: 10, sats: 50 });
+      assert.deepEqual(store.revenue(), {
+        total: 650,
+        byProvider: {
+          claude: { requests: 2, tokens: 150, sats: 600 },
+          grok: { requests: 1, tokens: 10, sats: 50 }
+        }
+      });
+    } finally {
+      store.close();
+    }
+  });
+}
+
+test('sqlite: sessions, consumption and usage survive reopening, and connections share one allowance', () => {
+  const file = dbPath();
+  const expiresAt = Date.now() + 60000;
+  let store = new SqliteSessionStore({ path: file });
+  store.putSession('n', { provider: 'claude', expiresAt });
+  store.consume('n', { maxRequests: 3, reserve: 10 });
+  store.recordUsage({ paymentHash: 'n', provider: 'claude', tokens: 10, sats: 40 });
+  store.close();
+
+  store = new SqliteSessionStore({ path: file });
+  const other = new SqliteSessionStore({ path: file });
+  try {
+    assert.equal(store.getSession('n').requests, 1);
+    assert.equal(store.revenue().total, 40);
+
+    // Another process on the same file spends from the same count
+    assert.equal(other.consume('n', { maxRequests: 3, reserve: 10 }).requests, 2);
+    assert.equal(store.consume('n', { maxRequests: 3, reserve: 10 }).requests, 3);
+    assert.equal(other.consume('n', { maxRequests: 3, reserve: 10 }).ok, false);
+  } finally {
+    other.close();
+    store.close();
+  }
+});
+
+test('createSessionStore picks the store by type and keeps memory to mock mode', () => {
+  const store = createSessionStore({ path: path.join(dir, 'nested', 'l402.sqlite') });
+  assert.ok(store instanceof SqliteSessionStore);
+  store.close();
+  assert.ok(fs.existsSync(path.join(dir, 'nested', 'l402.sqlite')));
+
+  // Spent tokens would be replayable after a restart
+  assert.throws(() => createSessionStore({ type: 'memory' }), /forgets spent tokens on restart/);
+  assert.ok(createSessionStore({ type: 'memory', mock: true }) instanceof MemorySessionStore);
+
+  assert.throws(() => createSessionStore({ type: 'redis' }), /Unknown L402 store "redis"/);
+});
+
+test('a gateway restarted on the same sqlite file keeps spent tokens spent and its revenue', async () => {
+  const fake = await startFakeLnd();
+  const lnd = new LNDClient({ socket: fake.socket, credentials: fake.credentials, timeout: 5000 });
+  await lnd.connect();
+  const file = dbPath();
+  const rootKeys = new RootKeyStore();
+  const context = () => ({ now: Date.now(), provider: 'claude', model: null, maxTokens: 100, method: 'POST', path: '/api/ai/chat' });
+
+  let gateway = new L402Gateway({ lnd, rootKeys, store: new SqliteSessionStore({ path: file }) });
+  try {
+    const challenge = await gateway.createChallenge('claude', 100, null, { requests: 2 });
+    const { preimage } = fake.node.invoices.get(challenge.paymentHash);
+    const authorization = `L402 ${challenge.macaroon}:${preimage}`;
+
+    const first = await gateway.validateL402(authorization, context());
+    assert.equal(first.valid, true);
+    gateway.recordUsage(challenge.paymentHash, 60, 'claude', first.session.reservation);
+    gateway.store.close();
+
+    gateway = new L402Gateway({ lnd, rootKeys, store: new SqliteSessionStore({ path: file }) });
+    const second = await gateway.validateL402(authorization, context());
+    assert.equal(second.valid, true);
+    assert.equal(second.session.requestsRemaining, 0);
+    const replay = await gateway.validateL402(authorization, context());
+    assert.equal(replay.error, 'Token already used for 2 requests');
+
+    const stats = gateway.getStats();
+    assert.equal(stats.totalRevenue, 240);
+    assert.deepEqual(stats.byProvider.claude, { requests: 1, tokens: 60, sats: 240 });
+    assert.deepEqual(stats.byProvider.grok, { requests: 0, tokens: 0, sats: 0 });
+    assert.equal(stats.activeSessions, 1);
+
+    // The sweeper runs once on start, then on its interval
+    gateway.store.putSession('expired', { expiresAt: Date.now() - 1 });
+    gateway.startSweeper(60000);
+    gateway.stopSweeper();
+    assert.equal(gateway.store.getSession('expired'), null);
+    assert.equal(gateway.sweep(Date.now() + 2 * 86400000), 1);
+    assert.equal(gateway.getStats().activeSessions, 0);
+  } finally {
+    gateway.store.close();
+    lnd.closeClients();
+    await fake.close();
+  }
+});
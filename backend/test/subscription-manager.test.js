@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once, EventEmitter } from 'events';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { SubscriptionManager } from '../services/subscription-manager.js';
+import { MockLNDClient } from '../services/lnd-mock.js';
+import messageRoutes from '../routes/messages.js';
+import { startApp } from './fakes/http.js';
+import { until } from './fakes/until.js';
+
+/**
+ * A socket.io server on a free local port whose sockets are wired by a
+ * SubscriptionManager, as in server.js. `register(subscriptions)` adds
+ * the sources; `connect()` opens a client socket
+ */
+async function startHub(register) {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  const subscriptions = new SubscriptionManager({ io });
+  register(subscriptions);
+  io.on('connection', socket => subscriptions.attach(socket));
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const clients = [];
+
+  return {
+    io,
+    subscriptions,
+    async connect() {
+      const client = connectClient(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+      clients.push(client);
+      await once(client, 'connect');
+      return client;
+    },
+    close: () => new Promise((resolve) => {
+      clients.forEach(client => client.close());
+      io.close(() => resolve());
+    })
+  };
+}
+
+// An upstream that counts how often it was opened and closed
+function countingSource(upstream) {
+  const counts = { opened: 0, closed: 0 };
+  const open = (emit) => {
+    counts.opened += 1;
+    const forward = invoice => emit('invoice:update', invoice);
+    upstream.on('invoice', forward);
+    return () => {
+      counts.closed += 1;
+      upstream.off('invoice', forward);
+    };
+  };
+  return { counts, open };
+}
+
+test('one upstream per source is shared by every subscribed socket', async () => {
+  const upstream = new EventEmitter();
+  const { counts, open } = countingSource(upstream);
+  const hub = await startHub(subscriptions => subscriptions.register('invoices', open).register('payments', () => () => {}));
+
+  try {
+    const [first, second] = await Promise.all([hub.connect(), hub.connect()]);
+    const received = { first: [], second: [] };
+    first.on('invoice:update', invoice => received.first.push(invoice));
+    second.on('invoice:update', invoice => received.second.push(invoice));
+
+    first.emit('subscribe:invoices');
+    first.emit('subscribe:invoices');
+    second.emit('subscribe:invoices');
+    await until(() => hub.subscriptions.stats().sources.invoices === 2);
+    assert.equal(counts.opened, 1);
+    assert.equal(upstream.listenerCount('invoice'), 1);
+
+    upstream.emit('invoice', { r_hash: 'aa' });
+    await until(() => received.first.length && received.second.length);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(received, { first: [{ r_hash: 'aa' }], second: [{ r_hash: 'aa' }] });
+
+    // The upstream stays open while anyone is left
+    first.emit('unsubscribe:invoices');
+    await until(() => hub.subscriptions.stats().sources.invoices === 1);
+    assert.equal(counts.closed, 0);
+
+    upstream.emit('invoice', { r_hash: 'bb' });
+    await until(() => received.second.length === 2);
+    assert.equal(received.first.length, 1);
+
+    second.close();
+    await until(() => counts.closed === 1);
+    assert.equal(upstream.listenerCount('invoice'), 0);
+    assert.deepEqual(hub.subscriptions.stats(), {
+      sockets: 1,
+      sources: { invoices: 0, payments: 0 },
+      upstreams: 0,
+      socket_owned: 0
+    });
+
+    // A new subscriber opens it again
+    first.emit('subscribe:invoices');
+    await until(() => counts.opened === 2);
+  } finally {
+    await hub.close();
+  }
+});
+
+test('the mock invoice timer runs only while a socket is subscribed', async () => {
+  const lnd = new MockLNDClient({ seed: 'subscriptions' });
+  await lnd.connect();
+  const hub = await startHub(subscriptions => subscriptions.register('invoices', (emit) => {
+    return lnd.subscribeInvoices(invoice => emit('invoice:update', invoice));
+  }));
+
+  try {
+    const clients = await Promise.all([hub.connect(), hub.connect(), hub.connect()]);
+    clients.forEach(client => client.emit('subscribe:invoices'));
+    await until(() => hub.subscriptions.stats().sources.invoices === 3);
+    assert.ok(lnd.invoiceStreamTimer);
+    assert.equal(lnd.invoiceSubscribers.length, 1);
+
+    clients.forEach(client => client.close());
+    await until(() => lnd.invoiceSubscribers.length === 0);
+    assert.equal(lnd.invoiceStreamTimer, null);
+  } finally {
+    await hub.close();
+  }
+});
+
+test('Nostr subscriptions made for a socket are closed when it disconnects', async () => {
+  const nostr = {
+    handlers: new Map(),
+    closed: [],
+    count: 0,
+    subscribe(filters, callback) {
+      const id = `sub-${++this.count}`;
+      this.handlers.set(id, callback);
+      return id;
+    },
+    unsubscribe(id) {
+      this.closed.push(id);
+      this.handlers.delete(id);
+    }
+  };
+  const hub = await startHub(() => {});
+  const app = await startApp({ '/api/messages': messageRoutes }, { nostr, io: hub.io, subscriptions: hub.subscriptions });
+
+  try {
+    const client = await hub.connect();
+    const other = await hub.connect();
+
+    const rejected = await app.request('POST', '/api/messages/subscribe', { filters: [{ kinds: [1] }], socketId: 'nobody' });
+    assert.equal(rejected.status, 400);
+    assert.equal(nostr.handlers.size, 0);
+
+    const { body: kept } = await app.request('POST', '/api/messages/subscribe', { filters: [{ kinds: [1] }], socketId: client.id });
+    const { body: dropped } = await app.request('POST', '/api/messages/subscribe', { filters: [{ kinds: [4] }], socketId: client.id });
+    const { body: theirs } = await app.request('POST', '/api/messages/subscribe', { filters: [{ kinds: [1] }], socketId: other.id });
+    assert.equal(hub.subscriptions.stats().socket_owned, 3);
+
+    const arrived = once(client, 'nostr:event');
+    nostr.handlers.get(kept.subscriptionId)({ id: 'e1', kind: 1 });
+    assert.deepEqual((await arrived)[0], { id: 'e1', kind: 1 });
+
+    // Unsubscribing through the API closes it once
+    await app.request('POST', '/api/messages/unsubscribe', { subscriptionId: dropped.subscriptionId });
+    assert.deepEqual(nostr.closed, [dropped.subscriptionId]);
+
+    client.close();
+    await until(() => nostr.closed.length === 2);
+    assert.deepEqual(nostr.closed, [dropped.subscriptionId, kept.subscriptionId]);
+    assert.deepEqual([...nostr.handlers.keys()], [theirs.subscriptionId]);
+    assert.equal(hub.subscriptions.stats().socket_owned, 1);
+  } finally {
+    await app.close();
+    await hub.close();
+  }
+});